@@ -0,0 +1,118 @@
+const express = require('express');
+const alertService = require('../services/alertService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Send the error of an alert endpoint
+ * @param {Object} res - Express response
+ * @param {string} message - What failed
+ * @param {Error} error - Error
+ */
+const sendError = (res, message, error) => {
+  res.status(error.status || 500).json({
+    error: message,
+    message: error.message,
+    ...(error.validationErrors ? { validationErrors: error.validationErrors } : {})
+  });
+};
+
+/**
+ * @route GET /api/alerts
+ * @description List alerts, newest first
+ * @param {string} status - Optional status: active, triggered or disabled
+ * @param {string} type - Optional type: price, indicator or portfolio
+ * @param {string} symbol - Optional stock symbol
+ * @returns {Array} Alerts
+ */
+router.get('/', (req, res) => {
+  try {
+    const { status, type, symbol } = req.query;
+
+    logger.info('Received request for alerts');
+
+    res.json(alertService.listAlerts({ status, type, symbol }));
+  } catch (error) {
+    logger.error(`Error in alerts endpoint: ${error.message}`);
+    sendError(res, 'Failed to list alerts', error);
+  }
+});
+
+/**
+ * @route POST /api/alerts
+ * @description Create an alert (see utils/alertConditions)
+ * @param {Object} alert - Alert definition: type, symbol, indicator, field, timeframe, accountId,
+ * metric, operator, value, repeat, enabled, webhooks and notifyMcp
+ * @returns {Object} The alert
+ */
+router.post('/', (req, res) => {
+  try {
+    logger.info(`Received request to create a ${req.body.type} alert`);
+
+    res.status(201).json(alertService.createAlert(req.body));
+  } catch (error) {
+    logger.error(`Error in create alert endpoint: ${error.message}`);
+    sendError(res, 'Failed to create alert', error);
+  }
+});
+
+/**
+ * @route GET /api/alerts/:id
+ * @description Get an alert with its recent triggers and webhook deliveries
+ * @param {string} id - Alert id
+ * @returns {Object} Alert
+ */
+router.get('/:id', (req, res) => {
+  try {
+    logger.info(`Received request for alert ${req.params.id}`);
+
+    res.json(alertService.getAlert(req.params.id));
+  } catch (error) {
+    logger.error(`Error in alert endpoint: ${error.message}`);
+    sendError(res, 'Failed to get alert', error);
+  }
+});
+
+/**
+ * @route PUT /api/alerts/:id
+ * @description Change an alert and re-arm it
+ * @param {string} id - Alert id
+ * @param {Object} changes - Alert definition fields to change
+ * @returns {Object} The updated alert
+ */
+router.put('/:id', (req, res) => {
+  try {
+    logger.info(`Received request to update alert ${req.params.id}`);
+
+    res.json(alertService.updateAlert(req.params.id, req.body));
+  } catch (error) {
+    logger.error(`Error in update alert endpoint: ${error.message}`);
+    sendError(res, 'Failed to update alert', error);
+  }
+});
+
+/**
+ * @route DELETE /api/alerts/:id
+ * @description Delete an alert
+ * @param {string} id - Alert id
+ * @returns {Object} Result with the deleted alert
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    logger.info(`Received request to delete alert ${req.params.id}`);
+
+    const alert = alertService.deleteAlert(req.params.id);
+
+    res.json({
+      status: 'success',
+      message: `Alert ${alert.id} has been deleted`,
+      alert
+    });
+  } catch (error) {
+    logger.error(`Error in delete alert endpoint: ${error.message}`);
+    sendError(res, 'Failed to delete alert', error);
+  }
+});
+
+module.exports = router;
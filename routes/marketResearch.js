@@ -78,6 +78,7 @@ router.get('/economic', async (req, res) => {
 /**
  * @route GET /api/research/portfolio/diversification
  * @description Analyze portfolio diversification
+ * @param {string} accountId - Optional account id (default: default)
  * @returns {Object} Portfolio diversification analysis
  */
 router.get('/portfolio/diversification', async (req, res) => {
@@ -85,7 +86,7 @@ router.get('/portfolio/diversification', async (req, res) => {
     logger.info('Received request for portfolio diversification analysis');
     
     // Get current portfolio
-    const portfolio = tradingService.getPortfolio();
+    const portfolio = tradingService.getPortfolio(req.query.accountId);
     
     // Analyze diversification
     const diversificationAnalysis = await marketResearchService.analyzePortfolioDiversification(portfolio);
@@ -93,7 +94,7 @@ router.get('/portfolio/diversification', async (req, res) => {
     res.json(diversificationAnalysis);
   } catch (error) {
     logger.error(`Error in portfolio diversification endpoint: ${error.message}`);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to analyze portfolio diversification',
       message: error.message
     });
@@ -104,6 +105,7 @@ router.get('/portfolio/diversification', async (req, res) => {
  * @route GET /api/research/portfolio/news
  * @description Get news related to portfolio holdings
  * @param {number} limit - Optional maximum number of news items (default: 10)
+ * @param {string} accountId - Optional account id (default: default)
  * @returns {Array} News articles related to portfolio
  */
 router.get('/portfolio/news', async (req, res) => {
@@ -113,7 +115,7 @@ router.get('/portfolio/news', async (req, res) => {
     logger.info('Received request for portfolio-related news');
     
     // Get current portfolio
-    const portfolio = tradingService.getPortfolio();
+    const portfolio = tradingService.getPortfolio(req.query.accountId);
     
     // Extract symbols from portfolio
     const symbols = portfolio.positions.map(position => position.symbol);
@@ -128,7 +130,7 @@ router.get('/portfolio/news', async (req, res) => {
     res.json(news);
   } catch (error) {
     logger.error(`Error in portfolio news endpoint: ${error.message}`);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to get portfolio news',
       message: error.message
     });
@@ -1,5 +1,6 @@
 const express = require('express');
-const { processMcpRequest, getMcpHeaders } = require('../utils/mcpIntegration');
+const { processMcpRequest } = require('../utils/mcpIntegration');
+const { listTools, describeParameters } = require('../utils/toolRegistry');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -25,12 +26,6 @@ router.post('/context', async (req, res) => {
     // Process the MCP request
     const response = await processMcpRequest(req.body);
     
-    // Add MCP headers
-    const mcpHeaders = getMcpHeaders();
-    Object.entries(mcpHeaders).forEach(([key, value]) => {
-      res.setHeader(key, value);
-    });
-    
     // Return response
     res.json(response);
   } catch (error) {
@@ -51,55 +46,18 @@ router.get('/capabilities', (req, res) => {
   try {
     logger.info('Received MCP capabilities request');
     
-    // Add MCP headers
-    const mcpHeaders = getMcpHeaders();
-    Object.entries(mcpHeaders).forEach(([key, value]) => {
-      res.setHeader(key, value);
-    });
-    
-    // Return capabilities
+    // Capabilities are derived from the tool registry
     res.json({
       status: 'success',
-      provider: 'tradingview-mcp',
-      version: '1.0',
-      capabilities: [
-        {
-          type: 'stock_analysis',
-          description: 'Analyze stock performance and provide recommendations',
-          parameters: {
-            symbol: { type: 'string', required: true, description: 'Stock symbol' },
-            timeframe: { type: 'string', required: false, description: 'Analysis timeframe (1d, 1w, 1m)', default: '1d' }
-          }
-        },
-        {
-          type: 'portfolio',
-          description: 'View and manage portfolio',
-          parameters: {
-            action: { type: 'string', required: false, description: 'Portfolio action (view, performance, update)', default: 'view' },
-            period: { type: 'string', required: false, description: 'Time period for performance analysis (1d, 1w, 1m, 3m, 1y)', default: '1m' }
-          }
-        },
-        {
-          type: 'trade_execution',
-          description: 'Execute trade orders',
-          parameters: {
-            symbol: { type: 'string', required: true, description: 'Stock symbol' },
-            action: { type: 'string', required: true, description: 'Trade action (buy, sell)' },
-            quantity: { type: 'number', required: true, description: 'Number of shares' },
-            type: { type: 'string', required: false, description: 'Order type (market, limit)', default: 'market' },
-            price: { type: 'number', required: false, description: 'Limit price (required for limit orders)' }
-          }
-        },
-        {
-          type: 'market_research',
-          description: 'Perform market research',
-          parameters: {
-            type: { type: 'string', required: false, description: 'Research type (news, sectors, economic, diversification)', default: 'news' },
-            symbols: { type: 'array', required: false, description: 'Stock symbols for news filtering' },
-            limit: { type: 'number', required: false, description: 'Maximum number of news items', default: 10 }
-          }
-        }
-      ]
+      provider: process.env.MCP_PROVIDER_NAME || 'tradingview-mcp',
+      version: process.env.MCP_VERSION || '1.0',
+      capabilities: listTools().map(tool => ({
+        type: tool.name,
+        description: tool.description,
+        parameters: describeParameters(tool),
+        inputSchema: tool.inputSchema,
+        outputSchema: tool.outputSchema
+      }))
     });
   } catch (error) {
     logger.error(`Error in MCP capabilities endpoint: ${error.message}`);
@@ -0,0 +1,196 @@
+const express = require('express');
+const cors = require('cors');
+const { createSession, getSession, deleteSession } = require('../utils/mcpSessions');
+const { SUPPORTED_PROTOCOL_VERSIONS, JSON_RPC_ERRORS } = require('../utils/mcpServer');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SSE_KEEPALIVE_MS = 25000;
+
+/**
+ * Build a JSON-RPC error body that is not tied to a request id
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @returns {Object} JSON-RPC error response
+ */
+const rpcErrorBody = (code, message) => ({ jsonrpc: '2.0', id: null, error: { code, message } });
+
+// Browser-based clients need to read the session id from responses
+router.use(cors({ exposedHeaders: ['Mcp-Session-Id'] }));
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * Check whether an Origin header may use the transport: local origins always
+ * may, others only when listed in MCP_ALLOWED_ORIGINS
+ * @param {string} origin - Origin header
+ * @returns {boolean} True if the origin is allowed
+ */
+const isAllowedOrigin = (origin) => {
+  const allowedOrigins = (process.env.MCP_ALLOWED_ORIGINS || '')
+    .split(',')
+    .map(allowed => allowed.trim())
+    .filter(Boolean);
+  if (allowedOrigins.includes(origin)) {
+    return true;
+  }
+
+  try {
+    return LOCAL_HOSTNAMES.includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Reject browser requests from origins other than localhost and
+ * MCP_ALLOWED_ORIGINS, which protects locally running servers against DNS
+ * rebinding. Requests without an Origin header do not come from a browser
+ */
+router.use((req, res, next) => {
+  const origin = req.get('Origin');
+
+  if (origin && !isAllowedOrigin(origin)) {
+    logger.warn(`Rejected MCP request from origin ${origin}`);
+    return res.status(403).json(rpcErrorBody(JSON_RPC_ERRORS.INVALID_REQUEST, 'Origin not allowed'));
+  }
+
+  next();
+});
+
+/**
+ * Check whether a message (or batch) contains an initialize request
+ * @param {Object|Array} body - JSON-RPC message or batch
+ * @returns {boolean} True if an initialize request is present
+ */
+const containsInitialize = (body) => {
+  const messages = Array.isArray(body) ? body : [body];
+  return messages.some(message => message && message.method === 'initialize');
+};
+
+/**
+ * Resolve the session of a request, validating the session and protocol version headers
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Object|null} Session, or null if an error response has been sent
+ */
+const requireSession = (req, res) => {
+  const sessionId = req.get('Mcp-Session-Id');
+  if (!sessionId) {
+    res.status(400).json(rpcErrorBody(JSON_RPC_ERRORS.INVALID_REQUEST, 'Missing Mcp-Session-Id header'));
+    return null;
+  }
+
+  const session = getSession(sessionId);
+  if (!session) {
+    res.status(404).json(rpcErrorBody(JSON_RPC_ERRORS.INVALID_REQUEST, 'Session not found'));
+    return null;
+  }
+
+  const protocolVersion = req.get('MCP-Protocol-Version');
+  if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    res.status(400).json(rpcErrorBody(
+      JSON_RPC_ERRORS.INVALID_REQUEST,
+      `Unsupported protocol version ${protocolVersion}. Supported versions: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')}`
+    ));
+    return null;
+  }
+
+  return session;
+};
+
+/**
+ * @route POST /mcp
+ * @description Send JSON-RPC messages to the server (Streamable HTTP transport).
+ * An initialize request creates a new session whose id is returned in the
+ * Mcp-Session-Id header; all later requests must carry that header.
+ * @returns {Object} JSON-RPC response(s), or 202 Accepted for notifications only
+ */
+router.post('/', async (req, res) => {
+  try {
+    const body = req.body;
+
+    if (!body || typeof body !== 'object' || Object.keys(body).length === 0) {
+      return res.status(400).json(rpcErrorBody(JSON_RPC_ERRORS.PARSE_ERROR, 'Request body must be a JSON-RPC message'));
+    }
+
+    let session;
+    if (containsInitialize(body)) {
+      if (req.get('Mcp-Session-Id')) {
+        return res.status(400).json(rpcErrorBody(JSON_RPC_ERRORS.INVALID_REQUEST, 'Session is already initialized'));
+      }
+      session = createSession();
+    } else {
+      session = requireSession(req, res);
+      if (!session) {
+        return;
+      }
+    }
+
+    const response = await session.server.handleMessage(body);
+
+    res.setHeader('Mcp-Session-Id', session.id);
+
+    if (!response) {
+      return res.status(202).end();
+    }
+
+    res.json(response);
+  } catch (error) {
+    logger.error(`Error in MCP streamable HTTP endpoint: ${error.message}`);
+    res.status(500).json(rpcErrorBody(JSON_RPC_ERRORS.INTERNAL_ERROR, 'Internal server error processing MCP message'));
+  }
+});
+
+/**
+ * @route GET /mcp
+ * @description Open an SSE stream to receive server-to-client notifications for a session
+ * @returns {Stream} text/event-stream
+ */
+router.get('/', (req, res) => {
+  if (!req.accepts('text/event-stream')) {
+    return res.status(405).set('Allow', 'POST, DELETE').end();
+  }
+
+  const session = requireSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'Mcp-Session-Id': session.id
+  });
+  res.flushHeaders();
+
+  session.streams.add(res);
+  logger.info(`Opened SSE stream for MCP session ${session.id}`);
+
+  const keepAlive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    session.streams.delete(res);
+    logger.info(`Closed SSE stream for MCP session ${session.id}`);
+  });
+});
+
+/**
+ * @route DELETE /mcp
+ * @description Terminate an MCP session
+ * @returns {void} 204 No Content
+ */
+router.delete('/', (req, res) => {
+  const session = requireSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  deleteSession(session.id);
+  res.status(204).end();
+});
+
+module.exports = router;
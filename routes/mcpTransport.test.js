@@ -0,0 +1,166 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-http-'));
+process.env.STORAGE_FILE = path.join(dir, 'trading.json');
+process.env.MCP_ALLOWED_ORIGINS = 'https://app.example.com';
+
+const mcpTransportRoutes = require('./mcpTransport');
+const { getSession } = require('../utils/mcpSessions');
+const { LATEST_PROTOCOL_VERSION, JSON_RPC_ERRORS } = require('../utils/mcpServer');
+
+let server;
+let baseUrl;
+
+/**
+ * POST a JSON-RPC message to the transport
+ * @param {Object|Array} body - Message or batch
+ * @param {Object} headers - Extra request headers
+ * @returns {Promise<Response>} Response
+ */
+const post = (body, headers = {}) => fetch(`${baseUrl}/mcp`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', Accept: 'application/json, text/event-stream', ...headers },
+  body: JSON.stringify(body)
+});
+
+/**
+ * Start a session
+ * @returns {Promise<string>} Session id
+ */
+const initialize = async () => {
+  const response = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: LATEST_PROTOCOL_VERSION } });
+  return response.headers.get('mcp-session-id');
+};
+
+beforeAll(done => {
+  const app = express();
+  app.use(bodyParser.json());
+  app.use('/mcp', mcpTransportRoutes);
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  // fetch keeps connections alive
+  server.closeAllConnections();
+  server.close(done);
+});
+
+describe('sessions', () => {
+  test('initialize creates a session that later requests must name', async () => {
+    const response = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: LATEST_PROTOCOL_VERSION } });
+    const sessionId = response.headers.get('mcp-session-id');
+
+    expect(response.status).toBe(200);
+    expect((await response.json()).result.protocolVersion).toBe(LATEST_PROTOCOL_VERSION);
+    expect(getSession(sessionId)).toBeDefined();
+
+    const ping = await post({ jsonrpc: '2.0', id: 2, method: 'ping' }, { 'Mcp-Session-Id': sessionId });
+    expect(await ping.json()).toEqual({ jsonrpc: '2.0', id: 2, result: {} });
+  });
+
+  test('requests without a session or with an unknown one are rejected', async () => {
+    const missing = await post({ jsonrpc: '2.0', id: 1, method: 'ping' });
+    const unknown = await post({ jsonrpc: '2.0', id: 1, method: 'ping' }, { 'Mcp-Session-Id': 'nope' });
+
+    expect(missing.status).toBe(400);
+    expect((await missing.json()).error.message).toBe('Missing Mcp-Session-Id header');
+    expect(unknown.status).toBe(404);
+    expect((await unknown.json()).error).toEqual({ code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Session not found' });
+  });
+
+  test('an initialize request may not name a session', async () => {
+    const sessionId = await initialize();
+    const response = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, { 'Mcp-Session-Id': sessionId });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.message).toBe('Session is already initialized');
+  });
+
+  test('unsupported protocol versions are rejected', async () => {
+    const sessionId = await initialize();
+    const response = await post({ jsonrpc: '2.0', id: 1, method: 'ping' }, { 'Mcp-Session-Id': sessionId, 'MCP-Protocol-Version': '1999-01-01' });
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.message).toMatch(/^Unsupported protocol version 1999-01-01/);
+  });
+
+  test('notifications are accepted without a body', async () => {
+    const sessionId = await initialize();
+    const response = await post({ jsonrpc: '2.0', method: 'notifications/initialized' }, { 'Mcp-Session-Id': sessionId });
+
+    expect(response.status).toBe(202);
+    expect(await response.text()).toBe('');
+  });
+
+  test('empty bodies are a parse error', async () => {
+    const response = await post({});
+
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.code).toBe(JSON_RPC_ERRORS.PARSE_ERROR);
+  });
+
+  test('DELETE terminates the session', async () => {
+    const sessionId = await initialize();
+    const response = await fetch(`${baseUrl}/mcp`, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId } });
+
+    expect(response.status).toBe(204);
+    expect(getSession(sessionId)).toBeUndefined();
+    expect((await post({ jsonrpc: '2.0', id: 1, method: 'ping' }, { 'Mcp-Session-Id': sessionId })).status).toBe(404);
+  });
+
+  test('GET streams server messages of the session as SSE events', async () => {
+    const sessionId = await initialize();
+    const controller = new AbortController();
+    const response = await fetch(`${baseUrl}/mcp`, {
+      headers: { Accept: 'text/event-stream', 'Mcp-Session-Id': sessionId },
+      signal: controller.signal
+    });
+    expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+    const reader = response.body.getReader();
+    getSession(sessionId).server.notify('notifications/message', { level: 'error', data: 'hello' });
+    const { value } = await reader.read();
+    controller.abort();
+
+    expect(Buffer.from(value).toString()).toBe(
+      'id: 1\nevent: message\ndata: {"jsonrpc":"2.0","method":"notifications/message","params":{"level":"error","data":"hello"}}\n\n'
+    );
+  });
+
+  test('GET without an SSE Accept header is not allowed', async () => {
+    const response = await fetch(`${baseUrl}/mcp`, { headers: { Accept: 'application/json' } });
+
+    expect(response.status).toBe(405);
+    expect(response.headers.get('allow')).toBe('POST, DELETE');
+  });
+});
+
+describe('Origin check', () => {
+  test.each([
+    'http://localhost:3000',
+    'http://127.0.0.1:8080',
+    'http://[::1]',
+    'https://app.example.com'
+  ])('allows %s', async (origin) => {
+    expect((await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, { Origin: origin })).status).toBe(200);
+  });
+
+  test.each([
+    'https://evil.example.com',
+    'http://localhost.evil.example.com',
+    'null'
+  ])('rejects %s', async (origin) => {
+    const response = await post({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} }, { Origin: origin });
+
+    expect(response.status).toBe(403);
+    expect((await response.json()).error.message).toBe('Origin not allowed');
+  });
+});
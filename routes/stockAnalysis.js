@@ -1,24 +1,46 @@
 const express = require('express');
 const stockAnalysisService = require('../services/stockAnalysisService');
+const backtestService = require('../services/backtestService');
+const quoteService = require('../services/quoteService');
+const screenerService = require('../services/screenerService');
+const { isValidTimeframe, SUPPORTED_TIMEFRAMES } = require('../utils/timeframes');
+const { INDICATOR_NAMES, splitIndicatorList, parseIndicatorSpec } = require('../utils/indicators');
+const { listStrategies } = require('../utils/signalEngine');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Send a 400 response for an unsupported timeframe
+ * @param {Object} res - Express response
+ * @param {string} timeframe - Requested timeframe
+ * @returns {Object} Express response
+ */
+const rejectTimeframe = (res, timeframe) => res.status(400).json({
+  error: 'Invalid timeframe',
+  message: `Unsupported timeframe "${timeframe}". Supported timeframes: ${SUPPORTED_TIMEFRAMES.join(', ')}`
+});
+
 /**
  * @route GET /api/analysis/stock/:symbol
  * @description Get stock analysis and recommendation
  * @param {string} symbol - Stock symbol
- * @param {string} timeframe - Optional timeframe (default: 1d)
+ * @param {string} timeframe - Optional bar timeframe: 1m, 5m, 15m, 1h, 4h, 1d, 1w or 1M (default: 1d)
+ * @param {string} strategy - Optional strategy name (default: default)
  * @returns {Object} Stock analysis and recommendation
  */
 router.get('/stock/:symbol', async (req, res, next) => {
   try {
     const { symbol } = req.params;
-    const { timeframe = '1d' } = req.query;
+    const { timeframe = '1d', strategy = 'default' } = req.query;
+    
+    if (!isValidTimeframe(timeframe)) {
+      return rejectTimeframe(res, timeframe);
+    }
     
     logger.info(`Received request for stock analysis: ${symbol}, timeframe: ${timeframe}`);
     
-    const analysis = await stockAnalysisService.getStockAnalysis(symbol, timeframe);
+    const analysis = await stockAnalysisService.getStockAnalysis(symbol, timeframe, strategy);
     
     res.json(analysis);
   } catch (error) {
@@ -32,11 +54,12 @@ router.get('/stock/:symbol', async (req, res, next) => {
  * @description Analyze multiple stocks in batch
  * @param {Array} symbols - Array of stock symbols
  * @param {string} timeframe - Optional timeframe (default: 1d)
+ * @param {string} strategy - Optional strategy name (default: default)
  * @returns {Array} Array of stock analyses
  */
 router.post('/batch', async (req, res, next) => {
   try {
-    const { symbols, timeframe = '1d' } = req.body;
+    const { symbols, timeframe = '1d', strategy = 'default' } = req.body;
     
     if (!symbols || !Array.isArray(symbols) || symbols.length === 0) {
       return res.status(400).json({
@@ -44,9 +67,13 @@ router.post('/batch', async (req, res, next) => {
       });
     }
     
+    if (!isValidTimeframe(timeframe)) {
+      return rejectTimeframe(res, timeframe);
+    }
+    
     logger.info(`Received request for batch analysis of ${symbols.length} stocks`);
     
-    const analyses = await stockAnalysisService.batchAnalyzeStocks(symbols, timeframe);
+    const analyses = await stockAnalysisService.batchAnalyzeStocks(symbols, timeframe, strategy);
     
     res.json(analyses);
   } catch (error) {
@@ -55,19 +82,39 @@ router.post('/batch', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/analysis/strategies
+ * @description List the strategies available for recommendations
+ * @returns {Array} Strategies with their indicators, rules and thresholds
+ */
+router.get('/strategies', (req, res, next) => {
+  try {
+    res.json(listStrategies());
+  } catch (error) {
+    logger.error(`Error in strategies endpoint: ${error.message}`);
+    next(error);
+  }
+});
+
 /**
  * @route GET /api/analysis/tradingview/:symbol
- * @description Get TradingView indicators for a stock
+ * @description Get TradingView-style technical ratings for a stock
  * @param {string} symbol - Stock symbol
- * @returns {Object} TradingView indicators
+ * @param {string} timeframe - Optional bar timeframe: 1m, 5m, 15m, 1h, 4h, 1d, 1w or 1M (default: 1d)
+ * @returns {Object} Summary, oscillator and moving average ratings with the individual votes
  */
 router.get('/tradingview/:symbol', async (req, res, next) => {
   try {
     const { symbol } = req.params;
+    const { timeframe = '1d' } = req.query;
+    
+    if (!isValidTimeframe(timeframe)) {
+      return rejectTimeframe(res, timeframe);
+    }
     
-    logger.info(`Received request for TradingView indicators: ${symbol}`);
+    logger.info(`Received request for TradingView indicators: ${symbol}, timeframe: ${timeframe}`);
     
-    const indicators = await stockAnalysisService.getTradingViewIndicators(symbol);
+    const indicators = await stockAnalysisService.getTradingViewIndicators(symbol, timeframe);
     
     res.json(indicators);
   } catch (error) {
@@ -76,19 +123,107 @@ router.get('/tradingview/:symbol', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/analysis/indicators/:symbol
+ * @description Compute technical indicator series for a stock
+ * @param {string} symbol - Stock symbol
+ * @param {string} indicators - Comma-separated indicator specs, e.g. rsi,sma(50),macd(12,26,9) (default: all indicators with default parameters)
+ * @param {string} timeframe - Optional bar timeframe: 1m, 5m, 15m, 1h, 4h, 1d, 1w or 1M (default: 1d)
+ * @param {number} limit - Optional number of bars to return values for (default: 100)
+ * @returns {Object} Indicator series keyed by spec
+ */
+router.get('/indicators/:symbol', async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    const { indicators = INDICATOR_NAMES.join(','), timeframe = '1d', limit = 100 } = req.query;
+    const barLimit = parseInt(limit, 10);
+
+    if (!isValidTimeframe(timeframe)) {
+      return rejectTimeframe(res, timeframe);
+    }
+
+    if (!Number.isInteger(barLimit) || barLimit < 1) {
+      return res.status(400).json({
+        error: 'Invalid limit',
+        message: 'limit must be a positive integer'
+      });
+    }
+
+    const specs = splitIndicatorList(indicators);
+    try {
+      specs.forEach(parseIndicatorSpec);
+    } catch (error) {
+      return res.status(400).json({
+        error: 'Invalid indicator',
+        message: error.message
+      });
+    }
+
+    logger.info(`Received request for indicators: ${symbol}, indicators: ${indicators}, timeframe: ${timeframe}`);
+
+    const result = await stockAnalysisService.getIndicators(symbol, specs, { timeframe, limit: barLimit });
+
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error in indicators endpoint: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/analysis/backtest
+ * @description Backtest a strategy over historical bars
+ * @param {Array} symbols - Symbols to trade
+ * @param {string} strategy - Optional strategy name (default: default)
+ * @param {string} timeframe - Optional bar timeframe (default: 1d)
+ * @param {string} start - Optional first date of the test
+ * @param {string} end - Optional last date of the test (default: now)
+ * @param {number} limit - Optional number of bars when no start is given (default: 500)
+ * @param {number} initialCapital - Optional starting cash (default: 100000)
+ * @param {number} positionSize - Optional fraction of equity per entry (default: 1 / number of symbols)
+ * @param {Object} commission - Optional commission model
+ * @param {Object} slippage - Optional slippage model
+ * @returns {Object} Metrics, equity curve and trade list
+ */
+router.post('/backtest', async (req, res, next) => {
+  try {
+    const validation = backtestService.validateBacktestParameters(req.body);
+    if (!validation.valid) {
+      return res.status(400).json({
+        error: 'Invalid backtest parameters',
+        message: validation.errors.map(e => `${e.field} ${e.message}`).join('; '),
+        validationErrors: validation.errors
+      });
+    }
+    
+    logger.info(`Received backtest request for ${validation.value.symbols.join(', ')} with strategy ${validation.value.strategy}`);
+    
+    const result = await backtestService.runBacktest(validation.value);
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error in backtest endpoint: ${error.message}`);
+    next(error);
+  }
+});
+
 /**
  * @route GET /api/analysis/historical/:symbol
  * @description Get historical data for a stock
  * @param {string} symbol - Stock symbol
- * @param {string} timeframe - Optional timeframe (default: 1d)
- * @param {number} limit - Optional limit of data points (default: 100)
- * @returns {Object} Historical stock data
+ * @param {string} timeframe - Optional bar timeframe: 1m, 5m, 15m, 1h, 4h, 1d, 1w or 1M (default: 1d)
+ * @param {number} limit - Optional number of bars (default: 100)
+ * @returns {Object} Historical stock data with OHLCV bars
  */
 router.get('/historical/:symbol', async (req, res, next) => {
   try {
     const { symbol } = req.params;
     const { timeframe = '1d', limit = 100 } = req.query;
     
+    if (!isValidTimeframe(timeframe)) {
+      return rejectTimeframe(res, timeframe);
+    }
+    
     logger.info(`Received request for historical data: ${symbol}, timeframe: ${timeframe}, limit: ${limit}`);
     
     const historicalData = await stockAnalysisService.fetchHistoricalData(symbol, timeframe, parseInt(limit, 10));
@@ -100,4 +235,107 @@ router.get('/historical/:symbol', async (req, res, next) => {
   }
 });
 
+/**
+ * @route GET /api/analysis/quote/:symbol
+ * @description Get the current quote trading and analysis use for a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Object} Quote with its last update time, age and staleness
+ */
+router.get('/quote/:symbol', async (req, res, next) => {
+  try {
+    const { symbol } = req.params;
+    
+    logger.info(`Received request for quote: ${symbol}`);
+    
+    const quote = await quoteService.getQuote(symbol);
+    
+    res.json(quote);
+  } catch (error) {
+    logger.error(`Error in quote endpoint: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/analysis/screen
+ * @description Screen a universe of stocks and rank the matches
+ * @param {string} universe - Optional universe name (default: SCREENER_UNIVERSE or dow30)
+ * @param {string} symbols - Optional comma-separated symbols to screen instead of a universe
+ * @param {string} filters - Filters separated by semicolons or repeated, such as "price > SMA200;rsi < 30"
+ * @param {string} timeframe - Optional bar timeframe: 1m, 5m, 15m, 1h, 4h, 1d, 1w or 1M (default: 1d)
+ * @param {string} sort - Optional operand to rank by (default: score)
+ * @param {string} order - Optional desc or asc (default: desc)
+ * @param {number} limit - Optional maximum number of matches (default: 25)
+ * @returns {Object} Ranked matches with the values of the filter operands
+ */
+router.get('/screen', async (req, res, next) => {
+  try {
+    const { universe, symbols, filters = [], timeframe = '1d', sort, order, limit } = req.query;
+    
+    if (!isValidTimeframe(timeframe)) {
+      return rejectTimeframe(res, timeframe);
+    }
+    
+    logger.info(`Received request for stock screen of ${symbols ? 'symbols' : `universe ${universe || 'default'}`}`);
+    
+    const result = await screenerService.screenStocks({
+      universe: symbols ? symbols.split(',') : universe,
+      filters: [].concat(filters).flatMap(filter => filter.split(';')).filter(filter => filter.trim()),
+      timeframe,
+      sort,
+      order,
+      limit
+    });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error in stock screen endpoint: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route POST /api/analysis/screen
+ * @description Screen a universe of stocks and rank the matches
+ * @param {string|Array} universe - Optional universe name or array of symbols (default: SCREENER_UNIVERSE or dow30)
+ * @param {Array} filters - Filters such as ["price > SMA200", "rsi < 30", "sector = Technology"]
+ * @param {string} timeframe - Optional bar timeframe (default: 1d)
+ * @param {string} sort - Optional operand to rank by (default: score)
+ * @param {string} order - Optional desc or asc (default: desc)
+ * @param {number} limit - Optional maximum number of matches (default: 25)
+ * @returns {Object} Ranked matches with the values of the filter operands
+ */
+router.post('/screen', async (req, res, next) => {
+  try {
+    const { universe, filters, timeframe = '1d', sort, order, limit } = req.body;
+    
+    if (!isValidTimeframe(timeframe)) {
+      return rejectTimeframe(res, timeframe);
+    }
+    
+    logger.info(`Received request for stock screen of ${Array.isArray(universe) ? `${universe.length} symbols` : `universe ${universe || 'default'}`}`);
+    
+    const result = await screenerService.screenStocks({ universe, filters, timeframe, sort, order, limit });
+    
+    res.json(result);
+  } catch (error) {
+    logger.error(`Error in stock screen endpoint: ${error.message}`);
+    next(error);
+  }
+});
+
+/**
+ * @route GET /api/analysis/universes
+ * @description List the symbol universes the screener can screen
+ * @returns {Array} Universes with their symbols
+ */
+router.get('/universes', (req, res, next) => {
+  try {
+    res.json(screenerService.listUniverses());
+  } catch (error) {
+    logger.error(`Error in universes endpoint: ${error.message}`);
+    next(error);
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,150 @@
+const express = require('express');
+const streamService = require('../services/streamService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const SSE_KEEPALIVE_MS = 25000;
+
+/**
+ * @route GET /api/stream
+ * @description Open a Server-Sent Events stream of quote, bar, order and portfolio events.
+ * The first event (`ready`) describes the stream, including the id used to change its subscriptions.
+ * Streams are only offered over SSE; there is no WebSocket endpoint.
+ * @param {string} symbols - Comma-separated symbols to subscribe to
+ * @param {string} accountId - Account of the order and portfolio events (default: default)
+ * @param {string} events - Comma-separated event types (default: quote, bar, order, portfolio)
+ * @param {string} replayFrom - Optional ISO time to replay quotes and bars from instead of streaming live prices
+ * @param {number} speed - Replay speed (default: 1)
+ * @param {string} timeframe - Bar timeframe of a replay (default: STREAM_BAR_TIMEFRAME or 1m)
+ * @returns {Stream} text/event-stream
+ */
+router.get('/', (req, res) => {
+  const { symbols = [], accountId, events, replayFrom, speed, timeframe } = req.query;
+  let eventId = 0;
+  const write = (type, data) => {
+    eventId += 1;
+    res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  // Events sent while the stream opens wait for the ready event
+  const queued = [];
+  let ready = false;
+  const send = (type, data) => (ready ? write(type, data) : queued.push([type, data]));
+
+  let stream;
+  try {
+    logger.info(`Received request to open a stream for ${symbols || 'no symbols'}`);
+
+    stream = streamService.openStream({
+      symbols,
+      accountId,
+      events,
+      replayFrom,
+      speed: speed === undefined ? 1 : Number(speed),
+      timeframe,
+      send,
+      end: () => res.end()
+    });
+  } catch (error) {
+    logger.error(`Error in stream endpoint: ${error.message}`);
+    return res.status(error.status || 500).json({
+      error: 'Failed to open stream',
+      message: error.message
+    });
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+  write('ready', stream);
+  ready = true;
+  queued.forEach(([type, data]) => write(type, data));
+
+  const keepAlive = setInterval(() => res.write(': keepalive\n\n'), SSE_KEEPALIVE_MS);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    streamService.closeStream(stream.id);
+  });
+});
+
+/**
+ * @route GET /api/stream/:id
+ * @description Get a stream's subscriptions
+ * @param {string} id - Stream id
+ * @returns {Object} Stream description
+ */
+router.get('/:id', (req, res) => {
+  try {
+    res.json(streamService.getStream(req.params.id));
+  } catch (error) {
+    logger.error(`Error in stream endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to get stream',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/stream/:id/subscribe
+ * @description Subscribe a stream to more symbols
+ * @param {string} id - Stream id
+ * @param {Array} symbols - Symbols to add
+ * @returns {Object} Stream description
+ */
+router.post('/:id/subscribe', (req, res) => {
+  try {
+    logger.info(`Received request to subscribe stream ${req.params.id}`);
+
+    res.json(streamService.subscribe(req.params.id, req.body.symbols));
+  } catch (error) {
+    logger.error(`Error in stream subscribe endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to subscribe',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/stream/:id/unsubscribe
+ * @description Unsubscribe a stream from symbols
+ * @param {string} id - Stream id
+ * @param {Array} symbols - Symbols to drop
+ * @returns {Object} Stream description
+ */
+router.post('/:id/unsubscribe', (req, res) => {
+  try {
+    logger.info(`Received request to unsubscribe stream ${req.params.id}`);
+
+    res.json(streamService.unsubscribe(req.params.id, req.body.symbols));
+  } catch (error) {
+    logger.error(`Error in stream unsubscribe endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to unsubscribe',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/stream/:id
+ * @description Close a stream
+ * @param {string} id - Stream id
+ * @returns {void} 204 No Content
+ */
+router.delete('/:id', (req, res) => {
+  if (!streamService.closeStream(req.params.id)) {
+    return res.status(404).json({
+      error: 'Failed to close stream',
+      message: `Stream ${req.params.id} not found`
+    });
+  }
+  res.status(204).end();
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-'));
+process.env.STORAGE_FILE = path.join(dir, 'trading.json');
+
+jest.mock('../services/marketData', () => ({ getQuote: jest.fn(), getHistoricalBars: jest.fn() }));
+
+const marketData = require('../services/marketData');
+const tradingService = require('../services/tradingService');
+const streamRoutes = require('./stream');
+
+const BAR_TIME = Date.parse('2024-03-08T15:00:00.000Z');
+
+let server;
+let baseUrl;
+
+/**
+ * Open an SSE stream
+ * @param {string} query - Query string
+ * @returns {Promise<Object>} Response, an abort function and next(count) reading the next events
+ */
+const openStream = async (query) => {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/api/stream?${query}`, { signal: controller.signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  /**
+   * Read the next events, skipping keepalive comments
+   * @param {number} count - Number of events
+   * @returns {Promise<Array>} Events of type and data; fewer if the stream ends
+   */
+  const next = async (count = 1) => {
+    const events = [];
+    while (events.length < count) {
+      const end = buffer.indexOf('\n\n');
+      if (end === -1) {
+        const { done, value } = await reader.read();
+        if (done) {
+          return events;
+        }
+        buffer += decoder.decode(value, { stream: true });
+        continue;
+      }
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      const fields = Object.fromEntries(block.split('\n')
+        .filter(line => !line.startsWith(':'))
+        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+      if (fields.event) {
+        events.push({ type: fields.event, data: JSON.parse(fields.data) });
+      }
+    }
+    return events;
+  };
+
+  return { response, next, abort: () => controller.abort() };
+};
+
+beforeAll(done => {
+  marketData.getQuote.mockImplementation(async (symbol) => ({ symbol, price: 100, volume: 1000, timestamp: new Date().toISOString() }));
+  marketData.getHistoricalBars.mockImplementation(async () => [0, 1].map(i => ({
+    timestamp: new Date(BAR_TIME + i * 60 * 1000).toISOString(),
+    open: 99,
+    high: 101,
+    low: 98,
+    close: 100,
+    volume: 1000
+  })));
+
+  const app = express();
+  app.use(bodyParser.json());
+  app.use('/api/stream', streamRoutes);
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  // fetch keeps connections alive
+  server.closeAllConnections();
+  server.close(done);
+});
+
+describe('GET /api/stream', () => {
+  test('describes the stream first, then sends the quotes and bars of its symbols', async () => {
+    const { response, next, abort } = await openStream('symbols=aapl&events=quote,bar');
+    try {
+      expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+      const [ready] = await next();
+      expect(ready).toEqual({ type: 'ready', data: expect.objectContaining({ id: expect.any(String), symbols: ['AAPL'], events: ['quote', 'bar'], replay: null }) });
+
+      const events = await next(2);
+      expect(events.map(event => event.type).sort()).toEqual(['bar', 'quote']);
+      expect(events.find(event => event.type === 'bar').data).toMatchObject({ symbol: 'AAPL', timeframe: '1m', timestamp: new Date(BAR_TIME + 60 * 1000).toISOString() });
+      expect(events.find(event => event.type === 'quote').data).toMatchObject({ symbol: 'AAPL', price: 100 });
+    } finally {
+      abort();
+    }
+  });
+
+  test('changes the subscriptions of an open stream', async () => {
+    const { next, abort } = await openStream('symbols=AAPL&events=quote');
+    try {
+      const [{ data: { id } }] = await next();
+
+      const subscribed = await fetch(`${baseUrl}/api/stream/${id}/subscribe`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ symbols: ['msft'] })
+      });
+      expect((await subscribed.json()).symbols).toEqual(['AAPL', 'MSFT']);
+
+      const symbols = (await next(2)).map(event => event.data.symbol);
+      expect(symbols).toContain('MSFT');
+
+      const unsubscribed = await fetch(`${baseUrl}/api/stream/${id}/unsubscribe`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ symbols: ['AAPL'] })
+      });
+      expect((await unsubscribed.json()).symbols).toEqual(['MSFT']);
+      expect((await (await fetch(`${baseUrl}/api/stream/${id}`)).json()).symbols).toEqual(['MSFT']);
+    } finally {
+      abort();
+    }
+  });
+
+  test('sends the order and portfolio events of its account', async () => {
+    const accountId = tradingService.createAccount({ id: 'streamed', initialCash: 10000 }).id;
+    const { next, abort } = await openStream(`accountId=${accountId}&events=order,portfolio`);
+    try {
+      await next();
+
+      await tradingService.executeOrder({ accountId, symbol: 'AAPL', action: 'buy', quantity: 5 });
+      await tradingService.executeOrder({ accountId: tradingService.DEFAULT_ACCOUNT_ID, symbol: 'AAPL', action: 'buy', quantity: 1 });
+
+      tradingService.transferCash(accountId, { amount: 100 });
+
+      const events = await next(3);
+      expect(events.map(event => event.type)).toEqual(['order', 'portfolio', 'portfolio']);
+      expect(events[0].data).toMatchObject({ accountId, symbol: 'AAPL', status: 'filled', filledQuantity: 5 });
+      expect(events[1].data).toMatchObject({ accountId, positions: [expect.objectContaining({ symbol: 'AAPL', quantity: 5 })] });
+      // The default account's order sent nothing in between
+      expect(events[2].data.cash).toBe(events[1].data.cash + 100);
+    } finally {
+      abort();
+    }
+  });
+
+  test('rejects invalid streams with their status', async () => {
+    const unknown = await fetch(`${baseUrl}/api/stream?events=trades`);
+    expect(unknown.status).toBe(400);
+    expect(await unknown.json()).toEqual({ error: 'Failed to open stream', message: expect.stringContaining('Unknown stream events: trades') });
+
+    const future = await fetch(`${baseUrl}/api/stream?replayFrom=2999-01-01`);
+    expect(future.status).toBe(400);
+
+    expect((await fetch(`${baseUrl}/api/stream?accountId=ghost`)).status).toBe(404);
+  });
+});
+
+describe('closing streams', () => {
+  test('DELETE ends the event stream', async () => {
+    const { next } = await openStream('symbols=AAPL&events=quote');
+    const [{ data: { id } }] = await next();
+
+    expect((await fetch(`${baseUrl}/api/stream/${id}`, { method: 'DELETE' })).status).toBe(204);
+
+    // Drain the events sent before the close until the stream ends
+    while ((await next()).length > 0);
+    expect((await fetch(`${baseUrl}/api/stream/${id}`)).status).toBe(404);
+    expect((await fetch(`${baseUrl}/api/stream/${id}`, { method: 'DELETE' })).status).toBe(404);
+  });
+
+  test('disconnecting closes the stream', async () => {
+    const { next, abort } = await openStream('symbols=AAPL&events=quote');
+    const [{ data: { id } }] = await next();
+
+    abort();
+
+    let status = 200;
+    for (let i = 0; i < 50 && status === 200; i++) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+      status = (await fetch(`${baseUrl}/api/stream/${id}`)).status;
+    }
+    expect(status).toBe(404);
+  });
+});
@@ -1,24 +1,286 @@
 const express = require('express');
 const tradingService = require('../services/tradingService');
+const proposalService = require('../services/proposalService');
+const performanceService = require('../services/performanceService');
+const { validateOrder } = require('../utils/orderTypes');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+/**
+ * Account a request refers to, from the accountId query or body parameter
+ * @param {Object} req - Express request
+ * @returns {string} Account id (default: default)
+ */
+const getAccountId = (req) => req.query.accountId || (req.body && req.body.accountId) || tradingService.DEFAULT_ACCOUNT_ID;
+
+/**
+ * @route GET /api/trading/accounts
+ * @description List the paper-trading accounts
+ * @returns {Array} Accounts with cash and total value
+ */
+router.get('/accounts', (req, res) => {
+  try {
+    logger.info('Received request for accounts');
+    
+    res.json(tradingService.listAccounts());
+  } catch (error) {
+    logger.error(`Error in accounts endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to list accounts',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/trading/accounts
+ * @description Create a named paper-trading account
+ * @param {string} id - Account id
+ * @param {string} name - Optional display name
+ * @param {number} initialCash - Optional starting cash
+ * @param {string} currency - Optional currency code (default: USD)
+ * @param {string} type - Optional account type: cash (default) or margin
+ * @param {Object} margin - Optional margin settings: initialMargin, maintenanceMargin and borrowRate
+ * @param {Object} execution - Optional execution settings: commission, slippage and maxParticipation
+ * @param {Object} risk - Optional risk limits (see utils/riskLimits)
+ * @param {boolean} requireApproval - Optional, whether orders from MCP clients need approval (default: false)
+ * @param {string} lotMethod - Optional tax lot method: fifo or lifo (default: TAX_LOT_METHOD or fifo)
+ * @returns {Object} The new account
+ */
+router.post('/accounts', (req, res) => {
+  try {
+    logger.info(`Received request to create account ${req.body.id}`);
+    
+    const account = tradingService.createAccount(req.body);
+    
+    res.status(201).json(account);
+  } catch (error) {
+    logger.error(`Error in create account endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to create account',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/trading/accounts/:id
+ * @description Get an account with its portfolio
+ * @param {string} id - Account id
+ * @returns {Object} Account portfolio
+ */
+router.get('/accounts/:id', (req, res) => {
+  try {
+    logger.info(`Received request for account ${req.params.id}`);
+    
+    res.json(tradingService.getPortfolio(req.params.id));
+  } catch (error) {
+    logger.error(`Error in account endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to get account',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/trading/accounts/:id/execution
+ * @description Replace an account's execution settings
+ * @param {string} id - Account id
+ * @param {Object} commission - Optional commission model
+ * @param {Object} slippage - Optional slippage model
+ * @param {number} maxParticipation - Optional largest fraction of a bar's volume orders may take
+ * @returns {Object} The updated account
+ */
+router.put('/accounts/:id/execution', (req, res) => {
+  try {
+    logger.info(`Received request to update execution settings of account ${req.params.id}`);
+    
+    res.json(tradingService.setExecutionSettings(req.params.id, req.body));
+  } catch (error) {
+    logger.error(`Error in execution settings endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to update execution settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/trading/accounts/:id/risk
+ * @description Replace an account's pre-trade risk limits
+ * @param {string} id - Account id
+ * @param {number} maxPositionPercent - Optional largest position in one symbol, in percent of equity
+ * @param {number} maxOrderNotional - Optional largest order value
+ * @param {number} dailyLossLimit - Optional loss per trading day after which only reducing orders are accepted
+ * @param {number} maxOrdersPerMinute - Optional most orders per minute
+ * @param {Array} allowedSymbols - Optional symbols that may be traded
+ * @param {Array} deniedSymbols - Optional symbols that may not be traded
+ * @returns {Object} The updated account
+ */
+router.put('/accounts/:id/risk', (req, res) => {
+  try {
+    logger.info(`Received request to update risk limits of account ${req.params.id}`);
+    
+    res.json(tradingService.setRiskLimits(req.params.id, req.body));
+  } catch (error) {
+    logger.error(`Error in risk limits endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to update risk limits',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/trading/accounts/:id/approval
+ * @description Turn approval of orders placed by MCP clients on or off
+ * @param {string} id - Account id
+ * @param {boolean} requireApproval - Whether MCP orders become proposals awaiting approval
+ * @returns {Object} The updated account
+ */
+router.put('/accounts/:id/approval', (req, res) => {
+  try {
+    logger.info(`Received request to update approval setting of account ${req.params.id}`);
+    
+    res.json(tradingService.setApprovalRequired(req.params.id, req.body.requireApproval));
+  } catch (error) {
+    logger.error(`Error in approval setting endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to update approval setting',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/trading/accounts/:id/cash
+ * @description Deposit cash into or withdraw cash from an account
+ * @param {string} id - Account id
+ * @param {number} amount - Amount to deposit (positive) or withdraw (negative)
+ * @param {string} note - Optional note
+ * @returns {Object} The cash flow and the account's new cash balance
+ */
+router.post('/accounts/:id/cash', (req, res) => {
+  try {
+    logger.info(`Received request to transfer cash for account ${req.params.id}`);
+    
+    res.status(201).json(tradingService.transferCash(req.params.id, req.body));
+  } catch (error) {
+    logger.error(`Error in cash transfer endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to transfer cash',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/trading/accounts/:id/lot-method
+ * @description Set the tax lot method orders relieve lots by
+ * @param {string} id - Account id
+ * @param {string} lotMethod - fifo or lifo
+ * @returns {Object} The updated account
+ */
+router.put('/accounts/:id/lot-method', (req, res) => {
+  try {
+    logger.info(`Received request to update lot method of account ${req.params.id}`);
+    
+    res.json(tradingService.setLotMethod(req.params.id, req.body.lotMethod));
+  } catch (error) {
+    logger.error(`Error in lot method endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to update lot method',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/trading/kill-switch
+ * @description Get the kill switch, which rejects all orders while enabled
+ * @returns {Object} Kill switch state
+ */
+router.get('/kill-switch', (req, res) => {
+  try {
+    logger.info('Received request for kill switch');
+    
+    res.json(tradingService.getKillSwitch());
+  } catch (error) {
+    logger.error(`Error in kill switch endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to get kill switch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/trading/kill-switch
+ * @description Enable or disable the kill switch
+ * @param {boolean} enabled - Whether to halt all trading
+ * @param {string} reason - Optional reason
+ * @returns {Object} Kill switch state
+ */
+router.put('/kill-switch', (req, res) => {
+  try {
+    logger.info(`Received request to ${req.body.enabled ? 'enable' : 'disable'} kill switch`);
+    
+    res.json(tradingService.setKillSwitch(req.body));
+  } catch (error) {
+    logger.error(`Error in kill switch endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to update kill switch',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/trading/accounts/:id
+ * @description Delete an account with its positions, orders and fills
+ * @param {string} id - Account id
+ * @returns {Object} The deleted account
+ */
+router.delete('/accounts/:id', (req, res) => {
+  try {
+    logger.info(`Received request to delete account ${req.params.id}`);
+    
+    const account = tradingService.deleteAccount(req.params.id);
+    
+    res.json({
+      status: 'success',
+      message: `Account ${account.id} has been deleted`,
+      account
+    });
+  } catch (error) {
+    logger.error(`Error in delete account endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to delete account',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/trading/portfolio
  * @description Get current portfolio
+ * @param {string} accountId - Optional account id (default: default)
  * @returns {Object} Current portfolio
  */
 router.get('/portfolio', (req, res) => {
   try {
-    logger.info('Received request for portfolio');
+    const accountId = getAccountId(req);
     
-    const portfolio = tradingService.getPortfolio();
+    logger.info(`Received request for portfolio ${accountId}`);
+    
+    const portfolio = tradingService.getPortfolio(accountId);
     
     res.json(portfolio);
   } catch (error) {
     logger.error(`Error in portfolio endpoint: ${error.message}`);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to get portfolio',
       message: error.message
     });
@@ -27,92 +289,276 @@ router.get('/portfolio', (req, res) => {
 
 /**
  * @route POST /api/trading/order
- * @description Execute a trade order
- * @param {Object} order - Order details
+ * @description Place a trade order: market, limit, stop, stop_limit or trailing_stop,
+ * optionally as a bracket or OCO order (see utils/orderTypes)
+ * @param {Object} order - Order details, with an optional accountId (default: default)
  * @returns {Object} Order result
  */
 router.post('/order', async (req, res) => {
   try {
-    const order = req.body;
-    
-    logger.info(`Received ${order.action} order for ${order.quantity} shares of ${order.symbol}`);
-    
-    // Validate required fields
-    if (!order.symbol || !order.action || !order.quantity || !order.type) {
-      return res.status(400).json({
-        error: 'Missing required fields',
-        message: 'symbol, action, quantity, and type are required fields'
-      });
-    }
-    
-    // Validate action
-    if (!['buy', 'sell'].includes(order.action)) {
-      return res.status(400).json({
-        error: 'Invalid action',
-        message: 'Action must be either "buy" or "sell"'
-      });
-    }
-    
-    // Validate order type
-    if (!['market', 'limit'].includes(order.type)) {
+    const validation = validateOrder({ ...req.body, accountId: getAccountId(req) });
+    if (!validation.valid) {
       return res.status(400).json({
-        error: 'Invalid order type',
-        message: 'Type must be either "market" or "limit"'
+        error: 'Invalid order',
+        message: validation.errors.map(e => `${e.field} ${e.message}`).join('; '),
+        validationErrors: validation.errors
       });
     }
     
-    // Validate quantity
-    if (isNaN(order.quantity) || order.quantity <= 0) {
-      return res.status(400).json({
-        error: 'Invalid quantity',
-        message: 'Quantity must be a positive number'
-      });
-    }
+    const order = validation.value;
     
-    // For limit orders, validate price
-    if (order.type === 'limit') {
-      if (!order.price || isNaN(order.price) || order.price <= 0) {
-        return res.status(400).json({
-          error: 'Invalid price for limit order',
-          message: 'Price must be a positive number for limit orders'
-        });
-      }
-    }
+    logger.info(`Received ${order.action} ${order.type} order for ${order.quantity} shares of ${order.symbol}`);
     
     const result = await tradingService.executeOrder(order);
     
     if (result.status === 'error') {
       return res.status(400).json(result);
     }
+    if (result.status === 'rejected') {
+      return res.status(422).json(result);
+    }
     
     res.json(result);
   } catch (error) {
     logger.error(`Error in order endpoint: ${error.message}`);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to execute order',
       message: error.message
     });
   }
 });
 
+/**
+ * @route GET /api/trading/orders
+ * @description List an account's orders, newest first
+ * @param {string} accountId - Optional account id (default: default)
+ * @param {string} status - Optional status filter: open, new, partially_filled, filled, cancelled or expired
+ * @param {string} symbol - Optional symbol filter
+ * @returns {Array} Orders
+ */
+router.get('/orders', (req, res) => {
+  try {
+    const { status, symbol } = req.query;
+    const accountId = getAccountId(req);
+    
+    logger.info(`Received request for orders of account ${accountId}`);
+    
+    res.json(tradingService.getOrders({ accountId, status, symbol }));
+  } catch (error) {
+    logger.error(`Error in orders endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to get orders',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/trading/orders/:id
+ * @description Get an order
+ * @param {string} id - Order id
+ * @returns {Object} Order
+ */
+router.get('/orders/:id', (req, res) => {
+  try {
+    logger.info(`Received request for order ${req.params.id}`);
+    
+    res.json(tradingService.getOrder(req.params.id));
+  } catch (error) {
+    logger.error(`Error in order status endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to get order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route DELETE /api/trading/orders/:id
+ * @description Cancel a working order
+ * @param {string} id - Order id
+ * @returns {Object} The cancelled order
+ */
+router.delete('/orders/:id', (req, res) => {
+  try {
+    logger.info(`Received request to cancel order ${req.params.id}`);
+    
+    const order = tradingService.cancelOrder(req.params.id);
+    
+    res.json({
+      status: 'success',
+      message: `Order ${order.id} has been cancelled`,
+      order
+    });
+  } catch (error) {
+    logger.error(`Error in cancel order endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to cancel order',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/trading/margin-calls
+ * @description List an account's margin calls, newest first
+ * @param {string} accountId - Optional account id (default: default)
+ * @returns {Array} Margin calls
+ */
+router.get('/margin-calls', (req, res) => {
+  try {
+    const accountId = getAccountId(req);
+    
+    logger.info(`Received request for margin calls of account ${accountId}`);
+    
+    res.json(tradingService.getMarginCalls(accountId));
+  } catch (error) {
+    logger.error(`Error in margin calls endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to get margin calls',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/trading/realized-gains
+ * @description Report realized gains per closed tax lot with short- and long-term totals
+ * @param {string} accountId - Optional account id (default: default)
+ * @param {string} symbol - Optional symbol
+ * @param {string} from - Optional first date, such as 2024-01-01
+ * @param {string} to - Optional last date
+ * @returns {Object} Realized gains report
+ */
+router.get('/realized-gains', (req, res) => {
+  try {
+    const accountId = getAccountId(req);
+    const { symbol, from, to } = req.query;
+    
+    logger.info(`Received request for realized gains of account ${accountId}`);
+    
+    res.json(tradingService.getRealizedGains({ accountId, symbol, from, to }));
+  } catch (error) {
+    logger.error(`Error in realized gains endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to get realized gains',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/trading/proposals
+ * @description List trade proposals, newest first
+ * @param {string} accountId - Optional account id (default: all accounts)
+ * @param {string} status - Optional status: pending, approved, executed, failed, rejected or expired
+ * @returns {Array} Proposals
+ */
+router.get('/proposals', (req, res) => {
+  try {
+    const { accountId, status } = req.query;
+    
+    logger.info(`Received request for trade proposals${accountId ? ` of account ${accountId}` : ''}`);
+    
+    res.json(proposalService.listProposals({ accountId, status }));
+  } catch (error) {
+    logger.error(`Error in proposals endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to list proposals',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/trading/proposals/:id
+ * @description Get a trade proposal
+ * @param {string} id - Proposal id
+ * @returns {Object} Proposal
+ */
+router.get('/proposals/:id', (req, res) => {
+  try {
+    logger.info(`Received request for trade proposal ${req.params.id}`);
+    
+    res.json(proposalService.getProposal(req.params.id));
+  } catch (error) {
+    logger.error(`Error in proposal endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to get proposal',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/trading/proposals/:id/approve
+ * @description Approve a pending trade proposal and execute its order
+ * @param {string} id - Proposal id
+ * @param {string} reviewer - Optional name of the reviewer
+ * @param {string} comment - Optional comment
+ * @returns {Object} The proposal with the execution result
+ */
+router.post('/proposals/:id/approve', async (req, res) => {
+  try {
+    const { reviewer, comment } = req.body;
+    
+    logger.info(`Received request to approve trade proposal ${req.params.id}`);
+    
+    res.json(await proposalService.approveProposal(req.params.id, { reviewer, comment }));
+  } catch (error) {
+    logger.error(`Error in approve proposal endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to approve proposal',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/trading/proposals/:id/reject
+ * @description Reject a pending trade proposal
+ * @param {string} id - Proposal id
+ * @param {string} reviewer - Optional name of the reviewer
+ * @param {string} comment - Optional reason given to the proposer
+ * @returns {Object} The rejected proposal
+ */
+router.post('/proposals/:id/reject', (req, res) => {
+  try {
+    const { reviewer, comment } = req.body;
+    
+    logger.info(`Received request to reject trade proposal ${req.params.id}`);
+    
+    res.json(proposalService.rejectProposal(req.params.id, { reviewer, comment }));
+  } catch (error) {
+    logger.error(`Error in reject proposal endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to reject proposal',
+      message: error.message
+    });
+  }
+});
+
 /**
  * @route GET /api/trading/performance
- * @description Get portfolio performance analysis
- * @param {string} period - Optional time period for analysis (default: 1m)
+ * @description Get portfolio performance analysis from the account's history
+ * @param {string} period - Optional time period for analysis: 1d, 1w, 1m, 3m, ytd, 1y or all (default: 1m)
+ * @param {string} benchmark - Optional benchmark symbol (default: PERFORMANCE_BENCHMARK or SPY)
+ * @param {string} accountId - Optional account id (default: default)
  * @returns {Object} Portfolio performance analysis
  */
 router.get('/performance', async (req, res) => {
   try {
-    const { period = '1m' } = req.query;
+    const { period = '1m', benchmark } = req.query;
+    const accountId = getAccountId(req);
     
-    logger.info(`Received request for portfolio performance, period: ${period}`);
+    logger.info(`Received request for portfolio ${accountId} performance, period: ${period}`);
     
-    const performance = await tradingService.analyzePerformance(period);
+    const performance = await performanceService.analyzePerformance(period, accountId, { benchmark });
     
     res.json(performance);
   } catch (error) {
     logger.error(`Error in performance endpoint: ${error.message}`);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to analyze performance',
       message: error.message
     });
@@ -121,19 +567,22 @@ router.get('/performance', async (req, res) => {
 
 /**
  * @route PUT /api/trading/portfolio/update
- * @description Update portfolio with latest prices
+ * @description Mark the portfolio to market at the current quotes
+ * @param {string} accountId - Optional account id (default: default)
  * @returns {Object} Updated portfolio
  */
 router.put('/portfolio/update', async (req, res) => {
   try {
-    logger.info('Received request to update portfolio prices');
+    const accountId = getAccountId(req);
+    
+    logger.info(`Received request to update portfolio ${accountId} prices`);
     
-    const updatedPortfolio = await tradingService.updatePortfolio();
+    const updatedPortfolio = await tradingService.updatePortfolio(accountId);
     
     res.json(updatedPortfolio);
   } catch (error) {
     logger.error(`Error in update portfolio endpoint: ${error.message}`);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to update portfolio',
       message: error.message
     });
@@ -142,14 +591,17 @@ router.put('/portfolio/update', async (req, res) => {
 
 /**
  * @route POST /api/trading/portfolio/reset
- * @description Reset the mock portfolio (for testing)
+ * @description Reset a portfolio to its starting cash (for testing)
+ * @param {string} accountId - Optional account id (default: default)
  * @returns {Object} Reset portfolio
  */
 router.post('/portfolio/reset', (req, res) => {
   try {
-    logger.info('Received request to reset portfolio');
+    const accountId = getAccountId(req);
+    
+    logger.info(`Received request to reset portfolio ${accountId}`);
     
-    const resetPortfolio = tradingService.resetPortfolio();
+    const resetPortfolio = tradingService.resetPortfolio(accountId);
     
     res.json({
       status: 'success',
@@ -158,11 +610,56 @@ router.post('/portfolio/reset', (req, res) => {
     });
   } catch (error) {
     logger.error(`Error in reset portfolio endpoint: ${error.message}`);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       error: 'Failed to reset portfolio',
       message: error.message
     });
   }
 });
 
+/**
+ * @route GET /api/trading/export
+ * @description Export the stored paper-trading state (accounts, positions, orders, fills and margin calls)
+ * @returns {Object} Snapshot with its schema version
+ */
+router.get('/export', (req, res) => {
+  try {
+    logger.info('Received request to export paper-trading state');
+    
+    res.json(tradingService.exportState());
+  } catch (error) {
+    logger.error(`Error in export endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to export state',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/trading/import
+ * @description Restore the paper-trading state from an exported snapshot, replacing the current state
+ * @param {Object} snapshot - Snapshot as returned by GET /api/trading/export
+ * @returns {Object} Number of imported records per table
+ */
+router.post('/import', (req, res) => {
+  try {
+    logger.info('Received request to import paper-trading state');
+    
+    const imported = tradingService.importState(req.body);
+    
+    res.json({
+      status: 'success',
+      message: 'Paper-trading state has been restored',
+      imported
+    });
+  } catch (error) {
+    logger.error(`Error in import endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to import state',
+      message: error.message
+    });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
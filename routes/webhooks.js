@@ -0,0 +1,105 @@
+const express = require('express');
+const signalService = require('../services/signalService');
+const { listTemplates } = require('../utils/orderTemplates');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Response status of each signal outcome
+const OUTCOME_STATUS = {
+  invalid: 400,
+  rejected: 422,
+  error: 422,
+  pending_approval: 202
+};
+
+/**
+ * @route POST /api/webhooks/tradingview
+ * @description Receive a TradingView alert and place the order it maps to
+ * @param {Object|string} message - Alert message: JSON, TradingView's default strategy message or key=value pairs
+ * @param {string} secret - Shared secret (TRADINGVIEW_WEBHOOK_SECRET), in the message or the query string
+ * @param {string} template - Optional order template, in the message or the query string (default: default)
+ * @returns {Object} The signal with its outcome
+ */
+router.post('/tradingview', express.text({ type: 'text/*' }), async (req, res) => {
+  try {
+    logger.info(`Received TradingView webhook from ${req.ip}`);
+
+    const signal = await signalService.handleSignal({
+      message: req.body,
+      secret: req.query.secret,
+      template: req.query.template
+    });
+
+    res.status(OUTCOME_STATUS[signal.status] || 200).json(signal);
+  } catch (error) {
+    logger.error(`Error in TradingView webhook endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to handle TradingView alert',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/webhooks/tradingview/signals
+ * @description List received TradingView signals with their outcomes, newest first
+ * @param {string} accountId - Optional account id
+ * @param {string} status - Optional outcome
+ * @param {number} limit - Maximum number of signals (default: 100)
+ * @returns {Array} Signals
+ */
+router.get('/tradingview/signals', (req, res) => {
+  try {
+    const { accountId, status, limit } = req.query;
+
+    logger.info('Received request for TradingView signals');
+
+    res.json(signalService.listSignals({ accountId, status, limit }));
+  } catch (error) {
+    logger.error(`Error in signals endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to list signals',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/webhooks/tradingview/signals/:id
+ * @description Get a TradingView signal
+ * @param {string} id - Signal id
+ * @returns {Object} Signal
+ */
+router.get('/tradingview/signals/:id', (req, res) => {
+  try {
+    logger.info(`Received request for TradingView signal ${req.params.id}`);
+
+    res.json(signalService.getSignal(req.params.id));
+  } catch (error) {
+    logger.error(`Error in signal endpoint: ${error.message}`);
+    res.status(error.status || 500).json({
+      error: 'Failed to get signal',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/webhooks/tradingview/templates
+ * @description List the order templates TradingView alerts map to
+ * @returns {Array} Templates
+ */
+router.get('/tradingview/templates', (req, res) => {
+  try {
+    res.json(listTemplates());
+  } catch (error) {
+    logger.error(`Error in order templates endpoint: ${error.message}`);
+    res.status(500).json({
+      error: 'Failed to list order templates',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,157 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tradingview-'));
+process.env.STORAGE_FILE = path.join(dir, 'trading.json');
+process.env.TRADINGVIEW_WEBHOOK_SECRET = 'hunter2';
+
+jest.mock('../services/quoteService', () => ({
+  getQuote: jest.fn(async (symbol) => ({ symbol, price: 100, timestamp: new Date().toISOString(), stale: false })),
+  getQuotes: jest.fn(),
+  isStale: () => false,
+  getMaxQuoteAge: () => 60 * 1000
+}));
+
+const tradingService = require('../services/tradingService');
+const webhookRoutes = require('./webhooks');
+
+const FRICTIONLESS = { commission: { type: 'none' }, slippage: { type: 'none' } };
+const FILL = { 'strategy.order.action': 'buy', 'strategy.order.contracts': 2, ticker: 'NASDAQ:AAPL' };
+
+let server;
+let baseUrl;
+
+/**
+ * Post an alert to the TradingView webhook
+ * @param {Object|string} message - JSON message or text
+ * @param {string} query - Query string
+ * @returns {Promise<Object>} Status and body of the response
+ */
+const postAlert = async (message, query = '') => {
+  const response = await fetch(`${baseUrl}/api/webhooks/tradingview${query}`, {
+    method: 'POST',
+    headers: { 'Content-Type': typeof message === 'string' ? 'text/plain' : 'application/json' },
+    body: typeof message === 'string' ? message : JSON.stringify(message)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+beforeAll(done => {
+  const app = express();
+  app.use(bodyParser.json());
+  app.use('/api/webhooks', webhookRoutes);
+  server = app.listen(0, '127.0.0.1', () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll(done => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  // fetch keeps connections alive
+  server.closeAllConnections();
+  server.close(done);
+});
+
+describe('authentication', () => {
+  test('refuses alerts without the shared secret', async () => {
+    expect(await postAlert(FILL)).toEqual({ status: 401, body: { error: 'Failed to handle TradingView alert', message: 'Invalid webhook secret' } });
+    expect((await postAlert({ ...FILL, secret: 'hunter3' })).status).toBe(401);
+    expect((await postAlert('not even an alert')).status).toBe(401);
+  });
+
+  test('refuses every alert while no secret is configured', async () => {
+    delete process.env.TRADINGVIEW_WEBHOOK_SECRET;
+    try {
+      expect((await postAlert({ ...FILL, secret: 'hunter2' })).status).toBe(503);
+    } finally {
+      process.env.TRADINGVIEW_WEBHOOK_SECRET = 'hunter2';
+    }
+  });
+
+  test('accepts the secret in the message, as the passphrase or in the query string', async () => {
+    expect((await postAlert({ ...FILL, secret: 'hunter2' })).status).toBe(200);
+    expect((await postAlert({ ...FILL, passphrase: 'hunter2' })).status).toBe(200);
+    expect((await postAlert('ticker=MSFT strategy.order.action=buy strategy.order.contracts=1', '?secret=hunter2')).status).toBe(200);
+  });
+});
+
+describe('POST /api/webhooks/tradingview', () => {
+  test('executes the order of the default template and stores the signal without its secret', async () => {
+    const accountId = tradingService.createAccount({ id: 'tv-default', initialCash: 10000, execution: FRICTIONLESS }).id;
+
+    const { status, body } = await postAlert({ ...FILL, accountId, secret: 'hunter2' });
+
+    expect(status).toBe(200);
+    expect(body).toMatchObject({
+      source: 'tradingview',
+      template: 'default',
+      accountId,
+      order: { symbol: 'AAPL', action: 'buy', quantity: 2, type: 'market' },
+      status: 'executed',
+      orderId: expect.any(String)
+    });
+    expect(body.fields.secret).toBeUndefined();
+    expect(tradingService.getPortfolio(accountId).positions).toEqual([expect.objectContaining({ symbol: 'AAPL', quantity: 2 })]);
+
+    const stored = await (await fetch(`${baseUrl}/api/webhooks/tradingview/signals/${body.id}`)).json();
+    expect(stored).toEqual(body);
+  });
+
+  test('reads TradingView\'s default strategy message with a template from the query string', async () => {
+    const { status, body } = await postAlert('order buy @ 3 filled on AAPL. New strategy position is 3', '?secret=hunter2&template=limit_at_close');
+
+    expect(status).toBe(400);
+    expect(body).toMatchObject({ template: 'limit_at_close', status: 'invalid', message: 'The alert has no close for order template limit_at_close' });
+  });
+
+  test('answers with the status of the outcome', async () => {
+    const limited = tradingService.createAccount({ id: 'tv-limited', risk: { maxOrderNotional: 50 } }).id;
+    const approved = tradingService.createAccount({ id: 'tv-approval', requireApproval: true }).id;
+
+    const rejected = await postAlert({ ...FILL, accountId: limited, secret: 'hunter2' });
+    expect(rejected).toMatchObject({ status: 422, body: { status: 'rejected' } });
+
+    const proposed = await postAlert({ ...FILL, accountId: approved, secret: 'hunter2' });
+    expect(proposed).toMatchObject({ status: 202, body: { status: 'pending_approval', proposalId: expect.any(String) } });
+
+    const unknown = await postAlert({ ...FILL, accountId: 'ghost', secret: 'hunter2' });
+    expect(unknown).toMatchObject({ status: 400, body: { status: 'invalid', message: 'Account ghost not found' } });
+
+    const badTemplate = await postAlert({ ...FILL, template: 'nope', secret: 'hunter2' });
+    expect(badTemplate.body).toMatchObject({ status: 'invalid', message: expect.stringContaining('Unknown order template "nope"') });
+  });
+
+  test('rejects messages that cannot be read', async () => {
+    expect(await postAlert('{"ticker": ', '?secret=hunter2')).toEqual({
+      status: 400,
+      body: { error: 'Failed to handle TradingView alert', message: expect.stringContaining('The alert message is not valid JSON') }
+    });
+  });
+});
+
+describe('GET /api/webhooks/tradingview', () => {
+  test('lists signals filtered by account and status', async () => {
+    const accountId = tradingService.createAccount({ id: 'tv-list', execution: FRICTIONLESS }).id;
+    await postAlert({ ...FILL, accountId, secret: 'hunter2' });
+    await postAlert({ ...FILL, 'strategy.order.action': 'hold', accountId, secret: 'hunter2' });
+
+    const signals = await (await fetch(`${baseUrl}/api/webhooks/tradingview/signals?accountId=${accountId}`)).json();
+    expect(signals.map(signal => signal.status)).toEqual(['executed']);
+
+    const invalid = await (await fetch(`${baseUrl}/api/webhooks/tradingview/signals?status=invalid&limit=1`)).json();
+    expect(invalid).toEqual([expect.objectContaining({ status: 'invalid', message: expect.stringContaining('action') })]);
+
+    expect((await fetch(`${baseUrl}/api/webhooks/tradingview/signals?status=lost`)).status).toBe(400);
+    expect((await fetch(`${baseUrl}/api/webhooks/tradingview/signals/sig-missing`)).status).toBe(404);
+  });
+
+  test('lists the order templates', async () => {
+    const templates = await (await fetch(`${baseUrl}/api/webhooks/tradingview/templates`)).json();
+
+    expect(templates.map(template => template.name)).toEqual(expect.arrayContaining(['default', 'bracket', 'limit_at_close']));
+  });
+});
@@ -1,18 +1,22 @@
+// Load environment variables before any module reads them at load time
+const dotenv = require('dotenv');
+dotenv.config();
+
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-const dotenv = require('dotenv');
 const winston = require('winston');
-
-// Load environment variables
-dotenv.config();
+const { startStdioTransport } = require('./utils/stdioTransport');
+const { SUPPORTED_PROTOCOL_VERSIONS } = require('./utils/mcpServer');
+const { startOrderMatching } = require('./services/tradingService');
+const { startAlerts } = require('./services/alertService');
 
 // Initialize Express app
 const app = express();
 
 // Set up middleware
 app.use(cors());
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Set up logger
@@ -33,13 +37,21 @@ const logger = winston.createLogger({
 const stockAnalysisRoutes = require('./routes/stockAnalysis');
 const tradingRoutes = require('./routes/trading');
 const marketResearchRoutes = require('./routes/marketResearch');
+const streamRoutes = require('./routes/stream');
+const alertRoutes = require('./routes/alerts');
+const webhookRoutes = require('./routes/webhooks');
 const mcpRoutes = require('./routes/mcp');
+const mcpTransportRoutes = require('./routes/mcpTransport');
 
 // Mount routes
 app.use('/api/analysis', stockAnalysisRoutes);
 app.use('/api/trading', tradingRoutes);
 app.use('/api/research', marketResearchRoutes);
+app.use('/api/stream', streamRoutes);
+app.use('/api/alerts', alertRoutes);
+app.use('/api/webhooks', webhookRoutes);
 app.use('/api/mcp', mcpRoutes);
+app.use('/mcp', mcpTransportRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -52,6 +64,8 @@ app.get('/mcp-info', (req, res) => {
     provider: process.env.MCP_PROVIDER_NAME || 'tradingview-mcp',
     version: process.env.MCP_VERSION || '1.0',
     status: 'active',
+    protocol_versions: SUPPORTED_PROTOCOL_VERSIONS,
+    streamable_http_endpoint: '/mcp',
     capabilities_endpoint: '/api/mcp/capabilities',
     context_endpoint: '/api/mcp/context'
   });
@@ -67,17 +81,29 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Fill resting orders as prices move
+startOrderMatching();
+
+// Evaluate alerts on price and portfolio updates
+startAlerts();
+
 // Start server
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-  console.log(`Server running on port ${PORT}`);
-  
-  // Log MCP status
-  if (process.env.MCP_ENABLED === 'true') {
-    logger.info('Model Context Protocol (MCP) integration is enabled');
-    console.log('Model Context Protocol (MCP) integration is enabled');
-  }
-});
+// With --stdio the process is launched by an MCP client and speaks JSON-RPC
+// over stdin/stdout instead of listening for HTTP requests
+if (process.argv.includes('--stdio')) {
+  startStdioTransport();
+} else {
+  const PORT = process.env.PORT || 3000;
+  app.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`);
+    console.log(`Server running on port ${PORT}`);
+    
+    // Log MCP status
+    if (process.env.MCP_ENABLED === 'true') {
+      logger.info('Model Context Protocol (MCP) integration is enabled');
+      console.log('Model Context Protocol (MCP) integration is enabled');
+    }
+  });
+}
 
 module.exports = app; 
\ No newline at end of file
@@ -0,0 +1,491 @@
+/**
+ * Alerts
+ *
+ * Alerts watch a price, an indicator or a portfolio metric (see
+ * utils/alertConditions) and are stored with the trading state, so they
+ * survive restarts. Price and indicator alerts are evaluated on every price
+ * update of their symbol from the live market feed; portfolio alerts whenever
+ * their account's portfolio changes.
+ *
+ * A triggered alert is emitted as an `alert` event (MCP clients are notified
+ * from it) and posted to its webhooks, or to ALERT_WEBHOOK_URLS when it has
+ * none (see utils/webhooks). Statuses: active, triggered (fired once and done)
+ * and disabled. Alerts with `repeat` stay active and fire again each time
+ * their condition becomes true.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const tradingService = require('./tradingService');
+const streamService = require('./streamService');
+const marketData = require('./marketData');
+const { getStore } = require('../utils/storage');
+const { parseIndicatorSpec, getLookback } = require('../utils/indicators');
+const {
+  ALERT_TYPES,
+  alertSchema,
+  validateAlert,
+  isConditionMet,
+  shouldFire,
+  getIndicatorValue,
+  describeCondition
+} = require('../utils/alertConditions');
+const { deliverWebhook } = require('../utils/webhooks');
+const { httpError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const ALERT_STATUSES = ['active', 'triggered', 'disabled'];
+const DEFINITION_FIELDS = Object.keys(alertSchema.properties);
+const MAX_TRIGGER_HISTORY = 20;
+const MIN_INDICATOR_BARS = 100;
+
+const events = new EventEmitter();
+
+// Stream delivering the quotes of the symbols watched by active alerts
+let stream = null;
+// Symbols being evaluated, so a slow evaluation is not overlapped
+const evaluating = new Set();
+
+/**
+ * Validate an alert definition
+ * @param {Object} definition - Raw alert definition
+ * @returns {Object} Normalized definition
+ */
+const checkDefinition = (definition) => {
+  const validation = validateAlert(definition);
+  if (!validation.valid) {
+    const error = httpError(`Invalid alert: ${validation.errors.map(e => `${e.field} ${e.message}`).join('; ')}`, 400);
+    error.validationErrors = validation.errors;
+    throw error;
+  }
+  if (validation.value.type === 'portfolio') {
+    tradingService.getAccount(validation.value.accountId);
+  }
+  return validation.value;
+};
+
+/**
+ * Webhook URLs of an alert
+ * @param {Object} alert - Alert
+ * @returns {Array} The alert's webhooks, or ALERT_WEBHOOK_URLS
+ */
+const getWebhooks = (alert) => (alert.webhooks && alert.webhooks.length > 0
+  ? alert.webhooks
+  : (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean));
+
+/**
+ * Symbols watched by active price and indicator alerts
+ * @returns {Array} Stock symbols
+ */
+const getWatchedSymbols = () => [...new Set(getStore()
+  .getAll('alerts', alert => alert.status === 'active' && alert.type !== 'portfolio')
+  .map(alert => alert.symbol))];
+
+/**
+ * Subscribe the alert stream to the symbols active alerts watch, and drop the rest
+ */
+const syncSubscriptions = () => {
+  if (!stream) {
+    return;
+  }
+  const watched = getWatchedSymbols();
+  const { symbols } = streamService.getStream(stream.id);
+  const removed = symbols.filter(symbol => !watched.includes(symbol));
+  const added = watched.filter(symbol => !symbols.includes(symbol));
+  if (removed.length > 0) {
+    streamService.unsubscribe(stream.id, removed);
+  }
+  if (added.length > 0) {
+    streamService.subscribe(stream.id, added);
+  }
+};
+
+/**
+ * Post a triggered alert to its webhooks and record the deliveries
+ * @param {Object} alert - The triggered alert
+ * @param {Object} trigger - The trigger
+ * @returns {Promise<Array>} Deliveries
+ */
+const deliverAlert = async (alert, trigger) => {
+  const urls = getWebhooks(alert);
+  if (urls.length === 0) {
+    return [];
+  }
+
+  const payload = {
+    event: 'alert.triggered',
+    alert: { id: alert.id, name: alert.name || null, type: alert.type, condition: describeCondition(alert) },
+    ...trigger
+  };
+  const deliveries = await Promise.all(urls.map(url => deliverWebhook(url, payload)));
+
+  getStore().transaction(tables => {
+    const record = tables.alerts[alert.id];
+    const entry = record && record.triggers.find(item => item.triggeredAt === trigger.triggeredAt);
+    if (entry) {
+      entry.deliveries = deliveries;
+    }
+  });
+  return deliveries;
+};
+
+/**
+ * Record the outcome of evaluating alerts and fire the triggered ones
+ * @param {Array} results - Evaluations with the alert (as evaluated), value, met and optional peakEquity
+ */
+const applyEvaluations = (results) => {
+  const now = new Date().toISOString();
+  const fired = getStore().transaction(tables => results.reduce((list, { alert, value, met, peakEquity }) => {
+    const record = tables.alerts[alert.id];
+    // Skip alerts deleted or changed while they were evaluated
+    if (!record || record.updatedAt !== alert.updatedAt || record.status !== 'active') {
+      return list;
+    }
+
+    const fire = shouldFire(record.operator, record.met, met);
+    record.met = met;
+    record.lastValue = value;
+    if (peakEquity !== undefined) {
+      record.peakEquity = peakEquity;
+    }
+    if (fire) {
+      const trigger = {
+        value,
+        threshold: record.value,
+        message: `Alert ${record.name || record.id}: ${describeCondition(record)} (value ${Number(value.toFixed(4))})`,
+        triggeredAt: now,
+        deliveries: []
+      };
+      record.triggers = [...record.triggers, trigger].slice(-MAX_TRIGGER_HISTORY);
+      record.triggerCount += 1;
+      record.lastTriggeredAt = now;
+      if (!record.repeat) {
+        record.status = 'triggered';
+      }
+      list.push({ alert: { ...record }, trigger });
+    }
+    return list;
+  }, []));
+
+  fired.forEach(({ alert, trigger }) => {
+    logger.info(trigger.message);
+    events.emit('alert', alert, trigger);
+    deliverAlert(alert, trigger).catch(error => logger.error(`Error delivering alert ${alert.id}: ${error.message}`));
+  });
+  if (fired.some(({ alert }) => alert.status !== 'active')) {
+    syncSubscriptions();
+  }
+};
+
+/**
+ * Check whether an evaluation changes an alert's stored state
+ * @param {Object} result - Evaluation
+ * @returns {boolean} True if the condition or peak equity changed
+ */
+const changesState = ({ alert, met, peakEquity }) => alert.met !== met
+  || (peakEquity !== undefined && alert.peakEquity !== peakEquity);
+
+/**
+ * Fetch enough bars of a symbol for its indicator alerts on a timeframe, with
+ * the latest bar brought up to the quote
+ * @param {string} symbol - Stock symbol
+ * @param {string} timeframe - Bar timeframe
+ * @param {Array} alerts - The symbol's alerts
+ * @param {Object} quote - Current quote
+ * @returns {Promise<Array>} Bars, oldest first
+ */
+const getIndicatorBars = async (symbol, timeframe, alerts, quote) => {
+  const lookback = alerts
+    .filter(alert => alert.type === 'indicator' && alert.timeframe === timeframe)
+    .reduce((max, alert) => Math.max(max, getLookback(parseIndicatorSpec(alert.indicator))), 0);
+  const bars = await marketData.getHistoricalBars(symbol, {
+    timeframe,
+    limit: Math.max(MIN_INDICATOR_BARS, 2 * lookback + 1)
+  });
+
+  const last = bars[bars.length - 1];
+  if (!last || Date.parse(quote.timestamp) < Date.parse(last.timestamp)) {
+    return bars;
+  }
+  return [...bars.slice(0, -1), {
+    ...last,
+    high: Math.max(last.high, quote.price),
+    low: Math.min(last.low, quote.price),
+    close: quote.price
+  }];
+};
+
+/**
+ * Evaluate the price and indicator alerts on a symbol at a quote
+ * @param {Object} quote - Quote from the market feed
+ * @returns {Promise<void>}
+ */
+const evaluateQuote = async (quote) => {
+  const { symbol, price } = quote;
+  // Skip a quote rather than overlap a slow evaluation; the next one catches up
+  if (evaluating.has(symbol)) {
+    return;
+  }
+  evaluating.add(symbol);
+  try {
+    const alerts = getStore().getAll('alerts', alert => alert.status === 'active' && alert.symbol === symbol);
+    const results = [];
+    const bars = {};
+
+    for (const alert of alerts) {
+      let value = price;
+      if (alert.type === 'indicator') {
+        try {
+          if (!bars[alert.timeframe]) {
+            bars[alert.timeframe] = await getIndicatorBars(symbol, alert.timeframe, alerts, quote);
+          }
+          value = getIndicatorValue(bars[alert.timeframe], alert);
+        } catch (error) {
+          logger.error(`Error evaluating alert ${alert.id}: ${error.message}`);
+          value = null;
+        }
+      }
+      // Indicators still warming up have no value yet
+      if (value !== null) {
+        results.push({ alert, value, met: isConditionMet(alert.operator, value, alert.value) });
+      }
+    }
+
+    if (results.some(changesState)) {
+      applyEvaluations(results);
+    }
+  } finally {
+    evaluating.delete(symbol);
+  }
+};
+
+/**
+ * Value of a portfolio metric
+ * @param {Object} alert - Portfolio alert
+ * @param {Object} portfolio - Portfolio (see tradingService.getPortfolio)
+ * @returns {Object} value and, for drawdowns, the peak equity
+ */
+const getPortfolioMetric = (alert, portfolio) => {
+  switch (alert.metric) {
+    case 'drawdown': {
+      const peakEquity = Math.max(alert.peakEquity === null ? portfolio.equity : alert.peakEquity, portfolio.equity);
+      return { value: peakEquity > 0 ? ((peakEquity - portfolio.equity) / peakEquity) * 100 : 0, peakEquity };
+    }
+    case 'equity': return { value: portfolio.equity };
+    case 'dailyPnl': return { value: portfolio.risk.dailyPnl };
+    default: return { value: portfolio.pnl.unrealized };
+  }
+};
+
+/**
+ * Evaluate the portfolio alerts of an account
+ * @param {string} accountId - Account id
+ */
+const evaluatePortfolio = (accountId) => {
+  const alerts = getStore().getAll('alerts', alert => alert.status === 'active' && alert.type === 'portfolio' && alert.accountId === accountId);
+  if (alerts.length === 0) {
+    return;
+  }
+
+  const portfolio = tradingService.getPortfolio(accountId);
+  const results = alerts.map(alert => {
+    const { value, peakEquity } = getPortfolioMetric(alert, portfolio);
+    return { alert, value, met: isConditionMet(alert.operator, value, alert.value), peakEquity };
+  });
+  if (results.some(changesState)) {
+    applyEvaluations(results);
+  }
+};
+
+/**
+ * Start watching a created or changed alert; portfolio alerts are evaluated
+ * right away instead of at the next portfolio change
+ * @param {Object} alert - Alert
+ */
+const armAlert = (alert) => {
+  syncSubscriptions();
+  if (stream && alert.type === 'portfolio' && alert.status === 'active') {
+    evaluatePortfolio(alert.accountId);
+  }
+};
+
+/**
+ * Status of an alert from its enabled flag
+ * @param {Object} alert - Alert definition
+ * @returns {string} active or disabled
+ */
+const getArmedStatus = (alert) => (alert.enabled ? 'active' : 'disabled');
+
+/**
+ * Create an alert
+ * @param {Object} definition - Alert definition (see alertSchema)
+ * @returns {Object} The alert
+ */
+const createAlert = (definition) => {
+  const value = checkDefinition(definition);
+  const now = new Date().toISOString();
+  const alert = {
+    id: `a-${crypto.randomUUID()}`,
+    ...value,
+    status: getArmedStatus(value),
+    met: null,
+    lastValue: null,
+    peakEquity: null,
+    triggerCount: 0,
+    lastTriggeredAt: null,
+    triggers: [],
+    createdAt: now,
+    updatedAt: now
+  };
+
+  getStore().transaction(tables => {
+    tables.alerts[alert.id] = alert;
+  });
+  logger.info(`Created alert ${alert.id}: ${describeCondition(alert)}`);
+  armAlert(alert);
+
+  return alert;
+};
+
+/**
+ * List alerts, newest first
+ * @param {Object} options - Filters
+ * @param {string} options.status - Only alerts with this status
+ * @param {string} options.type - Only alerts of this type
+ * @param {string} options.symbol - Only alerts on this symbol
+ * @returns {Array} Alerts
+ */
+const listAlerts = ({ status, type, symbol } = {}) => {
+  if (status && !ALERT_STATUSES.includes(status)) {
+    throw httpError(`Invalid alert status "${status}". Use one of: ${ALERT_STATUSES.join(', ')}`, 400);
+  }
+  if (type && !ALERT_TYPES.includes(type)) {
+    throw httpError(`Invalid alert type "${type}". Use one of: ${ALERT_TYPES.join(', ')}`, 400);
+  }
+
+  return getStore().getAll('alerts', alert => (!status || alert.status === status)
+    && (!type || alert.type === type)
+    && (!symbol || alert.symbol === symbol.toUpperCase()))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+};
+
+/**
+ * Get an alert by id
+ * @param {string} alertId - Alert id
+ * @returns {Object} Alert
+ */
+const getAlert = (alertId) => {
+  const alert = getStore().get('alerts', alertId);
+  if (!alert) {
+    throw httpError(`Alert ${alertId} not found`, 404);
+  }
+  return alert;
+};
+
+/**
+ * Change an alert. The changes are merged into its definition and the alert
+ * is re-armed: a triggered alert becomes active again and its condition is
+ * evaluated afresh.
+ * @param {string} alertId - Alert id
+ * @param {Object} changes - Definition fields to change (see alertSchema)
+ * @returns {Object} The updated alert
+ */
+const updateAlert = (alertId, changes) => {
+  const current = getAlert(alertId);
+  const definition = DEFINITION_FIELDS.reduce((fields, field) => {
+    if (current[field] !== undefined) {
+      fields[field] = current[field];
+    }
+    return fields;
+  }, {});
+  const value = checkDefinition({ ...definition, ...changes });
+
+  const alert = getStore().transaction(tables => {
+    const record = tables.alerts[alertId];
+    if (!record) {
+      throw httpError(`Alert ${alertId} not found`, 404);
+    }
+    const { triggerCount, lastTriggeredAt, triggers, createdAt } = record;
+    tables.alerts[alertId] = {
+      id: alertId,
+      ...value,
+      status: getArmedStatus(value),
+      met: null,
+      lastValue: null,
+      peakEquity: null,
+      triggerCount,
+      lastTriggeredAt,
+      triggers,
+      createdAt,
+      updatedAt: new Date().toISOString()
+    };
+    return { ...tables.alerts[alertId] };
+  });
+  logger.info(`Updated alert ${alertId}: ${describeCondition(alert)}`);
+  armAlert(alert);
+
+  return alert;
+};
+
+/**
+ * Delete an alert
+ * @param {string} alertId - Alert id
+ * @returns {Object} The deleted alert
+ */
+const deleteAlert = (alertId) => {
+  const alert = getStore().transaction(tables => {
+    const record = tables.alerts[alertId];
+    if (!record) {
+      throw httpError(`Alert ${alertId} not found`, 404);
+    }
+    delete tables.alerts[alertId];
+    return record;
+  });
+  logger.info(`Deleted alert ${alertId}`);
+  syncSubscriptions();
+
+  return alert;
+};
+
+/**
+ * Start evaluating alerts: subscribe to the prices active alerts watch and
+ * to portfolio changes
+ */
+const startAlerts = () => {
+  if (stream) {
+    return;
+  }
+
+  stream = streamService.openStream({
+    events: ['quote'],
+    send: (type, data) => {
+      if (type === 'quote') {
+        evaluateQuote(data).catch(error => logger.error(`Error evaluating alerts on ${data.symbol}: ${error.message}`));
+      }
+    }
+  });
+  syncSubscriptions();
+
+  tradingService.events.on('portfolio', accountId => {
+    try {
+      evaluatePortfolio(accountId);
+    } catch (error) {
+      // The account may have been deleted since the change
+      logger.error(`Error evaluating portfolio alerts of ${accountId}: ${error.message}`);
+    }
+  });
+
+  const count = getStore().getAll('alerts', alert => alert.status === 'active').length;
+  logger.info(`Started alert evaluation (${count} active alerts)`);
+};
+
+module.exports = {
+  ALERT_STATUSES,
+  events,
+  createAlert,
+  listAlerts,
+  getAlert,
+  updateAlert,
+  deleteAlert,
+  startAlerts
+};
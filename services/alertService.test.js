@@ -0,0 +1,203 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./quoteService', () => ({
+  getQuote: jest.fn(),
+  getQuotes: jest.fn(),
+  isStale: () => false,
+  getMaxQuoteAge: () => 60 * 1000
+}));
+jest.mock('./streamService', () => {
+  const mockSymbols = new Set();
+  return {
+    openStream: jest.fn(() => ({ id: 's-alerts' })),
+    getStream: jest.fn(() => ({ symbols: [...mockSymbols] })),
+    subscribe: jest.fn((id, list) => list.forEach(symbol => mockSymbols.add(symbol))),
+    unsubscribe: jest.fn((id, list) => list.forEach(symbol => mockSymbols.delete(symbol)))
+  };
+});
+jest.mock('./marketData', () => ({ getHistoricalBars: jest.fn() }));
+jest.mock('../utils/webhooks', () => ({ ...jest.requireActual('../utils/webhooks'), deliverWebhook: jest.fn() }));
+
+const streamService = require('./streamService');
+const marketData = require('./marketData');
+const tradingService = require('./tradingService');
+const { deliverWebhook } = require('../utils/webhooks');
+const alertService = require('./alertService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+process.env.STORAGE_FILE = path.join(dir, 'trading.json');
+
+/**
+ * Send a quote through the alert stream and let the evaluation finish
+ * @param {string} symbol - Stock symbol
+ * @param {number} price - Price
+ * @returns {Promise<void>}
+ */
+const sendQuote = async (symbol, price) => {
+  const { send } = streamService.openStream.mock.calls[0][0];
+  send('quote', { symbol, price, timestamp: new Date().toISOString() });
+  await new Promise(resolve => setImmediate(resolve));
+};
+
+/**
+ * Collect the alerts fired while running a function
+ * @param {Function} run - Function to run
+ * @returns {Promise<Array>} Fired alerts with their trigger
+ */
+const collectFired = async (run) => {
+  const fired = [];
+  const listener = (alert, trigger) => fired.push({ alert, trigger });
+  alertService.events.on('alert', listener);
+  try {
+    await run();
+  } finally {
+    alertService.events.off('alert', listener);
+  }
+  return fired;
+};
+
+beforeAll(() => {
+  deliverWebhook.mockImplementation(async (url) => ({ url, status: 'delivered', attempts: 1, responseStatus: 200, error: null }));
+  alertService.startAlerts();
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createAlert', () => {
+  test('stores the alert and subscribes to its symbol', () => {
+    const alert = alertService.createAlert({ type: 'price', symbol: 'aapl', operator: '>', value: 200 });
+
+    expect(alert).toMatchObject({ symbol: 'AAPL', status: 'active', met: null, triggerCount: 0, triggers: [] });
+    expect(alertService.getAlert(alert.id)).toEqual(alert);
+    expect(streamService.getStream('s-alerts').symbols).toContain('AAPL');
+    alertService.deleteAlert(alert.id);
+    expect(streamService.getStream('s-alerts').symbols).not.toContain('AAPL');
+  });
+
+  test('rejects invalid alerts with their errors', () => {
+    expect(() => alertService.createAlert({ type: 'price', operator: '>', value: 1 })).toThrow(expect.objectContaining({
+      status: 400,
+      message: 'Invalid alert: symbol is required',
+      validationErrors: [{ field: 'symbol', message: 'is required' }]
+    }));
+    expect(() => alertService.createAlert({ type: 'portfolio', accountId: 'ghost', metric: 'equity', operator: '<', value: 1 })).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('price alerts', () => {
+  test('fire on the first quote that meets a threshold, once', async () => {
+    const alert = alertService.createAlert({ type: 'price', symbol: 'LVL', operator: '>', value: 100 });
+
+    const fired = await collectFired(async () => {
+      await sendQuote('LVL', 105);
+      await sendQuote('LVL', 90);
+      await sendQuote('LVL', 110);
+    });
+
+    expect(fired).toEqual([{
+      alert: expect.objectContaining({ id: alert.id, status: 'triggered', triggerCount: 1 }),
+      trigger: expect.objectContaining({ value: 105, threshold: 100, message: `Alert ${alert.id}: LVL > 100 (value 105)` })
+    }]);
+    expect(streamService.getStream('s-alerts').symbols).not.toContain('LVL');
+  });
+
+  test('repeat after the condition stopped holding', async () => {
+    const alert = alertService.createAlert({ type: 'price', symbol: 'REP', operator: '<', value: 50, repeat: true });
+
+    const fired = await collectFired(async () => {
+      await sendQuote('REP', 45);
+      await sendQuote('REP', 40);
+      await sendQuote('REP', 55);
+      await sendQuote('REP', 49);
+    });
+
+    expect(fired.map(({ trigger }) => trigger.value)).toEqual([45, 49]);
+    expect(alertService.getAlert(alert.id)).toMatchObject({ status: 'active', triggerCount: 2, met: true, lastValue: 49 });
+  });
+
+  test('crossings take the first quote as the baseline', async () => {
+    const alert = alertService.createAlert({ type: 'price', symbol: 'CRS', operator: 'crosses_above', value: 100 });
+
+    const fired = await collectFired(async () => {
+      await sendQuote('CRS', 105);
+      await sendQuote('CRS', 95);
+      await sendQuote('CRS', 101);
+    });
+
+    expect(fired.map(({ trigger }) => trigger.value)).toEqual([101]);
+    expect(alertService.getAlert(alert.id).status).toBe('triggered');
+  });
+
+  test('are re-armed when changed', async () => {
+    const alert = alertService.createAlert({ type: 'price', symbol: 'UPD', operator: '>', value: 10 });
+    await sendQuote('UPD', 11);
+    expect(alertService.getAlert(alert.id).status).toBe('triggered');
+
+    const updated = alertService.updateAlert(alert.id, { value: 20 });
+
+    expect(updated).toMatchObject({ status: 'active', met: null, value: 20, triggerCount: 1 });
+    const fired = await collectFired(() => sendQuote('UPD', 21));
+    expect(fired).toHaveLength(1);
+  });
+
+  test('post triggers to their webhooks and record the deliveries', async () => {
+    const alert = alertService.createAlert({ type: 'price', symbol: 'HOOK', operator: '>=', value: 1, webhooks: ['https://hooks.example.com/alerts'] });
+
+    await sendQuote('HOOK', 1);
+    await new Promise(resolve => setImmediate(resolve));
+
+    expect(deliverWebhook).toHaveBeenCalledWith('https://hooks.example.com/alerts', expect.objectContaining({
+      event: 'alert.triggered',
+      alert: { id: alert.id, name: null, type: 'price', condition: 'HOOK >= 1' },
+      value: 1
+    }));
+    expect(alertService.getAlert(alert.id).triggers[0].deliveries).toEqual([expect.objectContaining({ url: 'https://hooks.example.com/alerts', status: 'delivered' })]);
+  });
+});
+
+describe('indicator alerts', () => {
+  test('evaluate the indicator with the latest bar brought up to the quote', async () => {
+    marketData.getHistoricalBars.mockResolvedValue([10, 10, 10].map((close, i) => ({
+      timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+      open: close,
+      high: close,
+      low: close,
+      close,
+      volume: 1000
+    })));
+    const alert = alertService.createAlert({ type: 'indicator', symbol: 'IND', indicator: 'sma(3)', operator: '>', value: 11 });
+
+    // The last close becomes 16: the average is 12
+    const fired = await collectFired(() => sendQuote('IND', 16));
+
+    expect(fired).toEqual([expect.objectContaining({ trigger: expect.objectContaining({ value: 12 }) })]);
+    expect(alertService.getAlert(alert.id).status).toBe('triggered');
+  });
+});
+
+describe('portfolio alerts', () => {
+  test('are evaluated when they are armed and on every change of the account', async () => {
+    const accountId = tradingService.createAccount({ id: 'alerted', initialCash: 10000 }).id;
+    const alert = alertService.createAlert({ type: 'portfolio', accountId, metric: 'equity', operator: '<', value: 9000 });
+    expect(alertService.getAlert(alert.id)).toMatchObject({ met: false, lastValue: 10000 });
+
+    const fired = await collectFired(() => tradingService.transferCash(accountId, { amount: -2000 }));
+
+    expect(fired).toEqual([expect.objectContaining({ trigger: expect.objectContaining({ value: 8000, threshold: 9000 }) })]);
+  });
+
+  test('measure the drawdown from the highest equity since they were armed', async () => {
+    const accountId = tradingService.createAccount({ id: 'drawdown', initialCash: 10000 }).id;
+    const alert = alertService.createAlert({ type: 'portfolio', accountId, metric: 'drawdown', operator: '>=', value: 10 });
+
+    tradingService.transferCash(accountId, { amount: 10000 });
+    expect(alertService.getAlert(alert.id)).toMatchObject({ peakEquity: 20000, lastValue: 0 });
+
+    const fired = await collectFired(() => tradingService.transferCash(accountId, { amount: -2000 }));
+    expect(fired.map(({ trigger }) => trigger.value)).toEqual([10]);
+  });
+});
@@ -0,0 +1,361 @@
+const marketData = require('./marketData');
+const { getStrategy, getWarmup, prepareStrategy } = require('../utils/signalEngine');
+const {
+  DEFAULT_COMMISSION,
+  DEFAULT_SLIPPAGE,
+  commissionSchema,
+  slippageSchema,
+  createCommissionModel,
+  createSlippageModel
+} = require('../utils/costModels');
+const { SUPPORTED_TIMEFRAMES, parseTimeframe, getSessionMinutes } = require('../utils/timeframes');
+const { validate } = require('../utils/schemaValidator');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_BARS = 5000;
+
+/**
+ * JSON Schema of backtest parameters, shared by the REST endpoint and the MCP tool
+ */
+const backtestSchema = {
+  type: 'object',
+  properties: {
+    symbols: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, maxItems: 20, description: 'Symbols to trade' },
+    strategy: { type: 'string', minLength: 1, description: 'Strategy name (see GET /api/analysis/strategies)', default: 'default' },
+    timeframe: { type: 'string', enum: SUPPORTED_TIMEFRAMES, description: 'Bar timeframe (1m = minute, 1M = month)', default: '1d' },
+    start: { type: 'string', description: 'First date of the test (ISO 8601); defaults to `limit` bars before the end' },
+    end: { type: 'string', description: 'Last date of the test (ISO 8601, default: now)' },
+    limit: { type: 'integer', minimum: 10, maximum: MAX_BARS, description: 'Number of bars to test when no start is given', default: 500 },
+    initialCapital: { type: 'number', exclusiveMinimum: 0, description: 'Starting cash', default: 100000 },
+    positionSize: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Fraction of equity allocated per entry (default: 1 / number of symbols)' },
+    riskFreeRate: { type: 'number', description: 'Annual risk-free rate for Sharpe and Sortino', default: 0 },
+    commission: { ...commissionSchema, description: 'Commission model', default: DEFAULT_COMMISSION },
+    slippage: { ...slippageSchema, description: 'Slippage model', default: DEFAULT_SLIPPAGE }
+  },
+  required: ['symbols']
+};
+
+/**
+ * Validate and normalize backtest parameters
+ * @param {Object} parameters - Raw parameters
+ * @returns {Object} Result with valid flag, errors and normalized parameters
+ */
+const validateBacktestParameters = (parameters) => validate(backtestSchema, parameters, { coerceTypes: true });
+
+/**
+ * Number of bars a timeframe has per year, for annualizing returns
+ * @param {Object} timeframe - Timeframe definition
+ * @returns {number} Bars per year
+ */
+const getBarsPerYear = (timeframe) => {
+  if (timeframe.intraday) {
+    return 252 * Math.ceil(getSessionMinutes() / timeframe.minutes);
+  }
+  return { '1d': 252, '1w': 52, '1M': 12 }[timeframe.name];
+};
+
+/**
+ * Estimate how many bars of a timeframe lie between two dates
+ * @param {Object} timeframe - Timeframe definition
+ * @param {number} start - Start timestamp in ms
+ * @param {number} end - End timestamp in ms
+ * @returns {number} Upper bound of the number of bars
+ */
+const estimateBars = (timeframe, start, end) => {
+  const calendarDays = Math.ceil((end - start) / DAY_MS) + 1;
+  const sessions = Math.ceil(calendarDays * 5 / 7) + 1;
+
+  if (timeframe.intraday) {
+    return sessions * Math.ceil(getSessionMinutes() / timeframe.minutes);
+  }
+  if (timeframe.name === '1d') {
+    return sessions;
+  }
+  return Math.ceil(calendarDays / (timeframe.minutes / 1440)) + 1;
+};
+
+/**
+ * Compute performance metrics of an equity curve and trade list
+ * @param {Array} equityCurve - Points with timestamp and equity
+ * @param {Array} trades - Closed trades
+ * @param {Object} options - Options
+ * @param {number} options.barsPerYear - Bars per year of the tested timeframe
+ * @param {number} options.riskFreeRate - Annual risk-free rate
+ * @returns {Object} Metrics
+ */
+const calculateMetrics = (equityCurve, trades, { barsPerYear, riskFreeRate }) => {
+  const initialEquity = equityCurve[0].equity;
+  const finalEquity = equityCurve[equityCurve.length - 1].equity;
+  const totalReturn = finalEquity / initialEquity - 1;
+
+  const years = (Date.parse(equityCurve[equityCurve.length - 1].timestamp) - Date.parse(equityCurve[0].timestamp)) / (365.25 * DAY_MS);
+  const cagr = years > 0 && finalEquity > 0 ? Math.pow(finalEquity / initialEquity, 1 / years) - 1 : null;
+
+  // Excess returns per bar
+  const barRiskFree = riskFreeRate / barsPerYear;
+  const returns = equityCurve.slice(1).map((point, index) => point.equity / equityCurve[index].equity - 1 - barRiskFree);
+  const mean = returns.length > 0 ? returns.reduce((sum, value) => sum + value, 0) / returns.length : 0;
+  const variance = returns.length > 1
+    ? returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1)
+    : 0;
+  const downsideDeviation = returns.length > 0
+    ? Math.sqrt(returns.reduce((sum, value) => sum + Math.min(value, 0) ** 2, 0) / returns.length)
+    : 0;
+
+  const sharpeRatio = variance > 0 ? (mean / Math.sqrt(variance)) * Math.sqrt(barsPerYear) : null;
+  const sortinoRatio = downsideDeviation > 0 ? (mean / downsideDeviation) * Math.sqrt(barsPerYear) : null;
+
+  const maxDrawdown = equityCurve.reduce((max, point) => Math.max(max, point.drawdown), 0);
+  const annualizedVolatility = Math.sqrt(variance) * Math.sqrt(barsPerYear);
+
+  const winners = trades.filter(trade => trade.pnl > 0);
+  const losers = trades.filter(trade => trade.pnl < 0);
+  const grossProfit = winners.reduce((sum, trade) => sum + trade.pnl, 0);
+  const grossLoss = Math.abs(losers.reduce((sum, trade) => sum + trade.pnl, 0));
+
+  return {
+    initialEquity,
+    finalEquity,
+    totalReturn,
+    cagr,
+    annualizedVolatility,
+    sharpeRatio,
+    sortinoRatio,
+    maxDrawdown,
+    trades: trades.length,
+    winRate: trades.length > 0 ? winners.length / trades.length : null,
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    averageTradeReturn: trades.length > 0 ? trades.reduce((sum, trade) => sum + trade.returnPct, 0) / trades.length : null,
+    totalCommission: trades.reduce((sum, trade) => sum + trade.commission, 0)
+  };
+};
+
+/**
+ * Backtest a strategy over historical bars.
+ *
+ * Signals are evaluated on each bar's close and filled at the next bar's open,
+ * adjusted by the slippage model and charged the commission model. The test is
+ * long only: a buy signal opens a position of `positionSize` of the current
+ * equity if none is open, a sell signal closes it. Positions still open at the
+ * end are closed at the last close. All symbols share one cash balance.
+ *
+ * @param {Object} parameters - Backtest parameters (see backtestSchema)
+ * @returns {Promise<Object>} Metrics, equity curve and trade list
+ */
+const runBacktest = async (parameters) => {
+  const validation = validateBacktestParameters(parameters);
+  if (!validation.valid) {
+    const error = new Error(`Invalid backtest parameters: ${validation.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    error.status = 400;
+    error.validationErrors = validation.errors;
+    throw error;
+  }
+
+  const {
+    strategy: strategyName,
+    timeframe,
+    limit,
+    initialCapital,
+    riskFreeRate
+  } = validation.value;
+  const symbols = Array.from(new Set(validation.value.symbols.map(symbol => symbol.toUpperCase())));
+  const positionSize = validation.value.positionSize || 1 / symbols.length;
+  const strategy = getStrategy(strategyName);
+  const commission = createCommissionModel(validation.value.commission);
+  const slippage = createSlippageModel(validation.value.slippage);
+  const definition = parseTimeframe(timeframe);
+
+  const endTime = validation.value.end ? Date.parse(validation.value.end) : Date.now();
+  const startTime = validation.value.start ? Date.parse(validation.value.start) : null;
+  if (isNaN(endTime) || (startTime !== null && (isNaN(startTime) || startTime >= endTime))) {
+    const error = new Error('start and end must be valid dates with start before end');
+    error.status = 400;
+    throw error;
+  }
+
+  const testBars = startTime !== null ? estimateBars(definition, startTime, endTime) : limit;
+  if (testBars > MAX_BARS) {
+    const error = new Error(`The test period spans about ${testBars} ${timeframe} bars, the maximum is ${MAX_BARS}; use a shorter period or a higher timeframe`);
+    error.status = 400;
+    throw error;
+  }
+
+  try {
+    logger.info(`Backtesting strategy ${strategy.name} on ${symbols.join(', ')} (${timeframe})`);
+
+    const warmup = getWarmup(strategy);
+
+    // Bars, signal evaluators and the first tradable bar per symbol
+    const series = await Promise.all(symbols.map(async (symbol) => {
+      const bars = await marketData.getHistoricalBars(symbol, {
+        timeframe,
+        limit: testBars + warmup + 1,
+        end: new Date(endTime).toISOString()
+      });
+      const firstIndex = startTime !== null
+        ? bars.findIndex(bar => Date.parse(bar.timestamp) >= startTime)
+        : Math.max(bars.length - testBars, 0);
+
+      return {
+        symbol,
+        bars,
+        firstIndex: firstIndex === -1 ? bars.length : firstIndex,
+        evaluateAt: prepareStrategy(strategy, bars, { timeframe }),
+        indexByTime: new Map(bars.map((bar, index) => [bar.timestamp, index]))
+      };
+    }));
+
+    const timestamps = Array.from(new Set(series.flatMap(({ bars, firstIndex }) => bars.slice(firstIndex).map(bar => bar.timestamp))))
+      .sort((a, b) => Date.parse(a) - Date.parse(b));
+
+    if (timestamps.length < 2) {
+      throw new Error('Not enough historical data in the test period');
+    }
+
+    let cash = initialCapital;
+    let peak = initialCapital;
+    const positions = new Map();
+    const pendingOrders = new Map();
+    const lastClose = new Map();
+    const trades = [];
+    const equityCurve = [];
+
+    const closePosition = (symbol, price, timestamp, exitCommission, reason) => {
+      const position = positions.get(symbol);
+      cash += position.quantity * price - exitCommission;
+      const totalCommission = position.commission + exitCommission;
+      const pnl = (price - position.entryPrice) * position.quantity - totalCommission;
+
+      trades.push({
+        symbol,
+        side: 'long',
+        quantity: position.quantity,
+        entryTime: position.entryTime,
+        entryPrice: position.entryPrice,
+        exitTime: timestamp,
+        exitPrice: price,
+        commission: totalCommission,
+        pnl,
+        returnPct: pnl / (position.entryPrice * position.quantity),
+        barsHeld: position.barsHeld,
+        exitReason: reason
+      });
+      positions.delete(symbol);
+    };
+
+    const getEquity = () => cash + Array.from(positions.entries())
+      .reduce((sum, [symbol, position]) => sum + position.quantity * lastClose.get(symbol), 0);
+
+    timestamps.forEach(timestamp => {
+      // Fill the orders placed on the previous bar at this bar's open
+      series.forEach(({ symbol, bars, indexByTime }) => {
+        const index = indexByTime.get(timestamp);
+        const order = pendingOrders.get(symbol);
+        if (index === undefined || !order) {
+          return;
+        }
+        pendingOrders.delete(symbol);
+
+        const { open, volume } = bars[index];
+        if (order === 'buy' && !positions.has(symbol)) {
+          const budget = Math.min(getEquity() * positionSize, cash);
+          const price = slippage(open, 'buy', { quantity: Math.floor(budget / open), volume });
+          let quantity = Math.floor(budget / price);
+          while (quantity > 0 && quantity * price + commission(quantity, price) > cash) {
+            quantity -= 1;
+          }
+          if (quantity > 0) {
+            const entryCommission = commission(quantity, price);
+            cash -= quantity * price + entryCommission;
+            positions.set(symbol, { quantity, entryPrice: price, entryTime: timestamp, commission: entryCommission, barsHeld: 0 });
+          }
+        } else if (order === 'sell' && positions.has(symbol)) {
+          const price = slippage(open, 'sell', { quantity: positions.get(symbol).quantity, volume });
+          closePosition(symbol, price, timestamp, commission(positions.get(symbol).quantity, price), 'signal');
+        }
+      });
+
+      // Mark to market at the close and decide on orders for the next bar
+      series.forEach(({ symbol, bars, indexByTime, evaluateAt }) => {
+        const index = indexByTime.get(timestamp);
+        if (index === undefined) {
+          return;
+        }
+        lastClose.set(symbol, bars[index].close);
+        if (positions.has(symbol)) {
+          positions.get(symbol).barsHeld += 1;
+        }
+
+        const { action } = evaluateAt(index);
+        if ((action === 'buy' && !positions.has(symbol)) || (action === 'sell' && positions.has(symbol))) {
+          pendingOrders.set(symbol, action);
+        }
+      });
+
+      const equity = getEquity();
+      peak = Math.max(peak, equity);
+      equityCurve.push({
+        timestamp,
+        equity,
+        cash,
+        drawdown: peak > 0 ? (peak - equity) / peak : 0
+      });
+    });
+
+    // Close what is still open at the last close, without slippage
+    const finalTimestamp = timestamps[timestamps.length - 1];
+    Array.from(positions.keys()).forEach(symbol => {
+      const price = lastClose.get(symbol);
+      closePosition(symbol, price, finalTimestamp, commission(positions.get(symbol).quantity, price), 'end_of_test');
+    });
+    const finalPoint = equityCurve[equityCurve.length - 1];
+    finalPoint.cash = cash;
+    finalPoint.equity = cash;
+    finalPoint.drawdown = peak > 0 ? Math.max((peak - cash) / peak, 0) : 0;
+
+    const metrics = calculateMetrics(equityCurve, trades, {
+      barsPerYear: getBarsPerYear(definition),
+      riskFreeRate
+    });
+
+    // Equal-weight buy and hold over the same period, for comparison
+    const buyAndHoldReturn = series
+      .filter(({ bars, firstIndex }) => firstIndex < bars.length)
+      .reduce((sum, { bars, firstIndex }, index, tested) => (
+        sum + (bars[bars.length - 1].close / bars[firstIndex].open - 1) / tested.length
+      ), 0);
+
+    return {
+      strategy: strategy.name,
+      symbols,
+      timeframe,
+      start: timestamps[0],
+      end: finalTimestamp,
+      settings: {
+        initialCapital,
+        positionSize,
+        riskFreeRate,
+        commission: validation.value.commission,
+        slippage: validation.value.slippage
+      },
+      metrics,
+      benchmark: {
+        type: 'buy_and_hold',
+        totalReturn: buyAndHoldReturn
+      },
+      equityCurve,
+      trades
+    };
+  } catch (error) {
+    logger.error(`Error running backtest: ${error.message}`);
+    throw new Error(`Failed to run backtest: ${error.message}`);
+  }
+};
+
+module.exports = {
+  backtestSchema,
+  validateBacktestParameters,
+  calculateMetrics,
+  runBacktest
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backtest-'));
+process.env.STRATEGIES_DIR = dir;
+fs.writeFileSync(path.join(dir, 'cross.json'), JSON.stringify({
+  name: 'cross_100',
+  rules: [
+    { name: 'above', weight: 1, when: { left: 'close', op: 'crossesAbove', right: 100 } },
+    { name: 'below', weight: -1, when: { left: 'close', op: 'crossesBelow', right: 100 } }
+  ]
+}));
+
+jest.mock('./marketData', () => ({ getHistoricalBars: jest.fn() }));
+
+const marketData = require('./marketData');
+const { calculateMetrics, runBacktest } = require('./backtestService');
+
+const FRICTIONLESS = { commission: { type: 'none' }, slippage: { type: 'none' } };
+
+/**
+ * Daily bars with the given closes, each opening at the previous close
+ * @param {Array} closes - Close prices
+ * @returns {Array} Bars
+ */
+const barsFromCloses = (closes) => closes.map((close, i) => ({
+  timestamp: new Date(Date.UTC(2024, 0, 1) + i * 24 * 60 * 60 * 1000).toISOString(),
+  open: i === 0 ? close : closes[i - 1],
+  high: Math.max(close, i === 0 ? close : closes[i - 1]) + 1,
+  low: Math.min(close, i === 0 ? close : closes[i - 1]) - 1,
+  close,
+  volume: 100000
+}));
+
+/**
+ * Serve bars from the mocked provider, the last `limit` of them
+ * @param {Array} bars - Bars to serve
+ */
+const serveBars = (bars) => {
+  marketData.getHistoricalBars.mockImplementation(async (symbol, { limit }) => bars.slice(-limit));
+};
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('runBacktest', () => {
+  test('fills signals at the next open and closes the position on the sell signal', async () => {
+    serveBars(barsFromCloses([95, 96, 101, 102, 103, 99, 98, 97, 96, 95, 94]));
+
+    const result = await runBacktest({ symbols: ['aapl'], strategy: 'cross_100', limit: 10, initialCapital: 10000, ...FRICTIONLESS });
+
+    expect(result.symbols).toEqual(['AAPL']);
+    expect(result.trades).toEqual([expect.objectContaining({
+      symbol: 'AAPL',
+      quantity: 99,
+      entryPrice: 101,
+      exitPrice: 99,
+      pnl: -198,
+      commission: 0,
+      exitReason: 'signal'
+    })]);
+    expect(result.metrics).toMatchObject({ initialEquity: 10000, finalEquity: 9802, trades: 1, winRate: 0 });
+    expect(result.equityCurve).toHaveLength(10);
+    expect(result.benchmark.totalReturn).toBeCloseTo(94 / 95 - 1);
+  });
+
+  test('closes positions still open at the end at the last close', async () => {
+    serveBars(barsFromCloses([95, 96, 101, 102, 104, 110]));
+
+    const { trades, metrics } = await runBacktest({ symbols: ['MSFT'], strategy: 'cross_100', limit: 10, initialCapital: 10000, ...FRICTIONLESS });
+
+    expect(trades).toEqual([expect.objectContaining({ entryPrice: 101, exitPrice: 110, exitReason: 'end_of_test', pnl: 99 * 9 })]);
+    expect(metrics.finalEquity).toBe(10000 + 99 * 9);
+  });
+
+  test('charges commissions on entry and exit', async () => {
+    serveBars(barsFromCloses([95, 96, 101, 102, 103, 99, 98]));
+
+    const { trades } = await runBacktest({
+      symbols: ['AAPL'],
+      strategy: 'cross_100',
+      limit: 10,
+      initialCapital: 10000,
+      commission: { type: 'fixed', amount: 5 },
+      slippage: { type: 'none' }
+    });
+
+    expect(trades[0]).toMatchObject({ quantity: 98, commission: 10, pnl: -2 * 98 - 10 });
+  });
+
+  test('rejects invalid parameters with a 400 error', async () => {
+    await expect(runBacktest({})).rejects.toMatchObject({ status: 400, message: expect.stringContaining('Invalid backtest parameters') });
+    await expect(runBacktest({ symbols: ['AAPL'], strategy: 'cross_100', start: '2024-02-01', end: '2024-01-01' })).rejects.toMatchObject({
+      status: 400,
+      message: 'start and end must be valid dates with start before end'
+    });
+    await expect(runBacktest({ symbols: ['AAPL'], strategy: 'cross_100', timeframe: '1m', start: '2020-01-01', end: '2024-01-01' })).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringContaining('the maximum is 5000')
+    });
+  });
+
+  test('fails without enough data in the test period', async () => {
+    serveBars(barsFromCloses([100]));
+
+    await expect(runBacktest({ symbols: ['AAPL'], strategy: 'cross_100', limit: 10 })).rejects.toThrow('Not enough historical data in the test period');
+  });
+});
+
+describe('calculateMetrics', () => {
+  test('computes returns, drawdown and trade statistics', () => {
+    const equityCurve = [
+      { timestamp: '2024-01-01T00:00:00.000Z', equity: 100, drawdown: 0 },
+      { timestamp: '2024-07-01T00:00:00.000Z', equity: 120, drawdown: 0 },
+      { timestamp: '2025-01-01T00:00:00.000Z', equity: 90, drawdown: 0.25 }
+    ];
+    const trades = [
+      { pnl: 30, returnPct: 0.3, commission: 1 },
+      { pnl: -10, returnPct: -0.1, commission: 1 }
+    ];
+
+    const metrics = calculateMetrics(equityCurve, trades, { barsPerYear: 2, riskFreeRate: 0 });
+
+    expect(metrics).toMatchObject({
+      initialEquity: 100,
+      finalEquity: 90,
+      maxDrawdown: 0.25,
+      trades: 2,
+      winRate: 0.5,
+      profitFactor: 3,
+      totalCommission: 2
+    });
+    expect(metrics.totalReturn).toBeCloseTo(-0.1);
+    expect(metrics.cagr).toBeCloseTo(-0.1, 2);
+    expect(metrics.averageTradeReturn).toBeCloseTo(0.1);
+    expect(metrics.sharpeRatio).toBeLessThan(0);
+  });
+
+  test('leaves ratios without data null', () => {
+    const metrics = calculateMetrics([{ timestamp: '2024-01-01T00:00:00.000Z', equity: 100, drawdown: 0 }], [], { barsPerYear: 252, riskFreeRate: 0 });
+
+    expect(metrics).toMatchObject({ cagr: null, sharpeRatio: null, sortinoRatio: null, winRate: null, profitFactor: null, averageTradeReturn: null });
+  });
+});
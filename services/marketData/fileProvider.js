@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { parseTimeframe, inferTimeframe, resampleBars } = require('../../utils/timeframes');
+
+/**
+ * Parse a CSV file of OHLCV bars.
+ *
+ * The header row names the columns (case-insensitive): date or timestamp,
+ * open, high, low, close and volume. Files that only carry a close (or price)
+ * column are accepted; open, high and low then default to the close.
+ *
+ * @param {string} content - CSV file content
+ * @returns {Array} Raw bar records keyed by lower-cased column name
+ */
+const parseCsv = (content) => {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const headers = lines[0].split(',').map(header => header.trim().toLowerCase());
+
+  return lines.slice(1).map(line => {
+    const values = line.split(',');
+    return headers.reduce((record, header, index) => {
+      record[header] = values[index] !== undefined ? values[index].trim() : undefined;
+      return record;
+    }, {});
+  });
+};
+
+/**
+ * Normalize a raw record from a CSV or JSON file into a bar
+ * @param {Object} record - Raw record
+ * @returns {Object|null} Bar, or null if the record has no usable timestamp or close
+ */
+const toBar = (record) => {
+  const time = record.timestamp || record.date || record.time;
+  const close = parseFloat(record.close !== undefined ? record.close : record.price);
+  const timestamp = new Date(time);
+
+  if (!time || isNaN(timestamp.getTime()) || isNaN(close)) {
+    return null;
+  }
+
+  const open = parseFloat(record.open);
+  const high = parseFloat(record.high);
+  const low = parseFloat(record.low);
+  const volume = parseFloat(record.volume);
+
+  return {
+    timestamp: timestamp.toISOString(),
+    open: isNaN(open) ? close : open,
+    high: isNaN(high) ? Math.max(close, isNaN(open) ? close : open) : high,
+    low: isNaN(low) ? Math.min(close, isNaN(open) ? close : open) : low,
+    close,
+    volume: isNaN(volume) ? 0 : volume
+  };
+};
+
+/**
+ * Create a market-data provider that reads bars from local files.
+ *
+ * Bars for a symbol are read from `<dir>/<SYMBOL>.csv` or `<dir>/<SYMBOL>.json`
+ * (either an array of bars or an object with a `bars` array). The resolution of
+ * a file is inferred from its bars; higher timeframes are aggregated from it.
+ * Fundamentals are read from `<dir>/fundamentals.json`, an object keyed by symbol.
+ *
+ * @param {Object} options - Provider options
+ * @param {string} options.dir - Directory holding the data files (default: MARKET_DATA_DIR or ./data/market)
+ * @returns {Object} Market-data provider
+ */
+const createFileProvider = (options = {}) => {
+  const dir = path.resolve(options.dir || process.env.MARKET_DATA_DIR || path.join('data', 'market'));
+
+  // Parsed files, invalidated when the file changes on disk
+  const fileCache = new Map();
+
+  /**
+   * Read and parse a data file, using the cached result if it is unchanged
+   * @param {string} filePath - Path of the file
+   * @param {Function} parse - Parser for the file content
+   * @returns {*} Parsed content
+   */
+  const readCached = (filePath, parse) => {
+    const { mtimeMs } = fs.statSync(filePath);
+    const cached = fileCache.get(filePath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.data;
+    }
+
+    const data = parse(fs.readFileSync(filePath, 'utf8'));
+    fileCache.set(filePath, { mtimeMs, data });
+    return data;
+  };
+
+  /**
+   * Load all bars of a symbol, sorted by time
+   * @param {string} symbol - Stock symbol
+   * @returns {Array} Bars
+   */
+  const loadBars = (symbol) => {
+    const csvPath = path.join(dir, `${symbol}.csv`);
+    const jsonPath = path.join(dir, `${symbol}.json`);
+
+    let records;
+    if (fs.existsSync(csvPath)) {
+      records = readCached(csvPath, parseCsv);
+    } else if (fs.existsSync(jsonPath)) {
+      records = readCached(jsonPath, (content) => {
+        const parsed = JSON.parse(content);
+        return Array.isArray(parsed) ? parsed : parsed.bars || [];
+      });
+    } else {
+      throw new Error(`No market data file for ${symbol} in ${dir}`);
+    }
+
+    return records
+      .map(toBar)
+      .filter(Boolean)
+      .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  };
+
+  return {
+    name: 'file',
+
+    getHistoricalBars: async (symbol, { timeframe = '1d', limit = 100, end } = {}) => {
+      const target = parseTimeframe(timeframe);
+      const endTime = end ? new Date(end).getTime() : Infinity;
+      const bars = loadBars(symbol).filter(bar => Date.parse(bar.timestamp) <= endTime);
+      const source = parseTimeframe(inferTimeframe(bars));
+
+      if (target.minutes < source.minutes) {
+        throw new Error(`Market data for ${symbol} has ${source.name} resolution, ${target.name} bars are not available`);
+      }
+
+      const result = target.name === source.name
+        ? bars
+        : resampleBars(bars, target.name, { sourceTimeframe: source.name });
+
+      return result.slice(-limit);
+    },
+
+    getQuote: async (symbol) => {
+      const bars = loadBars(symbol);
+      if (bars.length === 0) {
+        throw new Error(`No market data for ${symbol}`);
+      }
+
+      const lastBar = bars[bars.length - 1];
+      return {
+        symbol,
+        price: lastBar.close,
+        bid: lastBar.close,
+        ask: lastBar.close,
+        volume: lastBar.volume,
+        timestamp: lastBar.timestamp
+      };
+    },
+
+    getFundamentals: async (symbol) => {
+      const fundamentalsPath = path.join(dir, 'fundamentals.json');
+      if (!fs.existsSync(fundamentalsPath)) {
+        throw new Error(`No fundamentals file in ${dir}`);
+      }
+
+      const fundamentals = readCached(fundamentalsPath, JSON.parse);
+      if (!fundamentals[symbol]) {
+        throw new Error(`No fundamentals for ${symbol}`);
+      }
+
+      return { symbol, ...fundamentals[symbol] };
+    }
+  };
+};
+
+module.exports = {
+  createFileProvider
+};
@@ -0,0 +1,133 @@
+/**
+ * Market-data provider layer
+ *
+ * Services get historical bars, quotes and fundamentals through this module
+ * instead of talking to a data source directly. The active provider is chosen
+ * with MARKET_DATA_PROVIDER:
+ *
+ * - `synthetic` (default): seeded, reproducible random walks
+ * - `file`: OHLCV bars from CSV/JSON files in MARKET_DATA_DIR
+ * - `rest`: the market data REST API configured in utils/apiClient
+ * - a path to a module exporting a provider factory, for vendor adapters
+ *
+ * A provider is an object with async getHistoricalBars(symbol, options),
+ * getQuote(symbol) and getFundamentals(symbol) functions.
+ */
+
+const path = require('path');
+const logger = require('../../utils/logger');
+const { createSyntheticProvider } = require('./syntheticProvider');
+const { createFileProvider } = require('./fileProvider');
+const { createRestProvider } = require('./restProvider');
+
+const PROVIDER_METHODS = ['getHistoricalBars', 'getQuote', 'getFundamentals'];
+
+const providerFactories = {
+  synthetic: createSyntheticProvider,
+  file: createFileProvider,
+  rest: createRestProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Register a provider factory under a name so it can be selected by config
+ * @param {string} name - Provider name
+ * @param {Function} factory - Function receiving options and returning a provider
+ */
+const registerProvider = (name, factory) => {
+  providerFactories[name] = factory;
+};
+
+/**
+ * Check that an object implements the provider interface
+ * @param {Object} provider - Provider to check
+ * @returns {Object} The provider
+ */
+const assertProvider = (provider) => {
+  const missing = PROVIDER_METHODS.filter(method => typeof (provider && provider[method]) !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Invalid market-data provider, missing: ${missing.join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Create a provider by registered name or module path
+ * @param {string} name - Registered provider name or path to a provider module
+ * @param {Object} options - Options passed to the provider factory
+ * @returns {Object} Market-data provider
+ */
+const createProvider = (name, options = {}) => {
+  let factory = providerFactories[name];
+
+  if (!factory) {
+    // Vendor adapters can live outside this repository
+    const adapter = require(path.resolve(name));
+    factory = adapter.createProvider || adapter;
+  }
+
+  if (typeof factory !== 'function') {
+    throw new Error(`Unknown market-data provider: ${name}`);
+  }
+
+  return assertProvider(factory(options));
+};
+
+/**
+ * Get the active provider, creating it from config on first use
+ * @returns {Object} Market-data provider
+ */
+const getProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.MARKET_DATA_PROVIDER || 'synthetic';
+    activeProvider = createProvider(name);
+    logger.info(`Using market-data provider: ${activeProvider.name || name}`);
+  }
+  return activeProvider;
+};
+
+/**
+ * Replace the active provider
+ * @param {Object|string} provider - Provider instance, or name to create one
+ * @param {Object} options - Options when creating by name
+ * @returns {Object} The new active provider
+ */
+const setProvider = (provider, options = {}) => {
+  activeProvider = typeof provider === 'string'
+    ? createProvider(provider, options)
+    : assertProvider(provider);
+  return activeProvider;
+};
+
+/**
+ * Get historical bars for a symbol from the active provider
+ * @param {string} symbol - Stock symbol
+ * @param {Object} options - Options (timeframe, limit, end)
+ * @returns {Promise<Array>} Bars of timestamp, open, high, low, close and volume
+ */
+const getHistoricalBars = (symbol, options = {}) => getProvider().getHistoricalBars(symbol.toUpperCase(), options);
+
+/**
+ * Get the latest quote for a symbol from the active provider
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Quote
+ */
+const getQuote = (symbol) => getProvider().getQuote(symbol.toUpperCase());
+
+/**
+ * Get fundamentals for a symbol from the active provider
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Fundamentals (name, sector, market cap, ratios)
+ */
+const getFundamentals = (symbol) => getProvider().getFundamentals(symbol.toUpperCase());
+
+module.exports = {
+  registerProvider,
+  createProvider,
+  getProvider,
+  setProvider,
+  getHistoricalBars,
+  getQuote,
+  getFundamentals
+};
@@ -0,0 +1,42 @@
+const { marketDataClient } = require('../../utils/apiClient');
+
+/**
+ * Create a market-data provider backed by the market data REST API.
+ *
+ * This is the adapter for the vendor configured in utils/apiClient and a
+ * template for other vendor adapters: map the vendor's responses onto the
+ * provider interface (bars of timestamp/open/high/low/close/volume, quotes and
+ * fundamentals) and nothing else needs to change.
+ *
+ * @param {Object} options - Provider options
+ * @param {Object} options.client - Axios instance to use (default: marketDataClient)
+ * @returns {Object} Market-data provider
+ */
+const createRestProvider = (options = {}) => {
+  const client = options.client || marketDataClient;
+
+  return {
+    name: 'rest',
+
+    getHistoricalBars: async (symbol, { timeframe = '1d', limit = 100, end } = {}) => {
+      const response = await client.get(`/stocks/historical/${symbol}`, {
+        params: { timeframe, limit, end }
+      });
+      return response.data.bars || response.data;
+    },
+
+    getQuote: async (symbol) => {
+      const response = await client.get(`/stocks/quote/${symbol}`);
+      return { symbol, ...response.data };
+    },
+
+    getFundamentals: async (symbol) => {
+      const response = await client.get(`/stocks/fundamentals/${symbol}`);
+      return { symbol, ...response.data };
+    }
+  };
+};
+
+module.exports = {
+  createRestProvider
+};
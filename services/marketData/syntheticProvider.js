@@ -0,0 +1,270 @@
+const { createSeededRandom, randomNormal, hashString } = require('../../utils/random');
+const {
+  parseTimeframe,
+  resampleBars,
+  getSessionBounds,
+  getSessionMinutes,
+  getSessionDate,
+  isTradingDay
+} = require('../../utils/timeframes');
+
+const SECTORS = [
+  'Technology',
+  'Healthcare',
+  'Financials',
+  'Consumer Discretionary',
+  'Consumer Staples',
+  'Industrials',
+  'Energy',
+  'Utilities',
+  'Materials',
+  'Real Estate',
+  'Communication Services'
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create a market-data provider that generates reproducible synthetic data.
+ *
+ * Every symbol gets its own seeded random walk of daily bars starting at a
+ * fixed date, so the same seed always yields the same bars no matter when or
+ * how often they are requested. Intraday 1m bars of a session are a seeded
+ * Brownian bridge between the day's open and close that exactly reproduces
+ * the daily high, low and volume, so every timeframe rolls up consistently.
+ *
+ * @param {Object} options - Provider options
+ * @param {number|string} options.seed - Seed for the random walks (default: MARKET_DATA_SEED or 42)
+ * @param {string} options.startDate - First date of the generated history (default: 2015-01-01)
+ * @returns {Object} Market-data provider
+ */
+const createSyntheticProvider = (options = {}) => {
+  const seed = options.seed !== undefined ? options.seed : (process.env.MARKET_DATA_SEED || 42);
+  const startTime = Date.parse(options.startDate || process.env.MARKET_DATA_START_DATE || '2015-01-01');
+
+  // Generated series per symbol, extended on demand as time passes
+  const seriesCache = new Map();
+
+  /**
+   * Get the generator state for a symbol, creating it on first use
+   * @param {string} symbol - Stock symbol
+   * @returns {Object} Series state with bars and the generator parameters
+   */
+  const getSeries = (symbol) => {
+    if (!seriesCache.has(symbol)) {
+      const random = createSeededRandom(`${seed}:${symbol}`);
+      seriesCache.set(symbol, {
+        random,
+        lastClose: 20 + random() * 280,
+        drift: (random() - 0.35) * 0.001,
+        volatility: 0.008 + random() * 0.017,
+        baseVolume: 200000 + random() * 4800000,
+        nextTime: startTime,
+        bars: []
+      });
+    }
+    return seriesCache.get(symbol);
+  };
+
+  /**
+   * Extend a symbol's daily series up to the given time
+   * @param {Object} series - Series state
+   * @param {number} endTime - Timestamp (ms) up to which bars are generated
+   */
+  const extendSeries = (series, endTime) => {
+    const { random, drift, volatility, baseVolume } = series;
+
+    while (series.nextTime <= endTime) {
+      const time = series.nextTime;
+      series.nextTime += DAY_MS;
+
+      // No bars on weekends and exchange holidays
+      if (!isTradingDay(getSessionDate(time, false))) {
+        continue;
+      }
+
+      const open = series.lastClose * (1 + randomNormal(random) * volatility * 0.2);
+      const close = Math.max(open * Math.exp(drift + volatility * randomNormal(random)), 0.01);
+      const high = Math.max(open, close) * (1 + Math.abs(randomNormal(random)) * volatility * 0.5);
+      const low = Math.min(open, close) * (1 - Math.abs(randomNormal(random)) * volatility * 0.5);
+      const volume = Math.round(baseVolume * Math.exp(0.3 * randomNormal(random)));
+
+      series.bars.push({
+        timestamp: new Date(time).toISOString(),
+        open,
+        high,
+        low,
+        close,
+        volume
+      });
+      series.lastClose = close;
+    }
+  };
+
+  /**
+   * Generate the 1m bars of one session from its daily bar
+   * @param {string} symbol - Stock symbol
+   * @param {Object} dailyBar - Daily bar of the session
+   * @returns {Array} 1m bars covering the regular session
+   */
+  const getMinuteBars = (symbol, dailyBar) => {
+    const date = dailyBar.timestamp.slice(0, 10);
+    const random = createSeededRandom(`${seed}:${symbol}:${date}`);
+    const minutes = getSessionMinutes();
+    const { open: sessionOpen } = getSessionBounds(date);
+    const { open, high, low, close, volume } = dailyBar;
+
+    // Brownian bridge from 0 to 0, scaled to the day's range around the open-close line
+    const walk = [0];
+    for (let i = 1; i <= minutes; i++) {
+      walk.push(walk[i - 1] + randomNormal(random));
+    }
+    const bridge = walk.map((value, i) => value - (i / minutes) * walk[minutes]);
+    const bridgeRange = Math.max(...bridge) - Math.min(...bridge) || 1;
+    const scale = ((high - low) / bridgeRange) * 0.8;
+    const points = bridge.map((value, i) => {
+      const price = open + (close - open) * (i / minutes) + value * scale;
+      return Math.min(Math.max(price, low), high);
+    });
+    points[0] = open;
+    points[minutes] = close;
+
+    // U-shaped intraday volume profile, normalized to the daily volume
+    const weights = points.slice(1).map((_, i) => {
+      const position = (i / minutes - 0.5) * 2;
+      return (1 + 1.5 * position * position) * Math.exp(0.2 * randomNormal(random));
+    });
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+    const bars = [];
+    let allocatedVolume = 0;
+    for (let i = 0; i < minutes; i++) {
+      const barOpen = points[i];
+      const barClose = points[i + 1];
+      const wick = Math.abs(randomNormal(random)) * scale * 0.3;
+      const barVolume = i === minutes - 1
+        ? volume - allocatedVolume
+        : Math.floor(volume * weights[i] / totalWeight);
+      allocatedVolume += barVolume;
+
+      bars.push({
+        timestamp: new Date(sessionOpen + i * 60 * 1000).toISOString(),
+        open: barOpen,
+        high: Math.min(Math.max(barOpen, barClose) + wick, high),
+        low: Math.max(Math.min(barOpen, barClose) - wick, low),
+        close: barClose,
+        volume: barVolume
+      });
+    }
+
+    // The session's extremes are reached by exactly one bar each
+    bars.reduce((max, bar) => (bar.high > max.high ? bar : max)).high = high;
+    bars.reduce((min, bar) => (bar.low < min.low ? bar : min)).low = low;
+
+    return bars;
+  };
+
+  /**
+   * Get daily bars for a symbol as of a given time. A session still in
+   * progress at that time is represented by the bars traded so far.
+   * @param {string} symbol - Stock symbol
+   * @param {number} endTime - Timestamp (ms) of the last bar to include
+   * @returns {Array} Daily bars
+   */
+  const getDailyBars = (symbol, endTime) => {
+    const series = getSeries(symbol);
+    extendSeries(series, endTime);
+
+    const bars = series.bars.filter(bar => Date.parse(bar.timestamp) <= endTime);
+    const lastBar = bars[bars.length - 1];
+    if (!lastBar || endTime >= getSessionBounds(lastBar.timestamp.slice(0, 10)).close) {
+      return bars;
+    }
+
+    const tradedSoFar = getMinuteBars(symbol, lastBar).filter(bar => Date.parse(bar.timestamp) <= endTime);
+    return tradedSoFar.length > 0
+      ? bars.slice(0, -1).concat(resampleBars(tradedSoFar, '1d', { sourceTimeframe: '1m' }))
+      : bars.slice(0, -1);
+  };
+
+  /**
+   * Get intraday bars for a symbol up to a given time
+   * @param {string} symbol - Stock symbol
+   * @param {Object} timeframe - Intraday timeframe definition
+   * @param {number} limit - Number of bars
+   * @param {number} endTime - Timestamp (ms) of the last bar to include
+   * @returns {Array} Intraday bars
+   */
+  const getIntradayBars = (symbol, timeframe, limit, endTime) => {
+    const series = getSeries(symbol);
+    extendSeries(series, endTime);
+
+    const barsPerSession = Math.ceil(getSessionMinutes() / timeframe.minutes);
+    const sessions = Math.ceil(limit / barsPerSession) + 1;
+    const minuteBars = series.bars
+      .filter(bar => Date.parse(bar.timestamp) <= endTime)
+      .slice(-sessions)
+      .flatMap(dailyBar => getMinuteBars(symbol, dailyBar))
+      .filter(bar => Date.parse(bar.timestamp) <= endTime);
+
+    return resampleBars(minuteBars, timeframe.name, { sourceTimeframe: '1m' }).slice(-limit);
+  };
+
+  return {
+    name: 'synthetic',
+
+    getHistoricalBars: async (symbol, { timeframe = '1d', limit = 100, end } = {}) => {
+      const definition = parseTimeframe(timeframe);
+      const endTime = end ? new Date(end).getTime() : Date.now();
+
+      if (definition.intraday) {
+        return getIntradayBars(symbol, definition, limit, endTime);
+      }
+
+      const dailyBars = getDailyBars(symbol, endTime);
+      if (timeframe === '1d') {
+        return dailyBars.slice(-limit);
+      }
+      return resampleBars(dailyBars, timeframe, { sourceTimeframe: '1d' }).slice(-limit);
+    },
+
+    getQuote: async (symbol) => {
+      // The latest traded minute; outside the session, the last close
+      const [lastBar] = getIntradayBars(symbol, parseTimeframe('1m'), 1, Date.now());
+      const spread = lastBar.close * 0.0005;
+
+      return {
+        symbol,
+        price: lastBar.close,
+        bid: lastBar.close - spread,
+        ask: lastBar.close + spread,
+        volume: lastBar.volume,
+        timestamp: new Date(Math.min(Date.parse(lastBar.timestamp) + 60 * 1000, Date.now())).toISOString()
+      };
+    },
+
+    getFundamentals: async (symbol) => {
+      const random = createSeededRandom(`${seed}:${symbol}:fundamentals`);
+      const bars = getDailyBars(symbol, Date.now());
+      const price = bars[bars.length - 1].close;
+      const eps = price / (8 + random() * 32);
+      const sharesOutstanding = Math.round(50e6 + random() * 5e9);
+
+      return {
+        symbol,
+        name: `${symbol} Inc.`,
+        sector: SECTORS[hashString(`${seed}:${symbol}`) % SECTORS.length],
+        marketCap: price * sharesOutstanding,
+        sharesOutstanding,
+        eps,
+        peRatio: price / eps,
+        dividendYield: random() < 0.4 ? 0 : random() * 0.04,
+        beta: 0.5 + random() * 1.2
+      };
+    }
+  };
+};
+
+module.exports = {
+  createSyntheticProvider
+};
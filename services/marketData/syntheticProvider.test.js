@@ -0,0 +1,87 @@
+const { createSyntheticProvider } = require('./syntheticProvider');
+const { resampleBars } = require('../../utils/timeframes');
+
+const END = '2024-07-10T20:00:00.000Z';
+
+describe('createSyntheticProvider', () => {
+  test('yields the same bars for the same seed', async () => {
+    const first = await createSyntheticProvider({ seed: 7 }).getHistoricalBars('AAPL', { limit: 50, end: END });
+    const second = await createSyntheticProvider({ seed: 7 }).getHistoricalBars('AAPL', { limit: 50, end: END });
+
+    expect(first).toHaveLength(50);
+    expect(second).toEqual(first);
+  });
+
+  test('yields the same bars however often and in whatever order they are requested', async () => {
+    const provider = createSyntheticProvider({ seed: 7 });
+    const later = await provider.getHistoricalBars('AAPL', { limit: 20, end: END });
+    await provider.getHistoricalBars('MSFT', { limit: 5, end: END });
+    const earlier = await provider.getHistoricalBars('AAPL', { limit: 10, end: '2024-07-01T20:00:00.000Z' });
+
+    const fresh = await createSyntheticProvider({ seed: 7 }).getHistoricalBars('AAPL', { limit: 20, end: END });
+    expect(later).toEqual(fresh);
+    expect(earlier[earlier.length - 1]).toEqual(fresh.find(bar => bar.timestamp === '2024-07-01T00:00:00.000Z'));
+  });
+
+  test('yields different bars for different seeds and symbols', async () => {
+    const [bar] = await createSyntheticProvider({ seed: 7 }).getHistoricalBars('AAPL', { limit: 1, end: END });
+    const [otherSeed] = await createSyntheticProvider({ seed: 8 }).getHistoricalBars('AAPL', { limit: 1, end: END });
+    const [otherSymbol] = await createSyntheticProvider({ seed: 7 }).getHistoricalBars('MSFT', { limit: 1, end: END });
+
+    expect(otherSeed.close).not.toBe(bar.close);
+    expect(otherSymbol.close).not.toBe(bar.close);
+  });
+
+  test('has no bars on weekends and exchange holidays', async () => {
+    const bars = await createSyntheticProvider({ seed: 7 }).getHistoricalBars('AAPL', { limit: 8, end: END });
+
+    expect(bars.map(bar => bar.timestamp.slice(0, 10))).toEqual([
+      '2024-06-28', '2024-07-01', '2024-07-02', '2024-07-03', '2024-07-05', '2024-07-08', '2024-07-09', '2024-07-10'
+    ]);
+  });
+
+  test('generates consistent OHLC bars', async () => {
+    const bars = await createSyntheticProvider({ seed: 7 }).getHistoricalBars('AAPL', { limit: 100, end: END });
+
+    bars.forEach(bar => {
+      expect(bar.high).toBeGreaterThanOrEqual(Math.max(bar.open, bar.close));
+      expect(bar.low).toBeLessThanOrEqual(Math.min(bar.open, bar.close));
+      expect(bar.low).toBeGreaterThan(0);
+      expect(Number.isInteger(bar.volume)).toBe(true);
+    });
+  });
+
+  test('generates intraday bars that roll up into the daily bar', async () => {
+    const provider = createSyntheticProvider({ seed: 7 });
+    const [daily] = await provider.getHistoricalBars('AAPL', { limit: 1, end: END });
+    const minutes = await provider.getHistoricalBars('AAPL', { timeframe: '1m', limit: 390, end: END });
+    const [rolledUp] = resampleBars(minutes, '1d', { sourceTimeframe: '1m' });
+
+    expect(minutes).toHaveLength(390);
+    expect(minutes[0].timestamp).toBe('2024-07-10T13:30:00.000Z');
+    expect(rolledUp).toEqual(daily);
+  });
+
+  test('resamples daily bars into higher timeframes', async () => {
+    const provider = createSyntheticProvider({ seed: 7 });
+    const daily = await provider.getHistoricalBars('AAPL', { limit: 3, end: END });
+    const [week] = await provider.getHistoricalBars('AAPL', { timeframe: '1w', limit: 1, end: END });
+
+    expect(week).toMatchObject({
+      timestamp: '2024-07-08T00:00:00.000Z',
+      open: daily[0].open,
+      close: daily[2].close,
+      volume: daily.reduce((sum, bar) => sum + bar.volume, 0)
+    });
+  });
+
+  test('builds the bar of a session in progress from the minutes traded so far', async () => {
+    const provider = createSyntheticProvider({ seed: 7 });
+    const [full] = await provider.getHistoricalBars('AAPL', { limit: 1, end: END });
+    const [partial] = await provider.getHistoricalBars('AAPL', { limit: 1, end: '2024-07-10T15:00:00.000Z' });
+
+    expect(partial.timestamp).toBe(full.timestamp);
+    expect(partial.open).toBe(full.open);
+    expect(partial.volume).toBeLessThan(full.volume);
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Market feed
+ *
+ * Turns market data into a stream of `quote` and `bar` events for the symbols
+ * subscribed to it. A feed runs on its own clock:
+ *
+ * - live (default): the current time. Quotes come from the quote service, so
+ *   streamed prices are the prices trading uses.
+ * - replay: starts at a past time and runs `speed` times faster than real
+ *   time. Quotes are the closes of the replayed bars. Replays of the synthetic
+ *   and file providers need no network, and the same start replays the same
+ *   prices.
+ *
+ * Bars are emitted once complete. Feeds poll every STREAM_INTERVAL_MS
+ * (default: one second) while they have subscriptions.
+ */
+
+const { EventEmitter } = require('events');
+const marketData = require('./marketData');
+const quoteService = require('./quoteService');
+const { parseTimeframe } = require('../utils/timeframes');
+const logger = require('../utils/logger');
+
+const DEFAULT_INTERVAL_MS = 1000;
+const MAX_BARS_PER_POLL = 500;
+
+/**
+ * Bar timeframe of feeds created without one
+ * @returns {string} STREAM_BAR_TIMEFRAME, default 1m
+ */
+const getDefaultBarTimeframe = () => process.env.STREAM_BAR_TIMEFRAME || '1m';
+
+/**
+ * Create a feed
+ * @param {Object} options - Feed options
+ * @param {string} options.replayFrom - ISO time to replay from (default: live)
+ * @param {number} options.speed - Replay speed, market time per real time (default: 1)
+ * @param {string} options.timeframe - Bar timeframe (default: STREAM_BAR_TIMEFRAME or 1m)
+ * @returns {Object} Feed with events (quote, bar and symbol_error), subscribe, unsubscribe, getSymbols,
+ * getLatest, now and stop functions
+ */
+const createFeed = ({ replayFrom = null, speed = 1, timeframe = getDefaultBarTimeframe() } = {}) => {
+  const barMs = parseTimeframe(timeframe).minutes * 60 * 1000;
+  const intervalMs = Number(process.env.STREAM_INTERVAL_MS) || DEFAULT_INTERVAL_MS;
+  const startedAt = Date.now();
+  const replayStart = replayFrom ? Date.parse(replayFrom) : null;
+
+  const events = new EventEmitter();
+  // Per symbol: number of subscriptions, last emitted quote and bar, last error
+  const symbols = new Map();
+  let timer = null;
+  let polling = false;
+
+  /**
+   * Current time on the feed's clock
+   * @returns {number} Time in ms
+   */
+  const now = () => (replayStart === null ? Date.now() : replayStart + (Date.now() - startedAt) * speed);
+
+  /**
+   * Emit the bars of a symbol completed since the last poll; the first poll
+   * emits only the latest complete bar
+   * @param {string} symbol - Stock symbol
+   * @param {Object} entry - Symbol state
+   * @param {number} clock - Feed time in ms
+   * @returns {Promise<Array>} Emitted bars
+   */
+  const pollBars = async (symbol, entry, clock) => {
+    const limit = Math.min(MAX_BARS_PER_POLL, Math.ceil((intervalMs * speed) / barMs) + 2);
+    const bars = await marketData.getHistoricalBars(symbol, { timeframe, limit, end: new Date(clock).toISOString() });
+    const complete = bars.filter((bar, index) => index < bars.length - 1 || Date.parse(bar.timestamp) + barMs <= clock);
+    const fresh = entry.lastBarTime === null
+      ? complete.slice(-1)
+      : complete.filter(bar => Date.parse(bar.timestamp) > entry.lastBarTime);
+
+    fresh.forEach(bar => {
+      entry.lastBarTime = Date.parse(bar.timestamp);
+      entry.lastBar = { symbol, timeframe, ...bar };
+      events.emit('bar', entry.lastBar);
+    });
+    return fresh;
+  };
+
+  /**
+   * Emit a quote unless its prices and volume repeat the last one's
+   * @param {Object} entry - Symbol state
+   * @param {Object} quote - Quote
+   */
+  const emitQuote = (entry, quote) => {
+    const last = entry.lastQuote;
+    if (last && ['price', 'bid', 'ask', 'volume'].every(field => last[field] === quote[field])) {
+      return;
+    }
+    entry.lastQuote = quote;
+    events.emit('quote', quote);
+  };
+
+  /**
+   * Poll one symbol for new bars and quotes
+   * @param {string} symbol - Stock symbol
+   * @param {number} clock - Feed time in ms
+   */
+  const pollSymbol = async (symbol, clock) => {
+    const entry = symbols.get(symbol);
+    try {
+      const bars = await pollBars(symbol, entry, clock);
+      if (replayStart === null) {
+        emitQuote(entry, await quoteService.getQuote(symbol));
+      } else if (bars.length > 0) {
+        const bar = bars[bars.length - 1];
+        emitQuote(entry, {
+          symbol,
+          price: bar.close,
+          volume: bar.volume,
+          timestamp: new Date(Math.min(Date.parse(bar.timestamp) + barMs, clock)).toISOString()
+        });
+      }
+      entry.error = null;
+    } catch (error) {
+      // Report a failing symbol once, not on every poll
+      if (entry.error !== error.message) {
+        logger.error(`Error streaming ${symbol}: ${error.message}`);
+        events.emit('symbol_error', { symbol, message: error.message });
+      }
+      entry.error = error.message;
+    }
+  };
+
+  /**
+   * Poll every subscribed symbol
+   * @returns {Promise<void>}
+   */
+  const poll = async () => {
+    // Skip a tick rather than overlap a slow poll
+    if (polling) {
+      return;
+    }
+    polling = true;
+    try {
+      const clock = now();
+      await Promise.all([...symbols.keys()].map(symbol => pollSymbol(symbol, clock)));
+    } finally {
+      polling = false;
+    }
+  };
+
+  /**
+   * Stop polling
+   */
+  const stop = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  /**
+   * Subscribe to symbols; each subscription counts until unsubscribed
+   * @param {Array} list - Stock symbols
+   */
+  const subscribe = (list) => {
+    list.forEach(symbol => {
+      const entry = symbols.get(symbol);
+      if (entry) {
+        entry.count += 1;
+      } else {
+        symbols.set(symbol, { count: 1, lastQuote: null, lastBar: null, lastBarTime: null, error: null });
+      }
+    });
+    if (!timer && symbols.size > 0) {
+      timer = setInterval(poll, intervalMs);
+      timer.unref();
+    }
+    poll();
+  };
+
+  /**
+   * Drop subscriptions to symbols; polling stops with the last one
+   * @param {Array} list - Stock symbols
+   */
+  const unsubscribe = (list) => {
+    list.forEach(symbol => {
+      const entry = symbols.get(symbol);
+      if (entry && --entry.count <= 0) {
+        symbols.delete(symbol);
+      }
+    });
+    if (symbols.size === 0) {
+      stop();
+    }
+  };
+
+  /**
+   * Latest quote and bar emitted for a symbol
+   * @param {string} symbol - Stock symbol
+   * @returns {Object} quote and bar, null before the first poll
+   */
+  const getLatest = (symbol) => {
+    const entry = symbols.get(symbol);
+    return { quote: entry ? entry.lastQuote : null, bar: entry ? entry.lastBar : null };
+  };
+
+  return {
+    events,
+    replay: replayStart === null ? null : { from: new Date(replayStart).toISOString(), speed },
+    timeframe,
+    subscribe,
+    unsubscribe,
+    getSymbols: () => [...symbols.keys()],
+    getLatest,
+    now,
+    stop
+  };
+};
+
+module.exports = {
+  getDefaultBarTimeframe,
+  createFeed
+};
@@ -0,0 +1,306 @@
+/**
+ * Portfolio performance
+ *
+ * Rebuilds an account's daily value from its history instead of guessing it:
+ * starting from the account's funding, its deposits, withdrawals and fills
+ * are replayed session by session and the positions held at the end of each
+ * session are valued at that day's closing prices. The snapshots give the
+ * time- and money-weighted returns, risk metrics and a comparison with a
+ * benchmark (PERFORMANCE_BENCHMARK, default SPY) over the requested period.
+ */
+
+const marketData = require('./marketData');
+const quoteService = require('./quoteService');
+const tradingService = require('./tradingService');
+const { getStore } = require('../utils/storage');
+const { getLocalTime, isTradingDay } = require('../utils/timeframes');
+const {
+  getDailyReturns,
+  chainReturns,
+  annualize,
+  moneyWeightedReturn,
+  getRiskMetrics,
+  compareWithBenchmark
+} = require('../utils/performanceMetrics');
+const { httpError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = ['1d', '1w', '1m', '3m', 'ytd', '1y', 'all'];
+
+/**
+ * Session date of a time, in market time
+ * @param {string} timestamp - ISO time
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const getSessionDay = (timestamp) => getLocalTime(Date.parse(timestamp)).date;
+
+/**
+ * Move a date by a number of days
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const addDays = (date, days) => new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Move a date by a number of months
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {number} months - Months to add (negative to go back)
+ * @returns {string} Date (YYYY-MM-DD)
+ */
+const addMonths = (date, months) => {
+  const moved = new Date(`${date}T00:00:00Z`);
+  moved.setUTCMonth(moved.getUTCMonth() + months);
+  return moved.toISOString().slice(0, 10);
+};
+
+/**
+ * Last trading day on or before a date
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} Trading day (YYYY-MM-DD)
+ */
+const getTradingDayOnOrBefore = (date) => {
+  let day = date;
+  while (!isTradingDay(day)) {
+    day = addDays(day, -1);
+  }
+  return day;
+};
+
+/**
+ * Day whose closing value a period's return is measured from
+ * @param {string} period - Period (see PERIODS)
+ * @param {string} today - Current session date
+ * @param {string} fundedDay - Session date the account was funded
+ * @returns {string} Trading day (YYYY-MM-DD)
+ */
+const getBaselineDay = (period, today, fundedDay) => {
+  // The day before the funding, when the account was still empty
+  const beforeFunding = getTradingDayOnOrBefore(addDays(fundedDay, -1));
+  const starts = {
+    '1d': addDays(today, -1),
+    '1w': addDays(today, -7),
+    '1m': addMonths(today, -1),
+    '3m': addMonths(today, -3),
+    ytd: addDays(`${today.slice(0, 4)}-01-01`, -1),
+    '1y': addMonths(today, -12),
+    all: beforeFunding
+  };
+  const baseline = getTradingDayOnOrBefore(starts[period]);
+  return baseline < beforeFunding ? beforeFunding : baseline;
+};
+
+/**
+ * Trading days from the baseline to today; today is always included so
+ * fills on a weekend count
+ * @param {string} baseline - First day (YYYY-MM-DD)
+ * @param {string} today - Current session date
+ * @returns {Array} Dates (YYYY-MM-DD), oldest first
+ */
+const getDays = (baseline, today) => {
+  const days = [];
+  for (let day = baseline; day < today; day = addDays(day, 1)) {
+    if (isTradingDay(day)) {
+      days.push(day);
+    }
+  }
+  return [...days, today];
+};
+
+/**
+ * Get daily closes of a symbol covering a number of trading days
+ * @param {string} symbol - Stock symbol
+ * @param {number} days - Number of trading days
+ * @returns {Promise<Array>} Points of date and close, oldest first
+ */
+const getCloses = async (symbol, days) => {
+  const bars = await marketData.getHistoricalBars(symbol, { timeframe: '1d', limit: days + 5 });
+  return bars.map(bar => ({ date: bar.timestamp.slice(0, 10), close: bar.close }));
+};
+
+/**
+ * Close of a series on or before a day
+ * @param {Array} closes - Points of date and close, oldest first
+ * @param {string} day - Date (YYYY-MM-DD)
+ * @returns {number|null} Close, null before the series starts
+ */
+const getCloseOn = (closes, day) => {
+  let close = null;
+  for (let i = 0; i < closes.length && closes[i].date <= day; i++) {
+    close = closes[i].close;
+  }
+  return close;
+};
+
+/**
+ * Rebuild an account's value at the end of each day
+ * @param {Object} account - Account record
+ * @param {Array} days - Dates (YYYY-MM-DD), oldest first
+ * @returns {Promise<Array>} Snapshots of date, value, cash, positionsValue and the day's external cashFlow
+ */
+const buildSnapshots = async (account, days) => {
+  const store = getStore();
+  const fills = store.getAll('fills', fill => fill.accountId === account.id)
+    .map(fill => ({ ...fill, day: getSessionDay(fill.timestamp) }))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  const flows = [
+    { amount: account.initialCash, timestamp: account.fundedAt },
+    ...store.getAll('cashFlows', flow => flow.accountId === account.id)
+  ]
+    .map(flow => ({ ...flow, day: getSessionDay(flow.timestamp) }))
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+  const symbols = [...new Set(fills.map(fill => fill.symbol))];
+  const closes = {};
+  await Promise.all(symbols.map(async symbol => {
+    closes[symbol] = await getCloses(symbol, days.length);
+  }));
+  // Today is valued at the current quotes, the prices the portfolio is marked at
+  const { quotes } = await quoteService.getQuotes(symbols);
+
+  const quantities = {};
+  const lastFillPrices = {};
+  let cash = 0;
+  let fillIndex = 0;
+  let flowIndex = 0;
+
+  const snapshots = days.map((day, dayIndex) => {
+    let cashFlow = 0;
+    for (; flowIndex < flows.length && flows[flowIndex].day <= day; flowIndex++) {
+      cash += flows[flowIndex].amount;
+      cashFlow += flows[flowIndex].amount;
+    }
+    for (; fillIndex < fills.length && fills[fillIndex].day <= day; fillIndex++) {
+      const fill = fills[fillIndex];
+      const sign = fill.action === 'buy' ? 1 : -1;
+      cash -= sign * fill.value + fill.commission;
+      quantities[fill.symbol] = (quantities[fill.symbol] || 0) + sign * fill.quantity;
+      lastFillPrices[fill.symbol] = fill.price;
+    }
+
+    // Symbols without a close yet are valued at their last fill price
+    const positionsValue = Object.keys(quantities).reduce((sum, symbol) => {
+      if (dayIndex === days.length - 1 && quotes[symbol]) {
+        return sum + quantities[symbol] * quotes[symbol].price;
+      }
+      const close = getCloseOn(closes[symbol], day);
+      return sum + quantities[symbol] * (close === null ? lastFillPrices[symbol] : close);
+    }, 0);
+
+    return { date: day, value: cash + positionsValue, cash, positionsValue, cashFlow };
+  });
+
+  // Borrow fees are not recorded per day: the last snapshot uses the actual cash
+  const last = snapshots[snapshots.length - 1];
+  last.value += account.cash - last.cash;
+  last.cash = account.cash;
+
+  return snapshots;
+};
+
+/**
+ * Analyze an account's performance over a period from its actual history
+ * @param {string} period - 1d, 1w, 1m (default), 3m, ytd, 1y or all (since the account was funded)
+ * @param {string} accountId - Account id (default: default)
+ * @param {Object} options - Options
+ * @param {string} options.benchmark - Benchmark symbol (default: PERFORMANCE_BENCHMARK or SPY)
+ * @returns {Promise<Object>} Returns, risk metrics, benchmark comparison and daily values
+ */
+const analyzePerformance = async (period = '1m', accountId = tradingService.DEFAULT_ACCOUNT_ID, { benchmark } = {}) => {
+  if (!PERIODS.includes(period)) {
+    throw httpError(`Invalid period "${period}". Use one of: ${PERIODS.join(', ')}`, 400);
+  }
+  const account = tradingService.getAccount(accountId);
+  const benchmarkSymbol = (benchmark || process.env.PERFORMANCE_BENCHMARK || 'SPY').toUpperCase();
+  const riskFreeRate = Number(process.env.PERFORMANCE_RISK_FREE_RATE) || 0;
+
+  try {
+    logger.info(`Analyzing performance of account ${account.id} for period ${period} against ${benchmarkSymbol}`);
+
+    const today = getSessionDay(new Date().toISOString());
+    const days = getDays(getBaselineDay(period, today, getSessionDay(account.fundedAt)), today);
+    const snapshots = await buildSnapshots(account, days);
+
+    // A missing benchmark leaves out the comparison, not the analysis
+    let benchmarkValues = null;
+    try {
+      const closes = await getCloses(benchmarkSymbol, days.length);
+      benchmarkValues = days.map(day => getCloseOn(closes, day));
+    } catch (error) {
+      logger.warn(`No prices for benchmark ${benchmarkSymbol}: ${error.message}`);
+    }
+
+    const first = snapshots[0];
+    const last = snapshots[snapshots.length - 1];
+    const periodDays = (Date.parse(last.date) - Date.parse(first.date)) / DAY_MS;
+    const periodFlows = snapshots.slice(1).filter(snapshot => snapshot.cashFlow !== 0);
+    const netCashFlow = periodFlows.reduce((sum, snapshot) => sum + snapshot.cashFlow, 0);
+
+    const returns = getDailyReturns(snapshots);
+    const timeWeightedReturn = chainReturns(returns);
+    const risk = getRiskMetrics(returns, { riskFreeRate });
+    const irr = moneyWeightedReturn(
+      [{ date: first.date, cashFlow: first.value }, ...periodFlows]
+        .map(({ date, cashFlow }) => ({ timestamp: Date.parse(date), amount: cashFlow })),
+      last.value,
+      Date.parse(last.date)
+    );
+
+    let benchmarkResult = null;
+    let comparison = { beta: null, alpha: null, correlation: null };
+    if (benchmarkValues && benchmarkValues[0] !== null) {
+      const benchmarkReturns = benchmarkValues.slice(1).map((value, index) => value / benchmarkValues[index] - 1);
+      const benchmarkReturn = benchmarkValues[benchmarkValues.length - 1] / benchmarkValues[0] - 1;
+      const benchmarkAnnualized = annualize(benchmarkReturn, periodDays);
+      const benchmarkRisk = getRiskMetrics(benchmarkReturns, { riskFreeRate });
+      benchmarkResult = {
+        symbol: benchmarkSymbol,
+        percentReturn: benchmarkReturn * 100,
+        annualizedReturn: benchmarkAnnualized === null ? null : benchmarkAnnualized * 100,
+        volatility: benchmarkRisk.volatility * 100,
+        sharpeRatio: benchmarkRisk.sharpeRatio,
+        maxDrawdown: benchmarkRisk.maxDrawdown * 100
+      };
+      comparison = compareWithBenchmark(returns, benchmarkReturns, { riskFreeRate });
+    }
+
+    const annualizedReturn = annualize(timeWeightedReturn, periodDays);
+    return {
+      accountId: account.id,
+      period,
+      startDate: first.date,
+      endDate: last.date,
+      startValue: first.value,
+      currentValue: last.value,
+      netCashFlow,
+      absoluteReturn: last.value - first.value - netCashFlow,
+      percentReturn: timeWeightedReturn * 100,
+      annualizedReturn: annualizedReturn === null ? null : annualizedReturn * 100,
+      timeWeightedReturn: timeWeightedReturn * 100,
+      moneyWeightedReturn: irr === null ? null : (Math.pow(1 + irr, periodDays / 365) - 1) * 100,
+      volatility: risk.volatility * 100,
+      sharpeRatio: risk.sharpeRatio,
+      maxDrawdown: risk.maxDrawdown * 100,
+      riskFreeRate,
+      benchmark: benchmarkResult,
+      alpha: comparison.alpha === null ? null : comparison.alpha * 100,
+      beta: comparison.beta,
+      correlation: comparison.correlation,
+      historicalValues: snapshots.map((snapshot, index) => ({
+        ...snapshot,
+        dailyReturn: index > 0 && returns[index - 1] !== null ? returns[index - 1] * 100 : null,
+        benchmarkValue: benchmarkValues ? benchmarkValues[index] : null
+      })),
+      timestamp: new Date().toISOString()
+    };
+  } catch (error) {
+    logger.error(`Error analyzing performance: ${error.message}`);
+    throw new Error(`Failed to analyze performance: ${error.message}`);
+  }
+};
+
+module.exports = {
+  PERIODS,
+  analyzePerformance
+};
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./quoteService', () => ({
+  getQuote: jest.fn(),
+  getQuotes: jest.fn(),
+  isStale: () => false,
+  getMaxQuoteAge: () => 60 * 1000
+}));
+jest.mock('./marketData', () => ({ getHistoricalBars: jest.fn() }));
+
+const quoteService = require('./quoteService');
+const marketData = require('./marketData');
+const tradingService = require('./tradingService');
+const { analyzePerformance } = require('./performanceService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'performance-'));
+process.env.STORAGE_FILE = path.join(dir, 'trading.json');
+
+const FRICTIONLESS = { commission: { type: 'none' }, slippage: { type: 'none' } };
+
+// Daily closes by symbol and date
+const CLOSES = {
+  AAPL: { '2024-03-04': 100, '2024-03-05': 110, '2024-03-06': 105 },
+  SPY: { '2024-03-01': 400, '2024-03-04': 404, '2024-03-05': 408, '2024-03-06': 404, '2024-03-07': 412 }
+};
+
+// Current prices by symbol
+const prices = { AAPL: 100 };
+
+/**
+ * Move the clock to a time of day in March 2024
+ * @param {string} date - Date (YYYY-MM-DD)
+ */
+const setDay = (date) => {
+  jest.setSystemTime(Date.parse(`${date}T15:00:00.000Z`));
+};
+
+let accountId;
+
+beforeAll(async () => {
+  // Only the clock is faked, the store and the services keep their timers
+  jest.useFakeTimers({ doNotFake: ['hrtime', 'nextTick', 'performance', 'queueMicrotask', 'setImmediate', 'clearImmediate', 'setInterval', 'clearInterval', 'setTimeout', 'clearTimeout'] });
+
+  quoteService.getQuote.mockImplementation(async (symbol) => ({ symbol, price: prices[symbol], timestamp: new Date().toISOString(), stale: false }));
+  quoteService.getQuotes.mockImplementation(async (symbols) => ({
+    quotes: Object.fromEntries(symbols.map(symbol => [symbol, { symbol, price: prices[symbol] }])),
+    errors: {}
+  }));
+  marketData.getHistoricalBars.mockImplementation(async (symbol) => {
+    if (!CLOSES[symbol]) {
+      throw new Error(`No bars for ${symbol}`);
+    }
+    return Object.entries(CLOSES[symbol]).map(([date, close]) => ({ timestamp: `${date}T05:00:00.000Z`, open: close, high: close, low: close, close, volume: 1000 }));
+  });
+
+  // Funded and invested on Monday, a deposit on Wednesday, analyzed on Thursday
+  setDay('2024-03-04');
+  accountId = tradingService.createAccount({ id: 'performance', initialCash: 10000, execution: FRICTIONLESS }).id;
+  await tradingService.executeOrder({ accountId, symbol: 'AAPL', action: 'buy', quantity: 10 });
+  setDay('2024-03-06');
+  tradingService.transferCash(accountId, { amount: 5000 });
+  setDay('2024-03-07');
+  prices.AAPL = 120;
+});
+
+afterAll(() => {
+  jest.useRealTimers();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('analyzePerformance', () => {
+  test('rebuilds the daily values from the fills, cash flows and closes', async () => {
+    const result = await analyzePerformance('all', accountId);
+
+    expect(result).toMatchObject({ accountId, period: 'all', startDate: '2024-03-01', endDate: '2024-03-07', startValue: 0, currentValue: 15200 });
+    expect(result.historicalValues.map(({ date, value, cashFlow }) => [date, value, cashFlow])).toEqual([
+      ['2024-03-01', 0, 0],
+      ['2024-03-04', 10000, 10000],
+      ['2024-03-05', 10100, 0],
+      ['2024-03-06', 15050, 5000],
+      ['2024-03-07', 15200, 0]
+    ]);
+  });
+
+  test('does not count deposits as performance', async () => {
+    const result = await analyzePerformance('all', accountId);
+
+    expect(result.netCashFlow).toBe(15000);
+    expect(result.absoluteReturn).toBe(200);
+    expect(result.timeWeightedReturn).toBeCloseTo((1.01 * 15200 / 15100 - 1) * 100);
+    expect(result.percentReturn).toBe(result.timeWeightedReturn);
+    expect(result.moneyWeightedReturn).toBeGreaterThan(0);
+    expect(result.maxDrawdown).toBeCloseTo((1 - 15050 / 15100) * 100);
+  });
+
+  test('compares the returns with the benchmark', async () => {
+    const result = await analyzePerformance('all', accountId, { benchmark: 'spy' });
+
+    expect(result.benchmark).toMatchObject({ symbol: 'SPY' });
+    expect(result.benchmark.percentReturn).toBeCloseTo(3);
+    expect(result.historicalValues.map(snapshot => snapshot.benchmarkValue)).toEqual([400, 404, 408, 404, 412]);
+    expect(typeof result.beta).toBe('number');
+    expect(typeof result.alpha).toBe('number');
+  });
+
+  test('measures shorter periods from the close before them', async () => {
+    const result = await analyzePerformance('1d', accountId);
+
+    expect(result).toMatchObject({ startDate: '2024-03-06', startValue: 15050, currentValue: 15200, netCashFlow: 0, absoluteReturn: 150 });
+  });
+
+  test('leaves out the comparison when the benchmark has no prices', async () => {
+    const result = await analyzePerformance('all', accountId, { benchmark: 'NONE' });
+
+    expect(result).toMatchObject({ benchmark: null, alpha: null, beta: null, correlation: null, currentValue: 15200 });
+  });
+
+  test('rejects unknown periods and accounts', async () => {
+    await expect(analyzePerformance('2y', accountId)).rejects.toMatchObject({ status: 400, message: expect.stringContaining('Invalid period "2y"') });
+    await expect(analyzePerformance('1m', 'nope')).rejects.toMatchObject({ status: 404 });
+  });
+});
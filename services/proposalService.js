@@ -0,0 +1,241 @@
+/**
+ * Trade proposals
+ *
+ * In accounts that require approval, orders placed by MCP clients are stored
+ * as proposals instead of being executed. A human approves or rejects each
+ * proposal; an approved proposal executes the order (risk checks apply at that
+ * moment) and records the outcome. Proposals nobody decides on expire after
+ * TRADE_PROPOSAL_TTL_MS (default: one hour).
+ *
+ * Statuses: pending, approved (being executed), executed (the order was
+ * placed), cancelled (the order was placed but cancelled without a fill, as
+ * IOC and FOK orders are), failed (the order was rejected or could not be
+ * placed), rejected and expired. Every change is emitted as a `proposal`
+ * event so clients can be notified. Expired proposals are swept on every run
+ * of the order matching loop.
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const tradingService = require('./tradingService');
+const { getStore } = require('../utils/storage');
+const { validateOrder } = require('../utils/orderTypes');
+const { httpError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const PROPOSAL_STATUSES = ['pending', 'approved', 'executed', 'cancelled', 'failed', 'rejected', 'expired'];
+
+// Proposal status for each status of an order result (see tradingService.executeOrder)
+const OUTCOME_STATUSES = {
+  executed: 'executed',
+  pending: 'executed',
+  cancelled: 'cancelled',
+  rejected: 'failed',
+  error: 'failed'
+};
+const DEFAULT_PROPOSAL_TTL_MS = 60 * 60 * 1000;
+
+const events = new EventEmitter();
+
+/**
+ * Expire pending proposals past their expiry time
+ * @returns {Array} The expired proposals
+ */
+const expireProposals = () => {
+  const now = Date.now();
+  const due = getStore().getAll('proposals', proposal => proposal.status === 'pending' && Date.parse(proposal.expiresAt) <= now);
+  if (due.length === 0) {
+    return [];
+  }
+
+  const expired = getStore().transaction(tables => due.map(({ id }) => {
+    const proposal = tables.proposals[id];
+    proposal.status = 'expired';
+    proposal.decidedAt = new Date(now).toISOString();
+    return { ...proposal };
+  }));
+  expired.forEach(proposal => {
+    logger.info(`Trade proposal ${proposal.id} expired`);
+    events.emit('proposal', proposal);
+  });
+  return expired;
+};
+
+/**
+ * Store an order as a proposal awaiting approval
+ * @param {Object} order - Order details (see orderSchema) with an optional accountId
+ * @param {Object} options - Proposal options
+ * @param {string} options.source - Who proposed the order (default: mcp)
+ * @param {string} options.rationale - Optional explanation from the proposer
+ * @returns {Object} The proposal
+ */
+const createProposal = (order, { source = 'mcp', rationale = null } = {}) => {
+  const validation = validateOrder(order);
+  if (!validation.valid) {
+    const error = httpError(`Invalid order: ${validation.errors.map(e => `${e.field} ${e.message}`).join('; ')}`, 400);
+    error.validationErrors = validation.errors;
+    throw error;
+  }
+  const account = tradingService.getAccount(validation.value.accountId);
+
+  const now = Date.now();
+  const ttl = Number(process.env.TRADE_PROPOSAL_TTL_MS) || DEFAULT_PROPOSAL_TTL_MS;
+  const proposal = {
+    id: `p-${crypto.randomUUID()}`,
+    accountId: account.id,
+    order: validation.value,
+    source,
+    rationale,
+    status: 'pending',
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttl).toISOString(),
+    decidedAt: null,
+    reviewer: null,
+    comment: null,
+    orderId: null,
+    result: null
+  };
+
+  getStore().transaction(tables => {
+    tables.proposals[proposal.id] = proposal;
+  });
+
+  const { action, quantity, symbol, type } = proposal.order;
+  logger.info(`Trade proposal ${proposal.id} from ${source}: ${action} ${quantity} ${symbol} (${type}) in account ${account.id} awaits approval`);
+  events.emit('proposal', proposal);
+
+  return proposal;
+};
+
+/**
+ * List proposals, newest first
+ * @param {Object} options - Filters
+ * @param {string} options.accountId - Only proposals of this account
+ * @param {string} options.status - Only proposals with this status
+ * @returns {Array} Proposals
+ */
+const listProposals = ({ accountId, status } = {}) => {
+  if (status && !PROPOSAL_STATUSES.includes(status)) {
+    throw httpError(`Invalid proposal status "${status}". Use one of: ${PROPOSAL_STATUSES.join(', ')}`, 400);
+  }
+  if (accountId) {
+    tradingService.getAccount(accountId);
+  }
+  expireProposals();
+
+  return getStore().getAll('proposals', proposal => (!accountId || proposal.accountId === accountId)
+    && (!status || proposal.status === status))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+};
+
+/**
+ * Get a proposal by id
+ * @param {string} proposalId - Proposal id
+ * @returns {Object} Proposal
+ */
+const getProposal = (proposalId) => {
+  expireProposals();
+
+  const proposal = getStore().get('proposals', proposalId);
+  if (!proposal) {
+    throw httpError(`Proposal ${proposalId} not found`, 404);
+  }
+  return proposal;
+};
+
+/**
+ * Record a decision on a pending proposal
+ * @param {string} proposalId - Proposal id
+ * @param {Object} changes - Fields to set
+ * @returns {Object} The updated proposal
+ */
+const decide = (proposalId, changes) => getStore().transaction(tables => {
+  const proposal = tables.proposals[proposalId];
+  if (!proposal) {
+    throw httpError(`Proposal ${proposalId} not found`, 404);
+  }
+  if (proposal.status !== 'pending') {
+    throw httpError(`Proposal ${proposalId} is ${proposal.status} and can no longer be decided`, 409);
+  }
+  Object.assign(proposal, changes, { decidedAt: new Date().toISOString() });
+  return { ...proposal };
+});
+
+/**
+ * Approve a pending proposal and execute its order
+ * @param {string} proposalId - Proposal id
+ * @param {Object} options - Decision details
+ * @param {string} options.reviewer - Who approved the proposal
+ * @param {string} options.comment - Optional comment
+ * @returns {Promise<Object>} The proposal with the execution result
+ */
+const approveProposal = async (proposalId, { reviewer = null, comment = null } = {}) => {
+  expireProposals();
+
+  // Claim the proposal before executing, so it cannot be approved twice
+  const proposal = decide(proposalId, { status: 'approved', reviewer, comment });
+  logger.info(`Trade proposal ${proposalId} approved${reviewer ? ` by ${reviewer}` : ''}`);
+
+  let result;
+  try {
+    result = await tradingService.executeOrder(proposal.order);
+  } catch (error) {
+    result = { status: 'error', message: error.message };
+  }
+  const { portfolio, ...outcome } = result;
+  const changes = {
+    status: OUTCOME_STATUSES[result.status] || 'failed',
+    orderId: result.order ? result.order.id : null,
+    result: outcome
+  };
+
+  const decided = getStore().transaction(tables => {
+    const record = tables.proposals[proposalId];
+    // Deleting or resetting the account while the order executed removes the proposal
+    if (!record) {
+      logger.warn(`Trade proposal ${proposalId} was removed while its order executed`);
+      return { ...proposal, ...changes };
+    }
+    Object.assign(record, changes);
+    return { ...record };
+  });
+
+  events.emit('proposal', decided);
+  return decided;
+};
+
+/**
+ * Reject a pending proposal
+ * @param {string} proposalId - Proposal id
+ * @param {Object} options - Decision details
+ * @param {string} options.reviewer - Who rejected the proposal
+ * @param {string} options.comment - Optional reason given to the proposer
+ * @returns {Object} The rejected proposal
+ */
+const rejectProposal = (proposalId, { reviewer = null, comment = null } = {}) => {
+  expireProposals();
+
+  const proposal = decide(proposalId, { status: 'rejected', reviewer, comment });
+  logger.info(`Trade proposal ${proposalId} rejected${reviewer ? ` by ${reviewer}` : ''}`);
+
+  events.emit('proposal', proposal);
+  return proposal;
+};
+
+tradingService.events.on('tick', () => {
+  try {
+    expireProposals();
+  } catch (error) {
+    logger.error(`Error expiring trade proposals: ${error.message}`);
+  }
+});
+
+module.exports = {
+  PROPOSAL_STATUSES,
+  events,
+  createProposal,
+  listProposals,
+  getProposal,
+  approveProposal,
+  rejectProposal
+};
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./quoteService', () => ({
+  getQuote: jest.fn(),
+  getQuotes: jest.fn(),
+  isStale: () => false,
+  getMaxQuoteAge: () => 60 * 1000
+}));
+
+const quoteService = require('./quoteService');
+const tradingService = require('./tradingService');
+const proposalService = require('./proposalService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'proposals-'));
+process.env.STORAGE_FILE = path.join(dir, 'trading.json');
+
+const FRICTIONLESS = { commission: { type: 'none' }, slippage: { type: 'none' } };
+
+let accountCount = 0;
+
+/**
+ * Create an account that requires approval, without trading costs
+ * @param {Object} options - Further account options
+ * @returns {string} Account id
+ */
+const newAccountId = (options = {}) => {
+  accountCount += 1;
+  return tradingService.createAccount({ id: `approval-${accountCount}`, initialCash: 100000, execution: FRICTIONLESS, requireApproval: true, ...options }).id;
+};
+
+/**
+ * Collect the proposal events emitted while running a function
+ * @param {Function} run - Function to run
+ * @returns {Promise<Array>} Emitted proposals
+ */
+const collectEvents = async (run) => {
+  const emitted = [];
+  const listener = proposal => emitted.push(proposal);
+  proposalService.events.on('proposal', listener);
+  try {
+    await run();
+  } finally {
+    proposalService.events.off('proposal', listener);
+  }
+  return emitted;
+};
+
+beforeAll(() => {
+  quoteService.getQuote.mockImplementation(async (symbol) => ({ symbol, price: 100, volume: 10000, timestamp: new Date().toISOString(), stale: false }));
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('createProposal', () => {
+  test('stores a valid order awaiting approval', async () => {
+    const accountId = newAccountId();
+
+    const emitted = await collectEvents(() => proposalService.createProposal({ accountId, symbol: 'AAPL', action: 'buy', quantity: '5' }, { rationale: 'Momentum' }));
+
+    const [proposal] = emitted;
+    expect(proposal).toMatchObject({
+      accountId,
+      order: { symbol: 'AAPL', action: 'buy', quantity: 5, type: 'market' },
+      source: 'mcp',
+      rationale: 'Momentum',
+      status: 'pending',
+      expiresAt: expect.any(String)
+    });
+    expect(proposalService.getProposal(proposal.id)).toEqual(proposal);
+    expect(proposalService.listProposals({ accountId, status: 'pending' })).toEqual([proposal]);
+  });
+
+  test('rejects invalid orders and unknown accounts', () => {
+    expect(() => proposalService.createProposal({ symbol: 'AAPL', action: 'hold', quantity: 1 })).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringContaining('Invalid order')
+    }));
+    expect(() => proposalService.createProposal({ accountId: 'nope', symbol: 'AAPL', action: 'buy', quantity: 1 })).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('approveProposal', () => {
+  test('executes the order and records the outcome', async () => {
+    const accountId = newAccountId();
+    const { id } = proposalService.createProposal({ accountId, symbol: 'AAPL', action: 'buy', quantity: 5 });
+
+    const proposal = await proposalService.approveProposal(id, { reviewer: 'alice', comment: 'ok' });
+
+    expect(proposal).toMatchObject({ status: 'executed', reviewer: 'alice', comment: 'ok', orderId: expect.any(String), decidedAt: expect.any(String) });
+    expect(proposal.result).toMatchObject({ status: 'executed' });
+    expect(proposal.result.portfolio).toBeUndefined();
+    expect(tradingService.getPortfolio(accountId).positions).toEqual([expect.objectContaining({ symbol: 'AAPL', quantity: 5 })]);
+  });
+
+  test('can only decide a proposal once', async () => {
+    const { id } = proposalService.createProposal({ accountId: newAccountId(), symbol: 'AAPL', action: 'buy', quantity: 1 });
+    await proposalService.approveProposal(id);
+
+    await expect(proposalService.approveProposal(id)).rejects.toMatchObject({
+      status: 409,
+      message: `Proposal ${id} is executed and can no longer be decided`
+    });
+    expect(() => proposalService.rejectProposal(id)).toThrow(expect.objectContaining({ status: 409 }));
+    await expect(proposalService.approveProposal('p-missing')).rejects.toMatchObject({ status: 404 });
+  });
+
+  test('records orders cancelled without a fill as cancelled', async () => {
+    const accountId = newAccountId();
+    const { id } = proposalService.createProposal({ accountId, symbol: 'AAPL', action: 'buy', quantity: 5, type: 'limit', price: 90, timeInForce: 'IOC' });
+
+    const proposal = await proposalService.approveProposal(id);
+
+    expect(proposal.status).toBe('cancelled');
+    expect(proposal.result).toMatchObject({ status: 'cancelled' });
+    expect(tradingService.getPortfolio(accountId).positions).toEqual([]);
+  });
+
+  test('records orders the risk checks reject as failed', async () => {
+    const accountId = newAccountId({ risk: { maxOrderNotional: 100 } });
+    const { id } = proposalService.createProposal({ accountId, symbol: 'AAPL', action: 'buy', quantity: 5 });
+
+    const proposal = await proposalService.approveProposal(id);
+
+    expect(proposal.status).toBe('failed');
+    expect(proposal.result.reasons.map(reason => reason.code)).toEqual(['max_order_notional']);
+  });
+
+  test('survives the account being deleted while the order executes', async () => {
+    const accountId = newAccountId();
+    const { id } = proposalService.createProposal({ accountId, symbol: 'AAPL', action: 'buy', quantity: 5 });
+    quoteService.getQuote.mockImplementationOnce(async (symbol) => {
+      tradingService.deleteAccount(accountId);
+      return { symbol, price: 100, timestamp: new Date().toISOString(), stale: false };
+    });
+
+    const proposal = await proposalService.approveProposal(id);
+
+    expect(proposal).toMatchObject({ id, status: 'failed', result: { status: 'error', message: `Account ${accountId} not found` } });
+    expect(() => proposalService.getProposal(id)).toThrow(expect.objectContaining({ status: 404 }));
+  });
+});
+
+describe('rejectProposal', () => {
+  test('rejects without executing', async () => {
+    const accountId = newAccountId();
+    const { id } = proposalService.createProposal({ accountId, symbol: 'AAPL', action: 'buy', quantity: 5 });
+
+    const emitted = await collectEvents(() => proposalService.rejectProposal(id, { reviewer: 'bob', comment: 'Too risky' }));
+
+    expect(emitted).toEqual([expect.objectContaining({ id, status: 'rejected', reviewer: 'bob', comment: 'Too risky' })]);
+    expect(tradingService.getOrders({ accountId })).toEqual([]);
+  });
+});
+
+describe('expiry', () => {
+  test('expires undecided proposals on every run of the order matching loop', async () => {
+    const { id, expiresAt } = proposalService.createProposal({ accountId: newAccountId(), symbol: 'AAPL', action: 'buy', quantity: 5 });
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse(expiresAt));
+    let emitted;
+    try {
+      emitted = await collectEvents(() => tradingService.events.emit('tick'));
+    } finally {
+      now.mockRestore();
+    }
+
+    expect(emitted).toEqual(expect.arrayContaining([expect.objectContaining({ id, status: 'expired' })]));
+    expect(proposalService.getProposal(id).status).toBe('expired');
+    await expect(proposalService.approveProposal(id)).rejects.toMatchObject({ status: 409 });
+  });
+
+  test('expires proposals when they are read', () => {
+    const { id, expiresAt } = proposalService.createProposal({ accountId: newAccountId(), symbol: 'AAPL', action: 'buy', quantity: 5 });
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse(expiresAt) + 1);
+    try {
+      expect(proposalService.getProposal(id).status).toBe('expired');
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
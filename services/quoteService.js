@@ -0,0 +1,137 @@
+/**
+ * Quote service
+ *
+ * The one place trading and analysis get current prices from, so positions
+ * are valued, orders fill and analyses run against the same quote. Quotes
+ * come from the market-data provider and are cached for QUOTE_CACHE_MS
+ * (default: one second), so the valuations, fills and analyses of one request
+ * see the same price.
+ *
+ * Every quote carries its age. While the market is open, a quote older than
+ * QUOTE_MAX_AGE_MS (default: five minutes, 0 turns the check off) is stale:
+ * orders are not executed against it. Outside the session, on weekends and on
+ * exchange holidays of the market's local calendar (see utils/timeframes), the
+ * last price of the previous session is expected and never stale.
+ */
+
+const marketData = require('./marketData');
+const { isInSession } = require('../utils/timeframes');
+const { readNumber } = require('../utils/env');
+const logger = require('../utils/logger');
+
+const DEFAULT_CACHE_MS = 1000;
+const DEFAULT_MAX_AGE_MS = 5 * 60 * 1000;
+
+// Latest quote per symbol, with the time it was received
+const cache = new Map();
+const pending = new Map();
+
+/**
+ * Maximum age of a quote while the market is open
+ * @returns {number} QUOTE_MAX_AGE_MS, 0 when staleness is not checked
+ */
+const getMaxQuoteAge = () => readNumber('QUOTE_MAX_AGE_MS', DEFAULT_MAX_AGE_MS);
+
+/**
+ * Check whether a price last updated at a time is stale
+ * @param {string} timestamp - ISO time of the price
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the market is open and the price is older than the maximum age
+ */
+const isStale = (timestamp, now = Date.now()) => {
+  const maxAge = getMaxQuoteAge();
+  return maxAge > 0 && isInSession(now) && now - Date.parse(timestamp) > maxAge;
+};
+
+/**
+ * Add the age and staleness of a quote at a time
+ * @param {Object} quote - Cached quote
+ * @param {number} now - Current time in ms
+ * @returns {Object} Quote with ageMs, stale and marketOpen
+ */
+const describeQuote = (quote, now) => ({
+  ...quote,
+  ageMs: Math.max(0, now - Date.parse(quote.timestamp)),
+  stale: isStale(quote.timestamp, now),
+  marketOpen: isInSession(now)
+});
+
+/**
+ * Fetch a quote from the market-data provider and cache it
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Cached quote
+ */
+const fetchQuote = async (symbol) => {
+  const quote = await marketData.getQuote(symbol);
+  if (!quote || typeof quote.price !== 'number' || !Number.isFinite(quote.price)) {
+    throw new Error(`No price in the quote for ${symbol}`);
+  }
+
+  const receivedAt = Date.now();
+  // Providers without quote times are taken to quote as of receipt
+  const timestamp = quote.timestamp && !Number.isNaN(Date.parse(quote.timestamp))
+    ? new Date(quote.timestamp).toISOString()
+    : new Date(receivedAt).toISOString();
+  const cached = { ...quote, symbol, timestamp, receivedAt: new Date(receivedAt).toISOString() };
+
+  cache.set(symbol, cached);
+  return cached;
+};
+
+/**
+ * Get the current quote of a symbol
+ * @param {string} symbol - Stock symbol
+ * @returns {Promise<Object>} Quote with price, bid, ask, volume, timestamp (time of the price),
+ * receivedAt, ageMs, stale and marketOpen
+ */
+const getQuote = async (symbol) => {
+  const now = Date.now();
+  const cached = cache.get(symbol);
+  if (cached && now - Date.parse(cached.receivedAt) < readNumber('QUOTE_CACHE_MS', DEFAULT_CACHE_MS)) {
+    return describeQuote(cached, now);
+  }
+
+  // Concurrent requests for a symbol share one provider call
+  if (!pending.has(symbol)) {
+    pending.set(symbol, fetchQuote(symbol).finally(() => pending.delete(symbol)));
+  }
+  const quote = await pending.get(symbol);
+
+  if (isStale(quote.timestamp)) {
+    logger.warn(`Quote for ${symbol} is stale (last update ${quote.timestamp})`);
+  }
+  return describeQuote(quote, Date.now());
+};
+
+/**
+ * Get the quotes of several symbols
+ * @param {Array} symbols - Stock symbols
+ * @returns {Promise<Object>} Quotes keyed by symbol, and errors keyed by the symbols without a quote
+ */
+const getQuotes = async (symbols) => {
+  const quotes = {};
+  const errors = {};
+  await Promise.all([...new Set(symbols)].map(async symbol => {
+    try {
+      quotes[symbol] = await getQuote(symbol);
+    } catch (error) {
+      errors[symbol] = error.message;
+    }
+  }));
+  return { quotes, errors };
+};
+
+/**
+ * Forget cached quotes
+ */
+const clearQuotes = () => {
+  cache.clear();
+};
+
+module.exports = {
+  getMaxQuoteAge,
+  isStale,
+  getQuote,
+  getQuotes,
+  clearQuotes
+};
@@ -0,0 +1,115 @@
+jest.mock('./marketData', () => ({ getQuote: jest.fn() }));
+
+const marketData = require('./marketData');
+const { getMaxQuoteAge, isStale, getQuote, getQuotes, clearQuotes } = require('./quoteService');
+
+// Friday 10:00 New York time, while the market is open
+const OPEN = Date.parse('2024-03-08T15:00:00.000Z');
+// Saturday, the day after
+const WEEKEND = Date.parse('2024-03-09T15:00:00.000Z');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Run a function with the clock at a time
+ * @param {number} time - Time in ms
+ * @param {Function} run - Function to run
+ * @returns {Promise<*>} Its result
+ */
+const at = async (time, run) => {
+  const now = jest.spyOn(Date, 'now').mockReturnValue(time);
+  try {
+    return await run();
+  } finally {
+    now.mockRestore();
+  }
+};
+
+beforeEach(() => {
+  clearQuotes();
+  marketData.getQuote.mockReset();
+});
+
+afterEach(() => {
+  delete process.env.QUOTE_MAX_AGE_MS;
+  delete process.env.QUOTE_CACHE_MS;
+});
+
+describe('isStale', () => {
+  test('flags prices older than the maximum age while the market is open', () => {
+    expect(getMaxQuoteAge()).toBe(5 * MINUTE_MS);
+    expect(isStale(new Date(OPEN - 4 * MINUTE_MS).toISOString(), OPEN)).toBe(false);
+    expect(isStale(new Date(OPEN - 6 * MINUTE_MS).toISOString(), OPEN)).toBe(true);
+  });
+
+  test('expects the last price of the previous session outside it', () => {
+    expect(isStale('2024-03-08T21:00:00.000Z', WEEKEND)).toBe(false);
+    // Independence Day
+    expect(isStale('2024-07-03T20:00:00.000Z', Date.parse('2024-07-04T15:00:00.000Z'))).toBe(false);
+  });
+
+  test('can be turned off with a maximum age of 0', () => {
+    process.env.QUOTE_MAX_AGE_MS = '0';
+
+    expect(isStale(new Date(OPEN - 60 * MINUTE_MS).toISOString(), OPEN)).toBe(false);
+  });
+});
+
+describe('getQuote', () => {
+  test('adds the age and staleness of the quote', async () => {
+    marketData.getQuote.mockResolvedValue({ symbol: 'AAPL', price: 100, timestamp: new Date(OPEN - 10 * MINUTE_MS).toISOString() });
+
+    const quote = await at(OPEN, () => getQuote('AAPL'));
+
+    expect(quote).toMatchObject({ symbol: 'AAPL', price: 100, ageMs: 10 * MINUTE_MS, stale: true, marketOpen: true, receivedAt: new Date(OPEN).toISOString() });
+  });
+
+  test('dates quotes without a time by their receipt', async () => {
+    marketData.getQuote.mockResolvedValue({ symbol: 'AAPL', price: 100 });
+
+    const quote = await at(OPEN, () => getQuote('AAPL'));
+
+    expect(quote).toMatchObject({ timestamp: new Date(OPEN).toISOString(), ageMs: 0, stale: false });
+  });
+
+  test('serves the cached quote for QUOTE_CACHE_MS', async () => {
+    process.env.QUOTE_CACHE_MS = '1000';
+    marketData.getQuote.mockResolvedValueOnce({ symbol: 'AAPL', price: 100 }).mockResolvedValueOnce({ symbol: 'AAPL', price: 101 });
+
+    expect((await at(OPEN, () => getQuote('AAPL'))).price).toBe(100);
+    expect((await at(OPEN + 999, () => getQuote('AAPL'))).price).toBe(100);
+    expect((await at(OPEN + 1000, () => getQuote('AAPL'))).price).toBe(101);
+    expect(marketData.getQuote).toHaveBeenCalledTimes(2);
+  });
+
+  test('shares one provider call between concurrent requests', async () => {
+    marketData.getQuote.mockResolvedValue({ symbol: 'AAPL', price: 100 });
+
+    const quotes = await at(OPEN, () => Promise.all([getQuote('AAPL'), getQuote('AAPL')]));
+
+    expect(quotes.map(quote => quote.price)).toEqual([100, 100]);
+    expect(marketData.getQuote).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects quotes without a price', async () => {
+    marketData.getQuote.mockResolvedValue({ symbol: 'AAPL', price: null });
+
+    await expect(getQuote('AAPL')).rejects.toThrow('No price in the quote for AAPL');
+  });
+});
+
+describe('getQuotes', () => {
+  test('collects the errors of symbols without a quote', async () => {
+    marketData.getQuote.mockImplementation(async (symbol) => {
+      if (symbol === 'NOPE') {
+        throw new Error('Unknown symbol');
+      }
+      return { symbol, price: 50 };
+    });
+
+    const { quotes, errors } = await getQuotes(['AAPL', 'NOPE', 'AAPL']);
+
+    expect(Object.keys(quotes)).toEqual(['AAPL']);
+    expect(errors).toEqual({ NOPE: 'Unknown symbol' });
+  });
+});
@@ -0,0 +1,305 @@
+/**
+ * Stock screener
+ *
+ * Screens a universe of symbols with filters (see utils/screenerFilters) and
+ * ranks the matches. A universe is a list of symbols or the name of a file in
+ * the universes directory (UNIVERSES_DIR, default ./universes):
+ *
+ * - JSON: { "name": ..., "description": ..., "symbols": [...] }, where a
+ *   symbol may also be an object with symbol, name and sector
+ * - CSV, such as an index constituents file: a header row with a symbol (or
+ *   ticker) column and optional name and sector columns; the universe is
+ *   named after the file
+ *
+ * Names and sectors from the universe file take precedence over the
+ * market-data provider's fundamentals. Matches are ranked by their score,
+ * the average margin by which they pass the numeric filters in percent, or
+ * by any operand given as `sort`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const marketData = require('./marketData');
+const quoteService = require('./quoteService');
+const { parseTimeframe } = require('../utils/timeframes');
+const {
+  parseOperand,
+  parseFilter,
+  getOperandLookback,
+  needsFundamentals,
+  getOperandValue,
+  evaluateFilter
+} = require('../utils/screenerFilters');
+const { httpError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const DEFAULT_UNIVERSE = 'dow30';
+const DEFAULT_LIMIT = 25;
+const DEFAULT_CONCURRENCY = 8;
+const DEFAULT_MAX_SYMBOLS = 500;
+const MIN_BARS = 100;
+
+/**
+ * Normalize universe entries
+ * @param {Array} entries - Symbols, or objects with symbol, name and sector
+ * @returns {Array} Entries with an upper-case symbol, unique by symbol
+ */
+const normalizeEntries = (entries) => {
+  const seen = new Set();
+  return entries
+    .map(entry => (typeof entry === 'string' ? { symbol: entry } : entry))
+    .filter(entry => entry && typeof entry.symbol === 'string' && entry.symbol.trim())
+    .map(({ symbol, name, sector }) => ({
+      symbol: symbol.trim().toUpperCase(),
+      ...(name ? { name } : {}),
+      ...(sector ? { sector } : {})
+    }))
+    .filter(entry => !seen.has(entry.symbol) && seen.add(entry.symbol));
+};
+
+/**
+ * Read a universe file
+ * @param {string} file - Path of a .json or .csv file
+ * @returns {Object} Universe with name, description and entries
+ */
+const readUniverse = (file) => {
+  const content = fs.readFileSync(file, 'utf8');
+  const basename = path.basename(file, path.extname(file));
+
+  if (file.endsWith('.json')) {
+    const definition = JSON.parse(content);
+    if (!definition || !Array.isArray(definition.symbols)) {
+      throw new Error('A universe file needs a symbols list');
+    }
+    return { name: definition.name || basename, description: definition.description || '', entries: normalizeEntries(definition.symbols) };
+  }
+
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const headers = (lines[0] || '').split(',').map(header => header.trim().toLowerCase());
+  const symbolColumn = headers.findIndex(header => ['symbol', 'ticker'].includes(header));
+  if (symbolColumn === -1) {
+    throw new Error('A universe CSV file needs a symbol or ticker column');
+  }
+  const entries = lines.slice(1).map(line => {
+    const values = line.split(',').map(value => value.trim());
+    return {
+      symbol: values[symbolColumn],
+      name: values[headers.indexOf('name')],
+      sector: values[headers.indexOf('sector')]
+    };
+  });
+  return { name: basename, description: '', entries: normalizeEntries(entries) };
+};
+
+/**
+ * Load all universes from the universes directory
+ * @returns {Map} Universes by name
+ */
+const loadUniverses = () => {
+  const dir = path.resolve(process.env.UNIVERSES_DIR || path.join(__dirname, '..', 'universes'));
+  const loaded = new Map();
+
+  if (!fs.existsSync(dir)) {
+    logger.warn(`Universes directory ${dir} does not exist`);
+    return loaded;
+  }
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json') || file.endsWith('.csv'))
+    .sort()
+    .forEach(file => {
+      try {
+        const universe = readUniverse(path.join(dir, file));
+        loaded.set(universe.name, universe);
+      } catch (error) {
+        logger.error(`Skipping universe file ${file}: ${error.message}`);
+      }
+    });
+
+  logger.info(`Loaded ${loaded.size} universes from ${dir}`);
+  return loaded;
+};
+
+// Universes by name, loaded from disk on first use
+let universes = null;
+
+/**
+ * List the available universes
+ * @returns {Array} Universe names, descriptions and symbols
+ */
+const listUniverses = () => {
+  if (!universes) {
+    universes = loadUniverses();
+  }
+  return Array.from(universes.values()).map(({ name, description, entries }) => ({
+    name,
+    description,
+    symbols: entries.map(entry => entry.symbol)
+  }));
+};
+
+/**
+ * Resolve a universe
+ * @param {Array|string} universe - Symbols, or a universe name (default: SCREENER_UNIVERSE or dow30)
+ * @returns {Object} Universe with name and entries
+ */
+const resolveUniverse = (universe = process.env.SCREENER_UNIVERSE || DEFAULT_UNIVERSE) => {
+  let resolved;
+  if (Array.isArray(universe)) {
+    resolved = { name: 'custom', entries: normalizeEntries(universe) };
+  } else {
+    if (!universes) {
+      universes = loadUniverses();
+    }
+    resolved = universes.get(universe);
+    if (!resolved) {
+      throw httpError(`Unknown universe "${universe}". Available universes: ${Array.from(universes.keys()).join(', ')}`, 400);
+    }
+  }
+
+  const maxSymbols = Number(process.env.SCREENER_MAX_SYMBOLS) || DEFAULT_MAX_SYMBOLS;
+  if (resolved.entries.length === 0) {
+    throw httpError('The universe has no symbols', 400);
+  }
+  if (resolved.entries.length > maxSymbols) {
+    throw httpError(`A universe can have at most ${maxSymbols} symbols`, 400);
+  }
+  return resolved;
+};
+
+/**
+ * Run a task for every item with at most a number of tasks at a time
+ * @param {Array} items - Items
+ * @param {number} concurrency - Maximum number of running tasks
+ * @param {Function} task - Async function receiving an item
+ * @returns {Promise<void>}
+ */
+const forEachLimited = async (items, concurrency, task) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const item = items[next];
+      next += 1;
+      await task(item);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+};
+
+/**
+ * Screen a universe of stocks
+ * @param {Object} options - Screen options
+ * @param {Array|string} options.universe - Symbols or a universe name (default: SCREENER_UNIVERSE or dow30)
+ * @param {Array} options.filters - Filters such as "price > sma(200)" (default: none, every symbol matches)
+ * @param {string} options.timeframe - Bar timeframe of bar fields and indicators (default: 1d)
+ * @param {string} options.sort - Operand to rank by (default: score)
+ * @param {string} options.order - desc or asc (default: desc)
+ * @param {number} options.limit - Maximum number of matches (default: 25)
+ * @returns {Promise<Object>} Matches with the values of the filter operands, and errors by symbol
+ */
+const screenStocks = async ({ universe, filters = [], timeframe = '1d', sort, order = 'desc', limit = DEFAULT_LIMIT } = {}) => {
+  if (!Array.isArray(filters)) {
+    throw httpError('filters must be a list such as ["price > sma(200)", "rsi < 30"]', 400);
+  }
+  try {
+    parseTimeframe(timeframe);
+  } catch (error) {
+    throw httpError(error.message, 400);
+  }
+  if (!['asc', 'desc'].includes(order)) {
+    throw httpError('order must be asc or desc', 400);
+  }
+  const count = Number(limit);
+  if (!Number.isInteger(count) || count < 1) {
+    throw httpError('limit must be a positive integer', 400);
+  }
+
+  const parsedFilters = filters.map(parseFilter);
+  const sortOperand = sort && sort !== 'score' ? parseOperand(sort) : null;
+  if (sortOperand && sortOperand.kind === 'text') {
+    throw httpError(`Cannot rank by ${sortOperand.name}`, 400);
+  }
+  const { name, entries } = resolveUniverse(universe);
+
+  const operands = parsedFilters.reduce((list, filter) => [...list, filter.left, filter.right], sortOperand ? [sortOperand] : []);
+  const lookback = Math.max(1, ...operands.map(getOperandLookback));
+  const barLimit = Math.max(MIN_BARS, 2 * lookback + 1);
+  const withFundamentals = needsFundamentals(operands);
+
+  logger.info(`Screening ${entries.length} stocks of universe ${name} on ${timeframe} with ${parsedFilters.length} filters`);
+
+  const matches = [];
+  const errors = {};
+  await forEachLimited(entries, Number(process.env.SCREENER_CONCURRENCY) || DEFAULT_CONCURRENCY, async (entry) => {
+    try {
+      const [bars, quote, fundamentals] = await Promise.all([
+        marketData.getHistoricalBars(entry.symbol, { timeframe, limit: barLimit }),
+        quoteService.getQuote(entry.symbol),
+        withFundamentals ? marketData.getFundamentals(entry.symbol) : null
+      ]);
+      const context = {
+        symbol: entry.symbol,
+        timeframe,
+        bars,
+        quote,
+        fundamentals: withFundamentals ? { ...fundamentals, ...entry } : null,
+        indicators: {}
+      };
+
+      const results = parsedFilters.map(filter => evaluateFilter(filter, context));
+      if (!results.every(result => result.passed)) {
+        return;
+      }
+
+      const margins = results.filter(result => result.margin !== null).map(result => result.margin);
+      const values = parsedFilters.reduce((result, filter, index) => {
+        [filter.left, filter.right].forEach((operand, side) => {
+          if (!['number', 'string'].includes(operand.kind)) {
+            result[operand.label] = side === 0 ? results[index].left : results[index].right;
+          }
+        });
+        return result;
+      }, {});
+      matches.push({
+        symbol: entry.symbol,
+        name: entry.name || (fundamentals && fundamentals.name) || null,
+        sector: entry.sector || (fundamentals && fundamentals.sector) || null,
+        price: quote.price,
+        score: margins.length > 0 ? (margins.reduce((sum, margin) => sum + margin, 0) / margins.length) * 100 : 0,
+        ...(sortOperand ? { sortValue: getOperandValue(sortOperand, context) } : {}),
+        values
+      });
+    } catch (error) {
+      logger.error(`Error screening ${entry.symbol}: ${error.message}`);
+      errors[entry.symbol] = error.message;
+    }
+  });
+
+  // Matches without a sort value rank last
+  const key = match => (sortOperand ? match.sortValue : match.score);
+  const direction = order === 'asc' ? 1 : -1;
+  matches.sort((a, b) => {
+    if (key(a) === null || key(b) === null) {
+      return (key(a) === null) - (key(b) === null);
+    }
+    return direction * (key(a) - key(b)) || a.symbol.localeCompare(b.symbol);
+  });
+
+  return {
+    universe: name,
+    timeframe,
+    filters: parsedFilters.map(filter => filter.label),
+    sort: sortOperand ? sortOperand.label : 'score',
+    order,
+    screened: entries.length,
+    matched: matches.length,
+    matches: matches.slice(0, count).map((match, index) => ({ rank: index + 1, ...match })),
+    errors,
+    timestamp: new Date().toISOString()
+  };
+};
+
+module.exports = {
+  listUniverses,
+  screenStocks
+};
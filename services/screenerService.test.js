@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./quoteService', () => ({
+  getQuote: jest.fn(),
+  getQuotes: jest.fn(),
+  isStale: () => false,
+  getMaxQuoteAge: () => 60 * 1000
+}));
+jest.mock('./marketData', () => ({ getHistoricalBars: jest.fn(), getFundamentals: jest.fn() }));
+
+const quoteService = require('./quoteService');
+const marketData = require('./marketData');
+const { listUniverses, screenStocks } = require('./screenerService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'universes-'));
+process.env.UNIVERSES_DIR = dir;
+
+const PRICES = { AAPL: 150, MSFT: 300, XOM: 90, NOPE: 50 };
+const FUNDAMENTALS = {
+  AAPL: { name: 'Apple Inc.', sector: 'Technology', peRatio: 30 },
+  MSFT: { name: 'Microsoft Corporation', sector: 'Technology', peRatio: 25 },
+  XOM: { name: 'Exxon Mobil Corporation', sector: 'Energy', peRatio: 12 },
+  NOPE: { name: 'No Earnings Inc.', sector: 'Technology' }
+};
+
+beforeAll(() => {
+  fs.writeFileSync(path.join(dir, 'tech.json'), JSON.stringify({
+    name: 'tech',
+    description: 'Some stocks',
+    symbols: [{ symbol: 'aapl', name: 'Apple', sector: 'Tech' }, 'MSFT', 'XOM', 'AAPL']
+  }));
+  fs.writeFileSync(path.join(dir, 'energy.csv'), 'Ticker,Sector\nXOM,Energy\n\n');
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{}');
+
+  quoteService.getQuote.mockImplementation(async (symbol) => ({ symbol, price: PRICES[symbol] }));
+  marketData.getHistoricalBars.mockImplementation(async (symbol) => {
+    if (!PRICES[symbol]) {
+      throw new Error(`No data for ${symbol}`);
+    }
+    return [1, 2, 3].map(i => ({
+      timestamp: new Date(Date.UTC(2024, 0, i)).toISOString(),
+      open: PRICES[symbol],
+      high: PRICES[symbol],
+      low: PRICES[symbol],
+      close: PRICES[symbol],
+      volume: 1000
+    }));
+  });
+  marketData.getFundamentals.mockImplementation(async (symbol) => FUNDAMENTALS[symbol]);
+});
+
+afterEach(() => {
+  delete process.env.SCREENER_UNIVERSE;
+  delete process.env.SCREENER_MAX_SYMBOLS;
+  marketData.getHistoricalBars.mockClear();
+  marketData.getFundamentals.mockClear();
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('listUniverses', () => {
+  test('loads JSON and CSV universes, skipping unreadable files', () => {
+    expect(listUniverses()).toEqual([
+      { name: 'energy', description: '', symbols: ['XOM'] },
+      { name: 'tech', description: 'Some stocks', symbols: ['AAPL', 'MSFT', 'XOM'] }
+    ]);
+  });
+});
+
+describe('screenStocks', () => {
+  test('ranks the matches by how far they pass the filters', async () => {
+    const result = await screenStocks({ universe: 'tech', filters: ['price > 100'] });
+
+    expect(result).toMatchObject({
+      universe: 'tech',
+      timeframe: '1d',
+      filters: ['price > 100'],
+      sort: 'score',
+      order: 'desc',
+      screened: 3,
+      matched: 2,
+      matches: [
+        { rank: 1, symbol: 'MSFT', name: null, sector: null, price: 300, score: 200, values: { price: 300 } },
+        { rank: 2, symbol: 'AAPL', name: 'Apple', sector: 'Tech', price: 150, score: 50, values: { price: 150 } }
+      ],
+      errors: {}
+    });
+    expect(marketData.getHistoricalBars).toHaveBeenCalledWith('AAPL', { timeframe: '1d', limit: 100 });
+    expect(marketData.getFundamentals).not.toHaveBeenCalled();
+  });
+
+  test('loads enough bars for the longest indicator', async () => {
+    await screenStocks({ universe: ['AAPL'], filters: ['price > sma(200)'], timeframe: '1h' });
+
+    expect(marketData.getHistoricalBars).toHaveBeenCalledWith('AAPL', { timeframe: '1h', limit: 401 });
+  });
+
+  test('compares fundamentals, with the universe file taking precedence', async () => {
+    const tech = await screenStocks({ universe: 'tech', filters: ['sector = tech'] });
+    expect(tech.matches.map(match => match.symbol)).toEqual(['AAPL']);
+
+    const custom = await screenStocks({ universe: ['aapl', 'MSFT', 'XOM'], filters: ['sector != Energy'] });
+    expect(custom.matches).toEqual([
+      expect.objectContaining({ symbol: 'AAPL', name: 'Apple Inc.', sector: 'Technology', values: { sector: 'Technology' } }),
+      expect.objectContaining({ symbol: 'MSFT', name: 'Microsoft Corporation' })
+    ]);
+  });
+
+  test('sorts by an operand, ranking matches without a value last, and limits the matches', async () => {
+    const universe = ['AAPL', 'MSFT', 'XOM', 'NOPE'];
+
+    const ascending = await screenStocks({ universe, sort: 'peRatio', order: 'asc' });
+    expect(ascending.sort).toBe('peRatio');
+    expect(ascending.matches.map(match => [match.symbol, match.sortValue])).toEqual([['XOM', 12], ['MSFT', 25], ['AAPL', 30], ['NOPE', null]]);
+
+    const descending = await screenStocks({ universe, sort: 'peRatio', limit: 2 });
+    expect(descending).toMatchObject({ matched: 4, matches: [{ rank: 1, symbol: 'AAPL' }, { rank: 2, symbol: 'MSFT' }] });
+  });
+
+  test('records the symbols that could not be screened', async () => {
+    const result = await screenStocks({ universe: ['AAPL', 'GONE'], filters: ['price > 0'] });
+
+    expect(result).toMatchObject({ screened: 2, matched: 1, errors: { GONE: 'No data for GONE' } });
+  });
+
+  test('screens SCREENER_UNIVERSE by default', async () => {
+    process.env.SCREENER_UNIVERSE = 'energy';
+
+    expect(await screenStocks()).toMatchObject({ universe: 'energy', screened: 1, matched: 1 });
+  });
+
+  test.each([
+    [{ filters: 'price > 1' }, 'filters must be a list'],
+    [{ timeframe: 'fortnight' }, 'Unsupported timeframe "fortnight"'],
+    [{ order: 'up' }, 'order must be asc or desc'],
+    [{ limit: 0 }, 'limit must be a positive integer'],
+    [{ filters: ['price >'] }, 'Invalid filter'],
+    [{ sort: 'sector' }, 'Cannot rank by sector'],
+    [{ universe: 'nasdaq' }, 'Unknown universe "nasdaq". Available universes: energy, tech'],
+    [{ universe: ['', null] }, 'The universe has no symbols']
+  ])('rejects %p with a 400 error', async (options, error) => {
+    await expect(screenStocks({ universe: ['AAPL'], ...options })).rejects.toMatchObject({ status: 400, message: expect.stringContaining(error) });
+  });
+
+  test('limits the size of a universe with SCREENER_MAX_SYMBOLS', async () => {
+    process.env.SCREENER_MAX_SYMBOLS = '2';
+
+    await expect(screenStocks({ universe: 'tech' })).rejects.toMatchObject({ status: 400, message: 'A universe can have at most 2 symbols' });
+  });
+});
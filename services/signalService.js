@@ -0,0 +1,196 @@
+/**
+ * TradingView signals
+ *
+ * Turns TradingView alert webhooks into paper-trading orders. A signal must
+ * carry the shared secret (TRADINGVIEW_WEBHOOK_SECRET) in its `secret` or
+ * `passphrase` field or in the `secret` query parameter; without a configured
+ * secret webhooks are refused. The alert message is mapped to an order by an
+ * order template (see utils/orderTemplates) and executed like any other order,
+ * so the account's risk checks and the kill switch apply. In accounts that
+ * require approval the order becomes a trade proposal instead.
+ *
+ * Every authenticated signal is stored with its outcome: the status of the
+ * executed order (executed, pending, cancelled, rejected or error),
+ * pending_approval, or invalid when no order could be made of it. The latest
+ * MAX_SIGNALS signals are kept.
+ */
+
+const crypto = require('crypto');
+const tradingService = require('./tradingService');
+const proposalService = require('./proposalService');
+const { getStore } = require('../utils/storage');
+const { validateOrder } = require('../utils/orderTypes');
+const { getTemplate, parseAlertMessage, renderOrder } = require('../utils/orderTemplates');
+const { httpError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const SIGNAL_STATUSES = ['executed', 'pending', 'cancelled', 'rejected', 'error', 'pending_approval', 'invalid'];
+const SECRET_FIELDS = ['secret', 'passphrase'];
+const MAX_SIGNALS = 1000;
+
+/**
+ * Compare a secret with TRADINGVIEW_WEBHOOK_SECRET in constant time
+ * @param {*} secret - Secret sent with the signal
+ */
+const authenticate = (secret) => {
+  const expected = process.env.TRADINGVIEW_WEBHOOK_SECRET;
+  if (!expected) {
+    throw httpError('TradingView webhooks are disabled, set TRADINGVIEW_WEBHOOK_SECRET to enable them', 503);
+  }
+  // Hash both sides so they have the same length
+  const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+  if (typeof secret !== 'string' || !crypto.timingSafeEqual(digest(secret), digest(expected))) {
+    throw httpError('Invalid webhook secret', 401);
+  }
+};
+
+/**
+ * Store a signal, dropping the oldest beyond MAX_SIGNALS
+ * @param {Object} signal - Signal
+ * @returns {Object} The signal
+ */
+const saveSignal = (signal) => {
+  getStore().transaction(tables => {
+    tables.signals[signal.id] = signal;
+    const ids = Object.keys(tables.signals);
+    if (ids.length > MAX_SIGNALS) {
+      ids
+        .sort((a, b) => Date.parse(tables.signals[a].receivedAt) - Date.parse(tables.signals[b].receivedAt))
+        .slice(0, ids.length - MAX_SIGNALS)
+        .forEach(id => delete tables.signals[id]);
+    }
+  });
+  return signal;
+};
+
+/**
+ * Place the order of a signal, or propose it in accounts that require approval
+ * @param {Object} order - Validated order
+ * @param {string} rationale - Why the order is placed
+ * @returns {Promise<Object>} Status, message and the order result or proposal
+ */
+const placeOrder = async (order, rationale) => {
+  const account = tradingService.getAccount(order.accountId);
+  if (account.requireApproval) {
+    const proposal = proposalService.createProposal(order, { source: 'tradingview', rationale });
+    return {
+      status: 'pending_approval',
+      message: `Account ${account.id} requires approval: proposal ${proposal.id} awaits a decision until ${proposal.expiresAt}`,
+      proposalId: proposal.id
+    };
+  }
+
+  const { portfolio, ...result } = await tradingService.executeOrder(order);
+  return {
+    status: result.status,
+    message: result.message,
+    orderId: result.order ? result.order.id : null,
+    result
+  };
+};
+
+/**
+ * Handle a TradingView alert webhook
+ * @param {Object} options - Webhook request
+ * @param {Object|string} options.message - Alert message: parsed JSON body or text
+ * @param {string} options.secret - Secret from the query string, when not in the message
+ * @param {string} options.template - Order template from the query string, when not in the message
+ * @returns {Promise<Object>} The stored signal
+ */
+const handleSignal = async ({ message, secret, template }) => {
+  let fields;
+  try {
+    fields = parseAlertMessage(message);
+  } catch (error) {
+    // Without fields there is no secret to check yet, so only a query secret counts
+    authenticate(secret);
+    throw error;
+  }
+  const sentSecret = SECRET_FIELDS.map(field => fields[field]).find(value => value !== undefined);
+  authenticate(sentSecret === undefined ? secret : sentSecret);
+
+  const received = Object.keys(fields)
+    .filter(field => !SECRET_FIELDS.includes(field))
+    .reduce((result, field) => ({ ...result, [field]: fields[field] }), {});
+  const signal = {
+    id: `sig-${crypto.randomUUID()}`,
+    source: 'tradingview',
+    receivedAt: new Date().toISOString(),
+    fields: received,
+    template: received.template || template || process.env.TRADINGVIEW_DEFAULT_TEMPLATE || 'default',
+    accountId: null,
+    order: null,
+    status: null,
+    message: null,
+    orderId: null,
+    proposalId: null,
+    result: null
+  };
+
+  let order;
+  try {
+    order = renderOrder(getTemplate(signal.template), received);
+    signal.order = order;
+    const validation = validateOrder(order);
+    if (!validation.valid) {
+      throw httpError(`Invalid order: ${validation.errors.map(e => `${e.field} ${e.message}`).join('; ')}`, 400);
+    }
+    order = validation.value;
+    signal.order = order;
+    signal.accountId = order.accountId || tradingService.DEFAULT_ACCOUNT_ID;
+    tradingService.getAccount(signal.accountId);
+  } catch (error) {
+    logger.warn(`Invalid TradingView signal ${signal.id}: ${error.message}`);
+    return saveSignal({ ...signal, status: 'invalid', message: error.message });
+  }
+
+  logger.info(`TradingView signal ${signal.id} (template ${signal.template}): ${order.action} ${order.quantity} ${order.symbol} (${order.type}) in account ${signal.accountId}`);
+  const outcome = await placeOrder(order, `TradingView alert ${JSON.stringify(received)}`);
+  const level = ['rejected', 'error'].includes(outcome.status) ? 'warn' : 'info';
+  logger[level](`TradingView signal ${signal.id} ${outcome.status}: ${outcome.message}`);
+
+  return saveSignal({ ...signal, ...outcome });
+};
+
+/**
+ * List signals, newest first
+ * @param {Object} options - Filters
+ * @param {string} options.accountId - Only signals for this account
+ * @param {string} options.status - Only signals with this status
+ * @param {number} options.limit - Maximum number of signals (default: 100)
+ * @returns {Array} Signals
+ */
+const listSignals = ({ accountId, status, limit = 100 } = {}) => {
+  if (status && !SIGNAL_STATUSES.includes(status)) {
+    throw httpError(`Invalid signal status "${status}". Use one of: ${SIGNAL_STATUSES.join(', ')}`, 400);
+  }
+  const count = Number(limit);
+  if (!Number.isInteger(count) || count < 1) {
+    throw httpError('limit must be a positive integer', 400);
+  }
+
+  return getStore().getAll('signals', signal => (!accountId || signal.accountId === accountId)
+    && (!status || signal.status === status))
+    .sort((a, b) => Date.parse(b.receivedAt) - Date.parse(a.receivedAt))
+    .slice(0, count);
+};
+
+/**
+ * Get a signal by id
+ * @param {string} signalId - Signal id
+ * @returns {Object} Signal
+ */
+const getSignal = (signalId) => {
+  const signal = getStore().get('signals', signalId);
+  if (!signal) {
+    throw httpError(`Signal ${signalId} not found`, 404);
+  }
+  return signal;
+};
+
+module.exports = {
+  SIGNAL_STATUSES,
+  handleSignal,
+  listSignals,
+  getSignal
+};
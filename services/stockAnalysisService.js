@@ -1,70 +1,33 @@
-const { marketDataClient, tradingViewClient } = require('../utils/apiClient');
+const marketData = require('./marketData');
+const quoteService = require('./quoteService');
 const { analyzeStockPerformance } = require('../utils/stockAnalytics');
+const { parseTimeframe } = require('../utils/timeframes');
+const { parseIndicatorSpec, getLookback, computeIndicator, toPoints } = require('../utils/indicators');
+const { RATING_BARS, computeTechnicalRating } = require('../utils/technicalRating');
+const { getStrategy, getWarmup } = require('../utils/signalEngine');
 const logger = require('../utils/logger');
 
 /**
  * Fetch historical stock data
  * @param {string} symbol - Stock symbol
- * @param {string} timeframe - Timeframe for data (1d, 1w, 1m)
- * @param {number} limit - Number of data points to fetch
- * @returns {Promise<Object>} Historical stock data
+ * @param {string} timeframe - Bar timeframe (1m, 5m, 15m, 1h, 4h, 1d, 1w, 1M)
+ * @param {number} limit - Number of bars to fetch
+ * @returns {Promise<Object>} Historical stock data with OHLCV bars, oldest first.
+ * Each bar has an ISO timestamp (start of the bar), open, high, low, close and volume.
  */
 const fetchHistoricalData = async (symbol, timeframe = '1d', limit = 100) => {
   try {
     logger.info(`Fetching historical data for ${symbol}, timeframe: ${timeframe}, limit: ${limit}`);
     
-    // In a real implementation, this would call an actual API
-    // For now, we'll generate mock data
+    parseTimeframe(timeframe);
     
-    // Mock implementation
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - limit);
-    
-    const prices = [];
-    const volumes = [];
-    const dates = [];
-    
-    // Generate mock data with some trend
-    let currentPrice = 100 + Math.random() * 50; // Start between 100-150
-    let trend = 0.05; // Small uptrend
-    
-    for (let i = 0; i < limit; i++) {
-      const date = new Date(startDate);
-      date.setDate(startDate.getDate() + i);
-      
-      // Add some randomness to the price
-      const change = (Math.random() - 0.5) * 3 + trend;
-      currentPrice += change;
-      
-      // Ensure price doesn't go negative
-      currentPrice = Math.max(currentPrice, 1);
-      
-      // Volume is random between 100,000 and 1,000,000
-      const volume = Math.floor(100000 + Math.random() * 900000);
-      
-      prices.push(currentPrice);
-      volumes.push(volume);
-      dates.push(date.toISOString().split('T')[0]);
-    }
+    const bars = await marketData.getHistoricalBars(symbol, { timeframe, limit });
     
     return {
       symbol,
       timeframe,
-      prices,
-      volumes,
-      dates
+      bars
     };
-    
-    /* Real implementation would look like this:
-    const response = await marketDataClient.get(`/stocks/historical/${symbol}`, {
-      params: {
-        timeframe,
-        limit
-      }
-    });
-    
-    return response.data;
-    */
   } catch (error) {
     logger.error(`Error fetching historical data for ${symbol}: ${error.message}`);
     throw new Error(`Failed to fetch historical data for ${symbol}: ${error.message}`);
@@ -74,20 +37,31 @@ const fetchHistoricalData = async (symbol, timeframe = '1d', limit = 100) => {
 /**
  * Get stock analysis and recommendation
  * @param {string} symbol - Stock symbol
- * @param {string} timeframe - Timeframe for analysis (1d, 1w, 1m)
- * @returns {Promise<Object>} Analysis and recommendation
+ * @param {string} timeframe - Bar timeframe for analysis (1m, 5m, 15m, 1h, 4h, 1d, 1w, 1M)
+ * @param {string} strategyName - Strategy that produces the recommendation (default: default)
+ * @returns {Promise<Object>} Analysis and recommendation, with the current quote the trading service
+ * values positions and fills orders at
  */
-const getStockAnalysis = async (symbol, timeframe = '1d') => {
+const getStockAnalysis = async (symbol, timeframe = '1d', strategyName = 'default') => {
+  const strategy = getStrategy(strategyName);
+  
   try {
-    logger.info(`Analyzing stock ${symbol} on ${timeframe} timeframe`);
+    logger.info(`Analyzing stock ${symbol} on ${timeframe} timeframe with strategy ${strategy.name}`);
     
-    // Fetch historical data
-    const historicalData = await fetchHistoricalData(symbol, timeframe, 100);
+    // Fetch enough history for the strategy's indicators
+    const [historicalData, quote] = await Promise.all([
+      fetchHistoricalData(symbol, timeframe, Math.max(100, getWarmup(strategy) + 1)),
+      quoteService.getQuote(symbol)
+    ]);
     
     // Analyze the stock performance
-    const analysis = analyzeStockPerformance(historicalData);
+    const analysis = analyzeStockPerformance(historicalData, strategy);
     
-    return analysis;
+    return {
+      ...analysis,
+      ...(analysis.status === 'success' ? { currentPrice: quote.price } : {}),
+      quote
+    };
   } catch (error) {
     logger.error(`Error analyzing stock ${symbol}: ${error.message}`);
     throw new Error(`Failed to analyze stock ${symbol}: ${error.message}`);
@@ -98,13 +72,16 @@ const getStockAnalysis = async (symbol, timeframe = '1d') => {
  * Get analysis for multiple stocks
  * @param {Array} symbols - Array of stock symbols
  * @param {string} timeframe - Timeframe for analysis
+ * @param {string} strategyName - Strategy that produces the recommendations (default: default)
  * @returns {Promise<Array>} Array of analysis results
  */
-const batchAnalyzeStocks = async (symbols, timeframe = '1d') => {
+const batchAnalyzeStocks = async (symbols, timeframe = '1d', strategyName = 'default') => {
+  getStrategy(strategyName);
+  
   try {
     logger.info(`Batch analyzing ${symbols.length} stocks on ${timeframe} timeframe`);
     
-    const analysisPromises = symbols.map(symbol => getStockAnalysis(symbol, timeframe));
+    const analysisPromises = symbols.map(symbol => getStockAnalysis(symbol, timeframe, strategyName));
     const results = await Promise.all(analysisPromises);
     
     return results;
@@ -115,39 +92,105 @@ const batchAnalyzeStocks = async (symbols, timeframe = '1d') => {
 };
 
 /**
- * Get TradingView indicators for a symbol
+ * Compute technical indicator series for a symbol
  * @param {string} symbol - Stock symbol
- * @returns {Promise<Object>} TradingView indicators
+ * @param {Array} specs - Indicator specs such as 'rsi', 'sma(50)' or 'macd(12,26,9)'
+ * @param {Object} options - Options
+ * @param {string} options.timeframe - Bar timeframe (default: 1d)
+ * @param {number} options.limit - Number of bars to return values for (default: 100)
+ * @returns {Promise<Object>} Indicator series keyed by spec. Each series is a list of
+ * points with the bar timestamp and the indicator outputs (null during warm-up).
  */
-const getTradingViewIndicators = async (symbol) => {
+const getIndicators = async (symbol, specs, { timeframe = '1d', limit = 100 } = {}) => {
+  parseTimeframe(timeframe);
+
+  let parsedSpecs;
   try {
-    logger.info(`Getting TradingView indicators for ${symbol}`);
-    
-    // Mock implementation
-    // In a real implementation, this would call the TradingView API
-    const indicators = {
+    parsedSpecs = specs.map(parseIndicatorSpec);
+  } catch (error) {
+    error.status = 400;
+    throw error;
+  }
+
+  try {
+    logger.info(`Computing indicators for ${symbol}: ${parsedSpecs.map(spec => spec.key).join(', ')}`);
+
+    // Fetch extra bars so the first returned values are past the warm-up period
+    const lookback = Math.max(0, ...parsedSpecs.map(getLookback));
+    const bars = await marketData.getHistoricalBars(symbol, { timeframe, limit: limit + lookback });
+    const returnedBars = bars.slice(-limit);
+
+    const indicators = parsedSpecs.reduce((result, spec) => {
+      const { name, params, series } = computeIndicator(bars, spec, { timeframe });
+      const trimmed = Object.keys(series).reduce((fields, field) => {
+        fields[field] = series[field].slice(-limit);
+        return fields;
+      }, {});
+
+      result[spec.key] = {
+        name,
+        params,
+        values: toPoints(returnedBars, trimmed)
+      };
+      return result;
+    }, {});
+
+    return {
       symbol,
-      technicalRating: ['strong_sell', 'sell', 'neutral', 'buy', 'strong_buy'][Math.floor(Math.random() * 5)],
-      oscillatorRating: ['strong_sell', 'sell', 'neutral', 'buy', 'strong_buy'][Math.floor(Math.random() * 5)],
-      movingAverageRating: ['strong_sell', 'sell', 'neutral', 'buy', 'strong_buy'][Math.floor(Math.random() * 5)],
-      indicators: {
-        rsi: Math.floor(Math.random() * 100),
-        macd: {
-          macd: (Math.random() - 0.5) * 2,
-          signal: (Math.random() - 0.5) * 2,
-          histogram: (Math.random() - 0.5) * 1
-        },
-        adx: Math.floor(Math.random() * 100),
-        cci: (Math.random() - 0.5) * 300
-      }
+      timeframe,
+      indicators
     };
+  } catch (error) {
+    logger.error(`Error computing indicators for ${symbol}: ${error.message}`);
+    throw new Error(`Failed to compute indicators for ${symbol}: ${error.message}`);
+  }
+};
+
+/**
+ * Get TradingView-style technical ratings for a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {string} timeframe - Bar timeframe (1m, 5m, 15m, 1h, 4h, 1d, 1w, 1M)
+ * @returns {Promise<Object>} Summary, oscillator and moving average ratings
+ * (strong_sell, sell, neutral, buy, strong_buy) with the individual indicator votes
+ */
+const getTradingViewIndicators = async (symbol, timeframe = '1d') => {
+  try {
+    logger.info(`Getting TradingView indicators for ${symbol} on ${timeframe} timeframe`);
     
-    return indicators;
+    parseTimeframe(timeframe);
     
-    /* Real implementation would look like this:
-    const response = await tradingViewClient.get(`/analysis/${symbol}`);
-    return response.data;
-    */
+    const bars = await marketData.getHistoricalBars(symbol, { timeframe, limit: RATING_BARS });
+    if (bars.length < 2) {
+      throw new Error('Not enough historical data for a technical rating');
+    }
+    
+    const { summary, movingAverages, oscillators } = computeTechnicalRating(bars, { timeframe });
+    const lastValue = (spec) => {
+      const { series } = computeIndicator(bars, spec, { timeframe });
+      return Object.keys(series).reduce((result, field) => {
+        result[field] = series[field][series[field].length - 1];
+        return result;
+      }, {});
+    };
+    
+    return {
+      symbol,
+      timeframe,
+      price: bars[bars.length - 1].close,
+      technicalRating: summary.rating,
+      oscillatorRating: oscillators.rating,
+      movingAverageRating: movingAverages.rating,
+      summary,
+      oscillators,
+      movingAverages,
+      indicators: {
+        rsi: lastValue('rsi(14)').value,
+        macd: lastValue('macd(12,26,9)'),
+        adx: lastValue('adx(14)').adx,
+        cci: lastValue('cci(20)').value
+      },
+      timestamp: bars[bars.length - 1].timestamp
+    };
   } catch (error) {
     logger.error(`Error getting TradingView indicators for ${symbol}: ${error.message}`);
     throw new Error(`Failed to get TradingView indicators for ${symbol}: ${error.message}`);
@@ -158,5 +201,6 @@ module.exports = {
   fetchHistoricalData,
   getStockAnalysis,
   batchAnalyzeStocks,
+  getIndicators,
   getTradingViewIndicators
 }; 
\ No newline at end of file
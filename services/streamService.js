@@ -0,0 +1,306 @@
+/**
+ * Streaming subscriptions
+ *
+ * A stream delivers events to one client: `quote` and `bar` events of the
+ * symbols it subscribes to, and `order` and `portfolio` events of its account.
+ * Live streams share one market feed; a stream can instead replay a past
+ * period on a feed of its own (its order and portfolio events stay live).
+ * Transports (the SSE endpoint, MCP resource subscriptions) open a stream with
+ * a send function and write out whatever it receives; there is no WebSocket
+ * transport.
+ */
+
+const crypto = require('crypto');
+const tradingService = require('./tradingService');
+const { createFeed } = require('./marketFeed');
+const { httpError } = require('../utils/httpError');
+const logger = require('../utils/logger');
+
+const STREAM_EVENTS = ['quote', 'bar', 'order', 'portfolio'];
+const DEFAULT_MAX_SYMBOLS = 50;
+const MAX_REPLAY_SPEED = 3600;
+
+const streams = new Map();
+let liveFeed = null;
+
+/**
+ * Send an event to a stream if it asked for events of that type
+ * @param {Object} stream - Stream
+ * @param {string} type - Event type
+ * @param {Object} data - Event data
+ */
+const deliver = (stream, type, data) => {
+  if (type === 'symbol_error' || stream.events.has(type)) {
+    stream.send(type, data);
+  }
+};
+
+/**
+ * Forward a feed's events to the streams subscribed to their symbols
+ * @param {Object} feed - Market feed
+ * @returns {Object} The feed
+ */
+const attachFeed = (feed) => {
+  ['quote', 'bar', 'symbol_error'].forEach(type => {
+    feed.events.on(type, data => {
+      streams.forEach(stream => {
+        if (stream.feed === feed && stream.symbols.has(data.symbol)) {
+          deliver(stream, type, data);
+        }
+      });
+    });
+  });
+  return feed;
+};
+
+/**
+ * Get the feed shared by live streams
+ * @returns {Object} Market feed
+ */
+const getLiveFeed = () => {
+  if (!liveFeed) {
+    liveFeed = attachFeed(createFeed());
+  }
+  return liveFeed;
+};
+
+/**
+ * Normalize a list of symbols
+ * @param {Array|string} symbols - Symbols, or a comma-separated list
+ * @returns {Array} Unique upper-case symbols
+ */
+const parseSymbols = (symbols) => {
+  const list = typeof symbols === 'string' ? symbols.split(',') : symbols;
+  if (!Array.isArray(list) || list.some(symbol => typeof symbol !== 'string')) {
+    throw httpError('symbols must be a list of stock symbols', 400);
+  }
+  return [...new Set(list.map(symbol => symbol.trim().toUpperCase()).filter(Boolean))];
+};
+
+/**
+ * Check that a stream stays within STREAM_MAX_SYMBOLS (default: 50)
+ * @param {number} count - Number of symbols the stream would have
+ */
+const checkSymbolCount = (count) => {
+  const maxSymbols = Number(process.env.STREAM_MAX_SYMBOLS) || DEFAULT_MAX_SYMBOLS;
+  if (count > maxSymbols) {
+    throw httpError(`A stream can subscribe to at most ${maxSymbols} symbols`, 400);
+  }
+};
+
+/**
+ * Describe a stream
+ * @param {Object} stream - Stream
+ * @returns {Object} Id, account, event types, symbols, bar timeframe and replay settings
+ */
+const describeStream = (stream) => ({
+  id: stream.id,
+  accountId: stream.accountId,
+  events: [...stream.events],
+  symbols: [...stream.symbols],
+  timeframe: stream.feed.timeframe,
+  replay: stream.feed.replay,
+  createdAt: stream.createdAt
+});
+
+/**
+ * Look up a stream
+ * @param {string} streamId - Stream id
+ * @returns {Object} Stream
+ */
+const findStream = (streamId) => {
+  const stream = streams.get(streamId);
+  if (!stream) {
+    throw httpError(`Stream ${streamId} not found`, 404);
+  }
+  return stream;
+};
+
+/**
+ * Subscribe a stream to symbols and send it their latest quote and bar
+ * @param {string} streamId - Stream id
+ * @param {Array|string} symbols - Symbols to add
+ * @returns {Object} The stream's description
+ */
+const subscribe = (streamId, symbols) => {
+  const stream = findStream(streamId);
+  const added = parseSymbols(symbols).filter(symbol => !stream.symbols.has(symbol));
+  checkSymbolCount(stream.symbols.size + added.length);
+
+  added.forEach(symbol => {
+    stream.symbols.add(symbol);
+    const { quote, bar } = stream.feed.getLatest(symbol);
+    if (bar) {
+      deliver(stream, 'bar', bar);
+    }
+    if (quote) {
+      deliver(stream, 'quote', quote);
+    }
+  });
+  stream.feed.subscribe(added);
+  return describeStream(stream);
+};
+
+/**
+ * Unsubscribe a stream from symbols
+ * @param {string} streamId - Stream id
+ * @param {Array|string} symbols - Symbols to drop
+ * @returns {Object} The stream's description
+ */
+const unsubscribe = (streamId, symbols) => {
+  const stream = findStream(streamId);
+  const removed = parseSymbols(symbols).filter(symbol => stream.symbols.has(symbol));
+  removed.forEach(symbol => stream.symbols.delete(symbol));
+  stream.feed.unsubscribe(removed);
+  return describeStream(stream);
+};
+
+/**
+ * Open a stream
+ * @param {Object} options - Stream options
+ * @param {Array|string} options.symbols - Symbols to subscribe to
+ * @param {string} options.accountId - Account of the order and portfolio events (default: default)
+ * @param {Array|string} options.events - Event types to receive (default: all)
+ * @param {string} options.replayFrom - ISO time to replay quotes and bars from (default: live)
+ * @param {number} options.speed - Replay speed (default: 1)
+ * @param {string} options.timeframe - Bar timeframe of a replay (default: STREAM_BAR_TIMEFRAME or 1m)
+ * @param {Function} options.send - Receives send(type, data) for every event
+ * @param {Function} options.end - Called when the stream is closed
+ * @returns {Object} Stream description
+ */
+const openStream = ({
+  symbols = [],
+  accountId = tradingService.DEFAULT_ACCOUNT_ID,
+  events = STREAM_EVENTS,
+  replayFrom = null,
+  speed = 1,
+  timeframe,
+  send,
+  end = () => {}
+}) => {
+  const types = typeof events === 'string' ? events.split(',').map(type => type.trim()) : events;
+  const unknown = types.filter(type => !STREAM_EVENTS.includes(type));
+  if (unknown.length > 0) {
+    throw httpError(`Unknown stream events: ${unknown.join(', ')}. Use: ${STREAM_EVENTS.join(', ')}`, 400);
+  }
+  const symbolList = parseSymbols(symbols);
+  checkSymbolCount(symbolList.length);
+  tradingService.getAccount(accountId);
+
+  let feed;
+  if (replayFrom) {
+    const start = Date.parse(replayFrom);
+    if (Number.isNaN(start) || start >= Date.now()) {
+      throw httpError('replayFrom must be a date in the past', 400);
+    }
+    if (typeof speed !== 'number' || !(speed > 0) || speed > MAX_REPLAY_SPEED) {
+      throw httpError(`speed must be a number above 0 and at most ${MAX_REPLAY_SPEED}`, 400);
+    }
+    feed = attachFeed(createFeed({ replayFrom, speed, timeframe }));
+  } else {
+    if (timeframe) {
+      throw httpError('timeframe applies to replays only; live streams use STREAM_BAR_TIMEFRAME', 400);
+    }
+    feed = getLiveFeed();
+  }
+
+  const stream = {
+    id: `s-${crypto.randomUUID()}`,
+    accountId,
+    events: new Set(types),
+    symbols: new Set(),
+    feed,
+    send,
+    end,
+    createdAt: new Date().toISOString()
+  };
+  streams.set(stream.id, stream);
+  logger.info(`Opened stream ${stream.id}${feed.replay ? ` replaying from ${feed.replay.from} at ${speed}x` : ''}`);
+
+  return subscribe(stream.id, symbolList);
+};
+
+/**
+ * Get a stream's description
+ * @param {string} streamId - Stream id
+ * @returns {Object} Stream description
+ */
+const getStream = (streamId) => describeStream(findStream(streamId));
+
+/**
+ * Close a stream
+ * @param {string} streamId - Stream id
+ * @returns {boolean} Whether a stream was closed
+ */
+const closeStream = (streamId) => {
+  const stream = streams.get(streamId);
+  if (!stream) {
+    return false;
+  }
+
+  streams.delete(streamId);
+  stream.feed.unsubscribe([...stream.symbols]);
+  if (stream.feed !== liveFeed) {
+    stream.feed.stop();
+  }
+  stream.end();
+  logger.info(`Closed stream ${streamId}`);
+  return true;
+};
+
+/**
+ * Summarize a portfolio for streaming
+ * @param {string} accountId - Account id
+ * @returns {Object} Cash, equity, buying power, P&L and positions
+ */
+const summarizePortfolio = (accountId) => {
+  const portfolio = tradingService.getPortfolio(accountId);
+  return {
+    accountId,
+    cash: portfolio.cash,
+    equity: portfolio.equity,
+    buyingPower: portfolio.buyingPower,
+    pnl: portfolio.pnl,
+    positions: portfolio.positions.map(({ symbol, quantity, currentPrice, priceUpdatedAt, stale, marketValue, unrealizedPnl }) => ({
+      symbol,
+      quantity,
+      currentPrice,
+      priceUpdatedAt,
+      stale,
+      marketValue,
+      unrealizedPnl
+    })),
+    timestamp: portfolio.timestamp
+  };
+};
+
+tradingService.events.on('order', order => {
+  streams.forEach(stream => {
+    if (stream.accountId === order.accountId) {
+      deliver(stream, 'order', order);
+    }
+  });
+});
+
+tradingService.events.on('portfolio', accountId => {
+  const listeners = [...streams.values()].filter(stream => stream.accountId === accountId && stream.events.has('portfolio'));
+  if (listeners.length === 0) {
+    return;
+  }
+  try {
+    const summary = summarizePortfolio(accountId);
+    listeners.forEach(stream => deliver(stream, 'portfolio', summary));
+  } catch (error) {
+    // The account may have been deleted since the change
+    logger.error(`Error streaming portfolio ${accountId}: ${error.message}`);
+  }
+});
+
+module.exports = {
+  STREAM_EVENTS,
+  openStream,
+  getStream,
+  subscribe,
+  unsubscribe,
+  closeStream
+};
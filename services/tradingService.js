@@ -1,154 +1,1241 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
 const { mockBrokerClient } = require('../utils/apiClient');
+const quoteService = require('./quoteService');
+const { getStore } = require('../utils/storage');
+const { getNextSessionClose } = require('../utils/timeframes');
+const {
+  STOP_TYPES,
+  getExitAction,
+  validateOrder,
+  checkStopPrice,
+  updateTrailingStop,
+  isTriggered,
+  isMarketable,
+  getReservePrice
+} = require('../utils/orderTypes');
+const { ACCOUNT_TYPES, normalizeMarginSettings, getAccountValues, getBorrowFee } = require('../utils/margin');
+const { DEFAULT_EXECUTION, normalizeExecutionSettings, getFillableQuantity, priceFill } = require('../utils/fillSimulation');
+const { getDefaultRiskLimits, normalizeRiskLimits, checkOrderRisk } = require('../utils/riskLimits');
+const { getDefaultLotMethod, openLot, relieveLots, getAveragePrice, valueLots } = require('../utils/taxLots');
+const { httpError } = require('../utils/httpError');
 const logger = require('../utils/logger');
 
-// Mock portfolio data (in a real app this would be in a database)
-let mockPortfolio = {
-  cash: 100000,
-  positions: [],
-  transactions: []
+const DEFAULT_ACCOUNT_ID = 'default';
+const DEFAULT_INITIAL_CASH = 100000;
+const ACCOUNT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Emits `order` with an order record whenever an order changes, `portfolio`
+// with the account id whenever a portfolio changes, and `tick` after each run
+// of the order matching loop, for other periodic work. Every MCP connection
+// subscribed to a portfolio resource listens, so there is no limit
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+// Orders and accounts changed by the running transaction
+let changes = null;
+
+/**
+ * Note that a transaction changed an order or a portfolio
+ * @param {Object} change - What changed
+ * @param {string} change.orderId - Changed order
+ * @param {string} change.accountId - Account whose portfolio changed
+ */
+const recordChange = ({ orderId, accountId }) => {
+  if (!changes) {
+    return;
+  }
+  if (orderId) {
+    changes.orders.add(orderId);
+  }
+  if (accountId) {
+    changes.accounts.add(accountId);
+  }
+};
+
+/**
+ * Run a store transaction and, once it is written, emit events for the
+ * orders and portfolios it changed
+ * @param {Function} change - Receives the tables (see getStore().transaction)
+ * @returns {*} The change's result
+ */
+const transact = (change) => {
+  const recorded = { orders: new Set(), accounts: new Set() };
+  changes = recorded;
+  let result;
+  try {
+    result = getStore().transaction(change);
+  } finally {
+    changes = null;
+  }
+  
+  recorded.orders.forEach(orderId => {
+    const order = getStore().get('orders', orderId);
+    if (order) {
+      events.emit('order', order);
+    }
+  });
+  recorded.accounts.forEach(accountId => events.emit('portfolio', accountId));
+  return result;
+};
+
+/**
+ * Starting cash of new accounts
+ * @returns {number} PAPER_INITIAL_CASH or 100000
+ */
+const getInitialCash = () => Number(process.env.PAPER_INITIAL_CASH) || DEFAULT_INITIAL_CASH;
+
+/**
+ * Build a new account record
+ * @param {Object} options - Account options
+ * @param {string} options.id - Account id
+ * @param {string} options.name - Display name
+ * @param {number} options.initialCash - Starting cash
+ * @param {string} options.currency - Currency code the account is denominated in
+ * @param {string} options.type - cash or margin (default: cash)
+ * @param {Object} options.margin - Margin settings of margin accounts
+ * @param {Object} options.execution - Execution settings (null: the defaults)
+ * @param {Object} options.risk - Risk limits (null: the environment defaults)
+ * @param {boolean} options.requireApproval - Whether orders from MCP clients need a human's approval
+ * @param {string} options.lotMethod - Tax lot method, fifo or lifo (null: TAX_LOT_METHOD)
+ * @returns {Object} Account record
+ */
+const newAccount = ({ id, name, initialCash, currency, type = 'cash', margin = null, execution = null, risk = null, requireApproval = false, lotMethod = null }) => {
+  const now = new Date().toISOString();
+  return {
+    id,
+    name,
+    currency,
+    type,
+    margin,
+    execution,
+    risk,
+    requireApproval,
+    lotMethod,
+    initialCash,
+    cash: initialCash,
+    borrowFees: 0,
+    tradingDay: null,
+    fundedAt: now,
+    createdAt: now
+  };
+};
+
+/**
+ * Look up an account inside a transaction. The default account is created on first use.
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {string} accountId - Account id (default: default)
+ * @returns {Object} The account record
+ */
+const resolveAccount = (tables, accountId = DEFAULT_ACCOUNT_ID) => {
+  if (!tables.accounts[accountId] && accountId === DEFAULT_ACCOUNT_ID) {
+    tables.accounts[accountId] = newAccount({ id: accountId, name: 'Default', initialCash: getInitialCash(), currency: 'USD' });
+  }
+  if (!tables.accounts[accountId]) {
+    throw httpError(`Account ${accountId} not found`, 404);
+  }
+  return tables.accounts[accountId];
+};
+
+/**
+ * Execution settings of an account
+ * @param {Object} account - Account record
+ * @returns {Object} Commission and slippage models and maximum volume participation
+ */
+const getExecutionSettings = (account) => account.execution || DEFAULT_EXECUTION;
+
+/**
+ * Risk limits of an account
+ * @param {Object} account - Account record
+ * @returns {Object} The account's limits, or the RISK_* environment defaults
+ */
+const getRiskLimits = (account) => account.risk || getDefaultRiskLimits();
+
+const ACCOUNT_LOT_METHODS = ['fifo', 'lifo'];
+
+/**
+ * Tax lot method of an account
+ * @param {Object} account - Account record
+ * @returns {string} The account's lot method, or the TAX_LOT_METHOD default
+ */
+const getLotMethod = (account) => account.lotMethod || getDefaultLotMethod();
+
+/**
+ * Get an account
+ * @param {string} accountId - Account id (default: default, created on first use)
+ * @returns {Object} Account record
+ */
+const getAccount = (accountId = DEFAULT_ACCOUNT_ID) => getStore().get('accounts', accountId)
+  || getStore().transaction(tables => ({ ...resolveAccount(tables, accountId) }));
+
+/**
+ * List all accounts with their current value
+ * @returns {Array} Accounts with cash, total value and number of positions
+ */
+const listAccounts = () => {
+  getAccount(DEFAULT_ACCOUNT_ID);
+  
+  return getStore().getAll('accounts')
+    .sort((a, b) => (b.id === DEFAULT_ACCOUNT_ID) - (a.id === DEFAULT_ACCOUNT_ID) || Date.parse(a.createdAt) - Date.parse(b.createdAt))
+    .map(account => {
+      const { positions, totalValue } = getPortfolio(account.id);
+      return {
+        ...account,
+        positions: positions.length,
+        totalValue
+      };
+    });
+};
+
+/**
+ * Create a named paper-trading account
+ * @param {Object} options - Account options
+ * @param {string} options.id - Account id (letters, digits, _ and -)
+ * @param {string} options.name - Display name (default: the id)
+ * @param {number} options.initialCash - Starting cash (default: PAPER_INITIAL_CASH or 100000)
+ * @param {string} options.currency - ISO currency code (default: USD)
+ * @param {string} options.type - cash (default) or margin, which allows borrowing and short selling
+ * @param {Object} options.margin - initialMargin, maintenanceMargin and borrowRate of margin accounts
+ * @param {Object} options.execution - Commission and slippage models and maximum volume participation (see utils/fillSimulation)
+ * @param {Object} options.risk - Pre-trade risk limits (see utils/riskLimits)
+ * @param {boolean} options.requireApproval - Turn orders from MCP clients into proposals a human approves (default: false)
+ * @param {string} options.lotMethod - Tax lot method, fifo or lifo (default: TAX_LOT_METHOD or fifo)
+ * @returns {Object} The new account
+ */
+const createAccount = ({ id, name, initialCash = getInitialCash(), currency = 'USD', type = 'cash', margin, execution, risk, requireApproval = false, lotMethod = null } = {}) => {
+  if (typeof id !== 'string' || !ACCOUNT_ID_PATTERN.test(id)) {
+    throw httpError('Account id must be 1-64 letters, digits, underscores or dashes', 400);
+  }
+  if (typeof initialCash !== 'number' || !Number.isFinite(initialCash) || initialCash <= 0) {
+    throw httpError('initialCash must be a positive number', 400);
+  }
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) {
+    throw httpError('currency must be a three-letter ISO code such as USD', 400);
+  }
+  if (!ACCOUNT_TYPES.includes(type)) {
+    throw httpError(`type must be one of: ${ACCOUNT_TYPES.join(', ')}`, 400);
+  }
+  if (typeof requireApproval !== 'boolean') {
+    throw httpError('requireApproval must be true or false', 400);
+  }
+  if (lotMethod !== null && !ACCOUNT_LOT_METHODS.includes(lotMethod)) {
+    throw httpError(`lotMethod must be one of: ${ACCOUNT_LOT_METHODS.join(', ')}`, 400);
+  }
+  const marginSettings = type === 'margin' ? normalizeMarginSettings(margin) : null;
+  const executionSettings = execution ? normalizeExecutionSettings(execution) : null;
+  const riskLimits = risk ? normalizeRiskLimits(risk) : null;
+  
+  logger.info(`Creating ${type} account ${id} with ${initialCash} ${currency}`);
+  
+  return transact(tables => {
+    if (tables.accounts[id]) {
+      throw httpError(`Account ${id} already exists`, 409);
+    }
+    tables.accounts[id] = newAccount({ id, name: name || id, initialCash, currency, type, margin: marginSettings, execution: executionSettings, risk: riskLimits, requireApproval, lotMethod });
+    recordChange({ accountId: id });
+    return { ...tables.accounts[id] };
+  });
+};
+
+/**
+ * Replace the execution settings of an account
+ * @param {string} accountId - Account id
+ * @param {Object} execution - Commission and slippage models and maximum volume participation; missing ones get the defaults
+ * @returns {Object} The updated account
+ */
+const setExecutionSettings = (accountId, execution) => {
+  const settings = normalizeExecutionSettings(execution);
+  
+  logger.info(`Updating execution settings of account ${accountId}`);
+  
+  return transact(tables => {
+    const account = resolveAccount(tables, accountId);
+    account.execution = settings;
+    recordChange({ accountId: account.id });
+    return { ...account };
+  });
+};
+
+/**
+ * Replace the risk limits of an account
+ * @param {string} accountId - Account id
+ * @param {Object} risk - Risk limits; missing ones get the environment defaults
+ * @returns {Object} The updated account
+ */
+const setRiskLimits = (accountId, risk) => {
+  const limits = normalizeRiskLimits(risk);
+  
+  logger.info(`Updating risk limits of account ${accountId}`);
+  
+  return transact(tables => {
+    const account = resolveAccount(tables, accountId);
+    account.risk = limits;
+    recordChange({ accountId: account.id });
+    return { ...account };
+  });
+};
+
+/**
+ * Turn the approval of orders from MCP clients on or off for an account
+ * @param {string} accountId - Account id
+ * @param {boolean} requireApproval - Whether orders from MCP clients become proposals a human approves
+ * @returns {Object} The updated account
+ */
+const setApprovalRequired = (accountId, requireApproval) => {
+  if (typeof requireApproval !== 'boolean') {
+    throw httpError('requireApproval must be true or false', 400);
+  }
+  
+  logger.info(`${requireApproval ? 'Requiring' : 'No longer requiring'} approval of MCP orders in account ${accountId}`);
+  
+  return transact(tables => {
+    const account = resolveAccount(tables, accountId);
+    account.requireApproval = requireApproval;
+    recordChange({ accountId: account.id });
+    return { ...account };
+  });
+};
+
+/**
+ * Set the tax lot method of an account
+ * @param {string} accountId - Account id
+ * @param {string} lotMethod - fifo or lifo
+ * @returns {Object} The updated account
+ */
+const setLotMethod = (accountId, lotMethod) => {
+  if (!ACCOUNT_LOT_METHODS.includes(lotMethod)) {
+    throw httpError(`lotMethod must be one of: ${ACCOUNT_LOT_METHODS.join(', ')}`, 400);
+  }
+  
+  logger.info(`Setting lot method of account ${accountId} to ${lotMethod}`);
+  
+  return transact(tables => {
+    const account = resolveAccount(tables, accountId);
+    account.lotMethod = lotMethod;
+    recordChange({ accountId: account.id });
+    return { ...account };
+  });
+};
+
+/**
+ * Deposit cash into or withdraw cash from an account. Performance reports
+ * treat these as external cash flows rather than gains or losses.
+ * @param {string} accountId - Account id
+ * @param {Object} transfer - Transfer details
+ * @param {number} transfer.amount - Amount to deposit (positive) or withdraw (negative)
+ * @param {string} transfer.note - Optional note
+ * @returns {Object} The cash flow record and the account's new cash balance
+ */
+const transferCash = (accountId, { amount, note = null } = {}) => {
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount === 0) {
+    throw httpError('amount must be a non-zero number: positive to deposit, negative to withdraw', 400);
+  }
+  
+  logger.info(`${amount > 0 ? 'Depositing' : 'Withdrawing'} ${Math.abs(amount)} ${amount > 0 ? 'into' : 'from'} account ${accountId}`);
+  
+  return transact(tables => {
+    const account = resolveAccount(tables, accountId);
+    if (account.cash + amount < 0) {
+      throw httpError(`Cannot withdraw ${Math.abs(amount).toFixed(2)}, the account has ${account.cash.toFixed(2)} cash`, 400);
+    }
+    
+    const cashFlow = {
+      id: `c-${crypto.randomUUID()}`,
+      accountId: account.id,
+      type: amount > 0 ? 'deposit' : 'withdrawal',
+      amount,
+      note,
+      timestamp: new Date().toISOString()
+    };
+    tables.cashFlows[cashFlow.id] = cashFlow;
+    account.cash += amount;
+    recordChange({ accountId: account.id });
+    
+    return { cashFlow: { ...cashFlow }, cash: account.cash };
+  });
+};
+
+const KILL_SWITCH_ID = 'killSwitch';
+
+/**
+ * Get the kill switch, which halts all order placement while enabled
+ * @returns {Object} enabled, reason, source (environment or api) and updatedAt
+ */
+const getKillSwitch = () => {
+  if (process.env.TRADING_KILL_SWITCH === 'true') {
+    return { enabled: true, reason: 'TRADING_KILL_SWITCH is set', source: 'environment', updatedAt: null };
+  }
+  const setting = getStore().get('settings', KILL_SWITCH_ID);
+  return setting
+    ? { enabled: setting.enabled, reason: setting.reason, source: 'api', updatedAt: setting.updatedAt }
+    : { enabled: false, reason: null, source: 'api', updatedAt: null };
+};
+
+/**
+ * Enable or disable the kill switch
+ * @param {Object} options - Kill switch options
+ * @param {boolean} options.enabled - Whether to halt trading
+ * @param {string} options.reason - Why trading is halted
+ * @returns {Object} The kill switch
+ */
+const setKillSwitch = ({ enabled, reason = null } = {}) => {
+  if (typeof enabled !== 'boolean') {
+    throw httpError('enabled must be true or false', 400);
+  }
+  
+  if (enabled) {
+    logger.warn(`Kill switch enabled${reason ? `: ${reason}` : ''}, all orders are rejected`);
+  } else {
+    logger.info('Kill switch disabled');
+  }
+  
+  transact(tables => {
+    tables.settings[KILL_SWITCH_ID] = {
+      id: KILL_SWITCH_ID,
+      enabled,
+      reason: enabled ? reason : null,
+      updatedAt: new Date().toISOString()
+    };
+    // Every portfolio shows whether the kill switch is on
+    Object.keys(tables.accounts).forEach(accountId => recordChange({ accountId }));
+  });
+  return getKillSwitch();
+};
+
+// Tables whose records belong to an account
+const ACCOUNT_TABLES = ['positions', 'orders', 'fills', 'cashFlows', 'marginCalls', 'proposals'];
+
+/**
+ * Delete an account with its positions, orders, fills, cash flows, margin calls and proposals
+ * @param {string} accountId - Account id (the default account cannot be deleted)
+ * @returns {Object} The deleted account
+ */
+const deleteAccount = (accountId) => {
+  if (accountId === DEFAULT_ACCOUNT_ID) {
+    throw httpError('The default account cannot be deleted, reset it instead', 400);
+  }
+  
+  logger.info(`Deleting account ${accountId}`);
+  
+  return transact(tables => {
+    const account = resolveAccount(tables, accountId);
+    ACCOUNT_TABLES.forEach(table => {
+      Object.keys(tables[table])
+        .filter(id => tables[table][id].accountId === accountId)
+        .forEach(id => delete tables[table][id]);
+    });
+    delete tables.accounts[accountId];
+    recordChange({ accountId });
+    return account;
+  });
+};
+
+/**
+ * Key of a position record
+ * @param {string} accountId - Account id
+ * @param {string} symbol - Stock symbol
+ * @returns {string} Position id
+ */
+const positionId = (accountId, symbol) => `${accountId}:${symbol}`;
+
+/**
+ * Identify the trading day of a time by the session close that ends it
+ * @param {number} now - Time in ms
+ * @returns {string} ISO time of the session close
+ */
+const getTradingDay = (now) => new Date(getNextSessionClose(now)).toISOString();
+
+/**
+ * Profit or loss of an account since the start of the trading day
+ * @param {Object} account - Account record
+ * @param {number} equity - Current equity
+ * @param {number} now - Current time in ms
+ * @returns {number} Equity change, 0 before the account's first order of the day
+ */
+const getDailyPnl = (account, equity, now) => {
+  const day = account.tradingDay;
+  return day && day.close === getTradingDay(now) ? equity - day.startEquity : 0;
 };
 
 /**
  * Get current portfolio
+ * @param {string} accountId - Account id (default: default)
  * @returns {Object} Current portfolio
  */
-const getPortfolio = () => {
-  // Calculate total value
-  const positionsValue = mockPortfolio.positions.reduce((total, position) => {
-    return total + (position.quantity * position.currentPrice);
-  }, 0);
+const getPortfolio = (accountId = DEFAULT_ACCOUNT_ID) => {
+  const store = getStore();
+  const account = getAccount(accountId);
+  
+  const now = new Date().toISOString();
+  const positions = store.getAll('positions', position => position.accountId === account.id)
+    .map(({ symbol, quantity, costBasis, currentPrice, priceUpdatedAt, borrowFees, lots }) => {
+      const valued = valueLots(lots, currentPrice, now);
+      return {
+        symbol,
+        side: quantity < 0 ? 'short' : 'long',
+        quantity,
+        costBasis,
+        currentPrice,
+        priceUpdatedAt,
+        stale: quoteService.isStale(priceUpdatedAt),
+        marketValue: quantity * currentPrice,
+        unrealizedPnl: valued.reduce((sum, lot) => sum + lot.unrealizedPnl, 0),
+        lots: valued.map(({ fillId, side, ...lot }) => lot),
+        ...(quantity < 0 ? { borrowFees: borrowFees || 0 } : {})
+      };
+    });
+  
+  const transactions = store.getAll('fills', fill => fill.accountId === account.id)
+    .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+    .map(toTransaction);
+  
+  // Calculate equity (the total value) and buying power; short positions count negative
+  const reserved = getReserved(store.getAll('orders', order => order.accountId === account.id), account.id, {});
+  const values = getAccountValues(account, positions, reserved.cash);
+  
+  const portfolio = {
+    accountId: account.id,
+    name: account.name,
+    currency: account.currency,
+    accountType: account.type || 'cash',
+    requireApproval: Boolean(account.requireApproval),
+    cash: account.cash,
+    positions,
+    transactions,
+    totalValue: values.equity,
+    equity: values.equity,
+    buyingPower: values.buyingPower,
+    execution: getExecutionSettings(account),
+    lotMethod: getLotMethod(account),
+    pnl: {
+      realized: transactions.reduce((sum, transaction) => sum + transaction.realizedPnl, 0),
+      unrealized: positions.reduce((sum, position) => sum + position.unrealizedPnl, 0)
+    },
+    risk: {
+      limits: getRiskLimits(account),
+      dailyPnl: getDailyPnl(account, values.equity, Date.now()),
+      killSwitch: getKillSwitch().enabled
+    },
+    costs: {
+      commissions: transactions.reduce((sum, transaction) => sum + transaction.commission, 0),
+      slippage: transactions.reduce((sum, transaction) => sum + transaction.slippage, 0)
+    },
+    timestamp: now
+  };
+  
+  if (account.type === 'margin') {
+    const [marginCall = null] = store.getAll('marginCalls', call => call.accountId === account.id && call.status === 'open');
+    portfolio.margin = {
+      ...account.margin,
+      longMarketValue: values.longMarketValue,
+      shortMarketValue: values.shortMarketValue,
+      initialRequirement: values.initialRequirement,
+      maintenanceRequirement: values.maintenanceRequirement,
+      excessLiquidity: values.excessLiquidity,
+      marginUsage: values.marginUsage,
+      borrowFees: account.borrowFees || 0,
+      marginCall
+    };
+  }
+  
+  return portfolio;
+};
+
+const OPEN_STATUSES = ['new', 'partially_filled'];
+const ORDER_STATUSES = [...OPEN_STATUSES, 'filled', 'cancelled', 'expired'];
+
+/**
+ * Check whether an order is still working
+ * @param {Object} order - Order record
+ * @returns {boolean} True for new and partially filled orders
+ */
+const isOpen = (order) => OPEN_STATUSES.includes(order.status);
+
+/**
+ * Check whether two orders are the same order or legs of the same OCO group
+ * @param {Object} order - Order record
+ * @param {Object} other - Order record
+ * @returns {boolean} True if they share their funds
+ */
+const isSameGroup = (order, other) => order.id === other.id || Boolean(order.ocoGroup && order.ocoGroup === other.ocoGroup);
+
+/**
+ * Deep copy of a record, for returning records out of a transaction
+ * @param {Object} record - Record
+ * @returns {Object} Copy
+ */
+const copy = (record) => JSON.parse(JSON.stringify(record));
+
+/**
+ * Cash and shares committed to an account's working orders
+ * @param {Array} orders - Orders
+ * @param {string} accountId - Account id
+ * @param {Object} order - Order being checked; it and its OCO legs are left out
+ * @returns {Object} Reserved cash (buy orders at their reserve price) and reserved shares of the order's symbol
+ */
+const getReserved = (orders, accountId, order) => {
+  // Legs of an OCO group sell the same shares, so a group reserves them once
+  const sharesByGroup = {};
+  let cash = 0;
+  
+  orders
+    .filter(other => other.accountId === accountId && isOpen(other) && !isSameGroup(order, other))
+    .forEach(other => {
+      if (other.action === 'buy') {
+        // Market orders working off their remaining quantity reserve at their average fill price
+        cash += other.remainingQuantity * getReservePrice(other, other.averageFillPrice || 0);
+      } else if (other.symbol === order.symbol) {
+        const group = other.ocoGroup || other.id;
+        sharesByGroup[group] = Math.max(sharesByGroup[group] || 0, other.remainingQuantity);
+      }
+    });
   
   return {
-    ...mockPortfolio,
-    totalValue: mockPortfolio.cash + positionsValue,
-    timestamp: new Date().toISOString()
+    cash,
+    shares: Object.values(sharesByGroup).reduce((sum, shares) => sum + shares, 0)
   };
 };
 
 /**
- * Execute a trade order
- * @param {Object} order - Order details
- * @returns {Object} Order result
+ * Get an account's positions inside a transaction
+ * @param {Object} tables - Store tables
+ * @param {string} accountId - Account id
+ * @returns {Array} Positions
+ */
+const getAccountPositions = (tables, accountId) => Object.values(tables.positions)
+  .filter(position => position.accountId === accountId);
+
+/**
+ * Get an account's open margin call inside a transaction
+ * @param {Object} tables - Store tables
+ * @param {string} accountId - Account id
+ * @returns {Object|undefined} Open margin call
+ */
+const getOpenMarginCall = (tables, accountId) => Object.values(tables.marginCalls)
+  .find(call => call.accountId === accountId && call.status === 'open');
+
+/**
+ * Check that an account can trade a quantity at a price. Cash accounts need
+ * the cash for buys and the shares for sells; margin accounts need buying
+ * power for the part of a trade that opens or adds to a position.
+ * @param {Object} tables - Store tables
+ * @param {Object} account - Account record
+ * @param {Object} order - Order (symbol, action, and id when already stored)
+ * @param {number} quantity - Quantity to trade
+ * @param {number} price - Trade price
+ * @param {number} commission - Commission of the trade
+ * @returns {string|null} Reason the trade is not possible, or null
+ */
+const checkFunds = (tables, account, order, quantity, price, commission = 0) => {
+  const reserved = getReserved(Object.values(tables.orders), account.id, order);
+  const position = tables.positions[positionId(account.id, order.symbol)];
+  const held = position ? position.quantity : 0;
+  
+  if (account.type !== 'margin') {
+    // Check if selling more than we own
+    if (order.action === 'sell') {
+      const available = held - reserved.shares;
+      if (quantity > available) {
+        return `Cannot sell ${quantity} shares of ${order.symbol}, you only own ${Math.max(available, 0)} not committed to other orders`;
+      }
+      return null;
+    }
+    
+    // Check if enough cash for buy
+    const available = account.cash - reserved.cash;
+    if (quantity * price + commission > available) {
+      return `Insufficient funds for order. Order value: $${(quantity * price).toFixed(2)} plus $${commission.toFixed(2)} commission, available cash: $${available.toFixed(2)}`;
+    }
+    return null;
+  }
+  
+  // Sells first close the unreserved long shares and buys the short shares
+  const closing = order.action === 'sell'
+    ? Math.min(quantity, Math.max(held - reserved.shares, 0))
+    : Math.min(quantity, Math.max(-held, 0));
+  const opening = quantity - closing;
+  if (opening === 0) {
+    return null;
+  }
+  
+  if (getOpenMarginCall(tables, account.id)) {
+    return `Account ${account.id} has an open margin call, only orders that reduce positions are accepted`;
+  }
+  
+  // Working sells beyond the long position would open shorts
+  const reservedShort = Math.max(reserved.shares - Math.max(held, 0), 0) * price;
+  const { buyingPower } = getAccountValues(account, getAccountPositions(tables, account.id), reserved.cash + reservedShort);
+  if (opening * price + commission > buyingPower) {
+    return `Insufficient buying power for order. Opening value: $${(opening * price).toFixed(2)} plus $${commission.toFixed(2)} commission, buying power: $${buyingPower.toFixed(2)}`;
+  }
+  return null;
+};
+
+/**
+ * Run the pre-trade risk checks of an order. The account's equity at its first
+ * order of a trading day is the base of its daily loss.
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {Object} account - Account record
+ * @param {Object} order - Validated order
+ * @param {number} currentPrice - Current price
+ * @param {number} now - Current time in ms
+ * @returns {Array} Reasons the order is rejected (see utils/riskLimits)
+ */
+const checkRisk = (tables, account, order, currentPrice, now) => {
+  const { equity } = getAccountValues(account, getAccountPositions(tables, account.id));
+  if (!account.tradingDay || account.tradingDay.close !== getTradingDay(now)) {
+    account.tradingDay = { close: getTradingDay(now), startEquity: equity };
+  }
+  
+  // Orders placed by the account in the last minute; the legs of an OCO order count once
+  const recentOrders = new Set(Object.values(tables.orders)
+    .filter(other => other.accountId === account.id && !other.parentId && Date.parse(other.createdAt) > now - 60 * 1000)
+    .map(other => other.ocoGroup || other.id));
+  const position = tables.positions[positionId(account.id, order.symbol)];
+  
+  return checkOrderRisk(
+    { symbol: order.symbol, action: order.action, quantity: order.quantity, price: getReservePrice(order, currentPrice) },
+    {
+      equity,
+      positionQuantity: position ? position.quantity : 0,
+      dailyPnl: getDailyPnl(account, equity, now),
+      ordersLastMinute: recentOrders.size
+    },
+    getRiskLimits(account),
+    getKillSwitch().enabled
+  );
+};
+
+/**
+ * Check the lots an order with the specific lot method names against the
+ * position it reduces
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {Object} account - Account record
+ * @param {Object} order - Validated order
+ * @returns {string|null} Why the lots cannot be relieved, or null
+ */
+const checkLotIds = (tables, account, order) => {
+  if (order.lotMethod !== 'specific') {
+    return null;
+  }
+  const position = tables.positions[positionId(account.id, order.symbol)];
+  if (!position || Math.sign(position.quantity) !== (order.action === 'buy' ? -1 : 1)) {
+    return `Specific lots only apply to orders that reduce a position, there is no ${order.action === 'buy' ? 'short' : 'long'} ${order.symbol} position`;
+  }
+  const unknown = order.lotIds.filter(id => !position.lots.some(lot => lot.id === id));
+  return unknown.length > 0 ? `Not open lots of the ${order.symbol} position: ${unknown.join(', ')}` : null;
+};
+
+/**
+ * Add an order to the book
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {Object} fields - Order fields (accountId, symbol, action, type, quantity, timeInForce and type-specific prices)
+ * @param {number} now - Current time in ms
+ * @returns {Object} Order record
+ */
+const addOrder = (tables, fields, now) => {
+  const timestamp = new Date(now).toISOString();
+  const order = {
+    id: `o-${crypto.randomUUID()}`,
+    accountId: fields.accountId,
+    symbol: fields.symbol,
+    action: fields.action,
+    type: fields.type,
+    timeInForce: fields.timeInForce,
+    quantity: fields.quantity,
+    price: fields.price || null,
+    stopPrice: fields.stopPrice || null,
+    trailAmount: fields.trailAmount || null,
+    trailPercent: fields.trailPercent || null,
+    orderClass: fields.orderClass || 'simple',
+    takeProfit: fields.takeProfit || null,
+    stopLoss: fields.stopLoss || null,
+    ocoGroup: fields.ocoGroup || null,
+    parentId: fields.parentId || null,
+    lotMethod: fields.lotMethod || null,
+    lotIds: fields.lotIds || [],
+    legIds: [],
+    status: 'new',
+    filledQuantity: 0,
+    remainingQuantity: fields.quantity,
+    averageFillPrice: null,
+    commission: 0,
+    triggeredAt: null,
+    expiresAt: fields.timeInForce === 'DAY' ? new Date(getNextSessionClose(now)).toISOString() : null,
+    createdAt: timestamp,
+    updatedAt: timestamp
+  };
+  tables.orders[order.id] = order;
+  recordChange({ orderId: order.id, accountId: order.accountId });
+  return order;
+};
+
+/**
+ * Place the take-profit and stop-loss legs of a filled bracket order
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {Object} entry - Bracket entry order
+ * @param {number} now - Current time in ms
+ */
+const placeBracketLegs = (tables, entry, now) => {
+  const leg = {
+    accountId: entry.accountId,
+    symbol: entry.symbol,
+    action: getExitAction(entry),
+    quantity: entry.filledQuantity,
+    timeInForce: 'GTC',
+    ocoGroup: entry.id,
+    parentId: entry.id
+  };
+  const takeProfit = addOrder(tables, { ...leg, type: 'limit', price: entry.takeProfit.price }, now);
+  const stopLoss = addOrder(tables, {
+    ...leg,
+    type: entry.stopLoss.price ? 'stop_limit' : 'stop',
+    stopPrice: entry.stopLoss.stopPrice,
+    price: entry.stopLoss.price
+  }, now);
+  entry.legIds = [takeProfit.id, stopLoss.id];
+};
+
+/**
+ * Apply the consequences of an order fill or close to related orders: the
+ * legs of an OCO group follow each other and a bracket entry places its legs
+ * once it stops working
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {Object} order - Order that filled or closed
+ * @param {number} now - Current time in ms
+ */
+const settleOrder = (tables, order, now) => {
+  if (order.ocoGroup) {
+    Object.values(tables.orders)
+      .filter(other => other.id !== order.id && other.ocoGroup === order.ocoGroup && isOpen(other))
+      .forEach(other => {
+        if (isOpen(order)) {
+          // A partial fill shrinks the other legs to the shares left to cover
+          other.remainingQuantity = Math.min(other.remainingQuantity, order.remainingQuantity);
+          recordChange({ orderId: other.id });
+        } else {
+          closeOrder(tables, other, 'cancelled', `One-cancels-other: order ${order.id} ${order.status}`, now);
+        }
+      });
+  }
+  
+  if (order.orderClass === 'bracket' && !isOpen(order) && order.filledQuantity > 0 && order.legIds.length === 0) {
+    placeBracketLegs(tables, order, now);
+  }
+};
+
+/**
+ * Close an order without filling its remaining quantity
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {Object} order - Order record
+ * @param {string} status - cancelled or expired
+ * @param {string} reason - Why the order was closed
+ * @param {number} now - Current time in ms
+ */
+const closeOrder = (tables, order, status, reason, now) => {
+  order.status = status;
+  order.reason = reason;
+  order.updatedAt = new Date(now).toISOString();
+  recordChange({ orderId: order.id, accountId: order.accountId });
+  settleOrder(tables, order, now);
+};
+
+/**
+ * Charge a short position the borrow fee owed since it was last charged
+ * @param {Object} account - Account record
+ * @param {Object} position - Position record
+ * @param {number} now - Current time in ms
+ */
+const chargeBorrowFee = (account, position, now) => {
+  const fee = getBorrowFee(position, account.margin ? account.margin.borrowRate : 0, now);
+  if (fee > 0) {
+    account.cash -= fee;
+    account.borrowFees = (account.borrowFees || 0) + fee;
+    position.borrowFees = (position.borrowFees || 0) + fee;
+    recordChange({ accountId: account.id });
+  }
+  if (position.quantity < 0) {
+    position.borrowAccruedAt = new Date(now).toISOString();
+  }
+};
+
+// Shares filled per symbol in the current quote minute, shared by all accounts
+const liquidityUsed = new Map();
+
+/**
+ * Minute of a quote, the window its volume is shared in
+ * @param {Object} quote - Quote
+ * @returns {number} Minutes since the epoch
+ */
+const getQuoteWindow = (quote) => Math.floor(Date.parse(quote.timestamp) / 60000);
+
+/**
+ * Number of shares of an order that can fill against a quote, limited by the
+ * account's share of the quote's volume left in the current minute
+ * @param {Object} account - Account record
+ * @param {Object} order - Order record
+ * @param {Object} quote - Quote with volume and timestamp
+ * @returns {number} Fillable shares
+ */
+const getFillQuantity = (account, order, quote) => {
+  const usage = liquidityUsed.get(order.symbol);
+  const used = usage && usage.window === getQuoteWindow(quote) ? usage.used : 0;
+  return getFillableQuantity(order.remainingQuantity, quote.volume, used, getExecutionSettings(account).maxParticipation);
+};
+
+/**
+ * Fill (part of) an order at a quote, updating its position, its tax lots and
+ * the account's cash. Shares that reduce the position relieve lots and realize
+ * their gains; the rest opens a lot.
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {Object} account - Account record
+ * @param {Object} order - Order record
+ * @param {number} quantity - Filled quantity
+ * @param {Object} quote - Quote the order fills against
+ * @param {number} now - Current time in ms
+ * @returns {Object} Fill record
+ */
+const applyFill = (tables, account, order, quantity, quote, now) => {
+  const { symbol, action } = order;
+  const id = positionId(account.id, symbol);
+  const position = tables.positions[id];
+  const { referencePrice, price, commission, slippage } = priceFill(order, quantity, quote, getExecutionSettings(account));
+  const value = quantity * price;
+  const timestamp = new Date(now).toISOString();
+  
+  const window = getQuoteWindow(quote);
+  const usage = liquidityUsed.get(symbol);
+  liquidityUsed.set(symbol, { window, used: (usage && usage.window === window ? usage.used : 0) + quantity });
+  
+  const fill = {
+    id: `t-${crypto.randomUUID()}`,
+    orderId: order.id,
+    accountId: account.id,
+    symbol,
+    action,
+    quantity,
+    price,
+    value,
+    referencePrice,
+    commission,
+    slippage,
+    realizedPnl: 0,
+    closedLots: [],
+    timestamp
+  };
+  tables.fills[fill.id] = fill;
+  
+  // Buys deduct cash, sells (including short sales) add it; every fill pays its commission
+  account.cash += (action === 'buy' ? -value : value) - commission;
+  
+  // Relieve lots with the shares that reduce the position and open a lot with
+  // the rest; the commission is shared between them by quantity
+  const change = action === 'buy' ? quantity : -quantity;
+  const held = position ? position.quantity : 0;
+  const closing = Math.sign(held) === -Math.sign(change) ? Math.min(quantity, Math.abs(held)) : 0;
+  let lots = position ? position.lots : [];
+  if (closing > 0) {
+    const relief = relieveLots(lots, closing, { price, commission: commission * closing / quantity, closedAt: timestamp },
+      order.lotMethod || getLotMethod(account), order.lotIds);
+    lots = relief.lots;
+    fill.closedLots = relief.realized;
+    fill.realizedPnl = relief.realized.reduce((sum, lot) => sum + lot.gain, 0);
+  }
+  if (closing < quantity) {
+    lots = [...lots, openLot({
+      fillId: fill.id,
+      side: change > 0 ? 'long' : 'short',
+      quantity: quantity - closing,
+      price,
+      commission: commission * (quantity - closing) / quantity,
+      openedAt: timestamp
+    })];
+  }
+  
+  // Update the position; short positions have a negative quantity
+  if (!position) {
+    tables.positions[id] = {
+      id,
+      accountId: account.id,
+      symbol,
+      quantity: change,
+      costBasis: price,
+      lots,
+      currentPrice: referencePrice,
+      priceUpdatedAt: quote.timestamp,
+      borrowFees: 0,
+      borrowAccruedAt: change < 0 ? timestamp : null,
+      updatedAt: timestamp
+    };
+  } else {
+    const newQuantity = position.quantity + change;
+    position.lots = lots;
+    position.costBasis = getAveragePrice(lots);
+    
+    // Charge the borrow fee owed so far before the short changes size
+    chargeBorrowFee(account, position, now);
+    position.borrowAccruedAt = newQuantity < 0 ? timestamp : null;
+    
+    position.quantity = newQuantity;
+    position.currentPrice = referencePrice;
+    position.priceUpdatedAt = quote.timestamp;
+    position.updatedAt = timestamp;
+    
+    // Remove the position if quantity is 0
+    if (position.quantity === 0) {
+      delete tables.positions[id];
+    }
+  }
+  
+  // Update the order
+  const filledValue = (order.averageFillPrice || 0) * order.filledQuantity + value;
+  order.filledQuantity += quantity;
+  order.remainingQuantity -= quantity;
+  order.averageFillPrice = filledValue / order.filledQuantity;
+  order.commission = (order.commission || 0) + commission;
+  order.status = order.remainingQuantity === 0 ? 'filled' : 'partially_filled';
+  order.updatedAt = timestamp;
+  recordChange({ orderId: order.id, accountId: account.id });
+  settleOrder(tables, order, now);
+  
+  return fill;
+};
+
+/**
+ * Move a working order along with a new price: trail its stop, trigger it
+ * once the stop price is reached, and check its limit
+ * @param {Object} order - Order record (modified in place)
+ * @param {number} currentPrice - Current price
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if the order can fill at the price
+ */
+const advanceOrder = (order, currentPrice, now) => {
+  if (order.type === 'trailing_stop' && !order.triggeredAt) {
+    updateTrailingStop(order, currentPrice);
+  }
+  if (STOP_TYPES.includes(order.type) && !order.triggeredAt) {
+    if (!isTriggered(order, currentPrice)) {
+      return false;
+    }
+    order.triggeredAt = new Date(now).toISOString();
+    recordChange({ orderId: order.id });
+  }
+  return isMarketable(order, currentPrice);
+};
+
+/**
+ * Describe the prices of an order for messages
+ * @param {Object} order - Order record
+ * @returns {string} Description such as "stop 95 limit 94"
+ */
+const describeOrder = (order) => {
+  switch (order.type) {
+    case 'limit':
+      return `limit ${order.price}`;
+    case 'stop':
+      return `stop ${order.stopPrice}`;
+    case 'stop_limit':
+      return `stop ${order.stopPrice} limit ${order.price}`;
+    case 'trailing_stop':
+      return `trailing stop ${order.stopPrice.toFixed(2)}`;
+    default:
+      return 'market';
+  }
+};
+
+/**
+ * Strip internal fields from a fill
+ * @param {Object} fill - Fill record
+ * @returns {Object} Transaction as reported in portfolios
+ */
+const toTransaction = ({ accountId, ...transaction }) => transaction;
+
+/**
+ * Place the legs of an OCO order
+ * @param {Object} tables - Store tables inside a transaction
+ * @param {Object} account - Account record
+ * @param {Object} order - Validated OCO order
+ * @param {Object} quote - Current quote
+ * @param {number} now - Current time in ms
+ * @returns {Object} The take-profit leg, both legs and the fill if a leg filled right away
+ */
+const placeOcoOrder = (tables, account, order, quote, now) => {
+  const currentPrice = quote.price;
+  const leg = {
+    accountId: account.id,
+    symbol: order.symbol,
+    action: order.action,
+    quantity: order.quantity,
+    timeInForce: order.timeInForce,
+    lotMethod: order.lotMethod,
+    lotIds: order.lotIds,
+    ocoGroup: `g-${crypto.randomUUID()}`
+  };
+  const takeProfit = addOrder(tables, { ...leg, type: 'limit', price: order.takeProfit.price }, now);
+  const stopLoss = addOrder(tables, {
+    ...leg,
+    type: order.stopLoss.price ? 'stop_limit' : 'stop',
+    stopPrice: order.stopLoss.stopPrice,
+    price: order.stopLoss.price
+  }, now);
+  
+  // Buys are covered at the higher of the two prices
+  const reason = checkFunds(tables, account, takeProfit, order.quantity,
+    Math.max(getReservePrice(takeProfit, currentPrice), getReservePrice(stopLoss, currentPrice)));
+  if (reason) {
+    throw new Error(reason);
+  }
+  
+  let fill = null;
+  [takeProfit, stopLoss].forEach(other => {
+    if (!fill && isOpen(other) && advanceOrder(other, currentPrice, now)) {
+      const quantity = getFillQuantity(account, other, quote);
+      fill = quantity > 0 ? applyFill(tables, account, other, quantity, quote, now) : null;
+    }
+  });
+  
+  return { order: copy(takeProfit), legs: [copy(takeProfit), copy(stopLoss)], fill };
+};
+
+/**
+ * Execute a trade order. Orders fill against the current quote as far as
+ * their prices and the quote's volume allow (see utils/fillSimulation for
+ * slippage, commissions and partial fills); the rest works in the order book
+ * until it fills, expires (DAY orders, at the session close) or is cancelled.
+ * IOC orders cancel what cannot fill immediately and FOK orders cancel unless
+ * they fill completely. See utils/orderTypes for the order types and classes.
+ * Orders that fail the account's risk limits or arrive while the kill switch
+ * is on are rejected with the reasons (see utils/riskLimits).
+ * @param {Object} order - Order details (see orderSchema) with an optional accountId (default: default)
+ * @returns {Object} Order result with the order record and its legs, or the rejection reasons
  */
 const executeOrder = async (order) => {
+  const { accountId = DEFAULT_ACCOUNT_ID } = order;
+  getAccount(accountId);
+  
   try {
-    const { symbol, type, quantity, price, action } = order;
+    const validation = validateOrder(order);
+    if (!validation.valid) {
+      throw new Error(`Invalid order: ${validation.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    }
+    const { symbol, type, quantity, action, timeInForce, orderClass } = validation.value;
     
-    logger.info(`Executing ${action} order for ${quantity} shares of ${symbol}`);
+    logger.info(`Executing ${action} ${type} order for ${quantity} shares of ${symbol} in account ${accountId}`);
     
     // In a real implementation, we would call the broker API
     // For now, we'll simulate the order execution
     
-    // Simple validation
-    if (!symbol || !type || !quantity || !action) {
-      throw new Error('Missing required order parameters');
-    }
-    
-    if (!['market', 'limit'].includes(type)) {
-      throw new Error('Invalid order type, must be "market" or "limit"');
+    const quote = await quoteService.getQuote(symbol);
+    if (quote.stale) {
+      throw new Error(`Quote for ${symbol} is stale (last update ${quote.timestamp}), orders need a quote at most ${quoteService.getMaxQuoteAge() / 1000} seconds old`);
     }
-    
-    if (!['buy', 'sell'].includes(action)) {
-      throw new Error('Invalid order action, must be "buy" or "sell"');
+    const currentPrice = quote.price;
+    const stopError = orderClass === 'oco'
+      ? checkStopPrice({ type: 'stop', action, stopPrice: validation.value.stopLoss.stopPrice }, currentPrice)
+      : checkStopPrice(validation.value, currentPrice);
+    if (stopError) {
+      throw new Error(stopError);
     }
     
-    // Get current price (in a real app, this would come from a real-time data feed)
-    const currentPrice = price || (100 + Math.random() * 50);
+    const now = Date.now();
     
-    // For limit orders, check if the price condition is met
-    if (type === 'limit') {
-      if (action === 'buy' && currentPrice > price) {
-        return {
-          status: 'pending',
-          message: `Limit buy order for ${symbol} waiting for price ${price}, current price is ${currentPrice.toFixed(2)}`,
-          order
-        };
+    // Record the order, its fill and the resulting positions in one transaction
+    const result = transact(tables => {
+      const account = resolveAccount(tables, accountId);
+      
+      const reasons = checkRisk(tables, account, validation.value, currentPrice, now);
+      if (reasons.length > 0) {
+        return { reasons };
       }
       
-      if (action === 'sell' && currentPrice < price) {
-        return {
-          status: 'pending',
-          message: `Limit sell order for ${symbol} waiting for price ${price}, current price is ${currentPrice.toFixed(2)}`,
-          order
-        };
+      const lotError = checkLotIds(tables, account, validation.value);
+      if (lotError) {
+        throw new Error(lotError);
       }
-    }
-    
-    // Calculate order value
-    const orderValue = quantity * currentPrice;
-    
-    // Check if selling more than we own
-    if (action === 'sell') {
-      const position = mockPortfolio.positions.find(p => p.symbol === symbol);
       
-      if (!position || position.quantity < quantity) {
-        throw new Error(`Cannot sell ${quantity} shares of ${symbol}, you only own ${position ? position.quantity : 0}`);
+      if (orderClass === 'oco') {
+        return placeOcoOrder(tables, account, validation.value, quote, now);
       }
-    }
-    
-    // Check if enough cash for buy
-    if (action === 'buy' && orderValue > mockPortfolio.cash) {
-      throw new Error(`Insufficient funds for order. Order value: $${orderValue.toFixed(2)}, available cash: $${mockPortfolio.cash.toFixed(2)}`);
-    }
-    
-    // Execute the order
-    const transaction = {
-      id: `t-${Date.now()}`,
-      symbol,
-      action,
-      quantity,
-      price: currentPrice,
-      value: orderValue,
-      timestamp: new Date().toISOString()
-    };
-    
-    // Update portfolio
-    if (action === 'buy') {
-      // Deduct cash
-      mockPortfolio.cash -= orderValue;
       
-      // Add or update position
-      const existingPosition = mockPortfolio.positions.find(p => p.symbol === symbol);
+      const record = addOrder(tables, { ...validation.value, accountId: account.id }, now);
+      const fillable = advanceOrder(record, currentPrice, now);
+      const fillQuantity = fillable ? getFillQuantity(account, record, quote) : 0;
       
-      if (existingPosition) {
-        // Update existing position
-        const newQuantity = existingPosition.quantity + quantity;
-        const newCostBasis = ((existingPosition.costBasis * existingPosition.quantity) + orderValue) / newQuantity;
-        
-        existingPosition.quantity = newQuantity;
-        existingPosition.costBasis = newCostBasis;
-        existingPosition.currentPrice = currentPrice;
-      } else {
-        // Add new position
-        mockPortfolio.positions.push({
-          symbol,
-          quantity,
-          costBasis: currentPrice,
-          currentPrice
-        });
+      // Orders that trade now must be covered at their fill price, resting ones at their reserve price
+      const execution = fillQuantity > 0 ? priceFill(record, fillQuantity, quote, getExecutionSettings(account)) : null;
+      const reason = checkFunds(tables, account, record, quantity,
+        execution ? execution.price : getReservePrice(record, currentPrice),
+        execution ? execution.commission : 0);
+      if (reason) {
+        throw new Error(reason);
       }
-    } else {
-      // Add cash
-      mockPortfolio.cash += orderValue;
       
-      // Update position
-      const position = mockPortfolio.positions.find(p => p.symbol === symbol);
-      position.quantity -= quantity;
+      let fill = null;
+      if (record.timeInForce === 'FOK' && fillQuantity < quantity) {
+        closeOrder(tables, record, 'cancelled', fillable
+          ? `Only ${fillQuantity} of ${quantity} shares could fill at the current volume`
+          : `Could not fill at the current price ${currentPrice.toFixed(2)}`, now);
+      } else {
+        if (fillQuantity > 0) {
+          fill = applyFill(tables, account, record, fillQuantity, quote, now);
+        }
+        if (isOpen(record) && record.timeInForce === 'IOC') {
+          closeOrder(tables, record, 'cancelled', fill
+            ? `The remaining ${record.remainingQuantity} shares could not fill at the current volume`
+            : `Could not fill at the current price ${currentPrice.toFixed(2)}`, now);
+        }
+      }
       
-      // Remove position if quantity is 0
-      if (position.quantity === 0) {
-        mockPortfolio.positions = mockPortfolio.positions.filter(p => p.symbol !== symbol);
+      return {
+        order: copy(record),
+        legs: record.legIds.map(id => copy(tables.orders[id])),
+        fill
+      };
+    });
+    
+    if (result.reasons) {
+      logger.warn(`Order for ${symbol} rejected by risk checks: ${result.reasons.map(reason => reason.code).join(', ')}`);
+      return {
+        status: 'rejected',
+        message: `Order rejected by risk checks: ${result.reasons.map(reason => reason.message).join('; ')}`,
+        reasons: result.reasons
+      };
+    }
+    
+    const details = { order: result.order, legs: result.legs };
+    
+    if (result.fill) {
+      const { fill } = result;
+      let rest = '';
+      if (result.order.status === 'partially_filled') {
+        rest = `, the remaining ${result.order.remainingQuantity} shares are working`;
+      } else if (result.order.status === 'cancelled') {
+        rest = `, the remaining ${result.order.remainingQuantity} shares were cancelled`;
       }
+      return {
+        status: 'executed',
+        message: `Successfully ${fill.action === 'buy' ? 'bought' : 'sold'} ${fill.quantity} shares of ${symbol} at $${fill.price.toFixed(2)} (commission $${fill.commission.toFixed(2)})${rest}`,
+        ...details,
+        transaction: toTransaction(fill),
+        portfolio: getPortfolio(accountId)
+      };
     }
     
-    // Record transaction
-    mockPortfolio.transactions.push(transaction);
+    if (result.order.status === 'cancelled') {
+      return {
+        status: 'cancelled',
+        message: `${timeInForce} ${describeOrder(result.order)} ${action} order for ${symbol} cancelled: ${result.order.reason}`,
+        ...details
+      };
+    }
     
+    const working = result.legs.length > 0 && orderClass === 'oco'
+      ? result.legs.map(describeOrder).join(' / ')
+      : describeOrder(result.order);
     return {
-      status: 'executed',
-      message: `Successfully ${action === 'buy' ? 'bought' : 'sold'} ${quantity} shares of ${symbol} at $${currentPrice.toFixed(2)}`,
-      transaction,
-      portfolio: getPortfolio()
+      status: 'pending',
+      message: `${orderClass === 'simple' ? '' : `${orderClass} `}${action} order ${result.order.id} for ${symbol} working at ${working}, current price is ${currentPrice.toFixed(2)}`,
+      ...details
     };
   } catch (error) {
     logger.error(`Error executing order: ${error.message}`);
@@ -160,161 +1247,441 @@ const executeOrder = async (order) => {
 };
 
 /**
- * Update portfolio with latest prices
- * @returns {Object} Updated portfolio
+ * List an account's orders, newest first
+ * @param {Object} options - Filters
+ * @param {string} options.accountId - Account id (default: default)
+ * @param {string} options.status - open, or one of the order statuses (default: all)
+ * @param {string} options.symbol - Only orders for this symbol
+ * @returns {Array} Orders
  */
-const updatePortfolio = async () => {
-  try {
-    logger.info('Updating portfolio with latest prices');
-    
-    // In a real implementation, we would fetch the latest prices from an API
-    // For mock purposes, we'll simulate price changes
-    
-    // Update position prices with some random changes
-    mockPortfolio.positions.forEach(position => {
-      // Random price change between -2% and 2%
-      const priceChange = position.currentPrice * (Math.random() * 0.04 - 0.02);
-      position.currentPrice += priceChange;
-    });
-    
-    return getPortfolio();
-  } catch (error) {
-    logger.error(`Error updating portfolio: ${error.message}`);
-    throw new Error(`Failed to update portfolio: ${error.message}`);
+const getOrders = ({ accountId = DEFAULT_ACCOUNT_ID, status, symbol } = {}) => {
+  getAccount(accountId);
+  
+  if (status && status !== 'open' && !ORDER_STATUSES.includes(status)) {
+    throw httpError(`Invalid order status "${status}". Use open or one of: ${ORDER_STATUSES.join(', ')}`, 400);
   }
+  
+  return getStore().getAll('orders', order => order.accountId === accountId
+    && (!status || (status === 'open' ? isOpen(order) : order.status === status))
+    && (!symbol || order.symbol === symbol))
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
 };
 
 /**
- * Analyze portfolio performance
- * @param {string} period - Time period for analysis (1d, 1w, 1m, 3m, 1y)
- * @returns {Object} Portfolio performance analysis
+ * Get an order by id
+ * @param {string} orderId - Order id
+ * @returns {Object} Order
  */
-const analyzePerformance = async (period = '1m') => {
-  try {
-    logger.info(`Analyzing portfolio performance for period: ${period}`);
-    
-    // In a real implementation, we would have historical portfolio values
-    // For mock purposes, we'll simulate performance
-    
-    // Get current portfolio
-    const portfolio = getPortfolio();
-    
-    // Generate mock historical data
-    const historicalValues = [];
-    const startDate = new Date();
-    let dataPoints = 30; // Default to 1 month
-    
-    // Determine number of data points based on period
-    switch (period) {
-      case '1d':
-        dataPoints = 24; // Hourly for 1 day
-        break;
-      case '1w':
-        dataPoints = 7; // Daily for 1 week
-        break;
-      case '1m':
-        dataPoints = 30; // Daily for 1 month
-        break;
-      case '3m':
-        dataPoints = 90; // Daily for 3 months
-        break;
-      case '1y':
-        dataPoints = 365; // Daily for 1 year
-        break;
-      default:
-        dataPoints = 30;
+const getOrder = (orderId) => {
+  const order = getStore().get('orders', orderId);
+  if (!order) {
+    throw httpError(`Order ${orderId} not found`, 404);
+  }
+  return order;
+};
+
+/**
+ * Cancel a working order. Cancelling a leg of an OCO group cancels the other legs.
+ * @param {string} orderId - Order id
+ * @returns {Object} The cancelled order
+ */
+const cancelOrder = (orderId) => {
+  logger.info(`Cancelling order ${orderId}`);
+  
+  return transact(tables => {
+    const order = tables.orders[orderId];
+    if (!order) {
+      throw httpError(`Order ${orderId} not found`, 404);
     }
-    
-    // Start with current value and work backwards
-    let value = portfolio.totalValue;
-    
-    for (let i = 0; i < dataPoints; i++) {
-      const date = new Date(startDate);
-      date.setDate(startDate.getDate() - i);
-      
-      // Random daily change between -1% and 1.5% (slight upward bias)
-      const dailyChange = value * (Math.random() * 0.025 - 0.01);
-      value -= dailyChange;
-      
-      historicalValues.unshift({
-        date: date.toISOString().split('T')[0],
-        value
+    if (!isOpen(order)) {
+      throw httpError(`Order ${orderId} is ${order.status} and can no longer be cancelled`, 409);
+    }
+    closeOrder(tables, order, 'cancelled', 'Cancelled by request', Date.now());
+    return copy(order);
+  });
+};
+
+/**
+ * Expire DAY orders past the session close, trail and trigger stops, and fill
+ * working orders whose prices have been reached, as far as the volume allows
+ * @returns {Promise<Object>} Filled, partially filled, expired and cancelled order ids
+ */
+const matchOrders = async () => {
+  const store = getStore();
+  const result = { filled: [], partiallyFilled: [], expired: [], cancelled: [] };
+  
+  const now = Date.now();
+  const expired = store.getAll('orders', order => isOpen(order) && order.expiresAt && Date.parse(order.expiresAt) <= now);
+  if (expired.length > 0) {
+    transact(tables => {
+      expired.forEach(({ id }) => {
+        closeOrder(tables, tables.orders[id], 'expired', 'Session closed', now);
+        result.expired.push(id);
       });
+    });
+  }
+  
+  const symbols = [...new Set(store.getAll('orders', isOpen).map(order => order.symbol))];
+  
+  for (const symbol of symbols) {
+    let quote;
+    try {
+      quote = await quoteService.getQuote(symbol);
+    } catch (error) {
+      logger.error(`Error getting price of ${symbol} for order matching: ${error.message}`);
+      continue;
     }
-    
-    // Calculate performance metrics
-    const startValue = historicalValues[0].value;
-    const endValue = portfolio.totalValue;
-    const absoluteReturn = endValue - startValue;
-    const percentReturn = (absoluteReturn / startValue) * 100;
-    
-    // Calculate annualized return
-    let annualizedReturn = 0;
-    switch (period) {
-      case '1d':
-        annualizedReturn = Math.pow(1 + (percentReturn / 100), 365) - 1;
-        break;
-      case '1w':
-        annualizedReturn = Math.pow(1 + (percentReturn / 100), 52) - 1;
-        break;
-      case '1m':
-        annualizedReturn = Math.pow(1 + (percentReturn / 100), 12) - 1;
-        break;
-      case '3m':
-        annualizedReturn = Math.pow(1 + (percentReturn / 100), 4) - 1;
-        break;
-      case '1y':
-        annualizedReturn = percentReturn / 100;
-        break;
+    if (quote.stale) {
+      continue;
     }
-    annualizedReturn *= 100;
     
-    // Calculate volatility (standard deviation of returns)
-    const returns = [];
-    for (let i = 1; i < historicalValues.length; i++) {
-      const dailyReturn = (historicalValues[i].value / historicalValues[i - 1].value) - 1;
-      returns.push(dailyReturn);
+    transact(tables => {
+      const matchTime = Date.now();
+      Object.values(tables.orders)
+        .filter(order => order.symbol === symbol && isOpen(order))
+        .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+        .forEach(order => {
+          // An earlier fill in this pass may have cancelled the other legs of its OCO group
+          if (!isOpen(order) || !advanceOrder(order, quote.price, matchTime)) {
+            return;
+          }
+          const account = tables.accounts[order.accountId];
+          if (!account) {
+            closeOrder(tables, order, 'cancelled', `Account ${order.accountId} no longer exists`, matchTime);
+            result.cancelled.push(order.id);
+            return;
+          }
+          const quantity = getFillQuantity(account, order, quote);
+          if (quantity === 0) {
+            return;
+          }
+          const { price, commission } = priceFill(order, quantity, quote, getExecutionSettings(account));
+          const reason = checkFunds(tables, account, order, quantity, price, commission);
+          if (reason) {
+            closeOrder(tables, order, 'cancelled', reason, matchTime);
+            result.cancelled.push(order.id);
+            return;
+          }
+          applyFill(tables, account, order, quantity, quote, matchTime);
+          if (order.status === 'filled') {
+            result.filled.push(order.id);
+          } else {
+            result.partiallyFilled.push(order.id);
+          }
+        });
+    });
+  }
+  
+  if (result.filled.length + result.partiallyFilled.length + result.expired.length + result.cancelled.length > 0) {
+    logger.info(`Order matching: ${result.filled.length} filled, ${result.partiallyFilled.length} partially filled, ${result.expired.length} expired, ${result.cancelled.length} cancelled`);
+  }
+  return result;
+};
+
+/**
+ * Charge borrow fees of margin accounts and open or resolve margin calls:
+ * a margin call opens when equity falls below the maintenance requirement
+ * and resolves once it is back above
+ * @returns {Object} Ids of the opened and resolved margin calls
+ */
+const updateMarginAccounts = () => {
+  const result = { opened: [], resolved: [] };
+  const now = Date.now();
+  
+  // Margin accounts without positions, borrowed cash or a margin call have nothing to update
+  const store = getStore();
+  const active = new Set([
+    ...store.getAll('positions').map(position => position.accountId),
+    ...store.getAll('marginCalls', call => call.status === 'open').map(call => call.accountId)
+  ]);
+  const accountIds = store.getAll('accounts', account => account.type === 'margin' && (account.cash < 0 || active.has(account.id)))
+    .map(account => account.id);
+  if (accountIds.length === 0) {
+    return result;
+  }
+  
+  transact(tables => {
+    accountIds
+      .map(accountId => tables.accounts[accountId])
+      .forEach(account => {
+        const positions = getAccountPositions(tables, account.id);
+        positions.forEach(position => chargeBorrowFee(account, position, now));
+        
+        const { equity, maintenanceRequirement } = getAccountValues(account, positions);
+        const openCall = getOpenMarginCall(tables, account.id);
+        const timestamp = new Date(now).toISOString();
+        
+        if (!openCall && equity < maintenanceRequirement) {
+          const call = {
+            id: `m-${crypto.randomUUID()}`,
+            accountId: account.id,
+            status: 'open',
+            equity,
+            maintenanceRequirement,
+            deficiency: maintenanceRequirement - equity,
+            createdAt: timestamp,
+            resolvedAt: null
+          };
+          tables.marginCalls[call.id] = call;
+          recordChange({ accountId: account.id });
+          result.opened.push(call.id);
+          logger.warn(`Margin call for account ${account.id}: equity $${equity.toFixed(2)} is below the maintenance requirement of $${maintenanceRequirement.toFixed(2)}`);
+        } else if (openCall && equity >= maintenanceRequirement) {
+          openCall.status = 'resolved';
+          openCall.resolvedAt = timestamp;
+          recordChange({ accountId: account.id });
+          result.resolved.push(openCall.id);
+          logger.info(`Margin call ${openCall.id} for account ${account.id} resolved`);
+        } else if (openCall && (openCall.equity !== equity || openCall.maintenanceRequirement !== maintenanceRequirement)) {
+          openCall.equity = equity;
+          openCall.maintenanceRequirement = maintenanceRequirement;
+          openCall.deficiency = maintenanceRequirement - equity;
+          recordChange({ accountId: account.id });
+        }
+      });
+  });
+  
+  return result;
+};
+
+/**
+ * List an account's margin calls, newest first
+ * @param {string} accountId - Account id (default: default)
+ * @returns {Array} Margin calls
+ */
+const getMarginCalls = (accountId = DEFAULT_ACCOUNT_ID) => {
+  getAccount(accountId);
+  return getStore().getAll('marginCalls', call => call.accountId === accountId)
+    .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt));
+};
+
+/**
+ * Parse a date filter. A date without a time covers the whole (UTC) day.
+ * @param {string} name - Parameter name for the error message
+ * @param {string} value - ISO date or time
+ * @param {boolean} endOfDay - Whether a date means the end of its day
+ * @returns {number} Time in ms
+ */
+const parseDateFilter = (name, value, endOfDay) => {
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw httpError(`${name} must be a date such as 2024-01-31 or an ISO time`, 400);
+  }
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
+
+/**
+ * Report an account's realized gains: one entry per relieved tax lot, with
+ * totals for short-term and long-term gains
+ * @param {Object} options - Filters
+ * @param {string} options.accountId - Account id (default: default)
+ * @param {string} options.symbol - Only this symbol
+ * @param {string} options.from - Only lots closed on or after this date
+ * @param {string} options.to - Only lots closed on or before this date
+ * @returns {Object} Totals per holding term and the relieved lots, oldest first
+ */
+const getRealizedGains = ({ accountId = DEFAULT_ACCOUNT_ID, symbol, from, to } = {}) => {
+  getAccount(accountId);
+  const start = from ? parseDateFilter('from', from, false) : -Infinity;
+  const end = to ? parseDateFilter('to', to, true) : Infinity;
+  
+  const lots = getStore().getAll('fills', fill => fill.accountId === accountId && (!symbol || fill.symbol === symbol))
+    .flatMap(fill => fill.closedLots.map(lot => ({ symbol: fill.symbol, orderId: fill.orderId, fillId: fill.id, ...lot })))
+    .filter(lot => Date.parse(lot.closedAt) >= start && Date.parse(lot.closedAt) <= end)
+    .sort((a, b) => Date.parse(a.closedAt) - Date.parse(b.closedAt));
+  
+  const sum = (term) => lots
+    .filter(lot => !term || lot.term === term)
+    .reduce((total, lot) => ({
+      quantity: total.quantity + lot.quantity,
+      proceeds: total.proceeds + lot.proceeds,
+      costBasis: total.costBasis + lot.costBasis,
+      gain: total.gain + lot.gain
+    }), { quantity: 0, proceeds: 0, costBasis: 0, gain: 0 });
+  
+  return {
+    accountId,
+    symbol: symbol || null,
+    from: from || null,
+    to: to || null,
+    shortTerm: sum('short'),
+    longTerm: sum('long'),
+    total: sum(),
+    lots
+  };
+};
+
+/**
+ * Mark positions to market: set their current prices from the quote service.
+ * Positions whose quote cannot be fetched keep their last price.
+ * @param {string} accountId - Only this account's positions (default: all accounts)
+ * @returns {Promise<Object>} Marked symbols and the errors of symbols without a quote
+ */
+const markToMarket = async (accountId) => {
+  const store = getStore();
+  const held = store.getAll('positions', position => !accountId || position.accountId === accountId);
+  const { quotes, errors } = await quoteService.getQuotes(held.map(position => position.symbol));
+  Object.keys(errors).forEach(symbol => logger.error(`Error getting price of ${symbol} to mark positions: ${errors[symbol]}`));
+  
+  const marked = Object.keys(quotes);
+  // Only positions with a newer quote change
+  const outdated = held.filter(position => quotes[position.symbol]
+    && position.priceUpdatedAt !== quotes[position.symbol].timestamp
+    && !(Date.parse(position.priceUpdatedAt) > Date.parse(quotes[position.symbol].timestamp)));
+  if (outdated.length > 0) {
+    transact(tables => {
+      outdated.forEach(({ id }) => {
+        const position = tables.positions[id];
+        const quote = position && quotes[position.symbol];
+        // A fill may have priced the position more recently than this quote
+        if (quote && !(Date.parse(position.priceUpdatedAt) > Date.parse(quote.timestamp))) {
+          if (position.currentPrice !== quote.price) {
+            recordChange({ accountId: position.accountId });
+          }
+          position.currentPrice = quote.price;
+          position.priceUpdatedAt = quote.timestamp;
+        }
+      });
+    });
+  }
+  
+  return { marked, errors };
+};
+
+let matchingTimer = null;
+
+/**
+ * Mark positions to market and run order matching periodically as new prices arrive
+ * @param {number} intervalMs - Interval between runs (default: ORDER_MATCH_INTERVAL_MS or 5000)
+ */
+const startOrderMatching = (intervalMs = Number(process.env.ORDER_MATCH_INTERVAL_MS) || 5000) => {
+  if (matchingTimer) {
+    return;
+  }
+  
+  let running = false;
+  matchingTimer = setInterval(async () => {
+    // Skip a tick rather than overlap a slow run
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await markToMarket();
+      await matchOrders();
+      updateMarginAccounts();
+      events.emit('tick');
+    } catch (error) {
+      logger.error(`Error matching orders: ${error.message}`);
+    } finally {
+      running = false;
     }
+  }, intervalMs);
+  matchingTimer.unref();
+  
+  logger.info(`Order matching runs every ${intervalMs} ms`);
+};
+
+/**
+ * Stop periodic order matching
+ */
+const stopOrderMatching = () => {
+  clearInterval(matchingTimer);
+  matchingTimer = null;
+};
+
+/**
+ * Mark a portfolio to market at the current quotes and match working orders
+ * @param {string} accountId - Account id (default: default)
+ * @returns {Object} Updated portfolio
+ */
+const updatePortfolio = async (accountId = DEFAULT_ACCOUNT_ID) => {
+  getAccount(accountId);
+  
+  try {
+    logger.info(`Updating portfolio ${accountId} with latest prices`);
     
-    const avgReturn = returns.reduce((sum, ret) => sum + ret, 0) / returns.length;
-    const squaredDiffs = returns.map(ret => Math.pow(ret - avgReturn, 2));
-    const variance = squaredDiffs.reduce((sum, sqDiff) => sum + sqDiff, 0) / returns.length;
-    const volatility = Math.sqrt(variance) * 100;
+    await markToMarket(accountId);
     
-    return {
-      period,
-      currentValue: endValue,
-      startValue,
-      absoluteReturn,
-      percentReturn,
-      annualizedReturn,
-      volatility,
-      historicalValues,
-      timestamp: new Date().toISOString()
-    };
+    // New prices may make resting orders marketable or change margin requirements
+    await matchOrders();
+    updateMarginAccounts();
+    
+    return getPortfolio(accountId);
   } catch (error) {
-    logger.error(`Error analyzing performance: ${error.message}`);
-    throw new Error(`Failed to analyze performance: ${error.message}`);
+    logger.error(`Error updating portfolio: ${error.message}`);
+    throw new Error(`Failed to update portfolio: ${error.message}`);
   }
 };
 
 /**
- * Reset the mock portfolio (for testing)
+ * Reset a portfolio to its starting cash, removing its positions, orders, fills, cash flows, margin calls and proposals
+ * @param {string} accountId - Account id (default: default)
+ * @returns {Object} Reset portfolio
  */
-const resetPortfolio = () => {
-  mockPortfolio = {
-    cash: 100000,
-    positions: [],
-    transactions: []
-  };
+const resetPortfolio = (accountId = DEFAULT_ACCOUNT_ID) => {
+  transact(tables => {
+    const account = resolveAccount(tables, accountId);
+    ACCOUNT_TABLES.forEach(table => {
+      Object.keys(tables[table])
+        .filter(id => tables[table][id].accountId === accountId)
+        .forEach(id => delete tables[table][id]);
+    });
+    account.cash = account.initialCash;
+    account.borrowFees = 0;
+    account.tradingDay = null;
+    account.fundedAt = new Date().toISOString();
+    recordChange({ accountId: account.id });
+  });
   
-  return getPortfolio();
+  return getPortfolio(accountId);
+};
+
+/**
+ * Export the stored paper-trading state
+ * @returns {Object} Snapshot of accounts, positions, orders, fills, margin calls and settings with its schema version
+ */
+const exportState = () => getStore().exportData();
+
+/**
+ * Replace the stored paper-trading state with a snapshot
+ * @param {Object} snapshot - Snapshot as produced by exportState
+ * @returns {Object} Number of imported records per table
+ */
+const importState = (snapshot) => {
+  logger.info('Importing paper-trading state');
+  return getStore().importData(snapshot);
 };
 
 module.exports = {
+  events,
+  DEFAULT_ACCOUNT_ID,
+  getAccount,
+  listAccounts,
+  createAccount,
+  setExecutionSettings,
+  setRiskLimits,
+  setApprovalRequired,
+  setLotMethod,
+  transferCash,
+  getKillSwitch,
+  setKillSwitch,
+  deleteAccount,
+  ORDER_STATUSES,
   getPortfolio,
   executeOrder,
+  getOrders,
+  getOrder,
+  cancelOrder,
+  matchOrders,
+  updateMarginAccounts,
+  getMarginCalls,
+  getRealizedGains,
+  startOrderMatching,
+  stopOrderMatching,
+  markToMarket,
   updatePortfolio,
-  analyzePerformance,
-  resetPortfolio
+  resetPortfolio,
+  exportState,
+  importState
 }; 
\ No newline at end of file
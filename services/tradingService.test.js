@@ -0,0 +1,621 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('./quoteService', () => ({
+  getQuote: jest.fn(),
+  getQuotes: jest.fn(),
+  isStale: () => false,
+  getMaxQuoteAge: () => 60 * 1000
+}));
+
+const quoteService = require('./quoteService');
+const tradingService = require('./tradingService');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trading-'));
+process.env.STORAGE_FILE = path.join(dir, 'trading.json');
+
+// Current quotes by symbol
+const quotes = new Map();
+
+/**
+ * Set the current quote of a symbol
+ * @param {string} symbol - Stock symbol
+ * @param {number} price - Price
+ * @param {number} volume - Volume of the quote's bar (default: unknown)
+ * @param {number} time - Time of the quote in ms (default: now)
+ */
+const setQuote = (symbol, price, volume, time = Date.now()) => {
+  quotes.set(symbol, { symbol, price, volume, timestamp: new Date(time).toISOString(), stale: false });
+};
+
+const FRICTIONLESS = { commission: { type: 'none' }, slippage: { type: 'none' } };
+
+let accountCount = 0;
+
+/**
+ * Create an account without trading costs
+ * @param {Object} options - Further account options
+ * @returns {string} Account id
+ */
+const newAccountId = (options = {}) => {
+  accountCount += 1;
+  return tradingService.createAccount({ id: `test-${accountCount}`, initialCash: 100000, execution: FRICTIONLESS, ...options }).id;
+};
+
+beforeAll(() => {
+  quoteService.getQuote.mockImplementation(async (symbol) => {
+    if (!quotes.has(symbol)) {
+      throw new Error(`No quote for ${symbol}`);
+    }
+    return quotes.get(symbol);
+  });
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('accounts', () => {
+  test('are created with their settings and listed after the default account', () => {
+    const account = tradingService.createAccount({ id: 'acct-growth', name: 'Growth', initialCash: 5000, currency: 'EUR' });
+
+    expect(account).toMatchObject({ id: 'acct-growth', name: 'Growth', cash: 5000, initialCash: 5000, currency: 'EUR', type: 'cash', requireApproval: false });
+    expect(tradingService.getAccount('acct-growth')).toEqual(account);
+
+    const accounts = tradingService.listAccounts();
+    expect(accounts[0].id).toBe(tradingService.DEFAULT_ACCOUNT_ID);
+    expect(accounts.find(listed => listed.id === 'acct-growth')).toMatchObject({ positions: 0, totalValue: 5000 });
+  });
+
+  test('need a unique, valid id and valid settings', () => {
+    tradingService.createAccount({ id: 'acct-taken' });
+
+    expect(() => tradingService.createAccount({ id: 'acct-taken' })).toThrow(expect.objectContaining({
+      status: 409,
+      message: 'Account acct-taken already exists'
+    }));
+    expect(() => tradingService.createAccount({ id: 'no spaces' })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => tradingService.createAccount({ id: 'acct-x', initialCash: -1 })).toThrow(expect.objectContaining({
+      status: 400,
+      message: 'initialCash must be a positive number'
+    }));
+    expect(() => tradingService.createAccount({ id: 'acct-x', currency: 'usd' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('are looked up by id', () => {
+    expect(() => tradingService.getAccount('acct-missing')).toThrow(expect.objectContaining({
+      status: 404,
+      message: 'Account acct-missing not found'
+    }));
+  });
+
+  test('keep their positions and cash apart', async () => {
+    const first = newAccountId();
+    const second = newAccountId();
+    setQuote('APART', 100);
+
+    await tradingService.executeOrder({ accountId: first, symbol: 'APART', action: 'buy', quantity: 10 });
+
+    expect(tradingService.getPortfolio(first)).toMatchObject({ cash: 99000, positions: [expect.objectContaining({ symbol: 'APART', quantity: 10 })] });
+    expect(tradingService.getPortfolio(second)).toMatchObject({ cash: 100000, positions: [] });
+    expect(tradingService.getOrders({ accountId: second })).toEqual([]);
+  });
+
+  test('take deposits and withdrawals as cash flows', () => {
+    const accountId = newAccountId();
+
+    expect(tradingService.transferCash(accountId, { amount: 500, note: 'Bonus' })).toMatchObject({
+      cashFlow: { accountId, type: 'deposit', amount: 500, note: 'Bonus' },
+      cash: 100500
+    });
+    expect(tradingService.transferCash(accountId, { amount: -100500 }).cash).toBe(0);
+    expect(() => tradingService.transferCash(accountId, { amount: -1 })).toThrow(expect.objectContaining({
+      status: 400,
+      message: 'Cannot withdraw 1.00, the account has 0.00 cash'
+    }));
+    expect(() => tradingService.transferCash(accountId, { amount: 0 })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('are deleted with their records', async () => {
+    const accountId = newAccountId();
+    setQuote('GONE', 10);
+    const { order } = await tradingService.executeOrder({ accountId, symbol: 'GONE', action: 'buy', quantity: 5 });
+
+    expect(tradingService.deleteAccount(accountId)).toMatchObject({ id: accountId });
+    expect(() => tradingService.getAccount(accountId)).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => tradingService.getOrder(order.id)).toThrow(expect.objectContaining({ status: 404 }));
+    expect(() => tradingService.deleteAccount(tradingService.DEFAULT_ACCOUNT_ID)).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('order book', () => {
+  test('limit orders work until the price reaches their limit', async () => {
+    const accountId = newAccountId();
+    setQuote('BOOK', 100);
+
+    const placed = await tradingService.executeOrder({ accountId, symbol: 'BOOK', action: 'buy', quantity: 10, type: 'limit', price: 95 });
+    expect(placed.status).toBe('pending');
+    expect(placed.order).toMatchObject({ status: 'new', remainingQuantity: 10, timeInForce: 'DAY', expiresAt: expect.any(String) });
+    expect(tradingService.getOrders({ accountId, status: 'open' }).map(order => order.id)).toEqual([placed.order.id]);
+
+    setQuote('BOOK', 96);
+    expect((await tradingService.matchOrders()).filled).not.toContain(placed.order.id);
+
+    setQuote('BOOK', 94);
+    expect((await tradingService.matchOrders()).filled).toContain(placed.order.id);
+    expect(tradingService.getOrder(placed.order.id)).toMatchObject({ status: 'filled', filledQuantity: 10, averageFillPrice: 94 });
+    expect(tradingService.getPortfolio(accountId).positions).toEqual([expect.objectContaining({ symbol: 'BOOK', quantity: 10 })]);
+  });
+
+  test('working buy orders reserve cash', async () => {
+    const accountId = newAccountId();
+    setQuote('BOOK', 100);
+
+    await tradingService.executeOrder({ accountId, symbol: 'BOOK', action: 'buy', quantity: 1000, type: 'limit', price: 90 });
+    const result = await tradingService.executeOrder({ accountId, symbol: 'BOOK', action: 'buy', quantity: 101 });
+
+    expect(result.status).toBe('error');
+    expect(result.message).toMatch(/^Insufficient funds for order/);
+  });
+
+  test('working orders can be cancelled once', async () => {
+    const accountId = newAccountId();
+    setQuote('BOOK', 100);
+    const { order } = await tradingService.executeOrder({ accountId, symbol: 'BOOK', action: 'buy', quantity: 1, type: 'limit', price: 50 });
+
+    expect(tradingService.cancelOrder(order.id)).toMatchObject({ status: 'cancelled', reason: 'Cancelled by request' });
+    expect(() => tradingService.cancelOrder(order.id)).toThrow(expect.objectContaining({
+      status: 409,
+      message: `Order ${order.id} is cancelled and can no longer be cancelled`
+    }));
+    expect(() => tradingService.cancelOrder('o-missing')).toThrow(expect.objectContaining({ status: 404 }));
+  });
+
+  test('DAY orders expire at the session close, GTC orders keep working', async () => {
+    const accountId = newAccountId();
+    setQuote('BOOK', 100);
+    const day = (await tradingService.executeOrder({ accountId, symbol: 'BOOK', action: 'buy', quantity: 1, type: 'limit', price: 50 })).order;
+    const gtc = (await tradingService.executeOrder({ accountId, symbol: 'BOOK', action: 'buy', quantity: 1, type: 'limit', price: 50, timeInForce: 'GTC' })).order;
+    expect(gtc.expiresAt).toBeNull();
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.parse(day.expiresAt) + 1);
+    try {
+      const { expired } = await tradingService.matchOrders();
+      expect(expired).toContain(day.id);
+      expect(expired).not.toContain(gtc.id);
+    } finally {
+      now.mockRestore();
+    }
+    expect(tradingService.getOrder(day.id)).toMatchObject({ status: 'expired', reason: 'Session closed' });
+    expect(tradingService.getOrder(gtc.id).status).toBe('new');
+  });
+
+  test('IOC orders that cannot fill at their price are cancelled', async () => {
+    const accountId = newAccountId();
+    setQuote('IOCL', 50);
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'IOCL', action: 'buy', quantity: 10, type: 'limit', price: 45, timeInForce: 'IOC' });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.order.reason).toBe('Could not fill at the current price 50.00');
+  });
+
+  test('filter orders by status', () => {
+    expect(() => tradingService.getOrders({ status: 'done' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('stop orders', () => {
+  test('work until the price reaches the stop price', async () => {
+    const accountId = newAccountId();
+    setQuote('STOP', 100);
+
+    const placed = await tradingService.executeOrder({ accountId, symbol: 'STOP', action: 'buy', quantity: 10, type: 'stop', stopPrice: 105 });
+    expect(placed.status).toBe('pending');
+
+    setQuote('STOP', 104);
+    await tradingService.matchOrders();
+    expect(tradingService.getOrder(placed.order.id)).toMatchObject({ status: 'new', triggeredAt: null });
+
+    setQuote('STOP', 106);
+    const matched = await tradingService.matchOrders();
+    expect(matched.filled).toContain(placed.order.id);
+    expect(tradingService.getOrder(placed.order.id)).toMatchObject({ status: 'filled', averageFillPrice: 106 });
+  });
+
+  test('reject stop prices on the wrong side of the market', async () => {
+    setQuote('STOP', 100);
+
+    const result = await tradingService.executeOrder({ accountId: newAccountId(), symbol: 'STOP', action: 'buy', quantity: 10, type: 'stop', stopPrice: 95 });
+    expect(result).toEqual({ status: 'error', message: 'Buy stop price 95 must be above the current price 100.00' });
+  });
+
+  test('trailing stops follow the price and trigger on the retracement', async () => {
+    const accountId = newAccountId();
+    setQuote('TRAIL', 100);
+    await tradingService.executeOrder({ accountId, symbol: 'TRAIL', action: 'buy', quantity: 10 });
+
+    const placed = await tradingService.executeOrder({ accountId, symbol: 'TRAIL', action: 'sell', quantity: 10, type: 'trailing_stop', trailAmount: 5 });
+    expect(placed.order).toMatchObject({ status: 'new', stopPrice: 95 });
+
+    setQuote('TRAIL', 110);
+    await tradingService.matchOrders();
+    expect(tradingService.getOrder(placed.order.id)).toMatchObject({ status: 'new', stopPrice: 105 });
+
+    setQuote('TRAIL', 104);
+    await tradingService.matchOrders();
+    expect(tradingService.getOrder(placed.order.id)).toMatchObject({ status: 'filled', averageFillPrice: 104 });
+  });
+
+  test('bracket orders place their exits once the entry fills and cancel one when the other fills', async () => {
+    const accountId = newAccountId();
+    setQuote('BRKT', 100);
+
+    const result = await tradingService.executeOrder({
+      accountId,
+      symbol: 'BRKT',
+      action: 'buy',
+      quantity: 10,
+      orderClass: 'bracket',
+      takeProfit: { price: 110 },
+      stopLoss: { stopPrice: 95 }
+    });
+    expect(result.status).toBe('executed');
+    const [takeProfit, stopLoss] = result.legs;
+    expect(takeProfit).toMatchObject({ action: 'sell', type: 'limit', price: 110, quantity: 10, timeInForce: 'GTC', parentId: result.order.id });
+    expect(stopLoss).toMatchObject({ action: 'sell', type: 'stop', stopPrice: 95, quantity: 10, ocoGroup: result.order.id });
+
+    setQuote('BRKT', 111);
+    await tradingService.matchOrders();
+    expect(tradingService.getOrder(takeProfit.id)).toMatchObject({ status: 'filled', averageFillPrice: 111 });
+    expect(tradingService.getOrder(stopLoss.id)).toMatchObject({ status: 'cancelled', reason: `One-cancels-other: order ${takeProfit.id} filled` });
+    expect(tradingService.getPortfolio(accountId).positions).toEqual([]);
+  });
+
+  test('OCO orders protect a position with both exits right away', async () => {
+    const accountId = newAccountId();
+    setQuote('OCO', 100);
+    await tradingService.executeOrder({ accountId, symbol: 'OCO', action: 'buy', quantity: 10 });
+
+    const result = await tradingService.executeOrder({
+      accountId,
+      symbol: 'OCO',
+      action: 'sell',
+      quantity: 10,
+      orderClass: 'oco',
+      takeProfit: { price: 110 },
+      stopLoss: { stopPrice: 95 }
+    });
+    expect(result.status).toBe('pending');
+    expect(result.legs.map(leg => leg.type)).toEqual(['limit', 'stop']);
+
+    setQuote('OCO', 94);
+    await tradingService.matchOrders();
+    expect(result.legs.map(leg => tradingService.getOrder(leg.id).status)).toEqual(['cancelled', 'filled']);
+  });
+});
+
+describe('margin accounts', () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  beforeAll(() => {
+    quoteService.getQuotes.mockImplementation(async (symbols) => {
+      const result = { quotes: {}, errors: {} };
+      symbols.forEach(symbol => {
+        result.quotes[symbol] = quotes.get(symbol);
+      });
+      return result;
+    });
+  });
+
+  test('sell short within their buying power, cash accounts cannot', async () => {
+    const accountId = newAccountId({ type: 'margin', initialCash: 10000 });
+    setQuote('SHRT', 100);
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'SHRT', action: 'sell', quantity: 150 });
+    expect(result.status).toBe('executed');
+    expect(result.portfolio).toMatchObject({ cash: 25000, equity: 10000, positions: [expect.objectContaining({ side: 'short', quantity: -150 })] });
+    expect(result.portfolio.margin).toMatchObject({ shortMarketValue: 15000, initialRequirement: 7500, maintenanceRequirement: 3750 });
+    expect(result.portfolio.buyingPower).toBe(5000);
+
+    expect((await tradingService.executeOrder({ accountId, symbol: 'SHRT', action: 'sell', quantity: 51 })).message)
+      .toMatch(/^Insufficient buying power for order/);
+    expect((await tradingService.executeOrder({ accountId: newAccountId(), symbol: 'SHRT', action: 'sell', quantity: 1 })).message)
+      .toBe('Cannot sell 1 shares of SHRT, you only own 0 not committed to other orders');
+  });
+
+  test('charge short positions a borrow fee and tell portfolio listeners', async () => {
+    const accountId = newAccountId({ type: 'margin', initialCash: 10000, margin: { borrowRate: 0.03 } });
+    setQuote('FEE', 100);
+    await tradingService.executeOrder({ accountId, symbol: 'FEE', action: 'sell', quantity: 150 });
+
+    const changed = [];
+    const listener = changedId => changed.push(changedId);
+    tradingService.events.on('portfolio', listener);
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 36 * DAY_MS);
+    try {
+      tradingService.updateMarginAccounts();
+    } finally {
+      now.mockRestore();
+      tradingService.events.off('portfolio', listener);
+    }
+
+    // 15000 short at 3% a year for 36 of 360 days
+    const { cash, margin } = tradingService.getPortfolio(accountId);
+    expect(margin.borrowFees).toBeCloseTo(45);
+    expect(cash).toBeCloseTo(25000 - 45);
+    expect(changed).toContain(accountId);
+  });
+
+  test('open a margin call below the maintenance requirement and resolve it once equity recovers', async () => {
+    const accountId = newAccountId({ type: 'margin', initialCash: 10000, margin: { borrowRate: 0 } });
+    const start = Date.now();
+    setQuote('CALL', 100, undefined, start);
+    await tradingService.executeOrder({ accountId, symbol: 'CALL', action: 'sell', quantity: 150 });
+
+    const changed = [];
+    const listener = changedId => changed.push(changedId);
+    tradingService.events.on('portfolio', listener);
+    try {
+      setQuote('CALL', 180, undefined, start + 1000);
+      await tradingService.markToMarket(accountId);
+      const { opened } = tradingService.updateMarginAccounts();
+      expect(opened).toHaveLength(1);
+      expect(tradingService.getMarginCalls(accountId)).toEqual([expect.objectContaining({
+        id: opened[0],
+        status: 'open',
+        equity: -2000,
+        maintenanceRequirement: 6750,
+        deficiency: 8750
+      })]);
+      expect(changed.filter(changedId => changedId === accountId)).toHaveLength(2);
+
+      setQuote('OTHER', 10);
+      expect((await tradingService.executeOrder({ accountId, symbol: 'OTHER', action: 'sell', quantity: 1 })).message)
+        .toBe(`Account ${accountId} has an open margin call, only orders that reduce positions are accepted`);
+
+      setQuote('CALL', 100, undefined, start + 3000);
+      await tradingService.markToMarket(accountId);
+      expect(tradingService.updateMarginAccounts().resolved).toEqual(opened);
+      expect(tradingService.getMarginCalls(accountId)[0]).toMatchObject({ status: 'resolved', resolvedAt: expect.any(String) });
+    } finally {
+      tradingService.events.off('portfolio', listener);
+    }
+  });
+});
+
+describe('portfolio events', () => {
+  test('follow every change to an account', () => {
+    const accountId = newAccountId();
+    const changed = [];
+    const listener = changedId => changed.push(changedId);
+    tradingService.events.on('portfolio', listener);
+    try {
+      tradingService.setExecutionSettings(accountId, FRICTIONLESS);
+      tradingService.setRiskLimits(accountId, { maxOrderNotional: 1000 });
+      tradingService.setApprovalRequired(accountId, true);
+      tradingService.setLotMethod(accountId, 'lifo');
+      tradingService.setKillSwitch({ enabled: false });
+      tradingService.deleteAccount(accountId);
+    } finally {
+      tradingService.events.off('portfolio', listener);
+    }
+
+    expect(changed.filter(changedId => changedId === accountId)).toHaveLength(6);
+  });
+});
+
+describe('fill simulation', () => {
+  test('IOC orders fill what the volume allows and cancel the rest', async () => {
+    const accountId = newAccountId();
+    // 10% of the bar volume can fill
+    setQuote('IOC', 50, 500);
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'IOC', action: 'buy', quantity: 80, timeInForce: 'IOC' });
+
+    expect(result.status).toBe('executed');
+    expect(result.order).toMatchObject({ status: 'cancelled', filledQuantity: 50, remainingQuantity: 30 });
+    expect(tradingService.getPortfolio(accountId).positions).toEqual([expect.objectContaining({ symbol: 'IOC', quantity: 50 })]);
+  });
+
+  test('FOK orders that cannot fill completely are cancelled without a fill', async () => {
+    const accountId = newAccountId();
+    setQuote('FOK', 50, 500);
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'FOK', action: 'buy', quantity: 80, timeInForce: 'FOK' });
+
+    expect(result.status).toBe('cancelled');
+    expect(result.order).toMatchObject({ status: 'cancelled', filledQuantity: 0, reason: 'Only 50 of 80 shares could fill at the current volume' });
+    expect(tradingService.getPortfolio(accountId).positions).toEqual([]);
+  });
+
+  test('FOK orders that can fill completely fill', async () => {
+    const accountId = newAccountId();
+    setQuote('FOKF', 50, 5000);
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'FOKF', action: 'buy', quantity: 80, timeInForce: 'FOK' });
+
+    expect(result.status).toBe('executed');
+    expect(result.order).toMatchObject({ status: 'filled', filledQuantity: 80 });
+  });
+
+  test('orders larger than the volume allows work the rest in later bars', async () => {
+    const accountId = newAccountId();
+    const start = Date.now();
+    setQuote('PART', 50, 500, start);
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'PART', action: 'buy', quantity: 80 });
+    expect(result.status).toBe('executed');
+    expect(result.order).toMatchObject({ status: 'partially_filled', filledQuantity: 50, remainingQuantity: 30 });
+    expect(result.message).toMatch(/the remaining 30 shares are working$/);
+
+    // The volume of the bar is used up until the next minute
+    expect((await tradingService.matchOrders()).partiallyFilled).not.toContain(result.order.id);
+
+    setQuote('PART', 51, 500, start + 60 * 1000);
+    expect((await tradingService.matchOrders()).filled).toContain(result.order.id);
+    expect(tradingService.getOrder(result.order.id)).toMatchObject({ status: 'filled', filledQuantity: 80, averageFillPrice: (50 * 50 + 30 * 51) / 80 });
+  });
+
+  test('fills pay the commission and slippage of the account', async () => {
+    const accountId = newAccountId({ execution: { commission: { type: 'fixed', amount: 5 }, slippage: { type: 'bps', bps: 10 } } });
+    setQuote('COST', 50);
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'COST', action: 'buy', quantity: 100 });
+
+    expect(result.transaction).toMatchObject({ price: 50.05, commission: 5 });
+    expect(result.portfolio.cash).toBeCloseTo(100000 - 5005 - 5);
+    expect(result.portfolio.costs.commissions).toBe(5);
+    expect(result.portfolio.costs.slippage).toBeCloseTo(5);
+  });
+});
+
+describe('kill switch', () => {
+  afterEach(() => {
+    tradingService.setKillSwitch({ enabled: false });
+    delete process.env.TRADING_KILL_SWITCH;
+  });
+
+  test('rejects every order while enabled', async () => {
+    const accountId = newAccountId();
+    setQuote('KILL', 100);
+
+    expect(tradingService.setKillSwitch({ enabled: true, reason: 'Runaway agent' })).toMatchObject({
+      enabled: true,
+      reason: 'Runaway agent',
+      source: 'api',
+      updatedAt: expect.any(String)
+    });
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'KILL', action: 'buy', quantity: 1 });
+    expect(result.status).toBe('rejected');
+    expect(result.reasons.map(reason => reason.code)).toEqual(['kill_switch']);
+    expect(tradingService.getOrders({ accountId })).toEqual([]);
+
+    tradingService.setKillSwitch({ enabled: false });
+    expect(tradingService.getKillSwitch()).toMatchObject({ enabled: false, reason: null });
+    expect((await tradingService.executeOrder({ accountId, symbol: 'KILL', action: 'buy', quantity: 1 })).status).toBe('executed');
+  });
+
+  test('is enabled by TRADING_KILL_SWITCH', async () => {
+    process.env.TRADING_KILL_SWITCH = 'true';
+    setQuote('KILL', 100);
+
+    expect(tradingService.getKillSwitch()).toMatchObject({ enabled: true, source: 'environment' });
+    expect((await tradingService.executeOrder({ accountId: newAccountId(), symbol: 'KILL', action: 'buy', quantity: 1 })).status)
+      .toBe('rejected');
+  });
+
+  test('needs a boolean', () => {
+    expect(() => tradingService.setKillSwitch({ enabled: 'yes' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('risk checks', () => {
+  test('reject orders beyond the account limits with their reasons', async () => {
+    const accountId = newAccountId({ risk: { maxOrderNotional: 1000, deniedSymbols: ['GME'] } });
+    setQuote('RISK', 100);
+    setQuote('GME', 20);
+
+    expect((await tradingService.executeOrder({ accountId, symbol: 'RISK', action: 'buy', quantity: 10 })).status).toBe('executed');
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'RISK', action: 'buy', quantity: 11 });
+    expect(result.status).toBe('rejected');
+    expect(result.reasons).toEqual([{
+      code: 'max_order_notional',
+      message: 'Order value $1100.00 exceeds the limit of $1000.00',
+      limit: 1000,
+      value: 1100
+    }]);
+
+    const denied = await tradingService.executeOrder({ accountId, symbol: 'GME', action: 'buy', quantity: 1 });
+    expect(denied.reasons.map(reason => reason.code)).toEqual(['symbol_denied']);
+  });
+
+  test('value resting orders at their limit price', async () => {
+    const accountId = newAccountId({ risk: { maxOrderNotional: 1000 } });
+    setQuote('RISK', 100);
+
+    const result = await tradingService.executeOrder({ accountId, symbol: 'RISK', action: 'buy', quantity: 10, type: 'limit', price: 120 });
+    expect(result.reasons.map(reason => reason.code)).toEqual(['max_order_notional']);
+  });
+
+  test('limit the orders per minute', async () => {
+    const accountId = newAccountId({ risk: { maxOrdersPerMinute: 2 } });
+    setQuote('RATE', 10);
+
+    const statuses = [];
+    for (let i = 0; i < 3; i++) {
+      statuses.push((await tradingService.executeOrder({ accountId, symbol: 'RATE', action: 'buy', quantity: 1 })).status);
+    }
+    expect(statuses).toEqual(['executed', 'executed', 'rejected']);
+  });
+
+  test('limit positions in percent of equity', async () => {
+    const accountId = newAccountId({ risk: { maxPositionPercent: 10 } });
+    setQuote('SIZE', 100);
+
+    expect((await tradingService.executeOrder({ accountId, symbol: 'SIZE', action: 'buy', quantity: 100 })).status).toBe('executed');
+    const result = await tradingService.executeOrder({ accountId, symbol: 'SIZE', action: 'buy', quantity: 1 });
+    expect(result.reasons.map(reason => reason.code)).toEqual(['max_position_percent']);
+    // Orders that reduce the position pass
+    expect((await tradingService.executeOrder({ accountId, symbol: 'SIZE', action: 'sell', quantity: 50 })).status).toBe('executed');
+  });
+});
+
+describe('tax lots', () => {
+  /**
+   * Buy 10 shares at 100, then 10 at 110, and set the price to 120
+   * @param {Object} options - Account options
+   * @returns {Promise<string>} Account id
+   */
+  const buyTwoLots = async (options) => {
+    const accountId = newAccountId(options);
+    setQuote('LOTS', 100);
+    await tradingService.executeOrder({ accountId, symbol: 'LOTS', action: 'buy', quantity: 10 });
+    setQuote('LOTS', 110);
+    await tradingService.executeOrder({ accountId, symbol: 'LOTS', action: 'buy', quantity: 10 });
+    setQuote('LOTS', 120);
+    return accountId;
+  };
+
+  test('relieve the oldest lots first by default', async () => {
+    const accountId = await buyTwoLots();
+
+    await tradingService.executeOrder({ accountId, symbol: 'LOTS', action: 'sell', quantity: 15 });
+
+    const gains = tradingService.getRealizedGains({ accountId });
+    expect(gains.lots.map(lot => [lot.quantity, lot.gain])).toEqual([[10, 200], [5, 50]]);
+    expect(gains.total).toMatchObject({ quantity: 15, gain: 250 });
+    expect(tradingService.getPortfolio(accountId).positions[0].lots).toEqual([expect.objectContaining({ quantity: 5, unitCost: 110 })]);
+  });
+
+  test('relieve the newest lots first with the lifo method', async () => {
+    const accountId = await buyTwoLots({ lotMethod: 'lifo' });
+
+    await tradingService.executeOrder({ accountId, symbol: 'LOTS', action: 'sell', quantity: 15 });
+
+    expect(tradingService.getRealizedGains({ accountId }).total.gain).toBe(100 + 5 * 20);
+    expect(tradingService.getPortfolio(accountId)).toMatchObject({ lotMethod: 'lifo', pnl: { realized: 200 } });
+  });
+
+  test('relieve the lots an order names with the specific method', async () => {
+    const accountId = await buyTwoLots();
+    const [, newest] = tradingService.getPortfolio(accountId).positions[0].lots;
+
+    await tradingService.executeOrder({ accountId, symbol: 'LOTS', action: 'sell', quantity: 5, lotMethod: 'specific', lotIds: [newest.id] });
+
+    expect(tradingService.getRealizedGains({ accountId }).lots).toEqual([expect.objectContaining({ lotId: newest.id, quantity: 5, gain: 50 })]);
+  });
+
+  test('reject specific lots that are not open lots of the position', async () => {
+    const accountId = await buyTwoLots();
+
+    const unknown = await tradingService.executeOrder({ accountId, symbol: 'LOTS', action: 'sell', quantity: 5, lotMethod: 'specific', lotIds: ['l-missing'] });
+    expect(unknown).toEqual({ status: 'error', message: 'Not open lots of the LOTS position: l-missing' });
+
+    const opening = await tradingService.executeOrder({ accountId, symbol: 'LOTS', action: 'buy', quantity: 5, lotMethod: 'specific', lotIds: ['l-missing'] });
+    expect(opening.message).toBe('Specific lots only apply to orders that reduce a position, there is no short LOTS position');
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Alert conditions
+ *
+ * An alert compares a value with a threshold:
+ *
+ * - price: the current price of `symbol`
+ * - indicator: the latest value of an indicator on `symbol`'s bars, e.g.
+ *   `rsi(14)` or `macd(12,26,9)` with `field` histogram (see utils/indicators)
+ * - portfolio: a metric of `accountId`'s portfolio: drawdown (percent below
+ *   the highest equity seen since the alert was armed), equity, dailyPnl or
+ *   unrealizedPnl
+ *
+ * Operators are >, >=, <, <=, crosses_above and crosses_below. Alerts fire
+ * when their condition becomes true, not on every update while it holds:
+ *
+ * - >, >=, < and <= fire on the first evaluation that meets them, including
+ *   the first one after the alert is armed, and re-arm once the condition
+ *   stops holding
+ * - crosses_above and crosses_below need a crossing: their first evaluation
+ *   only sets a baseline, so a value already past the threshold when the alert
+ *   is armed has to move back and cross again
+ */
+
+const { validate } = require('./schemaValidator');
+const { SUPPORTED_TIMEFRAMES } = require('./timeframes');
+const { parseIndicatorSpec, computeIndicator } = require('./indicators');
+const { checkWebhookUrl } = require('./webhooks');
+
+const ALERT_TYPES = ['price', 'indicator', 'portfolio'];
+const ALERT_OPERATORS = ['>', '>=', '<', '<=', 'crosses_above', 'crosses_below'];
+const PORTFOLIO_METRICS = ['drawdown', 'equity', 'dailyPnl', 'unrealizedPnl'];
+const MAX_WEBHOOKS = 5;
+
+// Fields that only apply to some alert types
+const TYPE_FIELDS = {
+  price: ['symbol'],
+  indicator: ['symbol', 'indicator', 'field', 'timeframe'],
+  portfolio: ['accountId', 'metric']
+};
+
+/**
+ * JSON Schema of an alert definition, shared by the REST endpoints and the MCP tool
+ */
+const alertSchema = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 200, description: 'Optional label' },
+    type: { type: 'string', enum: ALERT_TYPES, description: 'What the alert watches: price, indicator or portfolio' },
+    symbol: { type: 'string', minLength: 1, description: 'Stock symbol (price and indicator alerts)' },
+    indicator: { type: 'string', minLength: 1, description: 'Indicator spec such as rsi(14) or sma(200) (indicator alerts)' },
+    field: { type: 'string', minLength: 1, description: 'Output of a multi-output indicator, e.g. histogram of macd' },
+    timeframe: { type: 'string', enum: SUPPORTED_TIMEFRAMES, description: 'Bar timeframe of indicator alerts', default: '1d' },
+    accountId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$', description: 'Paper-trading account (portfolio alerts)', default: 'default' },
+    metric: { type: 'string', enum: PORTFOLIO_METRICS, description: 'Portfolio metric: drawdown (percent), equity, dailyPnl or unrealizedPnl' },
+    operator: { type: 'string', enum: ALERT_OPERATORS, description: 'Comparison with the threshold' },
+    value: { type: 'number', description: 'Threshold' },
+    repeat: { type: 'boolean', description: 'Fire every time the condition becomes true instead of once', default: false },
+    enabled: { type: 'boolean', description: 'Whether the alert is evaluated', default: true },
+    webhooks: {
+      type: 'array',
+      items: { type: 'string', pattern: '^https?://' },
+      maxItems: MAX_WEBHOOKS,
+      description: 'Public http(s) URLs, or URLs on ALERT_WEBHOOK_ALLOWED_HOSTS, the alert is posted to (default: ALERT_WEBHOOK_URLS)'
+    },
+    notifyMcp: { type: 'boolean', description: 'Notify connected MCP clients', default: true }
+  },
+  required: ['type', 'operator', 'value'],
+  additionalProperties: false,
+  allOf: [
+    {
+      if: { properties: { type: { enum: ['price', 'indicator'] } }, required: ['type'] },
+      then: { required: ['symbol'] }
+    },
+    {
+      if: { properties: { type: { const: 'indicator' } }, required: ['type'] },
+      then: { required: ['indicator'] }
+    },
+    {
+      if: { properties: { type: { const: 'portfolio' } }, required: ['type'] },
+      then: { required: ['metric'] }
+    }
+  ]
+};
+
+/**
+ * Outputs of an indicator
+ * @param {Object} spec - Parsed indicator spec
+ * @returns {Array} Output names
+ */
+const getIndicatorFields = (spec) => Object.keys(computeIndicator([
+  { timestamp: new Date(0).toISOString(), open: 1, high: 1, low: 1, close: 1, volume: 1 }
+], spec).series);
+
+/**
+ * Validate and normalize an alert definition
+ * @param {Object} alert - Raw alert definition
+ * @returns {Object} Result with valid flag, errors and the normalized definition
+ */
+const validateAlert = (alert) => {
+  const result = validate(alertSchema, alert, { coerceTypes: true });
+  const errors = [...result.errors];
+  const value = result.value;
+
+  if (result.valid && value.type === 'indicator') {
+    try {
+      const fields = getIndicatorFields(parseIndicatorSpec(value.indicator));
+      if (value.field && !fields.includes(value.field)) {
+        errors.push({ field: 'field', message: `must be one of: ${fields.join(', ')}`, allowedValues: fields });
+      } else if (!value.field && !fields.includes('value')) {
+        errors.push({ field: 'field', message: `is required for ${value.indicator}, use one of: ${fields.join(', ')}`, allowedValues: fields });
+      }
+    } catch (error) {
+      errors.push({ field: 'indicator', message: error.message });
+    }
+  }
+  if (result.valid && value.webhooks) {
+    value.webhooks.forEach((url, index) => {
+      const refusal = checkWebhookUrl(url);
+      if (refusal) {
+        errors.push({ field: `webhooks[${index}]`, message: refusal });
+      }
+    });
+  }
+  if (result.valid) {
+    // Drop the fields other alert types use
+    Object.values(TYPE_FIELDS).flat()
+      .filter(name => !TYPE_FIELDS[value.type].includes(name))
+      .forEach(name => delete value[name]);
+    if (value.symbol) {
+      value.symbol = value.symbol.toUpperCase();
+    }
+  }
+
+  return { valid: errors.length === 0, errors, value };
+};
+
+/**
+ * Check whether a value is on the alert's side of the threshold
+ * @param {string} operator - Alert operator
+ * @param {number} value - Current value
+ * @param {number} threshold - Threshold
+ * @returns {boolean} True if the condition holds (for crossings: the value is past the threshold)
+ */
+const isConditionMet = (operator, value, threshold) => {
+  switch (operator) {
+    case '>': return value > threshold;
+    case '>=': return value >= threshold;
+    case '<': return value < threshold;
+    case '<=': return value <= threshold;
+    case 'crosses_above': return value >= threshold;
+    case 'crosses_below': return value <= threshold;
+    default: return false;
+  }
+};
+
+/**
+ * Decide whether an alert fires: when its condition starts to hold. Crossings
+ * also need a previous evaluation on the other side, so their first
+ * evaluation is the baseline
+ * @param {string} operator - Alert operator
+ * @param {boolean|null} wasMet - Whether the condition held at the last evaluation (null before the first)
+ * @param {boolean} isMet - Whether it holds now
+ * @returns {boolean} True if the alert fires
+ */
+const shouldFire = (operator, wasMet, isMet) => {
+  if (operator === 'crosses_above' || operator === 'crosses_below') {
+    return isMet && wasMet === false;
+  }
+  return isMet && wasMet !== true;
+};
+
+/**
+ * Latest value of an indicator output
+ * @param {Array} bars - OHLCV bars, oldest first
+ * @param {Object} alert - Indicator alert
+ * @returns {number|null} Value, null during warm-up
+ */
+const getIndicatorValue = (bars, alert) => {
+  const { series } = computeIndicator(bars, parseIndicatorSpec(alert.indicator), { timeframe: alert.timeframe });
+  const values = series[alert.field || 'value'];
+  const value = values[values.length - 1];
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+/**
+ * Describe an alert's condition
+ * @param {Object} alert - Alert definition
+ * @returns {string} Description such as "AAPL crosses above 200"
+ */
+const describeCondition = (alert) => {
+  const operator = alert.operator.replace('_', ' ');
+  if (alert.type === 'price') {
+    return `${alert.symbol} ${operator} ${alert.value}`;
+  }
+  if (alert.type === 'indicator') {
+    return `${alert.indicator}${alert.field ? `.${alert.field}` : ''} on ${alert.symbol} (${alert.timeframe}) ${operator} ${alert.value}`;
+  }
+  return `${alert.metric} of account ${alert.accountId} ${operator} ${alert.value}${alert.metric === 'drawdown' ? '%' : ''}`;
+};
+
+module.exports = {
+  ALERT_TYPES,
+  ALERT_OPERATORS,
+  PORTFOLIO_METRICS,
+  alertSchema,
+  validateAlert,
+  isConditionMet,
+  shouldFire,
+  getIndicatorValue,
+  describeCondition
+};
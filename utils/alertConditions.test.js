@@ -0,0 +1,81 @@
+const { validateAlert, isConditionMet, shouldFire, getIndicatorValue, describeCondition } = require('./alertConditions');
+
+describe('validateAlert', () => {
+  test('fills in defaults, upper-cases the symbol and drops the fields of other types', () => {
+    const { valid, value } = validateAlert({ type: 'price', symbol: 'aapl', operator: '>', value: '200', metric: 'equity' });
+
+    expect(valid).toBe(true);
+    expect(value).toEqual({ type: 'price', symbol: 'AAPL', operator: '>', value: 200, repeat: false, enabled: true, notifyMcp: true });
+  });
+
+  test('requires the fields of each type', () => {
+    expect(validateAlert({ type: 'price', operator: '>', value: 1 }).errors).toEqual([{ field: 'symbol', message: 'is required' }]);
+    expect(validateAlert({ type: 'indicator', symbol: 'AAPL', operator: '>', value: 1 }).errors).toEqual([{ field: 'indicator', message: 'is required' }]);
+    expect(validateAlert({ type: 'portfolio', operator: '>', value: 1 }).errors).toEqual([{ field: 'metric', message: 'is required' }]);
+  });
+
+  test('reports only the missing type of an alert without one', () => {
+    expect(validateAlert({ operator: '>', value: 1 }).errors).toEqual([{ field: 'type', message: 'is required' }]);
+  });
+
+  test('checks the output of multi-output indicators', () => {
+    const alert = { type: 'indicator', symbol: 'AAPL', indicator: 'macd(12,26,9)', operator: '>', value: 0 };
+
+    expect(validateAlert({ ...alert, field: 'histogram' }).valid).toBe(true);
+    expect(validateAlert(alert).errors[0]).toMatchObject({ field: 'field', message: expect.stringContaining('is required for macd(12,26,9)') });
+    expect(validateAlert({ ...alert, field: 'nope' }).errors[0]).toMatchObject({ field: 'field', allowedValues: expect.arrayContaining(['histogram']) });
+    expect(validateAlert({ ...alert, indicator: 'magic(3)' }).errors[0].field).toBe('indicator');
+  });
+
+  test('refuses webhooks into the local network', () => {
+    const { errors } = validateAlert({ type: 'price', symbol: 'AAPL', operator: '>', value: 1, webhooks: ['https://hooks.example.com/a', 'http://127.0.0.1:8080/'] });
+
+    expect(errors).toEqual([{ field: 'webhooks[1]', message: 'must not point to a loopback, private or link-local address' }]);
+  });
+});
+
+describe('isConditionMet', () => {
+  test.each([
+    ['>', 10, false],
+    ['>=', 10, true],
+    ['<', 9, true],
+    ['<=', 10, true],
+    ['crosses_above', 10, true],
+    ['crosses_below', 11, false]
+  ])('%s %d against 10 is %p', (operator, value, met) => {
+    expect(isConditionMet(operator, value, 10)).toBe(met);
+  });
+});
+
+describe('shouldFire', () => {
+  test.each(['>', '>=', '<', '<='])('%s fires on its first met evaluation and again after re-arming', (operator) => {
+    expect(shouldFire(operator, null, true)).toBe(true);
+    expect(shouldFire(operator, true, true)).toBe(false);
+    expect(shouldFire(operator, true, false)).toBe(false);
+    expect(shouldFire(operator, false, true)).toBe(true);
+  });
+
+  test.each(['crosses_above', 'crosses_below'])('%s needs a crossing after the baseline', (operator) => {
+    expect(shouldFire(operator, null, true)).toBe(false);
+    expect(shouldFire(operator, true, true)).toBe(false);
+    expect(shouldFire(operator, false, true)).toBe(true);
+  });
+});
+
+describe('getIndicatorValue', () => {
+  test('returns the latest value, null during warm-up', () => {
+    const bars = [1, 2, 3].map((close, i) => ({ timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(), open: close, high: close, low: close, close, volume: 1 }));
+
+    expect(getIndicatorValue(bars, { indicator: 'sma(2)', timeframe: '1d' })).toBe(2.5);
+    expect(getIndicatorValue(bars, { indicator: 'sma(5)', timeframe: '1d' })).toBeNull();
+  });
+});
+
+describe('describeCondition', () => {
+  test('names what each type watches', () => {
+    expect(describeCondition({ type: 'price', symbol: 'AAPL', operator: 'crosses_above', value: 200 })).toBe('AAPL crosses above 200');
+    expect(describeCondition({ type: 'indicator', symbol: 'AAPL', indicator: 'macd(12,26,9)', field: 'histogram', timeframe: '1d', operator: '<', value: 0 }))
+      .toBe('macd(12,26,9).histogram on AAPL (1d) < 0');
+    expect(describeCondition({ type: 'portfolio', accountId: 'default', metric: 'drawdown', operator: '>=', value: 10 })).toBe('drawdown of account default >= 10%');
+  });
+});
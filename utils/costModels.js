@@ -0,0 +1,157 @@
+/**
+ * Transaction cost models
+ *
+ * Commission and slippage models shared by the backtester and the trading
+ * simulator. Models are described by plain config objects so they can be
+ * passed in requests and stored alongside results:
+ *
+ * - commission: { type: 'none' }, { type: 'fixed', amount }, { type: 'per_share', rate, minimum, maximumPercent }
+ *   or { type: 'percent', rate, minimum } (rate as a fraction of the trade value)
+ * - slippage: { type: 'none' }, { type: 'fixed', amount } (per share), { type: 'bps', bps }
+ *   or { type: 'volume_participation', bps, impactBps }: bps plus impactBps times the
+ *   share of the bar's volume the trade takes (all of it when the volume is unknown)
+ */
+
+const { httpError } = require('./httpError');
+
+const COMMISSION_TYPES = ['none', 'fixed', 'per_share', 'percent'];
+const SLIPPAGE_TYPES = ['none', 'fixed', 'bps', 'volume_participation'];
+
+const DEFAULT_COMMISSION = { type: 'per_share', rate: 0.005, minimum: 1 };
+const DEFAULT_SLIPPAGE = { type: 'bps', bps: 5 };
+
+/**
+ * Read a non-negative number from a model config
+ * @param {Object} config - Model config
+ * @param {string} key - Property name
+ * @param {number} fallback - Value when the property is missing
+ * @returns {number} The value
+ */
+const readAmount = (config, key, fallback = 0) => {
+  const value = config[key] === undefined ? fallback : Number(config[key]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw httpError(`${config.type} model: ${key} must be a non-negative number`, 400);
+  }
+  return value;
+};
+
+/**
+ * Create a commission model
+ * @param {Object} config - Commission config (default: DEFAULT_COMMISSION)
+ * @returns {Function} commission(quantity, price) returning the commission in currency
+ */
+const createCommissionModel = (config = DEFAULT_COMMISSION) => {
+  const type = config.type || 'none';
+
+  switch (type) {
+    case 'none':
+      return () => 0;
+
+    case 'fixed': {
+      const amount = readAmount(config, 'amount');
+      return (quantity) => (quantity > 0 ? amount : 0);
+    }
+
+    case 'per_share': {
+      const rate = readAmount(config, 'rate');
+      const minimum = readAmount(config, 'minimum');
+      const maximumPercent = config.maximumPercent === undefined ? Infinity : readAmount(config, 'maximumPercent');
+      return (quantity, price) => {
+        if (quantity <= 0) {
+          return 0;
+        }
+        return Math.min(Math.max(quantity * rate, minimum), quantity * price * maximumPercent);
+      };
+    }
+
+    case 'percent': {
+      const rate = readAmount(config, 'rate');
+      const minimum = readAmount(config, 'minimum');
+      return (quantity, price) => (quantity > 0 ? Math.max(quantity * price * rate, minimum) : 0);
+    }
+
+    default:
+      throw httpError(`Unknown commission model "${type}". Supported models: ${COMMISSION_TYPES.join(', ')}`, 400);
+  }
+};
+
+/**
+ * Create a slippage model
+ * @param {Object} config - Slippage config (default: DEFAULT_SLIPPAGE)
+ * @returns {Function} fillPrice(price, side, { quantity, volume }) returning the price moved against the trade
+ */
+const createSlippageModel = (config = DEFAULT_SLIPPAGE) => {
+  const type = config.type || 'none';
+  let adjustment;
+
+  switch (type) {
+    case 'none':
+      adjustment = () => 0;
+      break;
+
+    case 'fixed': {
+      const amount = readAmount(config, 'amount');
+      adjustment = () => amount;
+      break;
+    }
+
+    case 'bps': {
+      const bps = readAmount(config, 'bps');
+      adjustment = (price) => price * bps / 10000;
+      break;
+    }
+
+    case 'volume_participation': {
+      const bps = readAmount(config, 'bps');
+      const impactBps = readAmount(config, 'impactBps');
+      adjustment = (price, { quantity = 0, volume } = {}) => {
+        const participation = volume > 0 ? Math.min(quantity / volume, 1) : 1;
+        return price * (bps + impactBps * participation) / 10000;
+      };
+      break;
+    }
+
+    default:
+      throw httpError(`Unknown slippage model "${type}". Supported models: ${SLIPPAGE_TYPES.join(', ')}`, 400);
+  }
+
+  // Buys fill higher and sells lower than the reference price
+  return (price, side, trade) => (side === 'buy'
+    ? price + adjustment(price, trade)
+    : Math.max(price - adjustment(price, trade), 0));
+};
+
+/**
+ * JSON Schemas of the model configs, for tool and request schemas
+ */
+const commissionSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: COMMISSION_TYPES },
+    amount: { type: 'number', minimum: 0, description: 'Flat fee per order (fixed)' },
+    rate: { type: 'number', minimum: 0, description: 'Fee per share (per_share) or fraction of trade value (percent)' },
+    minimum: { type: 'number', minimum: 0, description: 'Minimum fee per order' },
+    maximumPercent: { type: 'number', minimum: 0, description: 'Cap as a fraction of trade value (per_share)' }
+  },
+  required: ['type']
+};
+
+const slippageSchema = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: SLIPPAGE_TYPES },
+    amount: { type: 'number', minimum: 0, description: 'Price offset per share (fixed)' },
+    bps: { type: 'number', minimum: 0, description: 'Price offset in basis points (bps and volume_participation)' },
+    impactBps: { type: 'number', minimum: 0, description: 'Additional basis points when taking all of the bar volume (volume_participation)' }
+  },
+  required: ['type']
+};
+
+module.exports = {
+  DEFAULT_COMMISSION,
+  DEFAULT_SLIPPAGE,
+  commissionSchema,
+  slippageSchema,
+  createCommissionModel,
+  createSlippageModel
+};
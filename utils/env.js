@@ -0,0 +1,18 @@
+/**
+ * Settings read from the environment
+ */
+
+/**
+ * Read a non-negative number from the environment
+ * @param {string} name - Environment variable
+ * @param {number} fallback - Value when unset or invalid
+ * @returns {number} Value
+ */
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && process.env[name] !== '' && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+module.exports = {
+  readNumber
+};
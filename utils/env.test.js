@@ -0,0 +1,22 @@
+const { readNumber } = require('./env');
+
+describe('readNumber', () => {
+  afterEach(() => {
+    delete process.env.TEST_NUMBER;
+  });
+
+  test('reads non-negative numbers', () => {
+    process.env.TEST_NUMBER = '250';
+    expect(readNumber('TEST_NUMBER', 5)).toBe(250);
+
+    process.env.TEST_NUMBER = '0';
+    expect(readNumber('TEST_NUMBER', 5)).toBe(0);
+  });
+
+  test.each([undefined, '', 'soon', '-1', 'Infinity'])('falls back for %p', (value) => {
+    if (value !== undefined) {
+      process.env.TEST_NUMBER = value;
+    }
+    expect(readNumber('TEST_NUMBER', 5)).toBe(5);
+  });
+});
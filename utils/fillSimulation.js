@@ -0,0 +1,113 @@
+/**
+ * Fill simulation
+ *
+ * How the paper-trading order book turns quotes into fills. Each account has
+ * execution settings:
+ *
+ * - commission: a commission model (see utils/costModels) charged per order;
+ *   a minimum ticket applies once however many fills the order takes
+ * - slippage: a slippage model moving the fill price against the trade from
+ *   the quote price; limit orders never fill beyond their limit price
+ * - maxParticipation: the largest fraction of a bar's volume the orders of a
+ *   symbol may take. Larger orders fill partially and work the rest in later
+ *   bars (IOC orders cancel the rest, FOK orders cancel the whole order)
+ */
+
+const {
+  DEFAULT_COMMISSION,
+  DEFAULT_SLIPPAGE,
+  commissionSchema,
+  slippageSchema,
+  createCommissionModel,
+  createSlippageModel
+} = require('./costModels');
+const { validate } = require('./schemaValidator');
+
+const DEFAULT_EXECUTION = { commission: DEFAULT_COMMISSION, slippage: DEFAULT_SLIPPAGE, maxParticipation: 0.1 };
+
+/**
+ * JSON Schema of the execution settings of an account
+ */
+const executionSchema = {
+  type: 'object',
+  properties: {
+    commission: { ...commissionSchema, description: 'Commission model', default: DEFAULT_COMMISSION },
+    slippage: { ...slippageSchema, description: 'Slippage model', default: DEFAULT_SLIPPAGE },
+    maxParticipation: { type: 'number', exclusiveMinimum: 0, maximum: 1, description: 'Largest fraction of a bar\'s volume orders may take', default: DEFAULT_EXECUTION.maxParticipation }
+  }
+};
+
+/**
+ * Validate execution settings, filling in defaults
+ * @param {Object} settings - commission, slippage and maxParticipation
+ * @returns {Object} Complete execution settings
+ */
+const normalizeExecutionSettings = (settings = {}) => {
+  const result = validate(executionSchema, settings);
+  if (!result.valid) {
+    const error = new Error(`Invalid execution settings: ${result.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    error.status = 400;
+    throw error;
+  }
+  const { commission, slippage, maxParticipation } = result.value;
+
+  // Building the models checks the settings of each model type
+  createCommissionModel(commission);
+  createSlippageModel(slippage);
+
+  return { commission, slippage, maxParticipation };
+};
+
+/**
+ * Number of shares that can fill in the current bar
+ * @param {number} quantity - Shares the order still needs
+ * @param {number} volume - Volume of the bar, if the quote has one
+ * @param {number} used - Shares already filled in the bar
+ * @param {number} maxParticipation - Largest fraction of the volume to take
+ * @returns {number} Fillable shares
+ */
+const getFillableQuantity = (quantity, volume, used, maxParticipation) => {
+  if (typeof volume !== 'number') {
+    return quantity;
+  }
+  return Math.max(Math.min(quantity, Math.floor(volume * maxParticipation) - used), 0);
+};
+
+/**
+ * Price a fill of an order
+ * @param {Object} order - Order record (type, action, limit price and what it filled so far)
+ * @param {number} quantity - Shares to fill
+ * @param {Object} quote - Quote with price and volume
+ * @param {Object} settings - Execution settings
+ * @returns {Object} Reference (quote) price, fill price, commission and slippage cost
+ */
+const priceFill = (order, quantity, quote, settings) => {
+  const referencePrice = quote.price;
+  let price = createSlippageModel(settings.slippage)(referencePrice, order.action, { quantity, volume: quote.volume });
+  if (['limit', 'stop_limit'].includes(order.type)) {
+    price = order.action === 'buy' ? Math.min(price, order.price) : Math.max(price, order.price);
+  }
+
+  // Commission of the order so far including this fill, less what earlier fills paid
+  const filledQuantity = order.filledQuantity + quantity;
+  const filledValue = (order.averageFillPrice || 0) * order.filledQuantity + quantity * price;
+  const commission = Math.max(
+    createCommissionModel(settings.commission)(filledQuantity, filledValue / filledQuantity) - (order.commission || 0),
+    0
+  );
+
+  return {
+    referencePrice,
+    price,
+    commission,
+    slippage: Math.abs(price - referencePrice) * quantity
+  };
+};
+
+module.exports = {
+  DEFAULT_EXECUTION,
+  executionSchema,
+  normalizeExecutionSettings,
+  getFillableQuantity,
+  priceFill
+};
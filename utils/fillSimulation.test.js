@@ -0,0 +1,70 @@
+const { DEFAULT_EXECUTION, normalizeExecutionSettings, getFillableQuantity, priceFill } = require('./fillSimulation');
+
+const NO_COSTS = { commission: { type: 'none' }, slippage: { type: 'none' } };
+
+/**
+ * A new order record
+ * @param {Object} fields - Order fields
+ * @returns {Object} Order without fills
+ */
+const newOrder = (fields) => ({ type: 'market', filledQuantity: 0, averageFillPrice: null, commission: 0, ...fields });
+
+describe('normalizeExecutionSettings', () => {
+  test('fills in the defaults', () => {
+    expect(normalizeExecutionSettings()).toEqual(DEFAULT_EXECUTION);
+    expect(normalizeExecutionSettings({ maxParticipation: 0.5 })).toEqual({ ...DEFAULT_EXECUTION, maxParticipation: 0.5 });
+  });
+
+  test('rejects invalid settings with a 400 error', () => {
+    expect(() => normalizeExecutionSettings({ maxParticipation: 2 })).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringContaining('Invalid execution settings: maxParticipation')
+    }));
+    expect(() => normalizeExecutionSettings({ slippage: { type: 'bps', bps: -1 } })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('getFillableQuantity', () => {
+  test('fills everything when the volume is unknown', () => {
+    expect(getFillableQuantity(1000, undefined, 0, 0.1)).toBe(1000);
+  });
+
+  test('takes at most the participation share of the volume left in the bar', () => {
+    expect(getFillableQuantity(80, 500, 0, 0.1)).toBe(50);
+    expect(getFillableQuantity(80, 500, 30, 0.1)).toBe(20);
+    expect(getFillableQuantity(80, 500, 60, 0.1)).toBe(0);
+    expect(getFillableQuantity(10, 500, 0, 0.1)).toBe(10);
+  });
+});
+
+describe('priceFill', () => {
+  test('moves the price against the trade by the slippage', () => {
+    const settings = { ...NO_COSTS, slippage: { type: 'bps', bps: 10 } };
+
+    expect(priceFill(newOrder({ action: 'buy' }), 100, { price: 50 }, settings)).toEqual({
+      referencePrice: 50,
+      price: 50.05,
+      commission: 0,
+      slippage: expect.closeTo(5)
+    });
+    expect(priceFill(newOrder({ action: 'sell' }), 100, { price: 50 }, settings).price).toBeCloseTo(49.95);
+  });
+
+  test('never fills limit orders beyond their limit price', () => {
+    const settings = { ...NO_COSTS, slippage: { type: 'fixed', amount: 1 } };
+
+    expect(priceFill(newOrder({ action: 'buy', type: 'limit', price: 50.5 }), 10, { price: 50 }, settings).price).toBe(50.5);
+    expect(priceFill(newOrder({ action: 'sell', type: 'stop_limit', price: 49.5 }), 10, { price: 50 }, settings).price).toBe(49.5);
+  });
+
+  test('charges the minimum commission of an order once across its fills', () => {
+    const settings = { ...NO_COSTS, commission: { type: 'per_share', rate: 0.005, minimum: 1 } };
+
+    const first = priceFill(newOrder({ action: 'buy' }), 10, { price: 50 }, settings);
+    expect(first.commission).toBe(1);
+
+    const partlyFilled = newOrder({ action: 'buy', filledQuantity: 10, averageFillPrice: 50, commission: 1 });
+    expect(priceFill(partlyFilled, 10, { price: 50 }, settings).commission).toBe(0);
+    expect(priceFill(partlyFilled, 300, { price: 50 }, settings).commission).toBeCloseTo(0.55);
+  });
+});
@@ -0,0 +1,19 @@
+/**
+ * Errors that carry the HTTP status the routes answer with
+ */
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error
+ */
+const httpError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+module.exports = {
+  httpError
+};
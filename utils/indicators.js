@@ -0,0 +1,606 @@
+/**
+ * Technical indicator library
+ *
+ * Wraps the technicalindicators package behind a registry of named indicators
+ * that compute full series aligned to the input bars. Indicators are requested
+ * with TradingView-style specs such as `rsi`, `sma(50)` or `macd(12,26,9)`,
+ * where the positional arguments map onto each indicator's parameter list.
+ */
+
+const {
+  SMA,
+  EMA,
+  WMA,
+  RSI,
+  MACD,
+  BollingerBands,
+  ATR,
+  Stochastic,
+  ADX,
+  CCI,
+  OBV,
+  IchimokuCloud,
+  WilliamsR,
+  AwesomeOscillator,
+  StochasticRSI
+} = require('technicalindicators');
+const { getSessionDate, parseTimeframe } = require('./timeframes');
+
+const SOURCES = ['open', 'high', 'low', 'close', 'hl2', 'hlc3', 'ohlc4', 'volume'];
+
+/**
+ * Get a price source series from bars
+ * @param {Array} bars - OHLCV bars
+ * @param {string} source - Source (open, high, low, close, hl2, hlc3, ohlc4, volume)
+ * @returns {Array} Source values
+ */
+const getSource = (bars, source = 'close') => {
+  switch (source) {
+    case 'hl2':
+      return bars.map(bar => (bar.high + bar.low) / 2);
+    case 'hlc3':
+      return bars.map(bar => (bar.high + bar.low + bar.close) / 3);
+    case 'ohlc4':
+      return bars.map(bar => (bar.open + bar.high + bar.low + bar.close) / 4);
+    default:
+      if (!SOURCES.includes(source)) {
+        throw new Error(`Unknown price source "${source}". Supported sources: ${SOURCES.join(', ')}`);
+      }
+      return bars.map(bar => bar[source]);
+  }
+};
+
+/**
+ * Pad an indicator output at the front so it lines up with the input bars
+ * @param {Array} values - Indicator output (aligned to the end of the input)
+ * @param {number} length - Number of input bars
+ * @returns {Array} Output of the given length, null during the warm-up period
+ */
+const alignToBars = (values, length) => {
+  const padding = Math.max(length - values.length, 0);
+  return new Array(padding).fill(null).concat(values.slice(-length));
+};
+
+/**
+ * Sum of the values in a sliding window ending at each index
+ * @param {Array} values - Input values
+ * @param {number} period - Window length
+ * @returns {Array} Window sums, starting at the first full window
+ */
+const rollingSum = (values, period) => {
+  const sums = [];
+  let sum = 0;
+  values.forEach((value, index) => {
+    sum += value;
+    if (index >= period) {
+      sum -= values[index - period];
+    }
+    if (index >= period - 1) {
+      sums.push(sum);
+    }
+  });
+  return sums;
+};
+
+const movingAverage = (Indicator, description) => ({
+  description,
+  params: [
+    { name: 'period', type: 'integer', default: 20 },
+    { name: 'source', type: 'string', default: 'close', enum: SOURCES }
+  ],
+  lookback: ({ period }) => period,
+  compute: (bars, { period, source }) => ({
+    value: Indicator.calculate({ period, values: getSource(bars, source) })
+  })
+});
+
+const INDICATORS = {
+  sma: movingAverage(SMA, 'Simple moving average'),
+  ema: movingAverage(EMA, 'Exponential moving average'),
+  wma: movingAverage(WMA, 'Weighted moving average'),
+
+  hma: {
+    description: 'Hull moving average',
+    params: [
+      { name: 'period', type: 'integer', default: 9 },
+      { name: 'source', type: 'string', default: 'close', enum: SOURCES }
+    ],
+    lookback: ({ period }) => period + Math.round(Math.sqrt(period)),
+    compute: (bars, { period, source }) => {
+      const values = getSource(bars, source);
+      const full = WMA.calculate({ period, values });
+      const half = WMA.calculate({ period: Math.max(Math.floor(period / 2), 1), values }).slice(-full.length);
+      const raw = full.map((value, index) => 2 * half[index] - value);
+      return {
+        value: WMA.calculate({ period: Math.max(Math.round(Math.sqrt(period)), 1), values: raw })
+      };
+    }
+  },
+
+  vwma: {
+    description: 'Volume-weighted moving average',
+    params: [
+      { name: 'period', type: 'integer', default: 20 },
+      { name: 'source', type: 'string', default: 'close', enum: SOURCES }
+    ],
+    lookback: ({ period }) => period,
+    compute: (bars, { period, source }) => {
+      const prices = getSource(bars, source);
+      const volumes = getSource(bars, 'volume');
+      const weighted = rollingSum(prices.map((price, index) => price * volumes[index]), period);
+      const volumeSums = rollingSum(volumes, period);
+      return {
+        value: weighted.map((sum, index) => (volumeSums[index] > 0 ? sum / volumeSums[index] : null))
+      };
+    }
+  },
+
+  rsi: {
+    description: 'Relative strength index',
+    params: [
+      { name: 'period', type: 'integer', default: 14 },
+      { name: 'source', type: 'string', default: 'close', enum: SOURCES }
+    ],
+    lookback: ({ period }) => period * 3,
+    compute: (bars, { period, source }) => ({
+      value: RSI.calculate({ period, values: getSource(bars, source) })
+    })
+  },
+
+  macd: {
+    description: 'Moving average convergence/divergence with signal line and histogram',
+    params: [
+      { name: 'fastPeriod', type: 'integer', default: 12 },
+      { name: 'slowPeriod', type: 'integer', default: 26 },
+      { name: 'signalPeriod', type: 'integer', default: 9 },
+      { name: 'source', type: 'string', default: 'close', enum: SOURCES }
+    ],
+    lookback: ({ slowPeriod, signalPeriod }) => slowPeriod + signalPeriod,
+    compute: (bars, { fastPeriod, slowPeriod, signalPeriod, source }) => {
+      const output = MACD.calculate({
+        values: getSource(bars, source),
+        fastPeriod,
+        slowPeriod,
+        signalPeriod,
+        SimpleMAOscillator: false,
+        SimpleMASignal: false
+      });
+      return {
+        macd: output.map(point => point.MACD),
+        signal: output.map(point => (point.signal === undefined ? null : point.signal)),
+        histogram: output.map(point => (point.histogram === undefined ? null : point.histogram))
+      };
+    }
+  },
+
+  bollinger: {
+    description: 'Bollinger Bands',
+    params: [
+      { name: 'period', type: 'integer', default: 20 },
+      { name: 'stdDev', type: 'number', default: 2 },
+      { name: 'source', type: 'string', default: 'close', enum: SOURCES }
+    ],
+    lookback: ({ period }) => period,
+    compute: (bars, { period, stdDev, source }) => {
+      const output = BollingerBands.calculate({ period, stdDev, values: getSource(bars, source) });
+      return {
+        upper: output.map(point => point.upper),
+        middle: output.map(point => point.middle),
+        lower: output.map(point => point.lower),
+        percentB: output.map(point => point.pb)
+      };
+    }
+  },
+
+  atr: {
+    description: 'Average true range',
+    params: [{ name: 'period', type: 'integer', default: 14 }],
+    lookback: ({ period }) => period * 3,
+    compute: (bars, { period }) => ({
+      value: ATR.calculate({
+        period,
+        high: getSource(bars, 'high'),
+        low: getSource(bars, 'low'),
+        close: getSource(bars, 'close')
+      })
+    })
+  },
+
+  stochastic: {
+    description: 'Stochastic oscillator (%K and %D)',
+    params: [
+      { name: 'period', type: 'integer', default: 14 },
+      { name: 'signalPeriod', type: 'integer', default: 3 }
+    ],
+    lookback: ({ period, signalPeriod }) => period + signalPeriod,
+    compute: (bars, { period, signalPeriod }) => {
+      const output = Stochastic.calculate({
+        period,
+        signalPeriod,
+        high: getSource(bars, 'high'),
+        low: getSource(bars, 'low'),
+        close: getSource(bars, 'close')
+      });
+      return {
+        k: output.map(point => point.k),
+        d: output.map(point => (point.d === undefined ? null : point.d))
+      };
+    }
+  },
+
+  adx: {
+    description: 'Average directional index with +DI and -DI',
+    params: [{ name: 'period', type: 'integer', default: 14 }],
+    lookback: ({ period }) => period * 4,
+    compute: (bars, { period }) => {
+      const output = ADX.calculate({
+        period,
+        high: getSource(bars, 'high'),
+        low: getSource(bars, 'low'),
+        close: getSource(bars, 'close')
+      });
+      return {
+        adx: output.map(point => point.adx),
+        plusDI: output.map(point => point.pdi),
+        minusDI: output.map(point => point.mdi)
+      };
+    }
+  },
+
+  cci: {
+    description: 'Commodity channel index',
+    params: [{ name: 'period', type: 'integer', default: 20 }],
+    lookback: ({ period }) => period,
+    compute: (bars, { period }) => ({
+      value: CCI.calculate({
+        period,
+        high: getSource(bars, 'high'),
+        low: getSource(bars, 'low'),
+        close: getSource(bars, 'close')
+      })
+    })
+  },
+
+  williamsr: {
+    description: 'Williams %R',
+    params: [{ name: 'period', type: 'integer', default: 14 }],
+    lookback: ({ period }) => period,
+    compute: (bars, { period }) => ({
+      value: WilliamsR.calculate({
+        period,
+        high: getSource(bars, 'high'),
+        low: getSource(bars, 'low'),
+        close: getSource(bars, 'close')
+      })
+    })
+  },
+
+  ao: {
+    description: 'Awesome oscillator',
+    params: [
+      { name: 'fastPeriod', type: 'integer', default: 5 },
+      { name: 'slowPeriod', type: 'integer', default: 34 }
+    ],
+    lookback: ({ slowPeriod }) => slowPeriod,
+    compute: (bars, { fastPeriod, slowPeriod }) => ({
+      value: AwesomeOscillator.calculate({
+        fastPeriod,
+        slowPeriod,
+        high: getSource(bars, 'high'),
+        low: getSource(bars, 'low')
+      })
+    })
+  },
+
+  momentum: {
+    description: 'Momentum (change over the period)',
+    params: [
+      { name: 'period', type: 'integer', default: 10 },
+      { name: 'source', type: 'string', default: 'close', enum: SOURCES }
+    ],
+    lookback: ({ period }) => period,
+    compute: (bars, { period, source }) => {
+      const values = getSource(bars, source);
+      return {
+        value: values.slice(period).map((value, index) => value - values[index])
+      };
+    }
+  },
+
+  stochrsi: {
+    description: 'Stochastic RSI (%K and %D)',
+    params: [
+      { name: 'kPeriod', type: 'integer', default: 3 },
+      { name: 'dPeriod', type: 'integer', default: 3 },
+      { name: 'rsiPeriod', type: 'integer', default: 14 },
+      { name: 'stochasticPeriod', type: 'integer', default: 14 }
+    ],
+    lookback: ({ kPeriod, dPeriod, rsiPeriod, stochasticPeriod }) => rsiPeriod * 3 + stochasticPeriod + kPeriod + dPeriod,
+    compute: (bars, { kPeriod, dPeriod, rsiPeriod, stochasticPeriod }) => {
+      const output = StochasticRSI.calculate({
+        values: getSource(bars, 'close'),
+        rsiPeriod,
+        stochasticPeriod,
+        kPeriod,
+        dPeriod
+      });
+      return {
+        k: output.map(point => point.k),
+        d: output.map(point => point.d)
+      };
+    }
+  },
+
+  uo: {
+    description: 'Ultimate oscillator',
+    params: [
+      { name: 'fastPeriod', type: 'integer', default: 7 },
+      { name: 'middlePeriod', type: 'integer', default: 14 },
+      { name: 'slowPeriod', type: 'integer', default: 28 }
+    ],
+    lookback: ({ slowPeriod }) => slowPeriod + 1,
+    compute: (bars, { fastPeriod, middlePeriod, slowPeriod }) => {
+      // Buying pressure and true range against the previous close
+      const buyingPressure = [];
+      const trueRange = [];
+      for (let i = 1; i < bars.length; i++) {
+        const previousClose = bars[i - 1].close;
+        buyingPressure.push(bars[i].close - Math.min(bars[i].low, previousClose));
+        trueRange.push(Math.max(bars[i].high, previousClose) - Math.min(bars[i].low, previousClose));
+      }
+
+      const average = (period) => {
+        const pressure = rollingSum(buyingPressure, period);
+        const range = rollingSum(trueRange, period);
+        return pressure.map((sum, index) => (range[index] > 0 ? sum / range[index] : 0));
+      };
+      const slow = average(slowPeriod);
+      const middle = average(middlePeriod).slice(-slow.length);
+      const fast = average(fastPeriod).slice(-slow.length);
+
+      return {
+        value: slow.map((value, index) => (100 * (4 * fast[index] + 2 * middle[index] + value)) / 7)
+      };
+    }
+  },
+
+  bbpower: {
+    description: 'Bull bear power (high and low against an EMA)',
+    params: [{ name: 'period', type: 'integer', default: 13 }],
+    lookback: ({ period }) => period * 3,
+    compute: (bars, { period }) => {
+      const ema = EMA.calculate({ period, values: getSource(bars, 'close') });
+      const recentBars = bars.slice(-ema.length);
+      return {
+        value: ema.map((value, index) => (recentBars[index].high - value) + (recentBars[index].low - value))
+      };
+    }
+  },
+
+  obv: {
+    description: 'On-balance volume',
+    params: [],
+    lookback: () => 0,
+    compute: (bars) => ({
+      value: OBV.calculate({ close: getSource(bars, 'close'), volume: getSource(bars, 'volume') })
+    })
+  },
+
+  vwap: {
+    description: 'Volume-weighted average price, reset at the start of each anchor period',
+    params: [{ name: 'anchor', type: 'string', default: 'session', enum: ['session', 'week', 'month', 'none'] }],
+    lookback: () => 0,
+    compute: (bars, { anchor }, { timeframe }) => {
+      const intraday = parseTimeframe(timeframe).intraday;
+      const anchorKey = (bar) => {
+        const date = getSessionDate(Date.parse(bar.timestamp), intraday);
+        switch (anchor) {
+          case 'session':
+            return date;
+          case 'week': {
+            const day = new Date(`${date}T00:00:00Z`);
+            day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+            return day.toISOString().slice(0, 10);
+          }
+          case 'month':
+            return date.slice(0, 7);
+          default:
+            return 'all';
+        }
+      };
+
+      let currentKey = null;
+      let cumulativeVolume = 0;
+      let cumulativeValue = 0;
+
+      return {
+        value: bars.map(bar => {
+          const key = anchorKey(bar);
+          if (key !== currentKey) {
+            currentKey = key;
+            cumulativeVolume = 0;
+            cumulativeValue = 0;
+          }
+          cumulativeVolume += bar.volume;
+          cumulativeValue += ((bar.high + bar.low + bar.close) / 3) * bar.volume;
+          return cumulativeVolume > 0 ? cumulativeValue / cumulativeVolume : null;
+        })
+      };
+    }
+  },
+
+  ichimoku: {
+    description: 'Ichimoku cloud; span A and B are the values computed at each bar, plotted `displacement` bars ahead',
+    params: [
+      { name: 'conversionPeriod', type: 'integer', default: 9 },
+      { name: 'basePeriod', type: 'integer', default: 26 },
+      { name: 'spanPeriod', type: 'integer', default: 52 },
+      { name: 'displacement', type: 'integer', default: 26 }
+    ],
+    lookback: ({ spanPeriod }) => spanPeriod,
+    compute: (bars, { conversionPeriod, basePeriod, spanPeriod, displacement }) => {
+      const output = IchimokuCloud.calculate({
+        conversionPeriod,
+        basePeriod,
+        spanPeriod,
+        displacement,
+        high: getSource(bars, 'high'),
+        low: getSource(bars, 'low')
+      });
+      return {
+        conversion: output.map(point => point.conversion),
+        base: output.map(point => point.base),
+        spanA: output.map(point => point.spanA),
+        spanB: output.map(point => point.spanB)
+      };
+    }
+  }
+};
+
+const ALIASES = {
+  bb: 'bollinger',
+  bbands: 'bollinger',
+  stoch: 'stochastic',
+  willr: 'williamsr',
+  mom: 'momentum'
+};
+
+/**
+ * Parse an indicator spec such as `rsi`, `sma(50)` or `macd(12,26,9)`
+ * @param {string|Object} spec - Spec string, or an object with name and params
+ * @returns {Object} Parsed spec with canonical name, full params and a key
+ */
+const parseIndicatorSpec = (spec) => {
+  let name;
+  let params = {};
+
+  if (typeof spec === 'string') {
+    const match = /^\s*([a-zA-Z]+)\s*(?:\(([^)]*)\))?\s*$/.exec(spec);
+    if (!match) {
+      throw new Error(`Invalid indicator spec "${spec}"`);
+    }
+    name = match[1].toLowerCase();
+    const args = match[2] ? match[2].split(',').map(arg => arg.trim()).filter(Boolean) : [];
+    const definition = INDICATORS[ALIASES[name] || name];
+    if (definition) {
+      if (args.length > definition.params.length) {
+        throw new Error(`Too many arguments for ${name}, expected at most ${definition.params.length}`);
+      }
+      args.forEach((arg, index) => {
+        params[definition.params[index].name] = arg;
+      });
+    }
+  } else if (spec && typeof spec === 'object') {
+    name = String(spec.name || '').toLowerCase();
+    params = { ...(spec.params || {}) };
+  } else {
+    throw new Error('Indicator spec must be a string or an object');
+  }
+
+  const canonicalName = ALIASES[name] || name;
+  const definition = INDICATORS[canonicalName];
+  if (!definition) {
+    throw new Error(`Unknown indicator "${name}". Supported indicators: ${Object.keys(INDICATORS).join(', ')}`);
+  }
+
+  const resolved = {};
+  definition.params.forEach(param => {
+    let value = params[param.name] !== undefined ? params[param.name] : param.default;
+    if (param.type !== 'string') {
+      value = Number(value);
+      if (!Number.isFinite(value) || value <= 0 || (param.type === 'integer' && !Number.isInteger(value))) {
+        throw new Error(`Parameter ${param.name} of ${canonicalName} must be a positive ${param.type}`);
+      }
+    } else if (param.enum && !param.enum.includes(value)) {
+      throw new Error(`Parameter ${param.name} of ${canonicalName} must be one of: ${param.enum.join(', ')}`);
+    }
+    resolved[param.name] = value;
+  });
+
+  // Key the result by the spec with all non-default arguments spelled out
+  const args = definition.params.map(param => resolved[param.name]);
+  while (args.length > 0 && args[args.length - 1] === definition.params[args.length - 1].default) {
+    args.pop();
+  }
+  const key = args.length > 0 ? `${canonicalName}(${args.join(',')})` : canonicalName;
+
+  return { name: canonicalName, params: resolved, key };
+};
+
+/**
+ * Split a comma-separated list of specs, keeping commas inside parentheses
+ * @param {string} list - Spec list such as `rsi,macd(12,26,9),sma(50)`
+ * @returns {Array} Spec strings
+ */
+const splitIndicatorList = (list) => (list.match(/[^,(]+(?:\([^)]*\))?/g) || [])
+  .map(spec => spec.trim())
+  .filter(Boolean);
+
+/**
+ * Number of extra bars an indicator needs before its values are reliable
+ * @param {Object} parsedSpec - Parsed indicator spec
+ * @returns {number} Number of warm-up bars
+ */
+const getLookback = (parsedSpec) => INDICATORS[parsedSpec.name].lookback(parsedSpec.params);
+
+/**
+ * Compute an indicator over bars
+ * @param {Array} bars - OHLCV bars, oldest first
+ * @param {string|Object} spec - Indicator spec
+ * @param {Object} context - Computation context
+ * @param {string} context.timeframe - Timeframe of the bars (default: 1d)
+ * @returns {Object} Indicator name, params, key and output series keyed by field,
+ * each aligned to the bars with null during the warm-up period
+ */
+const computeIndicator = (bars, spec, context = {}) => {
+  const parsed = typeof spec === 'object' && spec.key ? spec : parseIndicatorSpec(spec);
+  const definition = INDICATORS[parsed.name];
+  const output = definition.compute(bars, parsed.params, { timeframe: '1d', ...context });
+
+  const series = Object.entries(output).reduce((result, [field, values]) => {
+    result[field] = alignToBars(values, bars.length);
+    return result;
+  }, {});
+
+  return {
+    ...parsed,
+    series
+  };
+};
+
+/**
+ * Convert an indicator's field series into a list of points with timestamps
+ * @param {Array} bars - Bars the indicator was computed on
+ * @param {Object} series - Output series keyed by field
+ * @returns {Array} Points with timestamp and one property per field (`value` for single-output indicators)
+ */
+const toPoints = (bars, series) => bars.map((bar, index) => Object.keys(series).reduce((point, field) => {
+  point[field] = series[field][index];
+  return point;
+}, { timestamp: bar.timestamp }));
+
+/**
+ * List the available indicators with their parameters
+ * @returns {Array} Indicator descriptions
+ */
+const listIndicators = () => Object.entries(INDICATORS).map(([name, definition]) => ({
+  name,
+  description: definition.description,
+  params: definition.params.map(({ name: paramName, type, default: defaultValue, enum: values }) => ({
+    name: paramName,
+    type,
+    default: defaultValue,
+    ...(values ? { enum: values } : {})
+  }))
+}));
+
+module.exports = {
+  INDICATOR_NAMES: Object.keys(INDICATORS),
+  getSource,
+  parseIndicatorSpec,
+  splitIndicatorList,
+  getLookback,
+  computeIndicator,
+  toPoints,
+  listIndicators
+};
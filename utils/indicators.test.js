@@ -0,0 +1,148 @@
+const {
+  INDICATOR_NAMES,
+  getSource,
+  parseIndicatorSpec,
+  splitIndicatorList,
+  getLookback,
+  computeIndicator,
+  toPoints,
+  listIndicators
+} = require('./indicators');
+
+/**
+ * Daily bars with the given closes, each one wide around its close
+ * @param {Array} closes - Close prices
+ * @returns {Array} Bars
+ */
+const dailyBars = (closes) => closes.map((close, i) => ({
+  timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+  open: close,
+  high: close + 1,
+  low: close - 1,
+  close,
+  volume: 100
+}));
+
+describe('parseIndicatorSpec', () => {
+  test('maps positional arguments onto the parameter list', () => {
+    expect(parseIndicatorSpec('sma(50)')).toEqual({ name: 'sma', params: { period: 50, source: 'close' }, key: 'sma(50)' });
+    expect(parseIndicatorSpec('ema(10, hl2)').params).toEqual({ period: 10, source: 'hl2' });
+  });
+
+  test('keys specs without their default arguments', () => {
+    expect(parseIndicatorSpec('SMA(20)').key).toBe('sma');
+    expect(parseIndicatorSpec('macd(12,26,9)').key).toBe('macd');
+    expect(parseIndicatorSpec('macd(8,21)').key).toBe('macd(8,21)');
+  });
+
+  test('resolves aliases and object specs', () => {
+    expect(parseIndicatorSpec('bb(20,2.5)')).toMatchObject({ name: 'bollinger', key: 'bollinger(20,2.5)' });
+    expect(parseIndicatorSpec({ name: 'rsi', params: { period: 7 } })).toMatchObject({ name: 'rsi', params: { period: 7 }, key: 'rsi(7)' });
+  });
+
+  test('rejects invalid specs', () => {
+    expect(() => parseIndicatorSpec('sma(')).toThrow('Invalid indicator spec');
+    expect(() => parseIndicatorSpec('foo')).toThrow('Unknown indicator "foo"');
+    expect(() => parseIndicatorSpec('sma(0)')).toThrow('Parameter period of sma must be a positive integer');
+    expect(() => parseIndicatorSpec('sma(2.5)')).toThrow('must be a positive integer');
+    expect(() => parseIndicatorSpec('sma(20,vol)')).toThrow('Parameter source of sma must be one of');
+    expect(() => parseIndicatorSpec('sma(20,close,3)')).toThrow('Too many arguments for sma');
+    expect(() => parseIndicatorSpec(42)).toThrow('Indicator spec must be a string or an object');
+  });
+});
+
+describe('splitIndicatorList', () => {
+  test('keeps commas inside parentheses', () => {
+    expect(splitIndicatorList('rsi, macd(12,26,9),sma(50)')).toEqual(['rsi', 'macd(12,26,9)', 'sma(50)']);
+    expect(splitIndicatorList('')).toEqual([]);
+  });
+});
+
+describe('getLookback', () => {
+  test('depends on the parameters', () => {
+    expect(getLookback(parseIndicatorSpec('sma(50)'))).toBe(50);
+    expect(getLookback(parseIndicatorSpec('rsi'))).toBe(42);
+    expect(getLookback(parseIndicatorSpec('macd'))).toBe(35);
+  });
+});
+
+describe('getSource', () => {
+  test('derives price sources from bars', () => {
+    const bars = dailyBars([10]);
+    expect(getSource(bars, 'hl2')).toEqual([10]);
+    expect(getSource(bars, 'high')).toEqual([11]);
+    expect(() => getSource(bars, 'vwap')).toThrow('Unknown price source "vwap"');
+  });
+});
+
+describe('computeIndicator', () => {
+  const bars = dailyBars([1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+
+  test('aligns the series to the bars with nulls during the warm-up', () => {
+    const result = computeIndicator(bars, 'sma(3)');
+
+    expect(result).toMatchObject({ name: 'sma', key: 'sma(3)' });
+    expect(result.series.value).toEqual([null, null, 2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('accepts parsed specs', () => {
+    const result = computeIndicator(bars, parseIndicatorSpec('momentum(2)'));
+
+    expect(result.series.value).toEqual([null, null, 2, 2, 2, 2, 2, 2, 2, 2]);
+  });
+
+  test('returns one series per output field', () => {
+    const closes = Array.from({ length: 60 }, (_, i) => 100 + 10 * Math.sin(i / 5));
+    const { series } = computeIndicator(dailyBars(closes), 'macd(12,26,9)');
+
+    expect(Object.keys(series)).toEqual(['macd', 'signal', 'histogram']);
+    Object.values(series).forEach(values => expect(values).toHaveLength(60));
+    expect(series.macd[24]).toBeNull();
+    expect(series.macd[25]).toEqual(expect.any(Number));
+    expect(series.histogram[59]).toBeCloseTo(series.macd[59] - series.signal[59]);
+  });
+
+  test('keeps RSI within 0 to 100', () => {
+    const closes = Array.from({ length: 40 }, (_, i) => 50 + (i % 3 === 0 ? -i : i) / 4);
+    const values = computeIndicator(dailyBars(closes), 'rsi').series.value.filter(value => value !== null);
+
+    expect(values.length).toBeGreaterThan(0);
+    values.forEach(value => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThanOrEqual(100);
+    });
+  });
+
+  test('resets the VWAP at each session of intraday bars', () => {
+    const intraday = [
+      { timestamp: '2024-03-08T20:58:00.000Z', open: 10, high: 11, low: 9, close: 10, volume: 100 },
+      { timestamp: '2024-03-08T20:59:00.000Z', open: 10, high: 13, low: 11, close: 12, volume: 300 },
+      { timestamp: '2024-03-11T13:30:00.000Z', open: 20, high: 21, low: 19, close: 20, volume: 50 }
+    ];
+    const { series } = computeIndicator(intraday, 'vwap', { timeframe: '1m' });
+
+    expect(series.value[1]).toBeCloseTo((10 * 100 + 12 * 300) / 400);
+    expect(series.value[2]).toBeCloseTo(20);
+  });
+});
+
+describe('toPoints', () => {
+  test('pairs the series values with the bar timestamps', () => {
+    const bars = dailyBars([1, 2]);
+
+    expect(toPoints(bars, { value: [null, 1.5] })).toEqual([
+      { timestamp: bars[0].timestamp, value: null },
+      { timestamp: bars[1].timestamp, value: 1.5 }
+    ]);
+  });
+});
+
+describe('listIndicators', () => {
+  test('describes every indicator', () => {
+    expect(listIndicators().map(indicator => indicator.name)).toEqual(INDICATOR_NAMES);
+    expect(listIndicators().find(indicator => indicator.name === 'sma').params).toEqual([
+      { name: 'period', type: 'integer', default: 20 },
+      { name: 'source', type: 'string', default: 'close', enum: ['open', 'high', 'low', 'close', 'hl2', 'hlc3', 'ohlc4', 'volume'] }
+    ]);
+  });
+});
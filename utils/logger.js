@@ -9,14 +9,23 @@ const logFormat = winston.format.combine(
   winston.format.json()
 );
 
+// When serving MCP over stdio, stdout carries protocol messages only,
+// so console output is sent to stderr instead
+const consoleStderrLevels = process.argv.includes('--stdio')
+  ? Object.keys(winston.config.npm.levels)
+  : [];
+
 // Create the logger
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
+  // Test runs (jest sets NODE_ENV to test) keep their output to the results
+  silent: process.env.NODE_ENV === 'test',
   format: logFormat,
   defaultMeta: { service: 'trading-view-mcp' },
   transports: [
     // Console transport
     new winston.transports.Console({
+      stderrLevels: consoleStderrLevels,
       format: winston.format.combine(
         winston.format.colorize(),
         winston.format.printf(
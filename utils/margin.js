@@ -0,0 +1,112 @@
+/**
+ * Margin accounting
+ *
+ * Cash accounts can only buy with their cash and sell shares they own. Margin
+ * accounts can borrow against their equity and sell short:
+ *
+ * - equity = cash + long market value - short market value
+ * - initial requirement = initialMargin x (long + short market value); new
+ *   positions must keep equity above it, so buying power is
+ *   (equity - initial requirement) / initialMargin
+ * - maintenance requirement = maintenanceMargin x (long + short market value);
+ *   equity below it puts the account in a margin call
+ * - short positions pay a borrow fee of borrowRate per year (360-day basis)
+ *   on their market value
+ */
+
+const { httpError } = require('./httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const ACCOUNT_TYPES = ['cash', 'margin'];
+
+const DEFAULT_MARGIN = { initialMargin: 0.5, maintenanceMargin: 0.25, borrowRate: 0.03 };
+
+/**
+ * Validate margin settings, filling in defaults
+ * @param {Object} settings - initialMargin, maintenanceMargin and borrowRate (fractions)
+ * @returns {Object} Complete margin settings
+ */
+const normalizeMarginSettings = (settings = {}) => {
+  const margin = { ...DEFAULT_MARGIN, ...settings };
+
+  Object.keys(DEFAULT_MARGIN).forEach(key => {
+    if (typeof margin[key] !== 'number' || !Number.isFinite(margin[key]) || margin[key] < 0) {
+      throw httpError(`margin.${key} must be a non-negative number`, 400);
+    }
+  });
+  if (!(margin.maintenanceMargin > 0 && margin.maintenanceMargin <= margin.initialMargin && margin.initialMargin <= 1)) {
+    throw httpError('Margin rates must satisfy 0 < maintenanceMargin <= initialMargin <= 1', 400);
+  }
+
+  return {
+    initialMargin: margin.initialMargin,
+    maintenanceMargin: margin.maintenanceMargin,
+    borrowRate: margin.borrowRate
+  };
+};
+
+/**
+ * Compute the equity, buying power and margin requirements of an account
+ * @param {Object} account - Account record (cash, type and margin settings)
+ * @param {Array} positions - The account's positions (signed quantity, currentPrice)
+ * @param {number} reservedCash - Cash committed to working buy orders
+ * @returns {Object} Account values
+ */
+const getAccountValues = (account, positions, reservedCash = 0) => {
+  const longMarketValue = positions
+    .filter(position => position.quantity > 0)
+    .reduce((total, position) => total + position.quantity * position.currentPrice, 0);
+  const shortMarketValue = positions
+    .filter(position => position.quantity < 0)
+    .reduce((total, position) => total - position.quantity * position.currentPrice, 0);
+  const equity = account.cash + longMarketValue - shortMarketValue;
+
+  if (account.type !== 'margin') {
+    return {
+      equity,
+      longMarketValue,
+      shortMarketValue,
+      buyingPower: Math.max(account.cash - reservedCash, 0)
+    };
+  }
+
+  const { initialMargin, maintenanceMargin } = account.margin;
+  const grossMarketValue = longMarketValue + shortMarketValue;
+  const initialRequirement = grossMarketValue * initialMargin;
+  const maintenanceRequirement = grossMarketValue * maintenanceMargin;
+
+  return {
+    equity,
+    longMarketValue,
+    shortMarketValue,
+    buyingPower: Math.max((equity - initialRequirement) / initialMargin - reservedCash, 0),
+    initialRequirement,
+    maintenanceRequirement,
+    excessLiquidity: equity - maintenanceRequirement,
+    marginUsage: equity > 0 ? initialRequirement / equity : null
+  };
+};
+
+/**
+ * Borrow fee a short position owes since its fees were last charged
+ * @param {Object} position - Position (signed quantity, currentPrice, borrowAccruedAt)
+ * @param {number} borrowRate - Annual borrow rate
+ * @param {number} now - Current time in ms
+ * @returns {number} Fee in currency
+ */
+const getBorrowFee = (position, borrowRate, now) => {
+  if (position.quantity >= 0 || !position.borrowAccruedAt) {
+    return 0;
+  }
+  const days = Math.max(now - Date.parse(position.borrowAccruedAt), 0) / DAY_MS;
+  return -position.quantity * position.currentPrice * borrowRate * days / 360;
+};
+
+module.exports = {
+  ACCOUNT_TYPES,
+  DEFAULT_MARGIN,
+  normalizeMarginSettings,
+  getAccountValues,
+  getBorrowFee
+};
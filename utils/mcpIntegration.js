@@ -7,8 +7,21 @@
 
 const logger = require('./logger');
 const stockAnalysisService = require('../services/stockAnalysisService');
+const quoteService = require('../services/quoteService');
 const tradingService = require('../services/tradingService');
+const proposalService = require('../services/proposalService');
+const alertService = require('../services/alertService');
+const performanceService = require('../services/performanceService');
 const marketResearchService = require('../services/marketResearchService');
+const backtestService = require('../services/backtestService');
+const screenerService = require('../services/screenerService');
+const { registerTool, getTool, listTools, validateToolInput } = require('./toolRegistry');
+const { SUPPORTED_TIMEFRAMES } = require('./timeframes');
+const { INDICATOR_NAMES, splitIndicatorList } = require('./indicators');
+const { orderSchema } = require('./orderTypes');
+const { RISK_CODES } = require('./riskLimits');
+const { alertSchema } = require('./alertConditions');
+const { notifyClients } = require('./mcpNotifications');
 
 /**
  * Processes an MCP request and generates the appropriate context
@@ -19,28 +32,28 @@ async function processMcpRequest(mcpRequest) {
   try {
     logger.info('Processing MCP request', { requestType: mcpRequest.type });
     
-    const { type, parameters } = mcpRequest;
+    const { type, parameters = {} } = mcpRequest;
     
-    switch (type) {
-      case 'stock_analysis':
-        return await handleStockAnalysis(parameters);
-      
-      case 'portfolio':
-        return await handlePortfolio(parameters);
-      
-      case 'trade_execution':
-        return await handleTradeExecution(parameters);
-      
-      case 'market_research':
-        return await handleMarketResearch(parameters);
-      
-      default:
-        return {
-          status: 'error',
-          error: 'Unsupported request type',
-          supportedTypes: ['stock_analysis', 'portfolio', 'trade_execution', 'market_research']
-        };
+    const tool = getTool(type);
+    if (!tool) {
+      return {
+        status: 'error',
+        error: 'Unsupported request type',
+        supportedTypes: listTools().map(t => t.name)
+      };
+    }
+    
+    // Validate against the tool's input schema, reporting every offending field
+    const validation = validateToolInput(type, parameters);
+    if (!validation.valid) {
+      return {
+        status: 'error',
+        error: `Invalid parameters for ${type}: ${validation.errors.map(e => `${e.field} ${e.message}`).join('; ')}`,
+        validationErrors: validation.errors
+      };
     }
+    
+    return await tool.handler(validation.value);
   } catch (error) {
     logger.error('Error processing MCP request', { error: error.message });
     return {
@@ -56,16 +69,9 @@ async function processMcpRequest(mcpRequest) {
  * @returns {Object} - Analysis results
  */
 async function handleStockAnalysis(parameters) {
-  const { symbol, timeframe = '1d' } = parameters;
+  const { symbol, timeframe, strategy } = parameters;
   
-  if (!symbol) {
-    return {
-      status: 'error',
-      error: 'Symbol parameter is required'
-    };
-  }
-  
-  const analysis = await stockAnalysisService.getStockAnalysis(symbol, timeframe);
+  const analysis = await stockAnalysisService.getStockAnalysis(symbol, timeframe, strategy);
   
   return {
     status: 'success',
@@ -74,17 +80,103 @@ async function handleStockAnalysis(parameters) {
   };
 }
 
+/**
+ * Handle stock quote requests
+ * @param {Object} parameters - Quote parameters
+ * @returns {Object} - Current quote
+ */
+async function handleStockQuote(parameters) {
+  const quote = await quoteService.getQuote(parameters.symbol.toUpperCase());
+  
+  return {
+    status: 'success',
+    type: 'stock_quote',
+    data: quote
+  };
+}
+
+/**
+ * Handle technical indicator requests
+ * @param {Object} parameters - Indicator parameters
+ * @returns {Object} - Indicator series
+ */
+async function handleTechnicalIndicators(parameters) {
+  const { symbol, indicators, timeframe, limit } = parameters;
+  
+  // Rejoin before splitting so specs like macd(12,26,9) survive comma coercion
+  const specs = splitIndicatorList(indicators.join(','));
+  const result = await stockAnalysisService.getIndicators(symbol, specs, { timeframe, limit });
+  
+  return {
+    status: 'success',
+    type: 'technical_indicators',
+    data: result
+  };
+}
+
+/**
+ * Handle technical rating requests
+ * @param {Object} parameters - Rating parameters
+ * @returns {Object} - Technical ratings with the individual indicator votes
+ */
+async function handleTechnicalRating(parameters) {
+  const { symbol, timeframe } = parameters;
+  
+  const rating = await stockAnalysisService.getTradingViewIndicators(symbol, timeframe);
+  
+  return {
+    status: 'success',
+    type: 'technical_rating',
+    data: rating
+  };
+}
+
+/**
+ * Handle backtest requests
+ * @param {Object} parameters - Backtest parameters
+ * @returns {Object} - Backtest metrics, equity curve and trades
+ */
+async function handleBacktest(parameters) {
+  const result = await backtestService.runBacktest(parameters);
+  
+  return {
+    status: 'success',
+    type: 'backtest',
+    data: result
+  };
+}
+
+/**
+ * Handle stock screener requests
+ * @param {Object} parameters - Screen parameters
+ * @returns {Object} - Ranked matches
+ */
+async function handleStockScreener(parameters) {
+  const { filters, ...options } = parameters;
+  
+  const result = await screenerService.screenStocks({
+    ...options,
+    filters: typeof filters === 'string' ? filters.split(';').filter(filter => filter.trim()) : filters
+  });
+  
+  return {
+    status: 'success',
+    type: 'stock_screener',
+    data: result
+  };
+}
+
 /**
  * Handle portfolio requests
  * @param {Object} parameters - Portfolio parameters
  * @returns {Object} - Portfolio data
  */
 async function handlePortfolio(parameters) {
-  const { action = 'view', period } = parameters;
+  const { action, period, accountId } = parameters;
   
   switch (action) {
     case 'view':
-      const portfolio = tradingService.getPortfolio();
+      const portfolio = tradingService.getPortfolio(accountId);
       return {
         status: 'success',
         type: 'portfolio',
@@ -92,8 +184,7 @@ async function handlePortfolio(parameters) {
       };
       
     case 'performance':
-      const timeframe = period || '1m';
-      const performance = await tradingService.analyzePerformance(timeframe);
+      const performance = await performanceService.analyzePerformance(period, accountId, { benchmark: parameters.benchmark });
       return {
         status: 'success',
         type: 'portfolio_performance',
@@ -101,99 +192,155 @@ async function handlePortfolio(parameters) {
       };
       
     case 'update':
-      const updatedPortfolio = await tradingService.updatePortfolio();
+      const updatedPortfolio = await tradingService.updatePortfolio(accountId);
       return {
         status: 'success',
         type: 'portfolio_update',
         data: updatedPortfolio
       };
       
+    case 'accounts':
+      return {
+        status: 'success',
+        type: 'portfolio_accounts',
+        data: tradingService.listAccounts()
+      };
+      
+    case 'orders':
+      return {
+        status: 'success',
+        type: 'portfolio_orders',
+        data: tradingService.getOrders({ accountId, status: 'open' })
+      };
+      
+    case 'realized_gains':
+      return {
+        status: 'success',
+        type: 'portfolio_realized_gains',
+        data: tradingService.getRealizedGains({ accountId, from: parameters.from, to: parameters.to })
+      };
+      
     default:
       return {
         status: 'error',
         error: `Unsupported portfolio action: ${action}`,
-        supportedActions: ['view', 'performance', 'update']
+        supportedActions: ['view', 'performance', 'update', 'accounts', 'orders', 'realized_gains']
       };
   }
 }
 
 /**
- * Handle trade execution requests
+ * Handle trade execution requests. In accounts that require approval the
+ * order becomes a proposal for a human to approve or reject.
  * @param {Object} parameters - Trade parameters
  * @returns {Object} - Trade execution results
  */
 async function handleTradeExecution(parameters) {
-  const { symbol, action, quantity, type = 'market', price } = parameters;
-  
-  // Validate required parameters
-  if (!symbol || !action || !quantity) {
-    return {
-      status: 'error',
-      error: 'Missing required parameters. Need symbol, action, and quantity.'
-    };
-  }
+  const { rationale, ...order } = parameters;
+  const account = tradingService.getAccount(order.accountId);
   
-  // Validate action
-  if (!['buy', 'sell'].includes(action)) {
+  if (account.requireApproval) {
+    const proposal = proposalService.createProposal(order, { source: 'mcp', rationale });
     return {
-      status: 'error',
-      error: 'Invalid action. Must be "buy" or "sell".'
+      status: 'success',
+      type: 'trade_execution',
+      data: {
+        status: 'pending_approval',
+        message: `Account ${account.id} requires approval: proposal ${proposal.id} awaits a decision until ${proposal.expiresAt}, check it with the trade_proposals tool`,
+        proposal
+      }
     };
   }
   
-  // Validate order type
-  if (!['market', 'limit'].includes(type)) {
-    return {
-      status: 'error',
-      error: 'Invalid order type. Must be "market" or "limit".'
-    };
-  }
+  const result = await tradingService.executeOrder(order);
   
-  // Validate quantity
-  if (isNaN(quantity) || quantity <= 0) {
-    return {
-      status: 'error',
-      error: 'Quantity must be a positive number.'
-    };
-  }
+  return {
+    status: ['error', 'rejected'].includes(result.status) ? 'error' : 'success',
+    type: 'trade_execution',
+    data: result
+  };
+}
+
+/**
+ * Handle trade proposal requests
+ * @param {Object} parameters - A proposal id, or the account and status to list
+ * @returns {Object} - The proposal or the list of proposals
+ */
+async function handleTradeProposals(parameters) {
+  const { proposalId, accountId, status } = parameters;
   
-  // For limit orders, validate price
-  if (type === 'limit' && (!price || isNaN(price) || price <= 0)) {
+  if (proposalId) {
     return {
-      status: 'error',
-      error: 'Price must be a positive number for limit orders.'
+      status: 'success',
+      type: 'trade_proposal',
+      data: proposalService.getProposal(proposalId)
     };
   }
   
-  const order = {
-    symbol,
-    action,
-    quantity: parseInt(quantity, 10),
-    type,
-    price: price ? parseFloat(price) : undefined
-  };
-  
-  const result = await tradingService.executeOrder(order);
-  
   return {
-    status: result.status === 'error' ? 'error' : 'success',
-    type: 'trade_execution',
-    data: result
+    status: 'success',
+    type: 'trade_proposals',
+    data: proposalService.listProposals({ accountId, status })
   };
 }
 
+/**
+ * Handle alert requests
+ * @param {Object} parameters - Alert action, with the alert id or definition it needs
+ * @returns {Object} - The alert or the list of alerts
+ */
+async function handleAlerts(parameters) {
+  const { action, alertId, alert, status } = parameters;
+  
+  switch (action) {
+    case 'list':
+      return {
+        status: 'success',
+        type: 'alerts',
+        data: alertService.listAlerts({ status })
+      };
+      
+    case 'get':
+      return {
+        status: 'success',
+        type: 'alert',
+        data: alertService.getAlert(alertId)
+      };
+      
+    case 'create':
+      return {
+        status: 'success',
+        type: 'alert',
+        data: alertService.createAlert(alert)
+      };
+      
+    case 'delete':
+      return {
+        status: 'success',
+        type: 'alert',
+        data: alertService.deleteAlert(alertId)
+      };
+      
+    default:
+      return {
+        status: 'error',
+        error: `Unsupported alert action: ${action}`,
+        supportedActions: ['list', 'get', 'create', 'delete']
+      };
+  }
+}
+
 /**
  * Handle market research requests
  * @param {Object} parameters - Research parameters
  * @returns {Object} - Research data
  */
 async function handleMarketResearch(parameters) {
-  const { type = 'news', symbols, limit = 10 } = parameters;
+  const { type, symbols = [], limit, accountId } = parameters;
   
   switch (type) {
     case 'news':
-      const symbolsArray = symbols ? (Array.isArray(symbols) ? symbols : [symbols]) : [];
-      const news = await marketResearchService.getMarketNews(symbolsArray, parseInt(limit, 10));
+      const news = await marketResearchService.getMarketNews(symbols, limit);
       return {
         status: 'success',
         type: 'market_news',
@@ -217,7 +364,7 @@ async function handleMarketResearch(parameters) {
       };
       
     case 'diversification':
-      const portfolio = tradingService.getPortfolio();
+      const portfolio = tradingService.getPortfolio(accountId);
       const diversification = await marketResearchService.analyzePortfolioDiversification(portfolio);
       return {
         status: 'success',
@@ -235,18 +382,500 @@ async function handleMarketResearch(parameters) {
 }
 
 /**
- * Generates the MCP headers to be included in API responses
- * @returns {Object} - MCP headers
+ * Build the output schema of the response envelope returned by every tool
+ * @param {Array} types - Possible values of the response type field
+ * @param {Object} dataSchema - JSON Schema of the data field
+ * @returns {Object} JSON Schema of the tool response
  */
-function getMcpHeaders() {
+function responseSchema(types, dataSchema) {
   return {
-    'MCP-Version': '1.0',
-    'MCP-Provider': 'tradingview-mcp',
-    'MCP-Content-Type': 'application/json'
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['success', 'error'] },
+      type: { type: 'string', enum: types },
+      data: dataSchema
+    },
+    required: ['status', 'type', 'data']
   };
 }
 
+const barSchema = {
+  type: 'object',
+  properties: {
+    timestamp: { type: 'string' },
+    open: { type: 'number' },
+    high: { type: 'number' },
+    low: { type: 'number' },
+    close: { type: 'number' },
+    volume: { type: 'number' }
+  }
+};
+
+const quoteSchema = {
+  type: 'object',
+  properties: {
+    symbol: { type: 'string' },
+    price: { type: 'number' },
+    bid: { type: 'number' },
+    ask: { type: 'number' },
+    volume: { type: 'number' },
+    timestamp: { type: 'string' },
+    receivedAt: { type: 'string' },
+    ageMs: { type: 'number' },
+    stale: { type: 'boolean' },
+    marketOpen: { type: 'boolean' }
+  }
+};
+
+const accountIdSchema = {
+  ...orderSchema.properties.accountId,
+  description: 'Paper-trading account (see the portfolio accounts action)'
+};
+
+const portfolioSchema = {
+  type: 'object',
+  properties: {
+    accountId: { type: 'string' },
+    name: { type: 'string' },
+    currency: { type: 'string' },
+    accountType: { type: 'string', enum: ['cash', 'margin'] },
+    cash: { type: 'number' },
+    positions: { type: 'array', items: { type: 'object' } },
+    transactions: { type: 'array', items: { type: 'object' } },
+    totalValue: { type: 'number' },
+    equity: { type: 'number' },
+    buyingPower: { type: 'number' },
+    margin: { type: 'object' },
+    execution: { type: 'object' },
+    lotMethod: { type: 'string' },
+    pnl: { type: 'object' },
+    risk: { type: 'object' },
+    costs: { type: 'object' },
+    timestamp: { type: 'string' }
+  }
+};
+
+const proposalSchema = {
+  type: 'object',
+  properties: {
+    id: { type: 'string' },
+    accountId: { type: 'string' },
+    order: { type: 'object' },
+    status: { type: 'string', enum: proposalService.PROPOSAL_STATUSES },
+    createdAt: { type: 'string' },
+    expiresAt: { type: 'string' },
+    result: { type: ['object', 'null'] }
+  }
+};
+
+registerTool({
+  name: 'stock_analysis',
+  description: 'Analyze stock performance and provide recommendations',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string', minLength: 1, description: 'Stock symbol' },
+      timeframe: { type: 'string', enum: SUPPORTED_TIMEFRAMES, description: 'Bar timeframe (1m = minute, 1M = month)', default: '1d' },
+      strategy: { type: 'string', minLength: 1, description: 'Strategy that produces the recommendation (see GET /api/analysis/strategies)', default: 'default' }
+    },
+    required: ['symbol']
+  },
+  outputSchema: responseSchema(['stock_analysis'], {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string' },
+      status: { type: 'string' },
+      currentPrice: { type: 'number' },
+      lastBar: barSchema,
+      quote: quoteSchema,
+      analysis: { type: 'object' },
+      recommendation: {
+        type: 'object',
+        properties: {
+          action: { type: 'string', enum: ['buy', 'sell', 'hold'] },
+          confidence: { type: 'string' },
+          score: { type: 'number' },
+          strategy: { type: 'string' },
+          reasons: { type: 'array', items: { type: 'string' } },
+          rules: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                description: { type: 'string' },
+                weight: { type: 'number' },
+                triggered: { type: 'boolean' },
+                contribution: { type: 'number' }
+              }
+            }
+          }
+        }
+      },
+      timestamp: { type: 'string' }
+    }
+  }),
+  handler: handleStockAnalysis
+});
+
+registerTool({
+  name: 'stock_quote',
+  description: 'Get the current quote of a stock: the price positions are valued and orders fill at, with its last update time and whether it is stale',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string', minLength: 1, description: 'Stock symbol' }
+    },
+    required: ['symbol']
+  },
+  outputSchema: responseSchema(['stock_quote'], quoteSchema),
+  handler: handleStockQuote
+});
+
+registerTool({
+  name: 'technical_indicators',
+  description: 'Compute full technical indicator series (SMA, EMA, WMA, RSI, MACD, Bollinger Bands, ATR, Stochastic, ADX, CCI, OBV, VWAP, Ichimoku) for a stock',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string', minLength: 1, description: 'Stock symbol' },
+      indicators: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        minItems: 1,
+        description: `Indicator specs with optional positional parameters, e.g. rsi, sma(50), macd(12,26,9), bollinger(20,2). Available: ${INDICATOR_NAMES.join(', ')}`,
+        default: ['macd', 'rsi']
+      },
+      timeframe: { type: 'string', enum: SUPPORTED_TIMEFRAMES, description: 'Bar timeframe (1m = minute, 1M = month)', default: '1d' },
+      limit: { type: 'integer', minimum: 1, maximum: 1000, description: 'Number of bars to return values for', default: 100 }
+    },
+    required: ['symbol']
+  },
+  outputSchema: responseSchema(['technical_indicators'], {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string' },
+      timeframe: { type: 'string' },
+      indicators: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            params: { type: 'object' },
+            values: { type: 'array', items: { type: 'object' } }
+          }
+        }
+      }
+    }
+  }),
+  handler: handleTechnicalIndicators
+});
+
+const ratingSchema = {
+  type: 'string',
+  enum: ['strong_sell', 'sell', 'neutral', 'buy', 'strong_buy']
+};
+
+const ratingGroupSchema = {
+  type: 'object',
+  properties: {
+    rating: ratingSchema,
+    score: { type: 'number' },
+    buy: { type: 'integer' },
+    neutral: { type: 'integer' },
+    sell: { type: 'integer' },
+    votes: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          value: { type: ['number', 'object', 'null'] },
+          action: { type: 'string', enum: ['buy', 'neutral', 'sell'] }
+        }
+      }
+    }
+  }
+};
+
+registerTool({
+  name: 'technical_rating',
+  description: 'Get the TradingView-style technical rating of a stock: moving averages and oscillators each vote buy, neutral or sell, aggregated into a five-level rating',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string', minLength: 1, description: 'Stock symbol' },
+      timeframe: { type: 'string', enum: SUPPORTED_TIMEFRAMES, description: 'Bar timeframe (1m = minute, 1M = month)', default: '1d' }
+    },
+    required: ['symbol']
+  },
+  outputSchema: responseSchema(['technical_rating'], {
+    type: 'object',
+    properties: {
+      symbol: { type: 'string' },
+      timeframe: { type: 'string' },
+      price: { type: 'number' },
+      technicalRating: ratingSchema,
+      oscillatorRating: ratingSchema,
+      movingAverageRating: ratingSchema,
+      summary: ratingGroupSchema,
+      oscillators: ratingGroupSchema,
+      movingAverages: ratingGroupSchema,
+      indicators: { type: 'object' },
+      timestamp: { type: 'string' }
+    }
+  }),
+  handler: handleTechnicalRating
+});
+
+registerTool({
+  name: 'backtest',
+  description: 'Backtest a strategy over historical bars for one or more symbols, with commission and slippage, reporting CAGR, Sharpe, Sortino, max drawdown, win rate, the equity curve and the trade list',
+  inputSchema: backtestService.backtestSchema,
+  outputSchema: responseSchema(['backtest'], {
+    type: 'object',
+    properties: {
+      strategy: { type: 'string' },
+      symbols: { type: 'array', items: { type: 'string' } },
+      timeframe: { type: 'string' },
+      start: { type: 'string' },
+      end: { type: 'string' },
+      settings: { type: 'object' },
+      metrics: {
+        type: 'object',
+        properties: {
+          initialEquity: { type: 'number' },
+          finalEquity: { type: 'number' },
+          totalReturn: { type: 'number' },
+          cagr: { type: ['number', 'null'] },
+          annualizedVolatility: { type: 'number' },
+          sharpeRatio: { type: ['number', 'null'] },
+          sortinoRatio: { type: ['number', 'null'] },
+          maxDrawdown: { type: 'number' },
+          trades: { type: 'integer' },
+          winRate: { type: ['number', 'null'] },
+          profitFactor: { type: ['number', 'null'] },
+          averageTradeReturn: { type: ['number', 'null'] },
+          totalCommission: { type: 'number' }
+        }
+      },
+      benchmark: { type: 'object' },
+      equityCurve: { type: 'array', items: { type: 'object' } },
+      trades: { type: 'array', items: { type: 'object' } }
+    }
+  }),
+  handler: handleBacktest
+});
+
+registerTool({
+  name: 'stock_screener',
+  description: 'Screen a universe of stocks (a named universe such as dow30, see GET /api/analysis/universes, or a list of symbols) with filters such as "price > SMA200", "rsi < 30", "volume > 2x sma(20,volume)" or "sector = Technology", returning the matches ranked by how far they pass the filters',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      universe: {
+        type: ['string', 'array'],
+        items: { type: 'string', minLength: 1 },
+        description: 'Universe name or list of symbols (default: SCREENER_UNIVERSE or dow30)'
+      },
+      filters: {
+        type: ['array', 'string'],
+        items: { type: 'string', minLength: 1 },
+        description: 'Filters: an operand, an operator (>, >=, <, <=, =, !=) and an operand. Operands are numbers, multipliers such as 2x, price, open, high, low, close, volume, change, fundamentals (marketCap, peRatio, eps, dividendYield, beta, sharesOutstanding), sector, name, symbol and indicators such as rsi, sma(50) or macd(12,26,9).histogram. A string is split on semicolons',
+        default: []
+      },
+      timeframe: { type: 'string', enum: SUPPORTED_TIMEFRAMES, description: 'Bar timeframe (1m = minute, 1M = month)', default: '1d' },
+      sort: { type: 'string', minLength: 1, description: 'Operand to rank by, such as rsi or marketCap (default: score, the average margin by which the filters pass)' },
+      order: { type: 'string', enum: ['desc', 'asc'], description: 'Ranking order', default: 'desc' },
+      limit: { type: 'integer', minimum: 1, description: 'Maximum number of matches', default: 25 }
+    }
+  },
+  outputSchema: responseSchema(['stock_screener'], {
+    type: 'object',
+    properties: {
+      universe: { type: 'string' },
+      timeframe: { type: 'string' },
+      filters: { type: 'array', items: { type: 'string' } },
+      sort: { type: 'string' },
+      order: { type: 'string' },
+      screened: { type: 'integer' },
+      matched: { type: 'integer' },
+      matches: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            rank: { type: 'integer' },
+            symbol: { type: 'string' },
+            name: { type: ['string', 'null'] },
+            sector: { type: ['string', 'null'] },
+            price: { type: 'number' },
+            score: { type: 'number' },
+            sortValue: { type: ['number', 'null'] },
+            values: { type: 'object' }
+          }
+        }
+      },
+      errors: { type: 'object' },
+      timestamp: { type: 'string' }
+    }
+  }),
+  handler: handleStockScreener
+});
+
+registerTool({
+  name: 'portfolio',
+  description: 'View and manage portfolio',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['view', 'performance', 'update', 'accounts', 'orders', 'realized_gains'], description: 'Portfolio action (accounts lists all accounts, orders the working orders, realized_gains the gains per closed tax lot)', default: 'view' },
+      period: { type: 'string', enum: performanceService.PERIODS, description: 'Time period for performance analysis (all: since the account was funded)', default: '1m' },
+      benchmark: { type: 'string', minLength: 1, description: 'Benchmark symbol for performance analysis (default: SPY)' },
+      from: { type: 'string', description: 'First date of the realized gains report, such as 2024-01-01' },
+      to: { type: 'string', description: 'Last date of the realized gains report' },
+      accountId: accountIdSchema
+    }
+  },
+  outputSchema: responseSchema(['portfolio', 'portfolio_performance', 'portfolio_update', 'portfolio_accounts', 'portfolio_orders', 'portfolio_realized_gains'], { type: ['array', 'object'] }),
+  handler: handlePortfolio
+});
+
+registerTool({
+  name: 'trade_execution',
+  description: 'Execute trade orders: market, limit, stop, stop-limit and trailing-stop orders, optionally as bracket or OCO orders. Orders that break the account\'s risk limits are rejected with machine-readable reasons (code, message, limit and value). In accounts that require approval the order becomes a proposal a human approves or rejects (see trade_proposals)',
+  inputSchema: {
+    ...orderSchema,
+    properties: {
+      ...orderSchema.properties,
+      rationale: { type: 'string', description: 'Why the order is placed, shown to the human reviewing a proposal' }
+    }
+  },
+  outputSchema: responseSchema(['trade_execution'], {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: ['executed', 'pending', 'cancelled', 'rejected', 'pending_approval', 'error'] },
+      message: { type: 'string' },
+      proposal: proposalSchema,
+      reasons: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            code: { type: 'string', enum: RISK_CODES },
+            message: { type: 'string' },
+            limit: {},
+            value: {}
+          }
+        }
+      },
+      order: { type: 'object' },
+      legs: { type: 'array', items: { type: 'object' } },
+      transaction: { type: 'object' },
+      portfolio: portfolioSchema
+    }
+  }),
+  handler: handleTradeExecution
+});
+
+registerTool({
+  name: 'trade_proposals',
+  description: 'Check trade proposals awaiting or after a human decision: get one by proposalId, or list an account\'s proposals. Clients are also notified with a notifications/message (logger trade_proposals) when a proposal is executed, cancelled, fails, is rejected or expires',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      proposalId: { type: 'string', minLength: 1, description: 'Proposal id returned by trade_execution' },
+      accountId: accountIdSchema,
+      status: { type: 'string', enum: proposalService.PROPOSAL_STATUSES, description: 'Only proposals with this status' }
+    }
+  },
+  outputSchema: responseSchema(['trade_proposal', 'trade_proposals'], {
+    type: ['array', 'object']
+  }),
+  handler: handleTradeProposals
+});
+
+registerTool({
+  name: 'alerts',
+  description: 'List, get, create and delete price, indicator and portfolio alerts such as "AAPL crosses above 200", "rsi(14) on MSFT < 30" or "portfolio drawdown > 5". Clients are notified with a notifications/message (logger alerts) when an alert triggers',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      action: { type: 'string', enum: ['list', 'get', 'create', 'delete'], description: 'Alert action', default: 'list' },
+      alertId: { type: 'string', minLength: 1, description: 'Alert id (get and delete)' },
+      alert: { ...alertSchema, description: 'Alert definition (create)' },
+      status: { type: 'string', enum: alertService.ALERT_STATUSES, description: 'Only alerts with this status (list)' }
+    },
+    allOf: [
+      {
+        if: { properties: { action: { enum: ['get', 'delete'] } }, required: ['action'] },
+        then: { required: ['alertId'] }
+      },
+      {
+        if: { properties: { action: { const: 'create' } }, required: ['action'] },
+        then: { required: ['alert'] }
+      }
+    ]
+  },
+  outputSchema: responseSchema(['alert', 'alerts'], {
+    type: ['array', 'object']
+  }),
+  handler: handleAlerts
+});
+
+registerTool({
+  name: 'market_research',
+  description: 'Perform market research',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      type: { type: 'string', enum: ['news', 'sectors', 'economic', 'diversification'], description: 'Research type', default: 'news' },
+      symbols: { type: 'array', items: { type: 'string' }, description: 'Stock symbols for news filtering' },
+      limit: { type: 'integer', minimum: 1, description: 'Maximum number of news items', default: 10 },
+      accountId: { ...accountIdSchema, description: 'Paper-trading account analyzed by the diversification research' }
+    }
+  },
+  outputSchema: responseSchema(
+    ['market_news', 'sector_performance', 'economic_indicators', 'portfolio_diversification'],
+    { type: ['array', 'object'] }
+  ),
+  handler: handleMarketResearch
+});
+
+// Tell connected MCP clients about the outcome of trade proposals
+proposalService.events.on('proposal', (proposal) => {
+  if (['pending', 'approved'].includes(proposal.status)) {
+    return;
+  }
+  notifyClients('notifications/message', {
+    level: proposal.status === 'failed' ? 'warning' : 'info',
+    logger: 'trade_proposals',
+    data: {
+      event: `proposal_${proposal.status}`,
+      message: `Trade proposal ${proposal.id} ${proposal.status}${proposal.result ? `: ${proposal.result.message}` : ''}`,
+      proposal
+    }
+  });
+});
+
+// Tell connected MCP clients about triggered alerts
+alertService.events.on('alert', (alert, trigger) => {
+  if (!alert.notifyMcp) {
+    return;
+  }
+  notifyClients('notifications/message', {
+    level: 'notice',
+    logger: 'alerts',
+    data: {
+      event: 'alert_triggered',
+      message: trigger.message,
+      alert,
+      value: trigger.value
+    }
+  });
+});
+
 module.exports = {
-  processMcpRequest,
-  getMcpHeaders
+  processMcpRequest
 }; 
\ No newline at end of file
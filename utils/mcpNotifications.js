@@ -0,0 +1,40 @@
+/**
+ * MCP client notifications
+ *
+ * Every connected MCP server (the stdio connection and each Streamable HTTP
+ * session) registers here, so services can tell all clients about events that
+ * happen outside a request, such as a human deciding on a trade proposal.
+ */
+
+const clients = new Set();
+
+/**
+ * Register a connected client
+ * @param {Function} notify - notify(method, params) of the client's MCP server, returning whether it was delivered
+ * @returns {Function} Unregisters the client
+ */
+const addClient = (notify) => {
+  clients.add(notify);
+  return () => clients.delete(notify);
+};
+
+/**
+ * Send a notification to every connected client
+ * @param {string} method - Notification method
+ * @param {Object} params - Notification parameters
+ * @returns {number} Number of clients the notification was delivered to
+ */
+const notifyClients = (method, params) => {
+  let delivered = 0;
+  clients.forEach(notify => {
+    if (notify(method, params)) {
+      delivered += 1;
+    }
+  });
+  return delivered;
+};
+
+module.exports = {
+  addClient,
+  notifyClients
+};
@@ -0,0 +1,519 @@
+/**
+ * Model Context Protocol (MCP) JSON-RPC Server
+ *
+ * Implements the JSON-RPC 2.0 message handling of the Model Context Protocol
+ * (initialize, tools and resources) on top of the existing request dispatch in
+ * mcpIntegration. This module is transport-agnostic: transports feed it parsed
+ * messages and write back whatever it returns.
+ *
+ * Clients can subscribe to resources and receive
+ * notifications/resources/updated when they change: quote://{symbol} on every
+ * new quote, stock://{symbol}/analysis on every new bar and the portfolio://
+ * resources on every change to their account (portfolio://current and
+ * portfolio://performance for the default account,
+ * portfolio://{accountId}/current and portfolio://{accountId}/performance for
+ * any other). Quote and bar updates come from a stream
+ * (services/streamService) each connection opens on its first subscription.
+ */
+
+const logger = require('./logger');
+const { processMcpRequest } = require('./mcpIntegration');
+const { getTool, listTools } = require('./toolRegistry');
+const { addClient } = require('./mcpNotifications');
+const streamService = require('../services/streamService');
+const tradingService = require('../services/tradingService');
+const { version: packageVersion } = require('../package.json');
+
+// Protocol revisions this server can speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// Log message severities, least severe first
+const LOG_LEVELS = ['debug', 'info', 'notice', 'warning', 'error', 'critical', 'alert', 'emergency'];
+
+// Standard JSON-RPC 2.0 error codes
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  // MCP-specific
+  RESOURCE_NOT_FOUND: -32002
+};
+
+// Static resources, each backed by an MCP request
+const RESOURCES = [
+  {
+    uri: 'portfolio://current',
+    name: 'Current portfolio',
+    description: 'Cash, positions and transactions of the mock trading account',
+    mimeType: 'application/json',
+    request: { type: 'portfolio', parameters: { action: 'view' } }
+  },
+  {
+    uri: 'portfolio://performance',
+    name: 'Portfolio performance',
+    description: 'One month performance analysis of the mock trading account',
+    mimeType: 'application/json',
+    request: { type: 'portfolio', parameters: { action: 'performance', period: '1m' } }
+  },
+  {
+    uri: 'market://news',
+    name: 'Market news',
+    description: 'Latest general market news',
+    mimeType: 'application/json',
+    request: { type: 'market_research', parameters: { type: 'news' } }
+  },
+  {
+    uri: 'market://sectors',
+    name: 'Sector performance',
+    description: 'Performance of the market sectors',
+    mimeType: 'application/json',
+    request: { type: 'market_research', parameters: { type: 'sectors' } }
+  },
+  {
+    uri: 'market://economic',
+    name: 'Economic indicators',
+    description: 'Key economic indicators',
+    mimeType: 'application/json',
+    request: { type: 'market_research', parameters: { type: 'economic' } }
+  }
+];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'portfolio://{accountId}/current',
+    name: 'Account portfolio',
+    description: 'Cash, positions and transactions of a mock trading account; subscribe to be notified of every change',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'portfolio://{accountId}/performance',
+    name: 'Account performance',
+    description: 'One month performance analysis of a mock trading account',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'quote://{symbol}',
+    name: 'Stock quote',
+    description: 'Current quote of a stock symbol; subscribe to be notified of every new quote',
+    mimeType: 'application/json'
+  },
+  {
+    uriTemplate: 'stock://{symbol}/analysis',
+    name: 'Stock analysis',
+    description: 'Technical analysis and recommendation for a stock symbol',
+    mimeType: 'application/json'
+  }
+];
+
+/**
+ * Create an error that is reported to the client as a JSON-RPC error
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {*} data - Optional additional error data
+ * @returns {Error} Error carrying the JSON-RPC code and data
+ */
+const createRpcError = (code, message, data) => {
+  const error = new Error(message);
+  error.rpcCode = code;
+  error.rpcData = data;
+  return error;
+};
+
+/**
+ * Resolve a resource URI to the MCP request that produces its content
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} MCP request or null if the URI is unknown
+ */
+const resolveResource = (uri) => {
+  const resource = RESOURCES.find(r => r.uri === uri);
+  if (resource) {
+    return resource.request;
+  }
+
+  const analysisMatch = /^stock:\/\/([^/]+)\/analysis$/.exec(uri);
+  if (analysisMatch) {
+    return {
+      type: 'stock_analysis',
+      parameters: { symbol: decodeURIComponent(analysisMatch[1]).toUpperCase() }
+    };
+  }
+
+  const portfolioMatch = /^portfolio:\/\/([^/]+)\/(current|performance)$/.exec(uri);
+  if (portfolioMatch) {
+    const accountId = decodeURIComponent(portfolioMatch[1]);
+    return portfolioMatch[2] === 'current'
+      ? { type: 'portfolio', parameters: { action: 'view', accountId } }
+      : { type: 'portfolio', parameters: { action: 'performance', period: '1m', accountId } };
+  }
+
+  const quoteMatch = /^quote:\/\/([^/]+)$/.exec(uri);
+  if (quoteMatch) {
+    return {
+      type: 'stock_quote',
+      parameters: { symbol: decodeURIComponent(quoteMatch[1]).toUpperCase() }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Event that updates a resource
+ * @param {string} uri - Resource URI
+ * @returns {Object|null} Event type with its symbol or account, or null for resources that are not updated
+ */
+const getUpdateEvent = (uri) => {
+  const request = resolveResource(uri);
+  if (request.type === 'stock_quote') {
+    return { type: 'quote', symbol: request.parameters.symbol };
+  }
+  if (request.type === 'stock_analysis') {
+    return { type: 'bar', symbol: request.parameters.symbol };
+  }
+  if (request.type === 'portfolio') {
+    return { type: 'portfolio', accountId: request.parameters.accountId || tradingService.DEFAULT_ACCOUNT_ID };
+  }
+  return null;
+};
+
+/**
+ * Create an MCP server handling JSON-RPC messages for a single connection
+ * @param {Object} options - Server options
+ * @param {string} options.name - Server name reported on initialize
+ * @param {Function} options.send - Writes a server-initiated message to the client
+ * @returns {Object} Server with handleMessage, notify and close functions
+ */
+const createMcpServer = (options = {}) => {
+  const serverInfo = {
+    name: options.name || process.env.MCP_PROVIDER_NAME || 'tradingview-mcp',
+    version: packageVersion
+  };
+
+  const state = {
+    initialized: false,
+    protocolVersion: null,
+    clientInfo: null,
+    logLevel: 'info'
+  };
+
+  // Subscribed resource URIs with the event that updates them
+  const subscriptions = new Map();
+  let streamId = null;
+  let followsPortfolios = false;
+
+  /**
+   * Tell the client about updates to the resources it subscribed to
+   * @param {string} type - Stream event type
+   * @param {Object} data - Event data
+   */
+  const onStreamEvent = (type, data) => {
+    subscriptions.forEach((update, uri) => {
+      if (update && update.type === type && update.symbol === data.symbol) {
+        notify('notifications/resources/updated', { uri });
+      }
+    });
+  };
+
+  /**
+   * Tell the client about changes to the portfolios it subscribed to
+   * @param {string} accountId - Account whose portfolio changed
+   */
+  const onPortfolioChange = (accountId) => {
+    subscriptions.forEach((update, uri) => {
+      if (update && update.type === 'portfolio' && update.accountId === accountId) {
+        notify('notifications/resources/updated', { uri });
+      }
+    });
+  };
+
+  /**
+   * Open, adjust or close the connection's stream to match its symbol
+   * subscriptions, and follow portfolio changes while it has portfolio ones
+   */
+  const syncStream = () => {
+    const updates = [...subscriptions.values()].filter(Boolean);
+    const symbols = [...new Set(updates.map(update => update.symbol).filter(Boolean))];
+
+    const portfolios = updates.some(update => update.type === 'portfolio');
+    if (portfolios !== followsPortfolios) {
+      tradingService.events[portfolios ? 'on' : 'off']('portfolio', onPortfolioChange);
+      followsPortfolios = portfolios;
+    }
+
+    if (symbols.length === 0) {
+      if (streamId) {
+        streamService.closeStream(streamId);
+        streamId = null;
+      }
+      return;
+    }
+    if (!streamId) {
+      streamId = streamService.openStream({ symbols, events: ['quote', 'bar'], send: onStreamEvent }).id;
+      return;
+    }
+
+    const current = streamService.getStream(streamId).symbols;
+    streamService.subscribe(streamId, symbols.filter(symbol => !current.includes(symbol)));
+    streamService.unsubscribe(streamId, current.filter(symbol => !symbols.includes(symbol)));
+  };
+
+  const methods = {
+    initialize: async (params = {}) => {
+      const requested = params.protocolVersion;
+      state.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+        ? requested
+        : LATEST_PROTOCOL_VERSION;
+      state.clientInfo = params.clientInfo || null;
+
+      logger.info('MCP client initializing', {
+        client: state.clientInfo && state.clientInfo.name,
+        protocolVersion: state.protocolVersion
+      });
+
+      return {
+        protocolVersion: state.protocolVersion,
+        capabilities: {
+          tools: { listChanged: false },
+          resources: { subscribe: true, listChanged: false },
+          logging: {}
+        },
+        serverInfo,
+        instructions: 'Stock analysis, mock trading and market research tools backed by the TradingView MCP server.'
+      };
+    },
+
+    ping: async () => ({}),
+
+    'logging/setLevel': async (params = {}) => {
+      if (!LOG_LEVELS.includes(params.level)) {
+        throw createRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Invalid log level. Use one of: ${LOG_LEVELS.join(', ')}`);
+      }
+      state.logLevel = params.level;
+      return {};
+    },
+
+    'tools/list': async () => ({ tools: listTools() }),
+
+    'tools/call': async (params = {}) => {
+      const { name, arguments: args = {} } = params;
+      const tool = getTool(name);
+      if (!tool) {
+        throw createRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+      }
+
+      const result = await processMcpRequest({ type: name, parameters: args });
+      const isError = result.status === 'error';
+
+      // Successful results of tools with an output schema are also returned
+      // as structured content conforming to that schema
+      return {
+        content: [
+          {
+            type: 'text',
+            text: JSON.stringify(isError ? result : result.data, null, 2)
+          }
+        ],
+        ...(!isError && tool.outputSchema ? { structuredContent: result } : {}),
+        isError
+      };
+    },
+
+    'resources/list': async () => ({
+      resources: RESOURCES.map(({ request, ...resource }) => resource)
+    }),
+
+    'resources/templates/list': async () => ({ resourceTemplates: RESOURCE_TEMPLATES }),
+
+    'resources/read': async (params = {}) => {
+      const { uri } = params;
+      const request = uri && resolveResource(uri);
+      if (!request) {
+        throw createRpcError(JSON_RPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+      }
+
+      const result = await processMcpRequest(request);
+      if (result.status === 'error') {
+        throw createRpcError(JSON_RPC_ERRORS.INTERNAL_ERROR, result.error, { uri });
+      }
+
+      return {
+        contents: [
+          {
+            uri,
+            mimeType: 'application/json',
+            text: JSON.stringify(result.data, null, 2)
+          }
+        ]
+      };
+    },
+
+    'resources/subscribe': async (params = {}) => {
+      const { uri } = params;
+      if (!uri || !resolveResource(uri)) {
+        throw createRpcError(JSON_RPC_ERRORS.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+      }
+
+      const update = getUpdateEvent(uri);
+      subscriptions.set(uri, update);
+      try {
+        if (update && update.type === 'portfolio') {
+          tradingService.getAccount(update.accountId);
+        }
+        syncStream();
+      } catch (error) {
+        subscriptions.delete(uri);
+        // Portfolios of unknown accounts do not exist
+        const code = error.status === 404 ? JSON_RPC_ERRORS.RESOURCE_NOT_FOUND : JSON_RPC_ERRORS.INVALID_PARAMS;
+        throw createRpcError(code, error.message, { uri });
+      }
+      logger.info(`MCP client subscribed to ${uri}`);
+      return {};
+    },
+
+    'resources/unsubscribe': async (params = {}) => {
+      const { uri } = params;
+      if (subscriptions.delete(uri)) {
+        syncStream();
+        logger.info(`MCP client unsubscribed from ${uri}`);
+      }
+      return {};
+    }
+  };
+
+  const notifications = {
+    'notifications/initialized': () => {
+      state.initialized = true;
+      logger.info('MCP client initialized');
+    },
+    'notifications/cancelled': () => {}
+  };
+
+  /**
+   * Handle a single JSON-RPC message
+   * @param {Object} message - Parsed JSON-RPC message
+   * @returns {Promise<Object|null>} Response, or null for notifications and responses
+   */
+  const handleSingleMessage = async (message) => {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return {
+        jsonrpc: '2.0',
+        id: message && message.id !== undefined ? message.id : null,
+        error: { code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Invalid JSON-RPC 2.0 message' }
+      };
+    }
+
+    const { id, method, params } = message;
+
+    // Responses to server-initiated requests carry no method
+    if (!method) {
+      return null;
+    }
+
+    // Notifications carry no id and never get a response
+    if (id === undefined) {
+      const handler = notifications[method];
+      if (handler) {
+        handler(params);
+      } else {
+        logger.warn(`Ignoring unknown MCP notification: ${method}`);
+      }
+      return null;
+    }
+
+    const handler = methods[method];
+    if (!handler) {
+      return {
+        jsonrpc: '2.0',
+        id,
+        error: { code: JSON_RPC_ERRORS.METHOD_NOT_FOUND, message: `Method not found: ${method}` }
+      };
+    }
+
+    try {
+      const result = await handler(params);
+      return { jsonrpc: '2.0', id, result };
+    } catch (error) {
+      logger.error(`Error handling MCP method ${method}: ${error.message}`);
+      const rpcError = {
+        code: error.rpcCode || JSON_RPC_ERRORS.INTERNAL_ERROR,
+        message: error.message
+      };
+      if (error.rpcData !== undefined) {
+        rpcError.data = error.rpcData;
+      }
+      return { jsonrpc: '2.0', id, error: rpcError };
+    }
+  };
+
+  /**
+   * Handle a JSON-RPC message or batch of messages
+   * @param {Object|Array} message - Parsed JSON-RPC message or batch
+   * @returns {Promise<Object|Array|null>} Response(s), or null if nothing needs to be sent
+   */
+  const handleMessage = async (message) => {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return {
+          jsonrpc: '2.0',
+          id: null,
+          error: { code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Empty batch' }
+        };
+      }
+      const responses = (await Promise.all(message.map(handleSingleMessage))).filter(Boolean);
+      return responses.length > 0 ? responses : null;
+    }
+
+    return handleSingleMessage(message);
+  };
+
+  /**
+   * Send a JSON-RPC notification to the client
+   * @param {string} method - Notification method
+   * @param {Object} params - Notification parameters
+   * @returns {boolean} Whether the transport accepted the notification
+   */
+  const notify = (method, params) => {
+    if (!options.send) {
+      return false;
+    }
+    // Log messages below the level the client asked for are dropped
+    if (method === 'notifications/message' && LOG_LEVELS.indexOf(params.level) < LOG_LEVELS.indexOf(state.logLevel)) {
+      return false;
+    }
+    return options.send({ jsonrpc: '2.0', method, ...(params ? { params } : {}) }) !== false;
+  };
+
+  const removeClient = addClient(notify);
+
+  /**
+   * Stop sending notifications to the client
+   */
+  const close = () => {
+    removeClient();
+    if (followsPortfolios) {
+      tradingService.events.off('portfolio', onPortfolioChange);
+      followsPortfolios = false;
+    }
+    if (streamId) {
+      streamService.closeStream(streamId);
+      streamId = null;
+    }
+  };
+
+  return {
+    handleMessage,
+    notify,
+    close,
+    getState: () => ({ ...state })
+  };
+};
+
+module.exports = {
+  createMcpServer,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION,
+  JSON_RPC_ERRORS
+};
@@ -0,0 +1,209 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tradingService = require('../services/tradingService');
+const { createMcpServer, SUPPORTED_PROTOCOL_VERSIONS, LATEST_PROTOCOL_VERSION, JSON_RPC_ERRORS } = require('./mcpServer');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mcp-'));
+process.env.STORAGE_FILE = path.join(dir, 'trading.json');
+
+let server;
+let sent;
+
+/**
+ * Send a request to the server
+ * @param {string} method - Method
+ * @param {Object} params - Parameters
+ * @param {number} id - Request id
+ * @returns {Promise<Object>} Response
+ */
+const request = (method, params, id = 1) => server.handleMessage({ jsonrpc: '2.0', id, method, ...(params ? { params } : {}) });
+
+beforeEach(() => {
+  sent = [];
+  server = createMcpServer({ send: message => sent.push(message) });
+});
+
+afterEach(() => {
+  server.close();
+});
+
+afterAll(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('lifecycle', () => {
+  test('initialize negotiates the protocol version', async () => {
+    const response = await request('initialize', { protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[1], clientInfo: { name: 'test' } });
+
+    expect(response).toMatchObject({
+      jsonrpc: '2.0',
+      id: 1,
+      result: {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[1],
+        capabilities: { tools: expect.any(Object), resources: { subscribe: true, listChanged: false }, logging: {} },
+        serverInfo: { name: expect.any(String), version: expect.any(String) }
+      }
+    });
+    expect(server.getState().clientInfo).toEqual({ name: 'test' });
+  });
+
+  test('initialize answers unknown versions with the latest one', async () => {
+    expect((await request('initialize', { protocolVersion: '1999-01-01' })).result.protocolVersion).toBe(LATEST_PROTOCOL_VERSION);
+  });
+
+  test('notifications get no response', async () => {
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' })).toBeNull();
+    expect(server.getState().initialized).toBe(true);
+    expect(await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/unknown' })).toBeNull();
+  });
+
+  test('ping returns an empty result', async () => {
+    expect(await request('ping', undefined, 'abc')).toEqual({ jsonrpc: '2.0', id: 'abc', result: {} });
+  });
+});
+
+describe('dispatch', () => {
+  test('rejects messages that are not JSON-RPC 2.0', async () => {
+    expect(await server.handleMessage({ id: 3, method: 'ping' })).toEqual({
+      jsonrpc: '2.0',
+      id: 3,
+      error: { code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Invalid JSON-RPC 2.0 message' }
+    });
+    expect((await server.handleMessage('ping')).id).toBeNull();
+  });
+
+  test('reports unknown methods', async () => {
+    expect(await request('tools/unknown')).toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      error: { code: JSON_RPC_ERRORS.METHOD_NOT_FOUND, message: 'Method not found: tools/unknown' }
+    });
+  });
+
+  test('ignores responses to server requests', async () => {
+    expect(await server.handleMessage({ jsonrpc: '2.0', id: 9, result: {} })).toBeNull();
+  });
+
+  test('answers batches with one response per request', async () => {
+    const responses = await server.handleMessage([
+      { jsonrpc: '2.0', id: 1, method: 'ping' },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'nope' }
+    ]);
+
+    expect(responses).toEqual([
+      { jsonrpc: '2.0', id: 1, result: {} },
+      { jsonrpc: '2.0', id: 2, error: { code: JSON_RPC_ERRORS.METHOD_NOT_FOUND, message: 'Method not found: nope' } }
+    ]);
+    expect(await server.handleMessage([{ jsonrpc: '2.0', method: 'notifications/initialized' }])).toBeNull();
+    expect((await server.handleMessage([])).error).toEqual({ code: JSON_RPC_ERRORS.INVALID_REQUEST, message: 'Empty batch' });
+  });
+
+  test('validates the log level', async () => {
+    expect(await request('logging/setLevel', { level: 'warning' })).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+    expect(server.getState().logLevel).toBe('warning');
+    expect((await request('logging/setLevel', { level: 'loud' })).error.code).toBe(JSON_RPC_ERRORS.INVALID_PARAMS);
+  });
+
+  test('drops log messages below the level', async () => {
+    await request('logging/setLevel', { level: 'warning' });
+
+    expect(server.notify('notifications/message', { level: 'info', data: 'quiet' })).toBe(false);
+    expect(server.notify('notifications/message', { level: 'error', data: 'loud' })).toBe(true);
+    expect(sent).toEqual([{ jsonrpc: '2.0', method: 'notifications/message', params: { level: 'error', data: 'loud' } }]);
+  });
+});
+
+describe('tools', () => {
+  test('tools/list lists the registered tools with their schemas', async () => {
+    const { tools } = (await request('tools/list')).result;
+
+    expect(tools.map(tool => tool.name)).toEqual(expect.arrayContaining(['stock_analysis', 'portfolio', 'trade_execution']));
+    tools.forEach(tool => expect(tool.inputSchema).toMatchObject({ type: 'object' }));
+  });
+
+  test('tools/call returns the text and structured content of a result', async () => {
+    const { result } = await request('tools/call', { name: 'portfolio', arguments: { action: 'accounts' } });
+
+    expect(result.isError).toBe(false);
+    expect(result.structuredContent).toMatchObject({ status: 'success', type: 'portfolio_accounts' });
+    expect(JSON.parse(result.content[0].text)).toEqual(result.structuredContent.data);
+  });
+
+  test('tools/call reports invalid arguments as a tool error', async () => {
+    const { result } = await request('tools/call', { name: 'stock_quote', arguments: {} });
+
+    expect(result.isError).toBe(true);
+    expect(result.structuredContent).toBeUndefined();
+    expect(JSON.parse(result.content[0].text).error).toBe('Invalid parameters for stock_quote: symbol is required');
+  });
+
+  test('tools/call rejects unknown tools', async () => {
+    expect((await request('tools/call', { name: 'nope' })).error).toEqual({
+      code: JSON_RPC_ERRORS.INVALID_PARAMS,
+      message: 'Unknown tool: nope'
+    });
+  });
+});
+
+describe('resources', () => {
+  test('resources/list and resources/templates/list describe the resources', async () => {
+    const { resources } = (await request('resources/list')).result;
+    const { resourceTemplates } = (await request('resources/templates/list')).result;
+
+    expect(resources.map(resource => resource.uri)).toContain('portfolio://current');
+    resources.forEach(resource => expect(resource.request).toBeUndefined());
+    expect(resourceTemplates.map(template => template.uriTemplate)).toEqual(expect.arrayContaining(['stock://{symbol}/analysis', 'portfolio://{accountId}/current']));
+  });
+
+  test('resources/read returns the resource as JSON', async () => {
+    const { result } = await request('resources/read', { uri: 'portfolio://current' });
+
+    expect(result.contents).toEqual([{ uri: 'portfolio://current', mimeType: 'application/json', text: expect.any(String) }]);
+    expect(JSON.parse(result.contents[0].text)).toMatchObject({ cash: expect.any(Number), positions: [] });
+  });
+
+  test('resources/read reports unknown resources', async () => {
+    expect((await request('resources/read', { uri: 'nope://x' })).error).toEqual({
+      code: JSON_RPC_ERRORS.RESOURCE_NOT_FOUND,
+      message: 'Resource not found',
+      data: { uri: 'nope://x' }
+    });
+  });
+
+  test('subscriptions notify about changes to an account until unsubscribed', async () => {
+    tradingService.createAccount({ id: 'mcp-test', initialCash: 1000 });
+    const listeners = tradingService.events.listenerCount('portfolio');
+    expect(await request('resources/subscribe', { uri: 'portfolio://mcp-test/current' })).toEqual({ jsonrpc: '2.0', id: 1, result: {} });
+
+    tradingService.transferCash('mcp-test', { amount: 100 });
+    tradingService.transferCash('default', { amount: 100 });
+    expect(sent).toEqual([
+      { jsonrpc: '2.0', method: 'notifications/resources/updated', params: { uri: 'portfolio://mcp-test/current' } }
+    ]);
+
+    await request('resources/unsubscribe', { uri: 'portfolio://mcp-test/current' });
+    tradingService.transferCash('mcp-test', { amount: 100 });
+    expect(sent).toHaveLength(1);
+    expect(tradingService.events.listenerCount('portfolio')).toBe(listeners);
+  });
+
+  test('subscriptions to the portfolios of unknown accounts fail', async () => {
+    const listeners = tradingService.events.listenerCount('portfolio');
+
+    expect((await request('resources/subscribe', { uri: 'portfolio://ghost/current' })).error).toMatchObject({
+      code: JSON_RPC_ERRORS.RESOURCE_NOT_FOUND,
+      data: { uri: 'portfolio://ghost/current' }
+    });
+    expect(tradingService.events.listenerCount('portfolio')).toBe(listeners);
+  });
+
+  test('close stops the notifications', async () => {
+    await request('resources/subscribe', { uri: 'portfolio://current' });
+    server.close();
+
+    tradingService.transferCash('default', { amount: 100 });
+    expect(sent).toEqual([]);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * MCP session management for the Streamable HTTP transport
+ *
+ * Each session owns its own MCP server instance (negotiated protocol version,
+ * client info) and the SSE streams the client has opened to receive
+ * server-to-client messages. Idle sessions expire after MCP_SESSION_TTL_MS.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { createMcpServer } = require('./mcpServer');
+
+const SESSION_TTL_MS = parseInt(process.env.MCP_SESSION_TTL_MS, 10) || 30 * 60 * 1000;
+
+const sessions = new Map();
+
+/**
+ * Write a JSON-RPC message as an SSE event to every open stream of a session
+ * @param {Object} session - MCP session
+ * @param {Object} message - JSON-RPC message
+ * @returns {boolean} Whether at least one stream received the message
+ */
+const writeToStreams = (session, message) => {
+  if (session.streams.size === 0) {
+    return false;
+  }
+
+  session.lastEventId += 1;
+  const event = `id: ${session.lastEventId}\nevent: message\ndata: ${JSON.stringify(message)}\n\n`;
+  session.streams.forEach(stream => stream.write(event));
+  return true;
+};
+
+/**
+ * Create a new MCP session
+ * @returns {Object} Session with id, server and streams
+ */
+const createSession = () => {
+  const session = {
+    id: crypto.randomUUID(),
+    streams: new Set(),
+    lastEventId: 0,
+    createdAt: new Date().toISOString(),
+    lastActivity: Date.now()
+  };
+
+  session.server = createMcpServer({
+    send: (message) => writeToStreams(session, message)
+  });
+
+  sessions.set(session.id, session);
+  logger.info(`Created MCP session ${session.id}`);
+
+  return session;
+};
+
+/**
+ * Look up a session by id and mark it as active
+ * @param {string} sessionId - Session id from the Mcp-Session-Id header
+ * @returns {Object|undefined} Session, if it exists
+ */
+const getSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (session) {
+    session.lastActivity = Date.now();
+  }
+  return session;
+};
+
+/**
+ * Terminate a session and close its open streams
+ * @param {string} sessionId - Session id
+ * @returns {boolean} Whether a session was terminated
+ */
+const deleteSession = (sessionId) => {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    return false;
+  }
+
+  session.streams.forEach(stream => stream.end());
+  session.server.close();
+  sessions.delete(sessionId);
+  logger.info(`Terminated MCP session ${sessionId}`);
+
+  return true;
+};
+
+/**
+ * Remove sessions that have been idle longer than the TTL
+ */
+const expireIdleSessions = () => {
+  const cutoff = Date.now() - SESSION_TTL_MS;
+  sessions.forEach((session, sessionId) => {
+    if (session.streams.size === 0 && session.lastActivity < cutoff) {
+      logger.info(`MCP session ${sessionId} expired`);
+      deleteSession(sessionId);
+    }
+  });
+};
+
+setInterval(expireIdleSessions, Math.min(SESSION_TTL_MS, 60 * 1000)).unref();
+
+module.exports = {
+  createSession,
+  getSession,
+  deleteSession
+};
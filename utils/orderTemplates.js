@@ -0,0 +1,239 @@
+/**
+ * Order templates for TradingView alerts
+ *
+ * TradingView posts an alert's message to a webhook after replacing its
+ * placeholders (`{{ticker}}`, `{{close}}`, `{{strategy.order.action}}`, ...).
+ * The message is parsed into fields (see parseAlertMessage) and an order
+ * template maps the fields to an order. Templates are JSON files in the
+ * templates directory (ORDER_TEMPLATES_DIR, default ./templates) with a name,
+ * a description and an order whose string values may reference fields:
+ *
+ * - `{{ticker}}` - the field; a value that is only a placeholder keeps the
+ *   field's type
+ * - `{{accountId|default}}` - the field, or `default` when the alert has no
+ *   such field; an empty default drops the order field
+ *
+ * Field names are looked up as given (`strategy.order.action` as one key) and
+ * then as a path into nested objects.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { httpError } = require('./httpError');
+const logger = require('./logger');
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}/g;
+const FULL_PLACEHOLDER_PATTERN = /^\{\{\s*([\w.]+)\s*(?:\|([^}]*))?\}\}$/;
+// TradingView's default strategy alert message
+const STRATEGY_MESSAGE_PATTERN = /order\s+(buy|sell)\s+@\s+([\d.]+)\s+filled on\s+([^\s]+?)\.?\s+new strategy position is\s+(-?[\d.]+)/i;
+const KEY_VALUE_PATTERN = /([A-Za-z_][\w.]*)\s*[=:]\s*([^\s,;]+)/g;
+
+/**
+ * Check a template's structure
+ * @param {Object} template - Template definition
+ * @returns {Object} The template
+ */
+const checkTemplate = (template) => {
+  if (!template || typeof template.name !== 'string' || !template.name) {
+    throw new Error('Template must have a name');
+  }
+  if (!template.order || typeof template.order !== 'object' || Array.isArray(template.order)) {
+    throw new Error(`Template ${template.name} must have an order object`);
+  }
+  return { name: template.name, description: template.description || '', order: template.order };
+};
+
+// Templates by name, loaded from disk on first use
+let templates = null;
+
+/**
+ * Load all templates from the templates directory
+ * @returns {Map} Templates by name
+ */
+const loadTemplates = () => {
+  const dir = path.resolve(process.env.ORDER_TEMPLATES_DIR || path.join(__dirname, '..', 'templates'));
+  const loaded = new Map();
+
+  if (!fs.existsSync(dir)) {
+    logger.warn(`Order templates directory ${dir} does not exist`);
+    return loaded;
+  }
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      try {
+        const template = checkTemplate(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+        loaded.set(template.name, template);
+      } catch (error) {
+        logger.error(`Skipping order template file ${file}: ${error.message}`);
+      }
+    });
+
+  logger.info(`Loaded ${loaded.size} order templates from ${dir}`);
+  return loaded;
+};
+
+/**
+ * Get a template by name
+ * @param {string} name - Template name (default: default)
+ * @returns {Object} Template
+ */
+const getTemplate = (name = 'default') => {
+  if (!templates) {
+    templates = loadTemplates();
+  }
+  const template = templates.get(name);
+  if (!template) {
+    throw httpError(`Unknown order template "${name}". Available templates: ${Array.from(templates.keys()).join(', ')}`, 400);
+  }
+  return template;
+};
+
+/**
+ * List the available templates
+ * @returns {Array} Template names, descriptions and orders
+ */
+const listTemplates = () => {
+  if (!templates) {
+    templates = loadTemplates();
+  }
+  return Array.from(templates.values());
+};
+
+/**
+ * Parse a TradingView alert message: JSON, TradingView's default strategy
+ * message ("order buy @ 10 filled on AAPL. New strategy position is 10") or
+ * key=value pairs
+ * @param {Object|string} message - Parsed JSON body or message text
+ * @returns {Object} Alert fields
+ */
+const parseAlertMessage = (message) => {
+  if (message && typeof message === 'object' && !Array.isArray(message)) {
+    return message;
+  }
+  const text = typeof message === 'string' ? message.trim() : '';
+  if (!text) {
+    throw httpError('The alert message is empty', 400);
+  }
+
+  if (text.startsWith('{')) {
+    try {
+      const fields = JSON.parse(text);
+      if (fields && typeof fields === 'object' && !Array.isArray(fields)) {
+        return fields;
+      }
+    } catch (error) {
+      throw httpError(`The alert message is not valid JSON: ${error.message}`, 400);
+    }
+  }
+
+  const strategyMessage = text.match(STRATEGY_MESSAGE_PATTERN);
+  if (strategyMessage) {
+    return {
+      'strategy.order.action': strategyMessage[1].toLowerCase(),
+      'strategy.order.contracts': strategyMessage[2],
+      ticker: strategyMessage[3],
+      'strategy.position_size': strategyMessage[4]
+    };
+  }
+
+  const fields = {};
+  for (const [, key, value] of text.matchAll(KEY_VALUE_PATTERN)) {
+    fields[key] = value;
+  }
+  if (Object.keys(fields).length === 0) {
+    throw httpError('The alert message must be JSON, TradingView\'s default strategy message or key=value pairs', 400);
+  }
+  return fields;
+};
+
+/**
+ * Look up an alert field
+ * @param {Object} fields - Alert fields
+ * @param {string} name - Field name such as close or strategy.order.action
+ * @returns {*} Value, undefined if missing
+ */
+const getField = (fields, name) => {
+  if (fields[name] !== undefined) {
+    return fields[name];
+  }
+  return name.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), fields);
+};
+
+/**
+ * Fill a template value with alert fields
+ * @param {*} value - Template value
+ * @param {Object} fields - Alert fields
+ * @param {Set} missing - Collects the names of missing fields
+ * @returns {*} Filled value, undefined to drop it
+ */
+const fillValue = (value, fields, missing) => {
+  if (Array.isArray(value)) {
+    return value.map(item => fillValue(item, fields, missing));
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).reduce((result, key) => {
+      const filled = fillValue(value[key], fields, missing);
+      if (filled !== undefined) {
+        result[key] = filled;
+      }
+      return result;
+    }, {});
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  const lookup = (name, fallback) => {
+    const field = getField(fields, name);
+    if (field !== undefined && field !== null && field !== '') {
+      return field;
+    }
+    if (fallback === undefined) {
+      missing.add(name);
+    }
+    return fallback;
+  };
+
+  const full = value.match(FULL_PLACEHOLDER_PATTERN);
+  if (full) {
+    const filled = lookup(full[1], full[2] === undefined ? undefined : full[2].trim());
+    return filled === '' ? undefined : filled;
+  }
+  return value.replace(PLACEHOLDER_PATTERN, (placeholder, name, fallback) => {
+    const filled = lookup(name, fallback === undefined ? undefined : fallback.trim());
+    return filled === undefined ? '' : String(filled);
+  });
+};
+
+/**
+ * Build an order from a template and alert fields
+ * @param {Object} template - Template
+ * @param {Object} fields - Alert fields
+ * @returns {Object} Order (see utils/orderTypes), not yet validated
+ */
+const renderOrder = (template, fields) => {
+  const missing = new Set();
+  const order = fillValue(template.order, fields, missing);
+  if (missing.size > 0) {
+    throw httpError(`The alert has no ${[...missing].join(', ')} for order template ${template.name}`, 400);
+  }
+
+  // TradingView tickers may carry the exchange (NASDAQ:AAPL) and actions vary in case
+  if (typeof order.symbol === 'string') {
+    order.symbol = order.symbol.split(':').pop().toUpperCase();
+  }
+  if (typeof order.action === 'string') {
+    order.action = order.action.toLowerCase();
+  }
+  return order;
+};
+
+module.exports = {
+  getTemplate,
+  listTemplates,
+  parseAlertMessage,
+  renderOrder
+};
@@ -0,0 +1,85 @@
+const { getTemplate, listTemplates, parseAlertMessage, renderOrder } = require('./orderTemplates');
+
+describe('parseAlertMessage', () => {
+  test('takes JSON bodies as they are', () => {
+    expect(parseAlertMessage({ ticker: 'AAPL' })).toEqual({ ticker: 'AAPL' });
+    expect(parseAlertMessage(' {"ticker": "AAPL", "close": 101.5} ')).toEqual({ ticker: 'AAPL', close: 101.5 });
+  });
+
+  test('reads TradingView\'s default strategy message', () => {
+    expect(parseAlertMessage('My strategy (20, 50): order sell @ 15 filled on NASDAQ:AAPL. New strategy position is -15')).toEqual({
+      'strategy.order.action': 'sell',
+      'strategy.order.contracts': '15',
+      ticker: 'NASDAQ:AAPL',
+      'strategy.position_size': '-15'
+    });
+  });
+
+  test('reads key=value pairs', () => {
+    expect(parseAlertMessage('ticker=AAPL, action: buy; qty=3')).toEqual({ ticker: 'AAPL', action: 'buy', qty: '3' });
+  });
+
+  test.each([
+    ['', 'The alert message is empty'],
+    ['{"ticker": ', 'The alert message is not valid JSON'],
+    ['buy some apples', 'The alert message must be JSON']
+  ])('rejects %p with a 400 error', (message, error) => {
+    expect(() => parseAlertMessage(message)).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining(error) }));
+  });
+});
+
+describe('renderOrder', () => {
+  const template = {
+    name: 'test',
+    order: {
+      symbol: '{{ticker}}',
+      action: '{{strategy.order.action}}',
+      quantity: '{{strategy.order.contracts}}',
+      price: '{{close}}',
+      note: 'from {{exchange|TV}} at {{close}}',
+      stopLoss: { stopPrice: '{{stop|}}' },
+      accountId: '{{accountId|default}}'
+    }
+  };
+
+  test('fills placeholders, keeping the type of whole-value ones', () => {
+    const order = renderOrder(template, { ticker: 'nasdaq:aapl', strategy: { order: { action: 'BUY', contracts: 2 } }, close: 101.5 });
+
+    expect(order).toEqual({
+      symbol: 'AAPL',
+      action: 'buy',
+      quantity: 2,
+      price: 101.5,
+      note: 'from TV at 101.5',
+      stopLoss: {},
+      accountId: 'default'
+    });
+  });
+
+  test('looks up dotted field names as one key first', () => {
+    const order = renderOrder(template, { ticker: 'AAPL', 'strategy.order.action': 'sell', 'strategy.order.contracts': '3', close: 1, stop: 0.9, accountId: 'swing' });
+
+    expect(order).toMatchObject({ action: 'sell', quantity: '3', stopLoss: { stopPrice: 0.9 }, accountId: 'swing' });
+  });
+
+  test('names the fields an alert is missing', () => {
+    expect(() => renderOrder(template, { ticker: 'AAPL' })).toThrow(expect.objectContaining({
+      status: 400,
+      message: 'The alert has no strategy.order.action, strategy.order.contracts, close for order template test'
+    }));
+  });
+});
+
+describe('templates', () => {
+  test('load the bundled templates', () => {
+    expect(listTemplates().map(template => template.name)).toEqual(expect.arrayContaining(['default', 'bracket', 'limit_at_close']));
+    expect(getTemplate().order).toMatchObject({ symbol: '{{ticker}}', type: 'market' });
+  });
+
+  test('reject unknown templates', () => {
+    expect(() => getTemplate('nope')).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringContaining('Unknown order template "nope". Available templates:')
+    }));
+  });
+});
@@ -0,0 +1,245 @@
+/**
+ * Order types
+ *
+ * Definitions shared by the REST order endpoint, the trade_execution MCP tool
+ * and the order book in services/tradingService:
+ *
+ * - market: fills at the current price
+ * - limit: fills at `price` or better
+ * - stop: becomes a market order once the price reaches `stopPrice`
+ * - stop_limit: becomes a limit order at `price` once the price reaches `stopPrice`
+ * - trailing_stop: a stop whose stop price follows the best price since the
+ *   order was placed by `trailAmount` (currency) or `trailPercent`
+ *
+ * An order's `orderClass` attaches exit orders to it:
+ *
+ * - simple (default): a single order
+ * - bracket: once the entry order fills, a take-profit limit order and a
+ *   stop-loss (stop or stop-limit) order for the filled quantity are placed on
+ *   the opposite side; when one of them fills the other is cancelled
+ * - oco: places the take-profit and stop-loss orders right away (one cancels
+ *   the other), for example to protect an existing position
+ *
+ * Orders that reduce a position relieve its tax lots by the account's lot
+ * method unless they set their own `lotMethod` (see utils/taxLots); with
+ * `specific` they name the lots to relieve in `lotIds`.
+ */
+
+const { validate } = require('./schemaValidator');
+const { LOT_METHODS } = require('./taxLots');
+
+const ORDER_TYPES = ['market', 'limit', 'stop', 'stop_limit', 'trailing_stop'];
+const STOP_TYPES = ['stop', 'stop_limit', 'trailing_stop'];
+const ORDER_CLASSES = ['simple', 'bracket', 'oco'];
+const TIME_IN_FORCE = ['DAY', 'GTC', 'IOC', 'FOK'];
+
+/**
+ * JSON Schema of an order, shared by the REST endpoint and the MCP tool
+ */
+const orderSchema = {
+  type: 'object',
+  properties: {
+    symbol: { type: 'string', minLength: 1, description: 'Stock symbol' },
+    action: { type: 'string', enum: ['buy', 'sell'], description: 'Trade action' },
+    quantity: { type: 'integer', exclusiveMinimum: 0, description: 'Number of shares' },
+    type: { type: 'string', enum: ORDER_TYPES, description: 'Order type', default: 'market' },
+    price: { type: 'number', exclusiveMinimum: 0, description: 'Limit price (required for limit and stop_limit orders)' },
+    stopPrice: { type: 'number', exclusiveMinimum: 0, description: 'Trigger price (required for stop and stop_limit orders)' },
+    trailAmount: { type: 'number', exclusiveMinimum: 0, description: 'Trailing distance in currency (trailing_stop, or trailPercent)' },
+    trailPercent: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 100, description: 'Trailing distance in percent (trailing_stop, or trailAmount)' },
+    timeInForce: {
+      type: 'string',
+      enum: TIME_IN_FORCE,
+      description: 'How long the order works: DAY (until the session close), GTC (until cancelled), IOC (fill now, cancel the rest) or FOK (fill completely now or cancel)',
+      default: 'DAY'
+    },
+    orderClass: { type: 'string', enum: ORDER_CLASSES, description: 'simple, bracket (entry with take-profit and stop-loss exits) or oco (take-profit and stop-loss only)', default: 'simple' },
+    takeProfit: {
+      type: 'object',
+      properties: {
+        price: { type: 'number', exclusiveMinimum: 0, description: 'Limit price of the take-profit order' }
+      },
+      required: ['price'],
+      description: 'Take-profit exit (bracket and oco)'
+    },
+    stopLoss: {
+      type: 'object',
+      properties: {
+        stopPrice: { type: 'number', exclusiveMinimum: 0, description: 'Trigger price of the stop-loss order' },
+        price: { type: 'number', exclusiveMinimum: 0, description: 'Limit price, making the stop-loss a stop-limit order' }
+      },
+      required: ['stopPrice'],
+      description: 'Stop-loss exit (bracket and oco)'
+    },
+    lotMethod: { type: 'string', enum: LOT_METHODS, description: 'Which tax lots the order relieves when it reduces a position: fifo, lifo or specific (default: the account\'s method)' },
+    lotIds: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1, description: 'Lots to relieve first (required with lotMethod specific)' },
+    accountId: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,64}$', description: 'Paper-trading account id', default: 'default' }
+  },
+  required: ['symbol', 'action', 'quantity'],
+  allOf: [
+    {
+      if: { properties: { type: { enum: ['limit', 'stop_limit'] } } },
+      then: { required: ['price'] }
+    },
+    {
+      if: { properties: { type: { enum: ['stop', 'stop_limit'] } } },
+      then: { required: ['stopPrice'] }
+    },
+    {
+      if: { properties: { orderClass: { enum: ['bracket', 'oco'] } }, required: ['orderClass'] },
+      then: { required: ['takeProfit', 'stopLoss'] }
+    },
+    {
+      if: { properties: { lotMethod: { const: 'specific' } }, required: ['lotMethod'] },
+      then: { required: ['lotIds'] }
+    }
+  ]
+};
+
+/**
+ * Side of the exit orders of a bracket or OCO order
+ * @param {Object} order - Order with action and orderClass
+ * @returns {string} buy or sell
+ */
+const getExitAction = (order) => {
+  if (order.orderClass === 'oco') {
+    return order.action;
+  }
+  return order.action === 'buy' ? 'sell' : 'buy';
+};
+
+/**
+ * Check the order fields that depend on each other
+ * @param {Object} order - Order that passed the schema
+ * @returns {Array} Validation errors (field and message)
+ */
+const checkOrderFields = (order) => {
+  const errors = [];
+
+  if (order.type === 'trailing_stop' && (order.trailAmount === undefined) === (order.trailPercent === undefined)) {
+    errors.push({ field: 'trailAmount', message: 'trailing_stop orders need either trailAmount or trailPercent' });
+  }
+
+  if (order.orderClass === 'oco' && ['IOC', 'FOK'].includes(order.timeInForce)) {
+    errors.push({ field: 'timeInForce', message: 'must be DAY or GTC for oco orders' });
+  }
+
+  if (['bracket', 'oco'].includes(order.orderClass) && order.takeProfit && order.stopLoss) {
+    // Exits that sell take profit above the stop loss, exits that buy below it
+    const exitAction = getExitAction(order);
+    const { price: takeProfit } = order.takeProfit;
+    const { stopPrice } = order.stopLoss;
+    if (exitAction === 'sell' && !(takeProfit > stopPrice)) {
+      errors.push({ field: 'takeProfit.price', message: 'must be above stopLoss.stopPrice for exits that sell' });
+    }
+    if (exitAction === 'buy' && !(takeProfit < stopPrice)) {
+      errors.push({ field: 'takeProfit.price', message: 'must be below stopLoss.stopPrice for exits that buy' });
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate and normalize an order
+ * @param {Object} order - Raw order
+ * @returns {Object} Result with valid flag, errors and the normalized order
+ */
+const validateOrder = (order) => {
+  const result = validate(orderSchema, order, { coerceTypes: true });
+  const errors = result.valid ? checkOrderFields(result.value) : result.errors;
+  return { valid: errors.length === 0, errors, value: result.value };
+};
+
+/**
+ * Check a stop price against the current price when an order is placed
+ * @param {Object} order - Stop or stop-limit order
+ * @param {number} currentPrice - Current price
+ * @returns {string|null} Why the stop price is on the wrong side, or null
+ */
+const checkStopPrice = (order, currentPrice) => {
+  if (!['stop', 'stop_limit'].includes(order.type)) {
+    return null;
+  }
+  if (order.action === 'sell' && order.stopPrice >= currentPrice) {
+    return `Sell stop price ${order.stopPrice} must be below the current price ${currentPrice.toFixed(2)}`;
+  }
+  if (order.action === 'buy' && order.stopPrice <= currentPrice) {
+    return `Buy stop price ${order.stopPrice} must be above the current price ${currentPrice.toFixed(2)}`;
+  }
+  return null;
+};
+
+/**
+ * Move the stop price of a trailing stop after the best price seen so far
+ * @param {Object} order - Trailing stop order (modified in place)
+ * @param {number} currentPrice - Current price
+ */
+const updateTrailingStop = (order, currentPrice) => {
+  const sell = order.action === 'sell';
+  // Sells trail the highest price, buys the lowest
+  if (order.trailReference == null || (sell ? currentPrice > order.trailReference : currentPrice < order.trailReference)) {
+    order.trailReference = currentPrice;
+  }
+  const distance = order.trailAmount != null
+    ? order.trailAmount
+    : order.trailReference * order.trailPercent / 100;
+  order.stopPrice = sell ? order.trailReference - distance : order.trailReference + distance;
+};
+
+/**
+ * Check whether the stop price of an order has been reached
+ * @param {Object} order - Order
+ * @param {number} currentPrice - Current price
+ * @returns {boolean} True for triggered stops and for orders without a stop
+ */
+const isTriggered = (order, currentPrice) => {
+  if (!STOP_TYPES.includes(order.type) || order.triggeredAt) {
+    return true;
+  }
+  return order.action === 'sell' ? currentPrice <= order.stopPrice : currentPrice >= order.stopPrice;
+};
+
+/**
+ * Check whether a (triggered) order can fill at a price
+ * @param {Object} order - Order
+ * @param {number} currentPrice - Current price
+ * @returns {boolean} True if the order is marketable
+ */
+const isMarketable = (order, currentPrice) => {
+  if (!['limit', 'stop_limit'].includes(order.type)) {
+    return true;
+  }
+  return order.action === 'buy' ? currentPrice <= order.price : currentPrice >= order.price;
+};
+
+/**
+ * Price at which a working buy order commits cash
+ * @param {Object} order - Order
+ * @param {number} currentPrice - Current price, used for orders without a price of their own
+ * @returns {number} Reserve price per share
+ */
+const getReservePrice = (order, currentPrice) => {
+  if (['limit', 'stop_limit'].includes(order.type)) {
+    return order.price;
+  }
+  if (order.type !== 'market' && order.stopPrice) {
+    return order.stopPrice;
+  }
+  return currentPrice;
+};
+
+module.exports = {
+  ORDER_TYPES,
+  STOP_TYPES,
+  ORDER_CLASSES,
+  TIME_IN_FORCE,
+  orderSchema,
+  getExitAction,
+  validateOrder,
+  checkStopPrice,
+  updateTrailingStop,
+  isTriggered,
+  isMarketable,
+  getReservePrice
+};
@@ -0,0 +1,150 @@
+const {
+  getExitAction,
+  validateOrder,
+  checkStopPrice,
+  updateTrailingStop,
+  isTriggered,
+  isMarketable,
+  getReservePrice
+} = require('./orderTypes');
+
+describe('validateOrder', () => {
+  test('fills in defaults and coerces numeric strings', () => {
+    const result = validateOrder({ symbol: 'AAPL', action: 'buy', quantity: '10' });
+
+    expect(result.valid).toBe(true);
+    expect(result.value).toMatchObject({
+      quantity: 10,
+      type: 'market',
+      timeInForce: 'DAY',
+      orderClass: 'simple',
+      accountId: 'default'
+    });
+  });
+
+  test('requires the prices of each order type', () => {
+    expect(validateOrder({ symbol: 'AAPL', action: 'buy', quantity: 1, type: 'limit' }).errors)
+      .toEqual([{ field: 'price', message: 'is required' }]);
+    expect(validateOrder({ symbol: 'AAPL', action: 'sell', quantity: 1, type: 'stop_limit', price: 90 }).errors)
+      .toEqual([{ field: 'stopPrice', message: 'is required' }]);
+  });
+
+  test('requires exactly one trailing distance', () => {
+    const order = { symbol: 'AAPL', action: 'sell', quantity: 1, type: 'trailing_stop' };
+
+    expect(validateOrder(order).errors).toEqual([
+      { field: 'trailAmount', message: 'trailing_stop orders need either trailAmount or trailPercent' }
+    ]);
+    expect(validateOrder({ ...order, trailAmount: 2, trailPercent: 1 }).valid).toBe(false);
+    expect(validateOrder({ ...order, trailPercent: 1 }).valid).toBe(true);
+  });
+
+  test('accepts IOC and FOK except for OCO orders', () => {
+    const exits = { takeProfit: { price: 120 }, stopLoss: { stopPrice: 90 } };
+
+    expect(validateOrder({ symbol: 'AAPL', action: 'buy', quantity: 1, timeInForce: 'IOC' }).valid).toBe(true);
+    expect(validateOrder({ symbol: 'AAPL', action: 'buy', quantity: 1, timeInForce: 'FOK' }).valid).toBe(true);
+    expect(validateOrder({ symbol: 'AAPL', action: 'sell', quantity: 1, orderClass: 'oco', timeInForce: 'FOK', ...exits }).errors)
+      .toEqual([{ field: 'timeInForce', message: 'must be DAY or GTC for oco orders' }]);
+    expect(validateOrder({ symbol: 'AAPL', action: 'buy', quantity: 1, timeInForce: 'NOW' }).valid).toBe(false);
+  });
+
+  test('checks the exit prices of bracket orders against their side', () => {
+    const order = { symbol: 'AAPL', action: 'buy', quantity: 1, orderClass: 'bracket' };
+
+    expect(validateOrder({ ...order, takeProfit: { price: 120 }, stopLoss: { stopPrice: 90 } }).valid).toBe(true);
+    expect(validateOrder({ ...order, takeProfit: { price: 90 }, stopLoss: { stopPrice: 120 } }).errors)
+      .toEqual([{ field: 'takeProfit.price', message: 'must be above stopLoss.stopPrice for exits that sell' }]);
+    expect(validateOrder(order).errors.map(error => error.field)).toEqual(['takeProfit', 'stopLoss']);
+  });
+
+  test('requires lot ids with the specific lot method', () => {
+    expect(validateOrder({ symbol: 'AAPL', action: 'sell', quantity: 1, lotMethod: 'specific' }).errors)
+      .toEqual([{ field: 'lotIds', message: 'is required' }]);
+  });
+});
+
+describe('getExitAction', () => {
+  test('exits brackets on the opposite side and OCO orders on their own side', () => {
+    expect(getExitAction({ action: 'buy', orderClass: 'bracket' })).toBe('sell');
+    expect(getExitAction({ action: 'sell', orderClass: 'oco' })).toBe('sell');
+  });
+});
+
+describe('checkStopPrice', () => {
+  test('needs sell stops below and buy stops above the current price', () => {
+    expect(checkStopPrice({ type: 'stop', action: 'sell', stopPrice: 95 }, 100)).toBeNull();
+    expect(checkStopPrice({ type: 'stop', action: 'sell', stopPrice: 105 }, 100))
+      .toBe('Sell stop price 105 must be below the current price 100.00');
+    expect(checkStopPrice({ type: 'stop_limit', action: 'buy', stopPrice: 95 }, 100))
+      .toBe('Buy stop price 95 must be above the current price 100.00');
+    expect(checkStopPrice({ type: 'limit', action: 'buy', price: 105 }, 100)).toBeNull();
+  });
+});
+
+describe('isTriggered', () => {
+  test('triggers sell stops at or below and buy stops at or above the stop price', () => {
+    const sellStop = { type: 'stop', action: 'sell', stopPrice: 95 };
+    const buyStopLimit = { type: 'stop_limit', action: 'buy', stopPrice: 105, price: 106 };
+
+    expect(isTriggered(sellStop, 96)).toBe(false);
+    expect(isTriggered(sellStop, 95)).toBe(true);
+    expect(isTriggered(buyStopLimit, 104)).toBe(false);
+    expect(isTriggered(buyStopLimit, 105.5)).toBe(true);
+  });
+
+  test('stays triggered and treats orders without a stop as triggered', () => {
+    expect(isTriggered({ type: 'stop', action: 'sell', stopPrice: 95, triggeredAt: '2024-01-02T15:00:00Z' }, 100)).toBe(true);
+    expect(isTriggered({ type: 'limit', action: 'buy', price: 90 }, 100)).toBe(true);
+  });
+});
+
+describe('isMarketable', () => {
+  test('fills limit prices or better', () => {
+    const buyLimit = { type: 'limit', action: 'buy', price: 100 };
+    const sellStopLimit = { type: 'stop_limit', action: 'sell', stopPrice: 96, price: 95 };
+
+    expect(isMarketable(buyLimit, 100)).toBe(true);
+    expect(isMarketable(buyLimit, 100.01)).toBe(false);
+    expect(isMarketable(sellStopLimit, 94.99)).toBe(false);
+    expect(isMarketable(sellStopLimit, 95.5)).toBe(true);
+    expect(isMarketable({ type: 'stop', action: 'sell', stopPrice: 95 }, 10)).toBe(true);
+  });
+});
+
+describe('updateTrailingStop', () => {
+  test('trails the highest price of a sell by an amount', () => {
+    const order = { type: 'trailing_stop', action: 'sell', trailAmount: 5 };
+
+    updateTrailingStop(order, 100);
+    expect(order.stopPrice).toBe(95);
+    updateTrailingStop(order, 110);
+    expect(order.stopPrice).toBe(105);
+    // Falling prices leave the stop where it is
+    updateTrailingStop(order, 107);
+    expect(order.stopPrice).toBe(105);
+    expect(isTriggered(order, 107)).toBe(false);
+    expect(isTriggered(order, 105)).toBe(true);
+  });
+
+  test('trails the lowest price of a buy by a percentage', () => {
+    const order = { type: 'trailing_stop', action: 'buy', trailPercent: 10 };
+
+    updateTrailingStop(order, 100);
+    expect(order.stopPrice).toBeCloseTo(110);
+    updateTrailingStop(order, 80);
+    expect(order.stopPrice).toBeCloseTo(88);
+    updateTrailingStop(order, 85);
+    expect(order.trailReference).toBe(80);
+    expect(isTriggered(order, 87)).toBe(false);
+    expect(isTriggered(order, 88)).toBe(true);
+  });
+});
+
+describe('getReservePrice', () => {
+  test('reserves at the limit, then the stop, then the current price', () => {
+    expect(getReservePrice({ type: 'stop_limit', price: 106, stopPrice: 105 }, 100)).toBe(106);
+    expect(getReservePrice({ type: 'stop', stopPrice: 105 }, 100)).toBe(105);
+    expect(getReservePrice({ type: 'market' }, 100)).toBe(100);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Portfolio performance metrics
+ *
+ * Work on daily snapshots of an account's value and the external cash flows
+ * (deposits positive, withdrawals negative) of each day:
+ *
+ * - time-weighted return: chains the daily returns with each day's flow
+ *   treated as arriving at the start of the day, so deposits and withdrawals
+ *   do not count as performance
+ * - money-weighted return: the internal rate of return of the flows, which
+ *   weights each period by the money invested in it
+ * - volatility, Sharpe ratio and maximum drawdown of the daily time-weighted
+ *   returns, and beta, alpha and correlation against a benchmark
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TRADING_DAYS_PER_YEAR = 252;
+
+/**
+ * Daily time-weighted returns
+ * @param {Array} snapshots - Daily points with value and cashFlow, oldest first
+ * @returns {Array} Return of each point after the first (null when nothing was invested)
+ */
+const getDailyReturns = (snapshots) => snapshots.slice(1).map((snapshot, index) => {
+  const invested = snapshots[index].value + snapshot.cashFlow;
+  return invested > 0 ? snapshot.value / invested - 1 : null;
+});
+
+/**
+ * Chain returns into a total return
+ * @param {Array} returns - Period returns (nulls are skipped)
+ * @returns {number} Total return
+ */
+const chainReturns = (returns) => returns.reduce((total, value) => (value === null ? total : total * (1 + value)), 1) - 1;
+
+/**
+ * Annualize a return
+ * @param {number} totalReturn - Return over the period
+ * @param {number} days - Calendar days in the period
+ * @returns {number|null} Annualized return, null for periods without days
+ */
+const annualize = (totalReturn, days) => (days > 0 && totalReturn > -1 ? Math.pow(1 + totalReturn, 365 / days) - 1 : null);
+
+/**
+ * Money-weighted return: the annual rate at which the flows and the start
+ * value grow into the end value
+ * @param {Array} flows - Points with timestamp (ms) and amount invested; the start value is the first flow
+ * @param {number} endValue - Value at the end
+ * @param {number} endTime - End time in ms
+ * @returns {number|null} Annualized internal rate of return, null if it has no solution
+ */
+const moneyWeightedReturn = (flows, endValue, endTime) => {
+  const invested = flows.filter(flow => flow.amount !== 0);
+  if (invested.length === 0) {
+    return null;
+  }
+  const start = invested[0].timestamp;
+  if (endTime <= start) {
+    return null;
+  }
+
+  // Value of all flows at the end date, less the end value; rises with the rate
+  const surplus = (rate) => invested.reduce(
+    (sum, flow) => sum + flow.amount * Math.pow(1 + rate, (endTime - flow.timestamp) / (365 * DAY_MS)),
+    0
+  ) - endValue;
+
+  let low = -0.9999;
+  let high = 1;
+  while (surplus(high) < 0 && high < 1e6) {
+    high *= 10;
+  }
+  if (surplus(low) > 0 || surplus(high) < 0) {
+    return null;
+  }
+  for (let i = 0; i < 200 && high - low > 1e-10; i++) {
+    const middle = (low + high) / 2;
+    if (surplus(middle) > 0) {
+      high = middle;
+    } else {
+      low = middle;
+    }
+  }
+  return (low + high) / 2;
+};
+
+/**
+ * Mean of values
+ * @param {Array} values - Numbers
+ * @returns {number} Mean (0 without values)
+ */
+const mean = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0);
+
+/**
+ * Sample covariance of two series
+ * @param {Array} a - Numbers
+ * @param {Array} b - Numbers of the same length
+ * @returns {number} Covariance (0 with fewer than two values)
+ */
+const covariance = (a, b) => {
+  if (a.length < 2) {
+    return 0;
+  }
+  const meanA = mean(a);
+  const meanB = mean(b);
+  return a.reduce((sum, value, index) => sum + (value - meanA) * (b[index] - meanB), 0) / (a.length - 1);
+};
+
+/**
+ * Largest fall from a peak of a series of returns
+ * @param {Array} returns - Period returns (nulls are skipped)
+ * @returns {number} Maximum drawdown as a fraction
+ */
+const maxDrawdown = (returns) => {
+  let index = 1;
+  let peak = 1;
+  let drawdown = 0;
+  returns.filter(value => value !== null).forEach(value => {
+    index *= 1 + value;
+    peak = Math.max(peak, index);
+    drawdown = Math.max(drawdown, (peak - index) / peak);
+  });
+  return drawdown;
+};
+
+/**
+ * Risk metrics of daily returns
+ * @param {Array} returns - Daily returns of the portfolio (nulls are skipped)
+ * @param {Object} options - Options
+ * @param {number} options.riskFreeRate - Annual risk-free rate
+ * @returns {Object} Annualized volatility, Sharpe ratio and maximum drawdown (fractions)
+ */
+const getRiskMetrics = (returns, { riskFreeRate = 0 } = {}) => {
+  const values = returns.filter(value => value !== null);
+  const volatility = Math.sqrt(covariance(values, values));
+  const excess = mean(values) - riskFreeRate / TRADING_DAYS_PER_YEAR;
+
+  return {
+    volatility: volatility * Math.sqrt(TRADING_DAYS_PER_YEAR),
+    sharpeRatio: volatility > 0 ? (excess / volatility) * Math.sqrt(TRADING_DAYS_PER_YEAR) : null,
+    maxDrawdown: maxDrawdown(values)
+  };
+};
+
+/**
+ * Compare daily returns with a benchmark's
+ * @param {Array} returns - Daily returns of the portfolio (nulls are skipped with the benchmark's return of the day)
+ * @param {Array} benchmarkReturns - Daily returns of the benchmark on the same days
+ * @param {Object} options - Options
+ * @param {number} options.riskFreeRate - Annual risk-free rate
+ * @returns {Object} Beta, annualized (Jensen's) alpha and correlation; null without enough data
+ */
+const compareWithBenchmark = (returns, benchmarkReturns, { riskFreeRate = 0 } = {}) => {
+  const days = returns
+    .map((value, index) => [value, benchmarkReturns[index]])
+    .filter(([value, benchmark]) => value !== null && typeof benchmark === 'number');
+  const portfolio = days.map(([value]) => value);
+  const benchmark = days.map(([, value]) => value);
+
+  const benchmarkVariance = covariance(benchmark, benchmark);
+  const portfolioVariance = covariance(portfolio, portfolio);
+  if (benchmarkVariance === 0) {
+    return { beta: null, alpha: null, correlation: null };
+  }
+
+  const dailyRiskFree = riskFreeRate / TRADING_DAYS_PER_YEAR;
+  const beta = covariance(portfolio, benchmark) / benchmarkVariance;
+  const alpha = (mean(portfolio) - dailyRiskFree - beta * (mean(benchmark) - dailyRiskFree)) * TRADING_DAYS_PER_YEAR;
+
+  return {
+    beta,
+    alpha,
+    correlation: portfolioVariance > 0
+      ? covariance(portfolio, benchmark) / Math.sqrt(portfolioVariance * benchmarkVariance)
+      : null
+  };
+};
+
+module.exports = {
+  getDailyReturns,
+  chainReturns,
+  annualize,
+  moneyWeightedReturn,
+  getRiskMetrics,
+  compareWithBenchmark
+};
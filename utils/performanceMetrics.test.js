@@ -0,0 +1,111 @@
+const {
+  getDailyReturns,
+  chainReturns,
+  annualize,
+  moneyWeightedReturn,
+  getRiskMetrics,
+  compareWithBenchmark
+} = require('./performanceMetrics');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('getDailyReturns', () => {
+  test('does not count deposits and withdrawals as returns', () => {
+    const snapshots = [
+      { value: 1000, cashFlow: 1000 },
+      { value: 1100, cashFlow: 0 },
+      { value: 2200, cashFlow: 1000 },
+      { value: 1650, cashFlow: -500 }
+    ];
+
+    const returns = getDailyReturns(snapshots);
+
+    expect(returns[0]).toBeCloseTo(0.1);
+    expect(returns[1]).toBeCloseTo(2200 / 2100 - 1);
+    expect(returns[2]).toBeCloseTo(1650 / 1700 - 1);
+  });
+
+  test('has no return while nothing is invested', () => {
+    expect(getDailyReturns([{ value: 0, cashFlow: 0 }, { value: 0, cashFlow: 0 }, { value: 1000, cashFlow: 1000 }])).toEqual([null, 0]);
+  });
+});
+
+describe('chainReturns', () => {
+  test('compounds the returns and skips days without one', () => {
+    expect(chainReturns([0.1, null, -0.1])).toBeCloseTo(-0.01);
+    expect(chainReturns([])).toBe(0);
+  });
+});
+
+describe('annualize', () => {
+  test('scales a return to a year', () => {
+    expect(annualize(0.21, 730)).toBeCloseTo(0.1);
+    expect(annualize(0.1, 0)).toBeNull();
+    expect(annualize(-1, 365)).toBeNull();
+  });
+});
+
+describe('moneyWeightedReturn', () => {
+  const start = Date.UTC(2024, 0, 1);
+
+  test('is the growth rate of a single investment', () => {
+    expect(moneyWeightedReturn([{ timestamp: start, amount: 1000 }], 1100, start + 365 * DAY_MS)).toBeCloseTo(0.1, 6);
+  });
+
+  test('weights each flow by how long it was invested', () => {
+    // 1000 for a year and 1000 for half a year, growing at 10% a year
+    const halfYear = 365 * DAY_MS / 2;
+    const end = 1000 * 1.1 + 1000 * Math.sqrt(1.1);
+
+    expect(moneyWeightedReturn([{ timestamp: start, amount: 1000 }, { timestamp: start + halfYear, amount: 1000 }], end, start + 2 * halfYear))
+      .toBeCloseTo(0.1, 6);
+  });
+
+  test('is null without flows or time', () => {
+    expect(moneyWeightedReturn([{ timestamp: start, amount: 0 }], 100, start + DAY_MS)).toBeNull();
+    expect(moneyWeightedReturn([{ timestamp: start, amount: 100 }], 100, start)).toBeNull();
+  });
+});
+
+describe('getRiskMetrics', () => {
+  test('annualizes the volatility and measures the drawdown', () => {
+    const metrics = getRiskMetrics([0.01, -0.01, 0.01, -0.01, null]);
+
+    expect(metrics.volatility).toBeCloseTo(Math.sqrt(0.0004 / 3) * Math.sqrt(252));
+    expect(metrics.sharpeRatio).toBeCloseTo(0);
+    expect(metrics.maxDrawdown).toBeCloseTo(0.01);
+  });
+
+  test('has no Sharpe ratio without volatility', () => {
+    expect(getRiskMetrics([0.01, 0.01])).toEqual({ volatility: 0, sharpeRatio: null, maxDrawdown: 0 });
+  });
+
+  test('subtracts the risk-free rate', () => {
+    const returns = [0.002, 0.001, 0.003, 0.002];
+
+    expect(getRiskMetrics(returns, { riskFreeRate: 0.05 }).sharpeRatio).toBeLessThan(getRiskMetrics(returns).sharpeRatio);
+  });
+});
+
+describe('compareWithBenchmark', () => {
+  test('finds the beta and alpha of a leveraged portfolio', () => {
+    const benchmark = [0.01, -0.02, 0.015, 0.005, -0.01];
+    const portfolio = benchmark.map(value => 2 * value + 0.001);
+
+    const comparison = compareWithBenchmark(portfolio, benchmark);
+
+    expect(comparison.beta).toBeCloseTo(2);
+    expect(comparison.alpha).toBeCloseTo(0.001 * 252);
+    expect(comparison.correlation).toBeCloseTo(1);
+  });
+
+  test('skips days either side has no return for', () => {
+    const comparison = compareWithBenchmark([null, 0.02, -0.02, 0.04], [0.5, 0.01, -0.01, 0.02, 0.03]);
+
+    expect(comparison.beta).toBeCloseTo(2);
+  });
+
+  test('is null when the benchmark does not move', () => {
+    expect(compareWithBenchmark([0.01, 0.02], [0, 0])).toEqual({ beta: null, alpha: null, correlation: null });
+  });
+});
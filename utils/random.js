@@ -0,0 +1,54 @@
+/**
+ * Seeded pseudo-random number generation
+ *
+ * Used wherever generated data must be reproducible, e.g. the synthetic
+ * market-data provider. Not suitable for anything security related.
+ */
+
+/**
+ * Hash a string into a 32-bit unsigned integer (FNV-1a)
+ * @param {string} value - String to hash
+ * @returns {number} 32-bit hash
+ */
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed; strings are hashed
+ * @returns {Function} Function returning a float in [0, 1) on each call
+ */
+const createSeededRandom = (seed) => {
+  let state = typeof seed === 'string' ? hashString(seed) : seed >>> 0;
+
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Draw a standard normally distributed value (Box-Muller)
+ * @param {Function} random - Uniform random number generator
+ * @returns {number} Normally distributed value with mean 0 and deviation 1
+ */
+const randomNormal = (random) => {
+  const u = 1 - random();
+  const v = random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+module.exports = {
+  hashString,
+  createSeededRandom,
+  randomNormal
+};
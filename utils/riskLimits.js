@@ -0,0 +1,178 @@
+/**
+ * Pre-trade risk limits
+ *
+ * Every order passes these checks before it reaches the order book, whether it
+ * comes from the REST API or an agent using the trade_execution tool. A limit
+ * that is null (or an empty symbol list) does not apply:
+ *
+ * - maxPositionPercent: largest position in one symbol, in percent of equity
+ * - maxOrderNotional: largest order value (quantity x price)
+ * - dailyLossLimit: once the account has lost this much since the start of the
+ *   trading day, only orders that reduce positions are accepted
+ * - maxOrdersPerMinute: most orders an account may place in a minute
+ * - allowedSymbols / deniedSymbols: symbols that may / may not be traded
+ *
+ * Accounts without limits of their own use the RISK_* environment variables.
+ * A rejected order carries one reason per failed check, each with a stable
+ * code, the limit and the value that broke it.
+ */
+
+const { validate } = require('./schemaValidator');
+
+const RISK_CODES = [
+  'kill_switch',
+  'symbol_not_allowed',
+  'symbol_denied',
+  'max_order_notional',
+  'max_position_percent',
+  'daily_loss_limit',
+  'max_orders_per_minute'
+];
+
+/**
+ * JSON Schema of the risk limits of an account
+ */
+const riskLimitsSchema = {
+  type: 'object',
+  properties: {
+    maxPositionPercent: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Largest position in one symbol, in percent of equity' },
+    maxOrderNotional: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Largest order value' },
+    dailyLossLimit: { type: ['number', 'null'], exclusiveMinimum: 0, description: 'Loss since the start of the trading day after which only reducing orders are accepted' },
+    maxOrdersPerMinute: { type: ['integer', 'null'], exclusiveMinimum: 0, description: 'Most orders per minute' },
+    allowedSymbols: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Only these symbols may be traded (empty: all)' },
+    deniedSymbols: { type: 'array', items: { type: 'string', minLength: 1 }, description: 'Symbols that may not be traded' }
+  }
+};
+
+/**
+ * Read a numeric limit from the environment
+ * @param {string} name - Variable name
+ * @returns {number|null} The limit, or null when unset
+ */
+const readLimit = (name) => (process.env[name] ? Number(process.env[name]) : null);
+
+/**
+ * Read a comma-separated symbol list from the environment
+ * @param {string} name - Variable name
+ * @returns {Array} Upper-case symbols
+ */
+const readSymbols = (name) => (process.env[name] || '')
+  .split(',')
+  .map(symbol => symbol.trim().toUpperCase())
+  .filter(Boolean);
+
+/**
+ * Risk limits of accounts without limits of their own
+ * @returns {Object} Limits from the RISK_* environment variables
+ */
+const getDefaultRiskLimits = () => ({
+  maxPositionPercent: readLimit('RISK_MAX_POSITION_PERCENT'),
+  maxOrderNotional: readLimit('RISK_MAX_ORDER_NOTIONAL'),
+  dailyLossLimit: readLimit('RISK_DAILY_LOSS_LIMIT'),
+  maxOrdersPerMinute: readLimit('RISK_MAX_ORDERS_PER_MINUTE'),
+  allowedSymbols: readSymbols('RISK_ALLOWED_SYMBOLS'),
+  deniedSymbols: readSymbols('RISK_DENIED_SYMBOLS')
+});
+
+/**
+ * Validate risk limits, filling in the defaults
+ * @param {Object} limits - Risk limits; missing ones get the environment defaults
+ * @returns {Object} Complete risk limits
+ */
+const normalizeRiskLimits = (limits = {}) => {
+  const result = validate(riskLimitsSchema, { ...getDefaultRiskLimits(), ...limits });
+  if (!result.valid) {
+    const error = new Error(`Invalid risk limits: ${result.errors.map(e => `${e.field} ${e.message}`).join('; ')}`);
+    error.status = 400;
+    throw error;
+  }
+  const value = result.value;
+
+  // The validator leaves out null properties; null means no limit
+  return {
+    maxPositionPercent: value.maxPositionPercent === undefined ? null : value.maxPositionPercent,
+    maxOrderNotional: value.maxOrderNotional === undefined ? null : value.maxOrderNotional,
+    dailyLossLimit: value.dailyLossLimit === undefined ? null : value.dailyLossLimit,
+    maxOrdersPerMinute: value.maxOrdersPerMinute === undefined ? null : value.maxOrdersPerMinute,
+    allowedSymbols: (value.allowedSymbols || []).map(symbol => symbol.toUpperCase()),
+    deniedSymbols: (value.deniedSymbols || []).map(symbol => symbol.toUpperCase())
+  };
+};
+
+/**
+ * Build a rejection reason
+ * @param {string} code - Reason code (see RISK_CODES)
+ * @param {string} message - Human-readable explanation
+ * @param {*} limit - The limit that was broken
+ * @param {*} value - The value that broke it
+ * @returns {Object} Reason
+ */
+const reason = (code, message, limit = null, value = null) => ({ code, message, limit, value });
+
+/**
+ * Check an order against risk limits
+ * @param {Object} order - Order: symbol, action, quantity and the price it is valued at
+ * @param {Object} account - Account state: equity, positionQuantity (signed) in the symbol,
+ *   dailyPnl and ordersLastMinute
+ * @param {Object} limits - Risk limits
+ * @param {boolean} killSwitch - Whether trading is halted
+ * @returns {Array} Reasons the order is rejected (empty when it passes)
+ */
+const checkOrderRisk = (order, account, limits, killSwitch = false) => {
+  const reasons = [];
+  const symbol = order.symbol.toUpperCase();
+
+  if (killSwitch) {
+    reasons.push(reason('kill_switch', 'Trading is halted by the kill switch'));
+  }
+
+  if (limits.allowedSymbols.length > 0 && !limits.allowedSymbols.includes(symbol)) {
+    reasons.push(reason('symbol_not_allowed', `${symbol} is not in the allowed symbols`, limits.allowedSymbols, symbol));
+  }
+  if (limits.deniedSymbols.includes(symbol)) {
+    reasons.push(reason('symbol_denied', `${symbol} is in the denied symbols`, limits.deniedSymbols, symbol));
+  }
+
+  const notional = order.quantity * order.price;
+  if (limits.maxOrderNotional !== null && notional > limits.maxOrderNotional) {
+    reasons.push(reason('max_order_notional',
+      `Order value $${notional.toFixed(2)} exceeds the limit of $${limits.maxOrderNotional.toFixed(2)}`,
+      limits.maxOrderNotional, notional));
+  }
+
+  // Position and loss limits only stop orders that add to a position
+  const held = account.positionQuantity;
+  const projected = held + (order.action === 'buy' ? order.quantity : -order.quantity);
+  const increases = Math.abs(projected) > Math.abs(held);
+
+  if (increases && limits.maxPositionPercent !== null) {
+    const percent = account.equity > 0 ? Math.abs(projected) * order.price / account.equity * 100 : Infinity;
+    if (percent > limits.maxPositionPercent) {
+      reasons.push(reason('max_position_percent',
+        `The ${symbol} position would be ${Number.isFinite(percent) ? percent.toFixed(1) : 'over 100'}% of equity, the limit is ${limits.maxPositionPercent}%`,
+        limits.maxPositionPercent, Number.isFinite(percent) ? percent : null));
+    }
+  }
+
+  if (increases && limits.dailyLossLimit !== null && -account.dailyPnl >= limits.dailyLossLimit) {
+    reasons.push(reason('daily_loss_limit',
+      `Today's loss of $${(-account.dailyPnl).toFixed(2)} reached the limit of $${limits.dailyLossLimit.toFixed(2)}, only orders that reduce positions are accepted`,
+      limits.dailyLossLimit, -account.dailyPnl));
+  }
+
+  if (limits.maxOrdersPerMinute !== null && account.ordersLastMinute >= limits.maxOrdersPerMinute) {
+    reasons.push(reason('max_orders_per_minute',
+      `${account.ordersLastMinute} orders were placed in the last minute, the limit is ${limits.maxOrdersPerMinute}`,
+      limits.maxOrdersPerMinute, account.ordersLastMinute));
+  }
+
+  return reasons;
+};
+
+module.exports = {
+  RISK_CODES,
+  riskLimitsSchema,
+  getDefaultRiskLimits,
+  normalizeRiskLimits,
+  checkOrderRisk
+};
@@ -0,0 +1,118 @@
+const { normalizeRiskLimits, getDefaultRiskLimits, checkOrderRisk } = require('./riskLimits');
+
+const NO_LIMITS = {
+  maxPositionPercent: null,
+  maxOrderNotional: null,
+  dailyLossLimit: null,
+  maxOrdersPerMinute: null,
+  allowedSymbols: [],
+  deniedSymbols: []
+};
+
+const flat = { equity: 100000, positionQuantity: 0, dailyPnl: 0, ordersLastMinute: 0 };
+const buy = { symbol: 'aapl', action: 'buy', quantity: 100, price: 150 };
+
+const codes = (reasons) => reasons.map(reason => reason.code);
+
+describe('checkOrderRisk', () => {
+  test('passes orders within the limits', () => {
+    expect(checkOrderRisk(buy, flat, NO_LIMITS)).toEqual([]);
+  });
+
+  test('rejects every order while the kill switch is on', () => {
+    expect(checkOrderRisk(buy, flat, NO_LIMITS, true)).toEqual([
+      { code: 'kill_switch', message: 'Trading is halted by the kill switch', limit: null, value: null }
+    ]);
+    expect(codes(checkOrderRisk({ ...buy, action: 'sell' }, { ...flat, positionQuantity: 100 }, NO_LIMITS, true)))
+      .toEqual(['kill_switch']);
+  });
+
+  test('checks the symbol lists case-insensitively', () => {
+    expect(codes(checkOrderRisk(buy, flat, { ...NO_LIMITS, allowedSymbols: ['MSFT'] }))).toEqual(['symbol_not_allowed']);
+    expect(codes(checkOrderRisk(buy, flat, { ...NO_LIMITS, allowedSymbols: ['AAPL'] }))).toEqual([]);
+    expect(codes(checkOrderRisk(buy, flat, { ...NO_LIMITS, deniedSymbols: ['AAPL'] }))).toEqual(['symbol_denied']);
+  });
+
+  test('limits the order value', () => {
+    const [reason] = checkOrderRisk(buy, flat, { ...NO_LIMITS, maxOrderNotional: 10000 });
+
+    expect(reason).toEqual({
+      code: 'max_order_notional',
+      message: 'Order value $15000.00 exceeds the limit of $10000.00',
+      limit: 10000,
+      value: 15000
+    });
+  });
+
+  test('limits positions in percent of equity, except for orders that reduce them', () => {
+    const limits = { ...NO_LIMITS, maxPositionPercent: 20 };
+    const [reason] = checkOrderRisk(buy, { ...flat, positionQuantity: 100 }, limits);
+
+    expect(reason).toMatchObject({ code: 'max_position_percent', limit: 20, value: 30 });
+    expect(checkOrderRisk({ ...buy, action: 'sell' }, { ...flat, positionQuantity: 200 }, limits)).toEqual([]);
+    expect(codes(checkOrderRisk(buy, { ...flat, equity: 0 }, limits))).toEqual(['max_position_percent']);
+  });
+
+  test('only accepts orders that reduce positions after the daily loss limit', () => {
+    const limits = { ...NO_LIMITS, dailyLossLimit: 1000 };
+    const losing = { ...flat, positionQuantity: -50, dailyPnl: -1000 };
+
+    expect(codes(checkOrderRisk({ ...buy, action: 'sell' }, losing, limits))).toEqual(['daily_loss_limit']);
+    expect(checkOrderRisk({ ...buy, quantity: 50 }, losing, limits)).toEqual([]);
+    // Flipping from short to a larger long adds to the position
+    expect(codes(checkOrderRisk({ ...buy, quantity: 150 }, losing, limits))).toEqual(['daily_loss_limit']);
+    expect(checkOrderRisk(buy, { ...losing, dailyPnl: -999 }, limits)).toEqual([]);
+  });
+
+  test('limits the orders per minute', () => {
+    const limits = { ...NO_LIMITS, maxOrdersPerMinute: 5 };
+
+    expect(checkOrderRisk(buy, { ...flat, ordersLastMinute: 4 }, limits)).toEqual([]);
+    expect(codes(checkOrderRisk(buy, { ...flat, ordersLastMinute: 5 }, limits))).toEqual(['max_orders_per_minute']);
+  });
+
+  test('reports every failed check', () => {
+    const limits = { ...NO_LIMITS, deniedSymbols: ['AAPL'], maxOrderNotional: 100, maxOrdersPerMinute: 1 };
+
+    expect(codes(checkOrderRisk(buy, { ...flat, ordersLastMinute: 1 }, limits, true)))
+      .toEqual(['kill_switch', 'symbol_denied', 'max_order_notional', 'max_orders_per_minute']);
+  });
+});
+
+describe('normalizeRiskLimits', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    Object.keys(process.env)
+      .filter(name => name.startsWith('RISK_') && !(name in saved))
+      .forEach(name => delete process.env[name]);
+  });
+
+  test('fills in the environment defaults', () => {
+    process.env.RISK_MAX_ORDER_NOTIONAL = '50000';
+    process.env.RISK_DENIED_SYMBOLS = 'gme, amc';
+
+    expect(getDefaultRiskLimits()).toMatchObject({ maxOrderNotional: 50000, deniedSymbols: ['GME', 'AMC'] });
+    expect(normalizeRiskLimits({ maxPositionPercent: 25, allowedSymbols: ['aapl'] })).toEqual({
+      ...NO_LIMITS,
+      maxPositionPercent: 25,
+      maxOrderNotional: 50000,
+      allowedSymbols: ['AAPL'],
+      deniedSymbols: ['GME', 'AMC']
+    });
+  });
+
+  test('lets an account lift a default limit with null', () => {
+    process.env.RISK_MAX_ORDER_NOTIONAL = '50000';
+
+    expect(normalizeRiskLimits({ maxOrderNotional: null }).maxOrderNotional).toBeNull();
+  });
+
+  test('rejects invalid limits with a 400 error', () => {
+    expect(() => normalizeRiskLimits({ maxOrdersPerMinute: 1.5 })).toThrow('Invalid risk limits: maxOrdersPerMinute must be of type integer or null');
+    expect(() => normalizeRiskLimits({ maxPositionPercent: 0 })).toThrow(expect.objectContaining({
+      status: 400,
+      message: 'Invalid risk limits: maxPositionPercent must be greater than 0'
+    }));
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Minimal JSON Schema validator
+ *
+ * Supports the subset of JSON Schema used by the tool registry: type, enum,
+ * const, required, properties, additionalProperties, items, minItems,
+ * maxItems, minimum, maximum, exclusiveMinimum, exclusiveMaximum, minLength,
+ * maxLength, pattern, default, allOf and if/then/else. Unlike a fail-fast
+ * validator it collects every offending field so callers can report them all.
+ */
+
+/**
+ * Get the JSON Schema type name of a value
+ * @param {*} value - Value to inspect
+ * @returns {string} JSON Schema type name
+ */
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+/**
+ * Check whether a value matches a JSON Schema type
+ * @param {*} value - Value to check
+ * @param {string|Array} type - JSON Schema type or list of types
+ * @returns {boolean} True if the value matches
+ */
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return [].concat(type).some(t => actual === t || (t === 'number' && actual === 'integer'));
+};
+
+/**
+ * Coerce loosely typed input (query strings, form posts) to the schema type
+ * @param {*} value - Value to coerce
+ * @param {string} type - Expected JSON Schema type
+ * @returns {*} Coerced value, or the original value if it cannot be coerced
+ */
+const coerce = (value, type) => {
+  if (typeof value === 'string' && (type === 'number' || type === 'integer')) {
+    const trimmed = value.trim();
+    if (trimmed !== '' && !isNaN(trimmed)) {
+      return Number(trimmed);
+    }
+  }
+  if (typeof value === 'string' && type === 'boolean') {
+    if (value === 'true') return true;
+    if (value === 'false') return false;
+  }
+  if (type === 'array' && value !== undefined && !Array.isArray(value)) {
+    return typeof value === 'string' ? value.split(',').map(item => item.trim()) : [value];
+  }
+  return value;
+};
+
+/**
+ * Validate a value against a schema, collecting errors
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {string} path - Path of the value, used in error messages
+ * @param {Object} options - Validation options
+ * @param {Array} errors - Array collecting validation errors
+ * @returns {*} The value with defaults applied and types coerced
+ */
+const validateNode = (schema, value, path, options, errors) => {
+  const addError = (message, details = {}) => {
+    errors.push({ field: path || '(root)', message, ...details });
+  };
+
+  if (typeof schema.type === 'string' && options.coerceTypes) {
+    value = coerce(value, schema.type);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    addError(`must be of type ${[].concat(schema.type).join(' or ')}`, { expected: schema.type, received: typeOf(value) });
+    return value;
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    addError(`must be equal to ${JSON.stringify(schema.const)}`);
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    addError(`must be one of: ${schema.enum.join(', ')}`, { allowedValues: schema.enum });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      addError(`must be greater than or equal to ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      addError(`must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      addError(`must be less than or equal to ${schema.maximum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      addError(`must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      addError(`must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      addError(`must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      addError(`must match pattern ${schema.pattern}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      addError(`must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      addError(`must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value = value.map((item, index) => validateNode(schema.items, item, `${path}[${index}]`, options, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    value = { ...value };
+    const properties = schema.properties || {};
+
+    const missing = (schema.required || []).filter(name => (
+      value[name] === undefined || value[name] === null || value[name] === ''
+    ));
+    missing.forEach(name => {
+      errors.push({ field: path ? `${path}.${name}` : name, message: 'is required' });
+    });
+
+    Object.entries(properties).forEach(([name, propertySchema]) => {
+      const propertyPath = path ? `${path}.${name}` : name;
+      if (missing.includes(name)) {
+        return;
+      }
+      if (value[name] === undefined) {
+        if (propertySchema.default !== undefined && options.useDefaults) {
+          value[name] = propertySchema.default;
+        }
+        return;
+      }
+      if (value[name] === null && !(schema.required || []).includes(name) && propertySchema.type !== 'null') {
+        delete value[name];
+        return;
+      }
+      value[name] = validateNode(propertySchema, value[name], propertyPath, options, errors);
+    });
+
+    if (schema.additionalProperties === false) {
+      Object.keys(value)
+        .filter(name => !properties[name])
+        .forEach(name => errors.push({
+          field: path ? `${path}.${name}` : name,
+          message: 'is not an allowed property'
+        }));
+    }
+  }
+
+  (schema.allOf || []).forEach(subSchema => {
+    value = validateNode(subSchema, value, path, options, errors);
+  });
+
+  if (schema.if) {
+    const conditionErrors = [];
+    validateNode(schema.if, value, path, { ...options, useDefaults: false }, conditionErrors);
+    const branch = conditionErrors.length === 0 ? schema.then : schema.else;
+    if (branch) {
+      value = validateNode(branch, value, path, options, errors);
+    }
+  }
+
+  return value;
+};
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @param {Object} options - Validation options
+ * @param {boolean} options.coerceTypes - Convert numeric and boolean strings to the expected type (default: false)
+ * @param {boolean} options.useDefaults - Fill in missing properties from schema defaults (default: true)
+ * @returns {Object} Result with valid flag, errors list and the normalized value
+ */
+const validate = (schema, value, options = {}) => {
+  const errors = [];
+  const normalized = validateNode(schema, value, '', {
+    coerceTypes: false,
+    useDefaults: true,
+    ...options
+  }, errors);
+
+  return {
+    valid: errors.length === 0,
+    errors,
+    value: normalized
+  };
+};
+
+module.exports = {
+  validate
+};
@@ -0,0 +1,135 @@
+const { validate } = require('./schemaValidator');
+
+const schema = {
+  type: 'object',
+  properties: {
+    symbol: { type: 'string', minLength: 1, maxLength: 5, pattern: '^[A-Z]+$' },
+    quantity: { type: 'integer', exclusiveMinimum: 0 },
+    price: { type: 'number', minimum: 0, maximum: 1000 },
+    live: { type: 'boolean', default: false },
+    tags: { type: 'array', items: { type: 'string' }, maxItems: 2 },
+    side: { type: 'string', enum: ['buy', 'sell'], default: 'buy' }
+  },
+  required: ['symbol'],
+  additionalProperties: false
+};
+
+describe('validate', () => {
+  test('accepts a valid value and applies defaults', () => {
+    const result = validate(schema, { symbol: 'AAPL', quantity: 5 });
+
+    expect(result).toEqual({ valid: true, errors: [], value: { symbol: 'AAPL', quantity: 5, live: false, side: 'buy' } });
+  });
+
+  test('leaves out defaults when asked to', () => {
+    expect(validate(schema, { symbol: 'AAPL' }, { useDefaults: false }).value).toEqual({ symbol: 'AAPL' });
+  });
+
+  test('does not modify the input', () => {
+    const input = { symbol: 'AAPL' };
+    validate(schema, input);
+
+    expect(input).toEqual({ symbol: 'AAPL' });
+  });
+
+  describe('with coerceTypes', () => {
+    test('converts numeric and boolean strings', () => {
+      const result = validate(schema, { symbol: 'AAPL', quantity: ' 12 ', price: '99.5', live: 'true' }, { coerceTypes: true });
+
+      expect(result.valid).toBe(true);
+      expect(result.value).toMatchObject({ quantity: 12, price: 99.5, live: true });
+    });
+
+    test('splits comma-separated strings into arrays', () => {
+      expect(validate(schema, { symbol: 'AAPL', tags: 'a, b' }, { coerceTypes: true }).value.tags).toEqual(['a', 'b']);
+    });
+
+    test('keeps values that cannot be converted', () => {
+      const result = validate(schema, { symbol: 'AAPL', quantity: 'ten', live: 'yes', price: '' }, { coerceTypes: true });
+
+      expect(result.errors.map(error => [error.field, error.received])).toEqual([
+        ['quantity', 'string'],
+        ['price', 'string'],
+        ['live', 'string']
+      ]);
+    });
+
+    test('is off by default', () => {
+      expect(validate(schema, { symbol: 'AAPL', quantity: '12' }).errors).toEqual([
+        { field: 'quantity', message: 'must be of type integer', expected: 'integer', received: 'string' }
+      ]);
+    });
+  });
+
+  test('collects every error with its field', () => {
+    const result = validate(schema, {
+      symbol: 'aapl123',
+      quantity: 1.5,
+      price: 1001,
+      tags: ['a', 2, 'c'],
+      side: 'hold',
+      note: 'x'
+    });
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      { field: 'symbol', message: 'must be at most 5 characters long' },
+      { field: 'symbol', message: 'must match pattern ^[A-Z]+$' },
+      { field: 'quantity', message: 'must be of type integer', expected: 'integer', received: 'number' },
+      { field: 'price', message: 'must be less than or equal to 1000' },
+      { field: 'tags', message: 'must contain at most 2 items' },
+      { field: 'tags[1]', message: 'must be of type string', expected: 'string', received: 'integer' },
+      { field: 'side', message: 'must be one of: buy, sell', allowedValues: ['buy', 'sell'] },
+      { field: 'note', message: 'is not an allowed property' }
+    ]);
+  });
+
+  test('reports missing and empty required properties', () => {
+    expect(validate(schema, {}).errors).toEqual([{ field: 'symbol', message: 'is required' }]);
+    expect(validate(schema, { symbol: '' }).errors).toEqual([{ field: 'symbol', message: 'is required' }]);
+    expect(validate(schema, 'AAPL').errors).toEqual([
+      { field: '(root)', message: 'must be of type object', expected: 'object', received: 'string' }
+    ]);
+  });
+
+  test('drops optional properties that are null', () => {
+    expect(validate(schema, { symbol: 'AAPL', price: null }, { useDefaults: false })).toEqual({
+      valid: true,
+      errors: [],
+      value: { symbol: 'AAPL' }
+    });
+    expect(validate(schema, { symbol: null }).errors).toEqual([{ field: 'symbol', message: 'is required' }]);
+  });
+
+  test('checks nested objects', () => {
+    const nested = {
+      type: 'object',
+      properties: {
+        stopLoss: { type: 'object', properties: { stopPrice: { type: 'number', exclusiveMinimum: 0 } }, required: ['stopPrice'] }
+      }
+    };
+
+    expect(validate(nested, { stopLoss: {} }).errors).toEqual([{ field: 'stopLoss.stopPrice', message: 'is required' }]);
+    expect(validate(nested, { stopLoss: { stopPrice: 0 } }).errors)
+      .toEqual([{ field: 'stopLoss.stopPrice', message: 'must be greater than 0' }]);
+  });
+
+  test('applies if/then/else and allOf', () => {
+    const conditional = {
+      type: 'object',
+      properties: { type: { type: 'string' }, price: { type: 'number' } },
+      allOf: [
+        {
+          if: { properties: { type: { const: 'limit' } } },
+          then: { required: ['price'] },
+          else: { properties: { price: { maximum: 0 } } }
+        }
+      ]
+    };
+
+    expect(validate(conditional, { type: 'limit' }).errors).toEqual([{ field: 'price', message: 'is required' }]);
+    expect(validate(conditional, { type: 'limit', price: 10 }).valid).toBe(true);
+    expect(validate(conditional, { type: 'market', price: 10 }).errors)
+      .toEqual([{ field: 'price', message: 'must be less than or equal to 0' }]);
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Screener filters
+ *
+ * A filter compares two operands, written as a string such as
+ * `price > sma(200)`, `rsi < 30`, `volume > 2x sma(20,volume)` or
+ * `sector = Technology`. Operands are:
+ *
+ * - numbers, optionally as a multiplier of another operand (`2x`, `1.5*`)
+ * - bar and quote fields: price (the current quote), open, high, low, close,
+ *   volume (of the latest bar) and change (percent since the previous close)
+ * - fundamentals: marketCap, peRatio, eps, dividendYield, beta and
+ *   sharesOutstanding
+ * - text fields, compared with = and != (case-insensitive): sector, name and
+ *   symbol
+ * - indicator specs (see utils/indicators), with `.field` for multi-output
+ *   indicators such as `macd(12,26,9).histogram`; `SMA200` is short for
+ *   `sma(200)`
+ *
+ * Operators are >, >=, <, <=, = and !=.
+ */
+
+const { parseIndicatorSpec, getLookback, computeIndicator } = require('./indicators');
+const { httpError } = require('./httpError');
+
+const OPERATORS = ['>=', '<=', '!=', '==', '=', '>', '<'];
+const BAR_FIELDS = ['price', 'open', 'high', 'low', 'close', 'volume', 'change'];
+const FUNDAMENTAL_FIELDS = ['marketCap', 'peRatio', 'eps', 'dividendYield', 'beta', 'sharesOutstanding'];
+const TEXT_FIELDS = ['sector', 'name', 'symbol'];
+
+/**
+ * Find a field name case-insensitively
+ * @param {Array} fields - Field names
+ * @param {string} text - Operand text
+ * @returns {string|undefined} Field name
+ */
+const findField = (fields, text) => fields.find(field => field.toLowerCase() === text.toLowerCase());
+
+/**
+ * Parse an indicator operand such as rsi, SMA200 or macd(12,26,9).histogram
+ * @param {string} text - Operand text
+ * @returns {Object} Indicator operand
+ */
+const parseIndicatorOperand = (text) => {
+  const match = /^([a-z]+)(\d+)?(\([^)]*\))?(?:\.([a-z]+))?$/i.exec(text);
+  if (!match || (match[2] && match[3])) {
+    throw httpError(`Unknown operand "${text}"`, 400);
+  }
+  const [, name, period, args, field] = match;
+
+  let spec;
+  try {
+    spec = parseIndicatorSpec(`${name}${period ? `(${period})` : (args || '')}`);
+  } catch (error) {
+    throw httpError(`Unknown operand "${text}": ${error.message}`, 400);
+  }
+  // Find out which outputs the indicator has from a computation on one bar
+  const fields = Object.keys(computeIndicator([{ timestamp: new Date(0).toISOString(), open: 1, high: 1, low: 1, close: 1, volume: 1 }], spec).series);
+  if (field && !fields.includes(field)) {
+    throw httpError(`Indicator ${spec.key} has no output "${field}" (outputs: ${fields.join(', ')})`, 400);
+  }
+  if (!field && !fields.includes('value')) {
+    throw httpError(`Indicator ${spec.key} has several outputs, use one of: ${fields.map(output => `${spec.key}.${output}`).join(', ')}`, 400);
+  }
+  return { kind: 'indicator', spec, field: field || 'value', label: field ? `${spec.key}.${field}` : spec.key };
+};
+
+/**
+ * Parse a numeric operand
+ * @param {string} text - Operand text
+ * @returns {Object} Operand with kind, label and the details of its kind
+ */
+const parseOperand = (text) => {
+  const trimmed = String(text).trim();
+  if (!trimmed) {
+    throw httpError('Missing operand', 400);
+  }
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return { kind: 'number', value: Number(trimmed), label: trimmed };
+  }
+
+  const scaled = /^(\d+(?:\.\d+)?)\s*(?:x|\*)\s*(.+)$/i.exec(trimmed);
+  if (scaled) {
+    const operand = parseOperand(scaled[2]);
+    if (operand.kind === 'text') {
+      throw httpError(`Cannot multiply ${operand.label}`, 400);
+    }
+    return { ...operand, multiplier: Number(scaled[1]) * (operand.multiplier || 1), label: `${scaled[1]}x ${operand.label}` };
+  }
+
+  const barField = findField(BAR_FIELDS, trimmed);
+  if (barField) {
+    return { kind: 'bar', name: barField, label: barField };
+  }
+  const fundamental = findField(FUNDAMENTAL_FIELDS, trimmed);
+  if (fundamental) {
+    return { kind: 'fundamental', name: fundamental, label: fundamental };
+  }
+  const textField = findField(TEXT_FIELDS, trimmed);
+  if (textField) {
+    return { kind: 'text', name: textField, label: textField };
+  }
+  return parseIndicatorOperand(trimmed);
+};
+
+/**
+ * Parse a filter
+ * @param {string} filter - Filter such as "rsi(14) < 30"
+ * @returns {Object} Filter with left and right operands, operator and a normalized label
+ */
+const parseFilter = (filter) => {
+  if (typeof filter !== 'string') {
+    throw httpError('Filters must be strings such as "rsi < 30"', 400);
+  }
+  const match = /^(.+?)\s*(>=|<=|!=|==|=|>|<)\s*(.+)$/.exec(filter.trim());
+  if (!match) {
+    throw httpError(`Invalid filter "${filter}". Use an operand, an operator (${OPERATORS.join(', ')}) and an operand`, 400);
+  }
+  const op = match[2] === '==' ? '=' : match[2];
+  const left = parseOperand(match[1]);
+
+  let right;
+  if (left.kind === 'text') {
+    if (!['=', '!='].includes(op)) {
+      throw httpError(`${left.name} can only be compared with = and !=`, 400);
+    }
+    const value = match[3].trim().replace(/^(['"])(.*)\1$/, '$2');
+    right = { kind: 'string', value, label: value };
+  } else {
+    right = parseOperand(match[3]);
+    if (right.kind === 'text') {
+      throw httpError(`${right.name} can only be compared with = and != as the left operand`, 400);
+    }
+  }
+
+  return { left, op, right, label: `${left.label} ${op} ${right.label}` };
+};
+
+/**
+ * Bars an operand needs before its latest value is defined
+ * @param {Object} operand - Parsed operand
+ * @returns {number} Lookback in bars
+ */
+const getOperandLookback = (operand) => (operand.kind === 'indicator' ? getLookback(operand.spec) : 1);
+
+/**
+ * Check whether operands need fundamentals
+ * @param {Array} operands - Parsed operands
+ * @returns {boolean} True if an operand is a fundamental or the sector or name
+ */
+const needsFundamentals = (operands) => operands.some(operand => operand.kind === 'fundamental'
+  || (operand.kind === 'text' && operand.name !== 'symbol'));
+
+/**
+ * Value of an operand for a symbol
+ * @param {Object} operand - Parsed operand
+ * @param {Object} context - Symbol, bars (oldest first), quote, fundamentals and a cache of indicator series
+ * @returns {number|string|null} Value, null when unavailable
+ */
+const getOperandValue = (operand, context) => {
+  const { bars, quote, fundamentals, indicators } = context;
+  const last = bars[bars.length - 1];
+  let value;
+
+  switch (operand.kind) {
+    case 'number':
+    case 'string':
+      value = operand.value;
+      break;
+    case 'bar':
+      if (operand.name === 'price') {
+        value = quote ? quote.price : (last && last.close);
+      } else if (operand.name === 'change') {
+        const previous = bars[bars.length - 2];
+        const price = quote ? quote.price : (last && last.close);
+        value = previous && previous.close ? ((price - previous.close) / previous.close) * 100 : null;
+      } else {
+        value = last ? last[operand.name] : null;
+      }
+      break;
+    case 'fundamental':
+      value = fundamentals ? fundamentals[operand.name] : null;
+      break;
+    case 'text':
+      value = operand.name === 'symbol' ? context.symbol : (fundamentals && fundamentals[operand.name]);
+      break;
+    default: {
+      if (!indicators[operand.spec.key]) {
+        indicators[operand.spec.key] = computeIndicator(bars, operand.spec, { timeframe: context.timeframe }).series;
+      }
+      const values = indicators[operand.spec.key][operand.field];
+      value = values[values.length - 1];
+    }
+  }
+
+  if (operand.kind === 'text' || operand.kind === 'string') {
+    return typeof value === 'string' ? value : null;
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value * (operand.multiplier || 1) : null;
+};
+
+/**
+ * Evaluate a filter for a symbol
+ * @param {Object} filter - Parsed filter
+ * @param {Object} context - See getOperandValue
+ * @returns {Object} passed flag, the operand values and, for numeric comparisons, the margin:
+ * how far past the threshold the left value is, as a fraction of the threshold
+ */
+const evaluateFilter = (filter, context) => {
+  const left = getOperandValue(filter.left, context);
+  const right = getOperandValue(filter.right, context);
+  if (left === null || right === null) {
+    return { passed: false, left, right, margin: null };
+  }
+
+  if (filter.left.kind === 'text') {
+    const equal = left.toLowerCase() === right.toLowerCase();
+    return { passed: filter.op === '=' ? equal : !equal, left, right, margin: null };
+  }
+
+  const scale = Math.abs(right) || 1;
+  switch (filter.op) {
+    case '>': return { passed: left > right, left, right, margin: (left - right) / scale };
+    case '>=': return { passed: left >= right, left, right, margin: (left - right) / scale };
+    case '<': return { passed: left < right, left, right, margin: (right - left) / scale };
+    case '<=': return { passed: left <= right, left, right, margin: (right - left) / scale };
+    case '=': return { passed: left === right, left, right, margin: null };
+    default: return { passed: left !== right, left, right, margin: null };
+  }
+};
+
+module.exports = {
+  BAR_FIELDS,
+  FUNDAMENTAL_FIELDS,
+  TEXT_FIELDS,
+  parseOperand,
+  parseFilter,
+  getOperandLookback,
+  needsFundamentals,
+  getOperandValue,
+  evaluateFilter
+};
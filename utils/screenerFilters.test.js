@@ -0,0 +1,156 @@
+const { parseOperand, parseFilter, getOperandLookback, needsFundamentals, getOperandValue, evaluateFilter } = require('./screenerFilters');
+
+/**
+ * Daily bars with the given closes, oldest first
+ * @param {Array} closes - Closes
+ * @returns {Array} Bars
+ */
+const makeBars = (closes) => closes.map((close, i) => ({
+  timestamp: new Date(Date.UTC(2024, 0, 1 + i)).toISOString(),
+  open: close,
+  high: close + 1,
+  low: close - 1,
+  close,
+  volume: 1000 * (i + 1)
+}));
+
+/**
+ * Screening context of a symbol
+ * @param {Object} overrides - Fields to replace
+ * @returns {Object} Context
+ */
+const makeContext = (overrides = {}) => ({
+  symbol: 'AAPL',
+  timeframe: '1d',
+  bars: makeBars([10, 11, 12, 13, 14]),
+  quote: { price: 15 },
+  fundamentals: { marketCap: 3e12, sector: 'Technology', name: 'Apple Inc.' },
+  indicators: {},
+  ...overrides
+});
+
+describe('parseOperand', () => {
+  test('reads numbers and multiples of other operands', () => {
+    expect(parseOperand(' -1.5 ')).toEqual({ kind: 'number', value: -1.5, label: '-1.5' });
+    expect(parseOperand('2x sma(20,volume)')).toMatchObject({
+      kind: 'indicator',
+      spec: { key: 'sma(20,volume)' },
+      multiplier: 2,
+      label: '2x sma(20,volume)'
+    });
+    expect(parseOperand('1.5*2x volume')).toMatchObject({ kind: 'bar', name: 'volume', multiplier: 3 });
+  });
+
+  test('finds fields case-insensitively', () => {
+    expect(parseOperand('PRICE')).toEqual({ kind: 'bar', name: 'price', label: 'price' });
+    expect(parseOperand('peratio')).toEqual({ kind: 'fundamental', name: 'peRatio', label: 'peRatio' });
+    expect(parseOperand('Sector')).toEqual({ kind: 'text', name: 'sector', label: 'sector' });
+  });
+
+  test('reads indicator specs, SMA200 shorthand and outputs', () => {
+    expect(parseOperand('SMA200')).toMatchObject({ kind: 'indicator', spec: { key: 'sma(200)' }, field: 'value', label: 'sma(200)' });
+    expect(parseOperand('rsi')).toMatchObject({ kind: 'indicator', label: 'rsi' });
+    expect(parseOperand('macd(12,26,9).histogram')).toMatchObject({ kind: 'indicator', field: 'histogram', label: 'macd.histogram' });
+  });
+
+  test.each([
+    ['', 'Missing operand'],
+    ['bogus', 'Unknown operand "bogus"'],
+    ['sma20(5)', 'Unknown operand "sma20(5)"'],
+    ['macd(12,26,9)', 'Indicator macd has several outputs, use one of: macd.macd, macd.signal, macd.histogram'],
+    ['macd(12,26,9).nope', 'Indicator macd has no output "nope"'],
+    ['2x sector', 'Cannot multiply sector']
+  ])('rejects %p with a 400 error', (text, error) => {
+    expect(() => parseOperand(text)).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining(error) }));
+  });
+});
+
+describe('parseFilter', () => {
+  test('parses both operands and normalizes the label', () => {
+    expect(parseFilter('price>SMA200')).toMatchObject({
+      left: { kind: 'bar', name: 'price' },
+      op: '>',
+      right: { kind: 'indicator', spec: { key: 'sma(200)' } },
+      label: 'price > sma(200)'
+    });
+  });
+
+  test('compares text fields with a string, == being =', () => {
+    expect(parseFilter('sector == "Technology"')).toEqual({
+      left: { kind: 'text', name: 'sector', label: 'sector' },
+      op: '=',
+      right: { kind: 'string', value: 'Technology', label: 'Technology' },
+      label: 'sector = Technology'
+    });
+  });
+
+  test.each([
+    [42, 'Filters must be strings'],
+    ['price', 'Invalid filter "price"'],
+    ['sector > Technology', 'sector can only be compared with = and !='],
+    ['10 = symbol', 'symbol can only be compared with = and != as the left operand']
+  ])('rejects %p with a 400 error', (filter, error) => {
+    expect(() => parseFilter(filter)).toThrow(expect.objectContaining({ status: 400, message: expect.stringContaining(error) }));
+  });
+});
+
+describe('getOperandLookback and needsFundamentals', () => {
+  test('size the data a screen has to load', () => {
+    expect(getOperandLookback(parseOperand('sma(200)'))).toBe(200);
+    expect(getOperandLookback(parseOperand('price'))).toBe(1);
+
+    expect(needsFundamentals([parseOperand('price'), parseOperand('symbol')])).toBe(false);
+    expect(needsFundamentals([parseOperand('price'), parseOperand('beta')])).toBe(true);
+    expect(needsFundamentals([parseOperand('name')])).toBe(true);
+  });
+});
+
+describe('getOperandValue', () => {
+  test('reads the quote, the latest bar and the change since the previous close', () => {
+    const context = makeContext();
+
+    expect(getOperandValue(parseOperand('price'), context)).toBe(15);
+    expect(getOperandValue(parseOperand('high'), context)).toBe(15);
+    expect(getOperandValue(parseOperand('volume'), context)).toBe(5000);
+    expect(getOperandValue(parseOperand('change'), context)).toBeCloseTo(15.38, 2);
+    expect(getOperandValue(parseOperand('price'), makeContext({ quote: null }))).toBe(14);
+  });
+
+  test('reads fundamentals and text fields, null when unavailable', () => {
+    const context = makeContext();
+
+    expect(getOperandValue(parseOperand('0.5x marketCap'), context)).toBe(1.5e12);
+    expect(getOperandValue(parseOperand('beta'), context)).toBeNull();
+    expect(getOperandValue(parseOperand('sector'), context)).toBe('Technology');
+    expect(getOperandValue(parseOperand('symbol'), makeContext({ fundamentals: null }))).toBe('AAPL');
+  });
+
+  test('computes indicators once per context, null during warm-up', () => {
+    const context = makeContext();
+
+    expect(getOperandValue(parseOperand('sma(3)'), context)).toBe(13);
+    expect(Object.keys(context.indicators)).toEqual(['sma(3)']);
+    expect(getOperandValue(parseOperand('sma(10)'), context)).toBeNull();
+  });
+});
+
+describe('evaluateFilter', () => {
+  test('reports the margin past the threshold', () => {
+    const context = makeContext();
+
+    expect(evaluateFilter(parseFilter('price > 10'), context)).toEqual({ passed: true, left: 15, right: 10, margin: 0.5 });
+    expect(evaluateFilter(parseFilter('price <= sma(3)'), context)).toEqual({ passed: false, left: 15, right: 13, margin: -2 / 13 });
+    expect(evaluateFilter(parseFilter('price != 15'), context)).toEqual({ passed: false, left: 15, right: 15, margin: null });
+  });
+
+  test('compares text case-insensitively', () => {
+    const context = makeContext();
+
+    expect(evaluateFilter(parseFilter('sector = technology'), context).passed).toBe(true);
+    expect(evaluateFilter(parseFilter('name != "Apple Inc."'), context).passed).toBe(false);
+  });
+
+  test('fails filters with an unavailable operand', () => {
+    expect(evaluateFilter(parseFilter('beta < 2'), makeContext())).toEqual({ passed: false, left: null, right: 2, margin: null });
+  });
+});
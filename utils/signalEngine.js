@@ -0,0 +1,338 @@
+/**
+ * Rule-based signal engine
+ *
+ * Strategies are declarative rule sets loaded from JSON files in the
+ * strategies directory (STRATEGIES_DIR, default ./strategies). A strategy names
+ * the indicators it uses, a list of weighted rules whose conditions compare
+ * indicator outputs, bar fields and constants, and the score thresholds for a
+ * buy or sell. Indicator series are computed once per set of bars, so a
+ * strategy can be evaluated at the latest bar or replayed bar by bar.
+ *
+ * Example strategy:
+ *
+ * {
+ *   "name": "trend",
+ *   "indicators": { "fast": "ema(10)", "slow": "ema(30)", "rsi": "rsi(14)" },
+ *   "rules": [
+ *     { "name": "golden_cross", "weight": 0.3, "when": { "left": "fast", "op": "crossesAbove", "right": "slow" } },
+ *     { "name": "overbought", "weight": -0.2, "when": { "left": "rsi", "op": ">", "right": 70 } }
+ *   ],
+ *   "thresholds": { "buy": 0.2, "sell": -0.2 }
+ * }
+ *
+ * Operands are numbers, bar fields (open, high, low, close, volume), indicator
+ * aliases (the `value` output) or `alias.field` for multi-output indicators
+ * such as `macd.signal`. Conditions combine with `all`, `any` and `not`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseIndicatorSpec, getLookback, computeIndicator } = require('./indicators');
+const { httpError } = require('./httpError');
+const logger = require('./logger');
+
+const OPERATORS = {
+  '>': (left, right) => left > right,
+  '<': (left, right) => left < right,
+  '>=': (left, right) => left >= right,
+  '<=': (left, right) => left <= right,
+  '==': (left, right) => left === right,
+  crossesAbove: (left, right, previousLeft, previousRight) => previousLeft <= previousRight && left > right,
+  crossesBelow: (left, right, previousLeft, previousRight) => previousLeft >= previousRight && left < right
+};
+
+const BAR_FIELDS = ['open', 'high', 'low', 'close', 'volume'];
+
+const DEFAULT_THRESHOLDS = { buy: 0.1, sell: -0.1 };
+const DEFAULT_CONFIDENCE = { base: 0.5, min: 0.05, max: 0.95 };
+
+/**
+ * Check that an operand refers to a number, a bar field or a declared indicator output
+ * @param {*} operand - Operand
+ * @param {Object} indicators - Parsed indicators keyed by alias
+ * @param {string} ruleName - Rule the operand belongs to, for error messages
+ */
+const validateOperand = (operand, indicators, ruleName) => {
+  if (typeof operand === 'number' || BAR_FIELDS.includes(operand)) {
+    return;
+  }
+  if (typeof operand !== 'string') {
+    throw httpError(`Rule ${ruleName}: operands must be numbers, bar fields or indicator references`, 400);
+  }
+
+  const [alias, field] = operand.split('.');
+  if (!indicators[alias]) {
+    throw httpError(`Rule ${ruleName}: unknown operand "${operand}"`, 400);
+  }
+  if (field && !indicators[alias].fields.includes(field)) {
+    throw httpError(`Rule ${ruleName}: indicator ${alias} has no output "${field}" (outputs: ${indicators[alias].fields.join(', ')})`, 400);
+  }
+  if (!field && !indicators[alias].fields.includes('value')) {
+    throw httpError(`Rule ${ruleName}: indicator ${alias} has several outputs, use one of: ${indicators[alias].fields.map(name => `${alias}.${name}`).join(', ')}`, 400);
+  }
+};
+
+/**
+ * Check a rule condition recursively
+ * @param {Object} condition - Condition
+ * @param {Object} indicators - Parsed indicators keyed by alias
+ * @param {string} ruleName - Rule the condition belongs to, for error messages
+ */
+const validateCondition = (condition, indicators, ruleName) => {
+  if (!condition || typeof condition !== 'object') {
+    throw httpError(`Rule ${ruleName}: condition must be an object`, 400);
+  }
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    (condition.all || condition.any).forEach(child => validateCondition(child, indicators, ruleName));
+    return;
+  }
+  if (condition.not) {
+    validateCondition(condition.not, indicators, ruleName);
+    return;
+  }
+  if (!OPERATORS[condition.op]) {
+    throw httpError(`Rule ${ruleName}: unknown operator "${condition.op}". Supported operators: ${Object.keys(OPERATORS).join(', ')}`, 400);
+  }
+  validateOperand(condition.left, indicators, ruleName);
+  validateOperand(condition.right, indicators, ruleName);
+};
+
+/**
+ * Validate a strategy definition and resolve its indicators
+ * @param {Object} definition - Strategy definition (as loaded from JSON)
+ * @returns {Object} Strategy with parsed indicators, thresholds and confidence settings
+ */
+const compileStrategy = (definition) => {
+  if (!definition || typeof definition.name !== 'string' || !definition.name) {
+    throw httpError('A strategy needs a name', 400);
+  }
+  if (!Array.isArray(definition.rules) || definition.rules.length === 0) {
+    throw httpError(`Strategy ${definition.name} needs at least one rule`, 400);
+  }
+
+  const indicators = {};
+  Object.entries(definition.indicators || {}).forEach(([alias, spec]) => {
+    if (BAR_FIELDS.includes(alias) || alias.includes('.')) {
+      throw httpError(`Strategy ${definition.name}: "${alias}" cannot be used as an indicator alias`, 400);
+    }
+    let parsed;
+    try {
+      parsed = parseIndicatorSpec(spec);
+    } catch (error) {
+      throw httpError(`Strategy ${definition.name}: ${error.message}`, 400);
+    }
+    // Find out which outputs the indicator has from a computation on one bar
+    const probe = computeIndicator([{ timestamp: new Date(0).toISOString(), open: 1, high: 1, low: 1, close: 1, volume: 1 }], parsed);
+    indicators[alias] = { ...parsed, spec, fields: Object.keys(probe.series) };
+  });
+
+  const rules = definition.rules.map((rule, index) => {
+    const name = rule.name || `rule_${index + 1}`;
+    if (typeof rule.weight !== 'number' || !Number.isFinite(rule.weight)) {
+      throw httpError(`Rule ${name}: weight must be a number`, 400);
+    }
+    validateCondition(rule.when, indicators, name);
+    return { name, description: rule.description || name, weight: rule.weight, when: rule.when };
+  });
+
+  const thresholds = { ...DEFAULT_THRESHOLDS, ...(definition.thresholds || {}) };
+  if (!(thresholds.buy > thresholds.sell)) {
+    throw httpError(`Strategy ${definition.name}: the buy threshold must be above the sell threshold`, 400);
+  }
+
+  return {
+    name: definition.name,
+    description: definition.description || '',
+    indicators,
+    rules,
+    thresholds,
+    confidence: { ...DEFAULT_CONFIDENCE, ...(definition.confidence || {}) }
+  };
+};
+
+// Compiled strategies by name, loaded from disk on first use
+let strategies = null;
+
+/**
+ * Load all strategies from the strategies directory
+ * @returns {Map} Compiled strategies by name
+ */
+const loadStrategies = () => {
+  const dir = path.resolve(process.env.STRATEGIES_DIR || path.join(__dirname, '..', 'strategies'));
+  const loaded = new Map();
+
+  if (!fs.existsSync(dir)) {
+    logger.warn(`Strategies directory ${dir} does not exist`);
+    return loaded;
+  }
+
+  fs.readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .forEach(file => {
+      try {
+        const strategy = compileStrategy(JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+        loaded.set(strategy.name, strategy);
+      } catch (error) {
+        logger.error(`Skipping strategy file ${file}: ${error.message}`);
+      }
+    });
+
+  logger.info(`Loaded ${loaded.size} strategies from ${dir}`);
+  return loaded;
+};
+
+/**
+ * Get a strategy by name
+ * @param {string} name - Strategy name (default: default)
+ * @returns {Object} Compiled strategy
+ */
+const getStrategy = (name = 'default') => {
+  if (!strategies) {
+    strategies = loadStrategies();
+  }
+  const strategy = strategies.get(name);
+  if (!strategy) {
+    throw httpError(`Unknown strategy "${name}". Available strategies: ${Array.from(strategies.keys()).join(', ')}`, 400);
+  }
+  return strategy;
+};
+
+/**
+ * List the available strategies
+ * @returns {Array} Strategy names, descriptions, indicators, rules and thresholds
+ */
+const listStrategies = () => {
+  if (!strategies) {
+    strategies = loadStrategies();
+  }
+  return Array.from(strategies.values()).map(({ name, description, indicators, rules, thresholds }) => ({
+    name,
+    description,
+    indicators: Object.keys(indicators).reduce((result, alias) => {
+      result[alias] = indicators[alias].spec;
+      return result;
+    }, {}),
+    rules: rules.map(({ name: ruleName, description: ruleDescription, weight, when }) => ({
+      name: ruleName,
+      description: ruleDescription,
+      weight,
+      when
+    })),
+    thresholds
+  }));
+};
+
+/**
+ * Number of bars needed before all indicators of a strategy are defined
+ * @param {Object} strategy - Compiled strategy
+ * @returns {number} Warm-up bars
+ */
+const getWarmup = (strategy) => Math.max(0, ...Object.values(strategy.indicators).map(getLookback));
+
+/**
+ * Compute a strategy's indicators over bars and return an evaluator for any bar index
+ * @param {Object} strategy - Compiled strategy
+ * @param {Array} bars - OHLCV bars, oldest first
+ * @param {Object} context - Computation context passed to the indicators (timeframe)
+ * @returns {Function} evaluateAt(index) returning the signal at that bar
+ */
+const prepareStrategy = (strategy, bars, context = {}) => {
+  const series = Object.entries(strategy.indicators).reduce((result, [alias, spec]) => {
+    result[alias] = computeIndicator(bars, spec, context).series;
+    return result;
+  }, {});
+
+  const resolve = (operand, index) => {
+    if (typeof operand === 'number') {
+      return operand;
+    }
+    if (index < 0) {
+      return null;
+    }
+    if (BAR_FIELDS.includes(operand)) {
+      return bars[index][operand];
+    }
+    const [alias, field = 'value'] = operand.split('.');
+    const value = series[alias][field][index];
+    return value === undefined ? null : value;
+  };
+
+  // Undefined operands (warm-up) make a comparison false
+  const evaluateCondition = (condition, index) => {
+    if (condition.all) {
+      return condition.all.every(child => evaluateCondition(child, index));
+    }
+    if (condition.any) {
+      return condition.any.some(child => evaluateCondition(child, index));
+    }
+    if (condition.not) {
+      return !evaluateCondition(condition.not, index);
+    }
+
+    const operands = [
+      resolve(condition.left, index),
+      resolve(condition.right, index),
+      resolve(condition.left, index - 1),
+      resolve(condition.right, index - 1)
+    ];
+    const needed = condition.op.startsWith('crosses') ? operands : operands.slice(0, 2);
+    if (needed.some(value => value === null)) {
+      return false;
+    }
+    return OPERATORS[condition.op](...operands);
+  };
+
+  return (index) => {
+    const rules = strategy.rules.map(rule => {
+      const triggered = evaluateCondition(rule.when, index);
+      return {
+        name: rule.name,
+        description: rule.description,
+        weight: rule.weight,
+        triggered,
+        contribution: triggered ? rule.weight : 0
+      };
+    });
+
+    // Round away floating point noise so scores land exactly on thresholds
+    const score = Math.round(rules.reduce((sum, rule) => sum + rule.contribution, 0) * 1e6) / 1e6;
+    let action = 'hold';
+    if (score >= strategy.thresholds.buy) {
+      action = 'buy';
+    } else if (score <= strategy.thresholds.sell) {
+      action = 'sell';
+    }
+
+    const { base, min, max } = strategy.confidence;
+    const confidence = Math.min(Math.max(base + Math.abs(score), min), max);
+
+    return {
+      strategy: strategy.name,
+      action,
+      score,
+      confidence,
+      rules,
+      timestamp: bars[index].timestamp
+    };
+  };
+};
+
+/**
+ * Evaluate a strategy on the latest bar
+ * @param {Object} strategy - Compiled strategy
+ * @param {Array} bars - OHLCV bars, oldest first
+ * @param {Object} context - Computation context passed to the indicators (timeframe)
+ * @returns {Object} Signal with action, score, confidence and per-rule contributions
+ */
+const evaluateStrategy = (strategy, bars, context = {}) => prepareStrategy(strategy, bars, context)(bars.length - 1);
+
+module.exports = {
+  OPERATORS: Object.keys(OPERATORS),
+  compileStrategy,
+  getStrategy,
+  listStrategies,
+  getWarmup,
+  prepareStrategy,
+  evaluateStrategy
+};
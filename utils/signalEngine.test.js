@@ -0,0 +1,115 @@
+const { compileStrategy, getStrategy, listStrategies, getWarmup, prepareStrategy, evaluateStrategy } = require('./signalEngine');
+
+/**
+ * Daily bars with the given closes
+ * @param {Array} closes - Close prices
+ * @returns {Array} Bars
+ */
+const barsFromCloses = (closes) => closes.map((close, i) => ({
+  timestamp: new Date(Date.UTC(2024, 0, 1) + i * 24 * 60 * 60 * 1000).toISOString(),
+  open: close,
+  high: close + 1,
+  low: close - 1,
+  close,
+  volume: 1000
+}));
+
+const crossStrategy = {
+  name: 'cross',
+  indicators: { fast: 'sma(2)', slow: 'sma(4)' },
+  rules: [
+    { name: 'golden_cross', weight: 0.3, when: { left: 'fast', op: 'crossesAbove', right: 'slow' } },
+    { name: 'above_100', weight: 0.05, when: { left: 'close', op: '>', right: 100 } },
+    { name: 'death_cross', weight: -0.3, when: { left: 'fast', op: 'crossesBelow', right: 'slow' } }
+  ],
+  thresholds: { buy: 0.3, sell: -0.3 }
+};
+
+describe('compileStrategy', () => {
+  test('resolves the outputs of the indicators and fills in defaults', () => {
+    const strategy = compileStrategy({
+      name: 'macd',
+      indicators: { macd: 'macd(12,26,9)' },
+      rules: [{ weight: 0.1, when: { left: 'macd.macd', op: '>', right: 'macd.signal' } }]
+    });
+
+    expect(strategy.indicators.macd.fields).toEqual(expect.arrayContaining(['macd', 'signal']));
+    expect(strategy.rules[0]).toMatchObject({ name: 'rule_1', description: 'rule_1', weight: 0.1 });
+    expect(strategy.thresholds).toEqual({ buy: 0.1, sell: -0.1 });
+    expect(getWarmup(strategy)).toBeGreaterThan(26);
+  });
+
+  test.each([
+    [{ rules: [] }, 'A strategy needs a name'],
+    [{ name: 's', rules: [] }, 'Strategy s needs at least one rule'],
+    [{ name: 's', indicators: { close: 'sma(2)' }, rules: [{ weight: 1, when: { left: 'close', op: '>', right: 1 } }] }, 'Strategy s: "close" cannot be used as an indicator alias'],
+    [{ name: 's', rules: [{ name: 'r', weight: '1', when: { left: 'close', op: '>', right: 1 } }] }, 'Rule r: weight must be a number'],
+    [{ name: 's', rules: [{ name: 'r', weight: 1, when: { left: 'close', op: '=>', right: 1 } }] }, 'Rule r: unknown operator "=>"'],
+    [{ name: 's', rules: [{ name: 'r', weight: 1, when: { left: 'rsi', op: '>', right: 1 } }] }, 'Rule r: unknown operand "rsi"'],
+    [{ name: 's', indicators: { macd: 'macd(12,26,9)' }, rules: [{ name: 'r', weight: 1, when: { left: 'macd', op: '>', right: 0 } }] }, 'Rule r: indicator macd has several outputs'],
+    [{ name: 's', rules: [{ weight: 1, when: { left: 'close', op: '>', right: 1 } }], thresholds: { buy: -1, sell: 1 } }, 'Strategy s: the buy threshold must be above the sell threshold']
+  ])('rejects invalid strategies (%#)', (definition, message) => {
+    expect(() => compileStrategy(definition)).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringContaining(message)
+    }));
+  });
+});
+
+describe('prepareStrategy', () => {
+  test('scores the rules triggered at each bar', () => {
+    const strategy = compileStrategy(crossStrategy);
+    const bars = barsFromCloses([100, 99, 98, 97, 96, 104, 105, 95, 94]);
+    const evaluateAt = prepareStrategy(strategy, bars);
+
+    expect(evaluateAt(5)).toMatchObject({ action: 'buy', score: 0.35, timestamp: bars[5].timestamp });
+    expect(evaluateAt(5).rules.map(rule => rule.triggered)).toEqual([true, true, false]);
+    expect(evaluateAt(6)).toMatchObject({ action: 'hold', score: 0.05 });
+    expect(evaluateAt(7)).toMatchObject({ action: 'hold', score: 0 });
+    expect(evaluateAt(8)).toMatchObject({ action: 'sell', score: -0.3 });
+  });
+
+  test('treats operands that are still warming up as false', () => {
+    const evaluateAt = prepareStrategy(compileStrategy(crossStrategy), barsFromCloses([101, 102, 103]));
+
+    expect(evaluateAt(2).rules.map(rule => rule.triggered)).toEqual([false, true, false]);
+  });
+
+  test('combines conditions with all, any and not', () => {
+    const strategy = compileStrategy({
+      name: 'combined',
+      rules: [
+        { name: 'all', weight: 1, when: { all: [{ left: 'close', op: '>', right: 1 }, { left: 'close', op: '<', right: 2 }] } },
+        { name: 'any', weight: 1, when: { any: [{ left: 'close', op: '<', right: 1 }, { left: 'close', op: '==', right: 5 }] } },
+        { name: 'not', weight: 1, when: { not: { left: 'close', op: '>=', right: 5 } } }
+      ]
+    });
+
+    expect(evaluateStrategy(strategy, barsFromCloses([5])).rules.map(rule => rule.triggered)).toEqual([false, true, false]);
+    expect(evaluateStrategy(strategy, barsFromCloses([1.5])).rules.map(rule => rule.triggered)).toEqual([true, false, true]);
+  });
+
+  test('bounds the confidence', () => {
+    const strategy = compileStrategy({
+      name: 'strong',
+      rules: [{ weight: 2, when: { left: 'close', op: '>', right: 0 } }],
+      confidence: { max: 0.9 }
+    });
+
+    expect(evaluateStrategy(strategy, barsFromCloses([10]))).toMatchObject({ action: 'buy', score: 2, confidence: 0.9 });
+  });
+});
+
+describe('strategy files', () => {
+  test('loads the bundled strategies', () => {
+    expect(listStrategies().map(strategy => strategy.name)).toEqual(expect.arrayContaining(['default']));
+    expect(getStrategy().indicators.rsi.spec).toBe('rsi(14)');
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => getStrategy('nope')).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringContaining('Unknown strategy "nope"')
+    }));
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * MCP stdio transport
+ *
+ * Reads newline-delimited JSON-RPC messages from stdin and writes responses to
+ * stdout, as expected by MCP clients that launch the server as a subprocess.
+ * Nothing else may be written to stdout while this transport is active. When
+ * stdin closes, requests still being handled are answered before the process
+ * exits.
+ */
+
+const readline = require('readline');
+const logger = require('./logger');
+const { createMcpServer, JSON_RPC_ERRORS } = require('./mcpServer');
+
+/**
+ * Start serving MCP over stdio
+ * @param {Object} options - Transport options
+ * @param {Object} options.input - Readable stream to read messages from (default: process.stdin)
+ * @param {Object} options.output - Writable stream to write messages to (default: process.stdout)
+ * @returns {Object} The MCP server bound to this transport, with a `closed`
+ * promise that resolves once the input closed and every response was written
+ */
+const startStdioTransport = ({ input = process.stdin, output = process.stdout } = {}) => {
+  const send = (message) => {
+    output.write(`${JSON.stringify(message)}\n`);
+  };
+
+  const server = createMcpServer({ send });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+  // Messages still being handled
+  const pending = new Set();
+
+  /**
+   * Handle one line of input
+   * @param {string} line - Line read from the input
+   * @returns {Promise<void>}
+   */
+  const handleLine = async (line) => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      logger.warn(`Received malformed JSON on stdio: ${error.message}`);
+      send({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: JSON_RPC_ERRORS.PARSE_ERROR, message: 'Parse error' }
+      });
+      return;
+    }
+
+    const response = await server.handleMessage(message);
+    if (response) {
+      send(response);
+    }
+  };
+
+  lines.on('line', (line) => {
+    const handling = handleLine(line).catch(error => {
+      logger.error(`Error handling stdio message: ${error.message}`);
+    });
+    pending.add(handling);
+    handling.then(() => pending.delete(handling));
+  });
+
+  const closed = new Promise(resolve => {
+    lines.on('close', async () => {
+      logger.info(`MCP stdio input closed, finishing ${pending.size} pending requests`);
+      while (pending.size > 0) {
+        await Promise.all(pending);
+      }
+      server.close();
+
+      // An empty write calls back once everything written before it is flushed
+      output.write('', () => {
+        resolve();
+        if (input === process.stdin) {
+          process.exit(0);
+        }
+      });
+    });
+  });
+
+  logger.info('MCP server listening on stdio');
+
+  return { ...server, closed };
+};
+
+module.exports = {
+  startStdioTransport
+};
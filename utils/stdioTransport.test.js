@@ -0,0 +1,78 @@
+const { PassThrough } = require('stream');
+
+jest.mock('./mcpServer', () => ({
+  ...jest.requireActual('./mcpServer'),
+  createMcpServer: jest.fn()
+}));
+
+const { createMcpServer } = require('./mcpServer');
+const { startStdioTransport } = require('./stdioTransport');
+
+/**
+ * Collect everything written to a stream as JSON lines
+ * @param {Object} stream - Readable stream
+ * @returns {Array} Messages, filled as they are written
+ */
+const collect = (stream) => {
+  const messages = [];
+  let buffer = '';
+  stream.on('data', chunk => {
+    buffer += chunk;
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => messages.push(JSON.parse(line)));
+  });
+  return messages;
+};
+
+describe('startStdioTransport', () => {
+  let input;
+  let output;
+  let close;
+
+  beforeEach(() => {
+    input = new PassThrough();
+    output = new PassThrough();
+    close = jest.fn();
+    createMcpServer.mockImplementation(() => ({
+      // Answers after a delay, like a tool call that fetches data
+      handleMessage: message => new Promise(resolve => setTimeout(() => resolve({ jsonrpc: '2.0', id: message.id, result: {} }), 20)),
+      close
+    }));
+  });
+
+  test('answers one JSON-RPC message per line', async () => {
+    const messages = collect(output);
+    const transport = startStdioTransport({ input, output });
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n\n{"jsonrpc":"2.0","id":2,"method":"ping"}\n');
+    input.end();
+    await transport.closed;
+
+    expect(messages).toEqual([
+      { jsonrpc: '2.0', id: 1, result: {} },
+      { jsonrpc: '2.0', id: 2, result: {} }
+    ]);
+  });
+
+  test('answers malformed lines with a parse error', async () => {
+    const messages = collect(output);
+    const transport = startStdioTransport({ input, output });
+
+    input.end('{"jsonrpc":\n');
+    await transport.closed;
+
+    expect(messages).toEqual([{ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } }]);
+  });
+
+  test('finishes pending requests before it closes when the input closes', async () => {
+    const messages = collect(output);
+    const transport = startStdioTransport({ input, output });
+
+    input.end('{"jsonrpc":"2.0","id":7,"method":"tools/call"}\n');
+    await transport.closed;
+
+    expect(messages).toEqual([{ jsonrpc: '2.0', id: 7, result: {} }]);
+    expect(close).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,383 @@
+/**
+ * File-backed JSON storage
+ *
+ * Keeps the paper-trading state (accounts, positions with their tax lots,
+ * orders, fills, deposits and withdrawals, margin calls, trade proposals,
+ * alerts, TradingView signals and settings such as the kill switch) in a
+ * single JSON document on disk (STORAGE_FILE, default ./data/trading.json).
+ * Every change runs inside a transaction that works on a copy of the data and
+ * is written atomically (temporary file, fsync, rename), so a crash never
+ * leaves a half-written file and a failed transaction changes nothing. A
+ * transaction that changes nothing is not written.
+ *
+ * The document carries a schema version. Migrations upgrade older documents
+ * on load and on import; add a migration with the next version number to
+ * change the schema.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('./logger');
+
+const TABLES = ['accounts', 'positions', 'orders', 'fills', 'cashFlows', 'marginCalls', 'proposals', 'alerts', 'signals', 'settings'];
+
+/**
+ * Schema migrations, applied in order to documents with a lower version
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create accounts, positions, orders and fills tables',
+    up: (data) => {
+      ['accounts', 'positions', 'orders', 'fills'].forEach(table => {
+        data.tables[table] = data.tables[table] || {};
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add time in force, remaining quantity and expiry to orders',
+    up: (data) => {
+      Object.values(data.tables.orders).forEach(order => {
+        order.timeInForce = order.timeInForce || 'DAY';
+        order.remainingQuantity = order.quantity - (order.filledQuantity || 0);
+        order.expiresAt = order.expiresAt || null;
+      });
+    }
+  },
+  {
+    version: 3,
+    description: 'Add stop prices and bracket/OCO links to orders',
+    up: (data) => {
+      Object.values(data.tables.orders).forEach(order => {
+        ['stopPrice', 'trailAmount', 'trailPercent', 'takeProfit', 'stopLoss', 'ocoGroup', 'parentId', 'triggeredAt']
+          .forEach(field => {
+            order[field] = order[field] === undefined ? null : order[field];
+          });
+        order.orderClass = order.orderClass || 'simple';
+        order.legIds = order.legIds || [];
+      });
+    }
+  },
+  {
+    version: 4,
+    description: 'Add account types, borrow fees and the marginCalls table',
+    up: (data) => {
+      data.tables.marginCalls = data.tables.marginCalls || {};
+      Object.values(data.tables.accounts).forEach(account => {
+        account.type = account.type || 'cash';
+        account.margin = account.margin || null;
+        account.borrowFees = account.borrowFees || 0;
+      });
+      Object.values(data.tables.positions).forEach(position => {
+        position.borrowFees = position.borrowFees || 0;
+        position.borrowAccruedAt = position.borrowAccruedAt || null;
+      });
+    }
+  },
+  {
+    version: 5,
+    description: 'Add execution settings to accounts and trading costs to orders and fills',
+    up: (data) => {
+      Object.values(data.tables.accounts).forEach(account => {
+        account.execution = account.execution || null;
+      });
+      Object.values(data.tables.orders).forEach(order => {
+        order.commission = order.commission || 0;
+      });
+      Object.values(data.tables.fills).forEach(fill => {
+        fill.referencePrice = fill.referencePrice || fill.price;
+        fill.commission = fill.commission || 0;
+        fill.slippage = fill.slippage || 0;
+      });
+    }
+  },
+  {
+    version: 6,
+    description: 'Add risk limits and trading days to accounts and the settings table',
+    up: (data) => {
+      data.tables.settings = data.tables.settings || {};
+      Object.values(data.tables.accounts).forEach(account => {
+        account.risk = account.risk || null;
+        account.tradingDay = account.tradingDay || null;
+      });
+    }
+  },
+  {
+    version: 7,
+    description: 'Add the approval setting to accounts and the proposals table',
+    up: (data) => {
+      data.tables.proposals = data.tables.proposals || {};
+      Object.values(data.tables.accounts).forEach(account => {
+        account.requireApproval = account.requireApproval || false;
+      });
+    }
+  },
+  {
+    version: 8,
+    description: 'Add tax lots to positions, lot methods to accounts and orders and realized gains to fills',
+    up: (data) => {
+      const fills = Object.values(data.tables.fills);
+      Object.values(data.tables.accounts).forEach(account => {
+        account.lotMethod = account.lotMethod || null;
+      });
+      Object.values(data.tables.orders).forEach(order => {
+        order.lotMethod = order.lotMethod || null;
+        order.lotIds = order.lotIds || [];
+      });
+      // Earlier positions only kept an average cost: they become one lot,
+      // dated with the account's first fill in the symbol
+      Object.values(data.tables.positions).forEach(position => {
+        if (position.lots) {
+          return;
+        }
+        const opened = fills
+          .filter(fill => fill.accountId === position.accountId && fill.symbol === position.symbol)
+          .map(fill => fill.timestamp)
+          .sort()[0];
+        position.lots = [{
+          id: `l-${position.id}`,
+          fillId: null,
+          side: position.quantity < 0 ? 'short' : 'long',
+          quantity: Math.abs(position.quantity),
+          price: position.costBasis,
+          unitCost: position.costBasis,
+          openedAt: opened || position.updatedAt
+        }];
+      });
+      fills.forEach(fill => {
+        fill.realizedPnl = fill.realizedPnl || 0;
+        fill.closedLots = fill.closedLots || [];
+      });
+    }
+  },
+  {
+    version: 9,
+    description: 'Add the cashFlows table and funding dates to accounts',
+    up: (data) => {
+      data.tables.cashFlows = data.tables.cashFlows || {};
+      Object.values(data.tables.accounts).forEach(account => {
+        account.fundedAt = account.fundedAt || account.createdAt;
+      });
+    }
+  },
+  {
+    version: 10,
+    description: 'Record when the prices of positions were last updated',
+    up: (data) => {
+      Object.values(data.tables.positions).forEach(position => {
+        position.priceUpdatedAt = position.priceUpdatedAt || position.updatedAt;
+      });
+    }
+  },
+  {
+    version: 11,
+    description: 'Create the alerts table',
+    up: (data) => {
+      data.tables.alerts = data.tables.alerts || {};
+    }
+  },
+  {
+    version: 12,
+    description: 'Create the signals table',
+    up: (data) => {
+      data.tables.signals = data.tables.signals || {};
+    }
+  }
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Create an empty document at schema version 0
+ * @returns {Object} Empty document
+ */
+const createEmptyDocument = () => ({ schemaVersion: 0, tables: {} });
+
+/**
+ * Deep copy a JSON document
+ * @param {Object} data - Document
+ * @returns {Object} Copy
+ */
+const clone = (data) => JSON.parse(JSON.stringify(data));
+
+/**
+ * Upgrade a document to the current schema version
+ * @param {Object} data - Document (modified in place)
+ * @returns {Object} The migrated document
+ */
+const migrate = (data) => {
+  if (data.schemaVersion > SCHEMA_VERSION) {
+    throw new Error(`Storage schema version ${data.schemaVersion} is newer than the supported version ${SCHEMA_VERSION}`);
+  }
+
+  MIGRATIONS
+    .filter(migration => migration.version > data.schemaVersion)
+    .forEach(migration => {
+      logger.info(`Migrating storage to schema version ${migration.version}: ${migration.description}`);
+      migration.up(data);
+      data.schemaVersion = migration.version;
+    });
+
+  return data;
+};
+
+/**
+ * Write a file atomically
+ * @param {string} filePath - Target path
+ * @param {string} content - File content
+ */
+const writeFileAtomic = (filePath, content) => {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, content);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+};
+
+/**
+ * Create a store backed by a JSON file
+ * @param {Object} options - Store options
+ * @param {string} options.file - Path of the JSON file (default: STORAGE_FILE or ./data/trading.json)
+ * @returns {Object} Store
+ */
+const createStore = (options = {}) => {
+  const file = path.resolve(options.file || process.env.STORAGE_FILE || path.join('data', 'trading.json'));
+  let data = null;
+  // The document as last written, to copy drafts from and detect unchanged ones
+  let serialized = null;
+
+  /**
+   * Load the document from disk on first use, migrating it if needed
+   * @returns {Object} Current document
+   */
+  const load = () => {
+    if (data) {
+      return data;
+    }
+
+    const stored = fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, 'utf8'))
+      : createEmptyDocument();
+    const version = stored.schemaVersion;
+
+    data = migrate(stored);
+    serialized = JSON.stringify(data, null, 2);
+    if (version !== data.schemaVersion) {
+      writeFileAtomic(file, serialized);
+    }
+
+    logger.info(`Loaded storage from ${file} (schema version ${data.schemaVersion})`);
+    return data;
+  };
+
+  return {
+    file,
+
+    /**
+     * Get all records of a table
+     * @param {string} table - Table name
+     * @param {Function} filter - Optional predicate
+     * @returns {Array} Copies of the matching records
+     */
+    getAll: (table, filter = () => true) => Object.values(load().tables[table] || {})
+      .filter(filter)
+      .map(clone),
+
+    /**
+     * Get a record by id
+     * @param {string} table - Table name
+     * @param {string} id - Record id
+     * @returns {Object|null} Copy of the record
+     */
+    get: (table, id) => {
+      const record = (load().tables[table] || {})[id];
+      return record ? clone(record) : null;
+    },
+
+    /**
+     * Run changes atomically. The callback receives a copy of the tables to
+     * modify; it is written to disk when the callback returns having changed
+     * it and discarded when it throws.
+     * @param {Function} change - Callback receiving the tables
+     * @returns {*} The callback's return value
+     */
+    transaction: (change) => {
+      load();
+      const draft = JSON.parse(serialized);
+      const result = change(draft.tables);
+      const content = JSON.stringify(draft, null, 2);
+      if (content !== serialized) {
+        writeFileAtomic(file, content);
+        data = draft;
+        serialized = content;
+      }
+      return result;
+    },
+
+    /**
+     * Export the whole document
+     * @returns {Object} Copy of the document with its schema version
+     */
+    exportData: () => ({ ...clone(load()), exportedAt: new Date().toISOString() }),
+
+    /**
+     * Replace the whole document, migrating it to the current schema
+     * @param {Object} snapshot - Document as produced by exportData
+     * @returns {Object} Number of records per table
+     */
+    importData: (snapshot) => {
+      if (!snapshot || typeof snapshot !== 'object' || !snapshot.tables || typeof snapshot.tables !== 'object') {
+        const error = new Error('Import data must be an object with a tables property');
+        error.status = 400;
+        throw error;
+      }
+
+      let imported;
+      try {
+        imported = migrate({
+          schemaVersion: Number(snapshot.schemaVersion) || 0,
+          tables: clone(snapshot.tables)
+        });
+      } catch (error) {
+        error.status = 400;
+        throw error;
+      }
+      const content = JSON.stringify(imported, null, 2);
+      writeFileAtomic(file, content);
+      data = imported;
+      serialized = content;
+
+      return TABLES.reduce((counts, table) => {
+        counts[table] = Object.keys(imported.tables[table] || {}).length;
+        return counts;
+      }, {});
+    }
+  };
+};
+
+let store = null;
+
+/**
+ * Get the shared store, created on first use
+ * @returns {Object} Store
+ */
+const getStore = () => {
+  if (!store) {
+    store = createStore();
+  }
+  return store;
+};
+
+module.exports = {
+  SCHEMA_VERSION,
+  TABLES,
+  createStore,
+  getStore
+};
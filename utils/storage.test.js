@@ -0,0 +1,182 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { SCHEMA_VERSION, TABLES, createStore } = require('./storage');
+
+// A document as written by schema version 1
+const VERSION_1 = {
+  schemaVersion: 1,
+  tables: {
+    accounts: {
+      default: { id: 'default', name: 'Default', cash: 98500, createdAt: '2024-01-02T14:00:00.000Z' }
+    },
+    positions: {
+      'default:AAPL': {
+        id: 'default:AAPL',
+        accountId: 'default',
+        symbol: 'AAPL',
+        quantity: 10,
+        costBasis: 150,
+        updatedAt: '2024-01-03T15:00:00.000Z'
+      }
+    },
+    orders: {
+      'o-1': { id: 'o-1', accountId: 'default', symbol: 'AAPL', action: 'buy', type: 'limit', quantity: 20, filledQuantity: 10, status: 'partially_filled' }
+    },
+    fills: {
+      'f-2': { id: 'f-2', accountId: 'default', symbol: 'AAPL', price: 151, quantity: 5, timestamp: '2024-01-03T15:00:00.000Z' },
+      'f-1': { id: 'f-1', accountId: 'default', symbol: 'AAPL', price: 149, quantity: 5, timestamp: '2024-01-02T15:00:00.000Z' }
+    }
+  }
+};
+
+let dir;
+let file;
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+  file = path.join(dir, 'trading.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('migrations', () => {
+  test(`upgrade a version 1 document to version ${SCHEMA_VERSION} on load`, () => {
+    fs.writeFileSync(file, JSON.stringify(VERSION_1));
+    const store = createStore({ file });
+
+    expect(store.get('accounts', 'default')).toEqual({
+      ...VERSION_1.tables.accounts.default,
+      type: 'cash',
+      margin: null,
+      borrowFees: 0,
+      execution: null,
+      risk: null,
+      tradingDay: null,
+      requireApproval: false,
+      lotMethod: null,
+      fundedAt: '2024-01-02T14:00:00.000Z'
+    });
+    expect(store.get('orders', 'o-1')).toMatchObject({
+      timeInForce: 'DAY',
+      remainingQuantity: 10,
+      expiresAt: null,
+      stopPrice: null,
+      orderClass: 'simple',
+      legIds: [],
+      commission: 0,
+      lotMethod: null,
+      lotIds: []
+    });
+    expect(store.get('fills', 'f-1')).toMatchObject({ referencePrice: 149, commission: 0, slippage: 0, realizedPnl: 0, closedLots: [] });
+
+    // The average cost becomes one lot, dated with the first fill
+    expect(store.get('positions', 'default:AAPL')).toMatchObject({
+      borrowFees: 0,
+      borrowAccruedAt: null,
+      priceUpdatedAt: '2024-01-03T15:00:00.000Z',
+      lots: [{
+        id: 'l-default:AAPL',
+        fillId: null,
+        side: 'long',
+        quantity: 10,
+        price: 150,
+        unitCost: 150,
+        openedAt: '2024-01-02T15:00:00.000Z'
+      }]
+    });
+
+    TABLES.forEach(table => expect(store.getAll(table)).toEqual(expect.any(Array)));
+
+    // The migrated document is written back
+    const written = JSON.parse(fs.readFileSync(file, 'utf8'));
+    expect(written.schemaVersion).toBe(SCHEMA_VERSION);
+    expect(Object.keys(written.tables).sort()).toEqual([...TABLES].sort());
+  });
+
+  test('create an empty document when there is no file', () => {
+    const store = createStore({ file });
+
+    expect(store.getAll('accounts')).toEqual([]);
+    expect(store.exportData()).toMatchObject({ schemaVersion: SCHEMA_VERSION });
+  });
+
+  test('refuse documents of a newer schema version', () => {
+    fs.writeFileSync(file, JSON.stringify({ schemaVersion: SCHEMA_VERSION + 1, tables: {} }));
+
+    expect(() => createStore({ file }).getAll('accounts')).toThrow(`Storage schema version ${SCHEMA_VERSION + 1} is newer`);
+  });
+
+  test('upgrade imported documents', () => {
+    const store = createStore({ file });
+    const counts = store.importData(VERSION_1);
+
+    expect(counts).toMatchObject({ accounts: 1, positions: 1, orders: 1, fills: 2, alerts: 0, signals: 0 });
+    expect(store.get('positions', 'default:AAPL').lots).toHaveLength(1);
+    expect(JSON.parse(fs.readFileSync(file, 'utf8')).schemaVersion).toBe(SCHEMA_VERSION);
+  });
+
+  test('reject imports without tables', () => {
+    const store = createStore({ file });
+
+    expect(() => store.importData({ accounts: [] })).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => store.importData({ schemaVersion: SCHEMA_VERSION + 1, tables: {} })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+});
+
+describe('transaction', () => {
+  test('writes the changes and returns the result', () => {
+    const store = createStore({ file });
+    const result = store.transaction(tables => {
+      tables.settings.flag = { id: 'flag', enabled: true };
+      return 'done';
+    });
+
+    expect(result).toBe('done');
+    expect(createStore({ file }).get('settings', 'flag')).toEqual({ id: 'flag', enabled: true });
+  });
+
+  test('discards the changes when the callback throws', () => {
+    const store = createStore({ file });
+    store.transaction(tables => {
+      tables.settings.flag = { id: 'flag', enabled: true };
+    });
+
+    expect(() => store.transaction(tables => {
+      tables.settings.flag.enabled = false;
+      throw new Error('failed');
+    })).toThrow('failed');
+    expect(store.get('settings', 'flag').enabled).toBe(true);
+    expect(createStore({ file }).get('settings', 'flag').enabled).toBe(true);
+  });
+
+  test('does not write when nothing changed', () => {
+    const store = createStore({ file });
+    store.transaction(tables => {
+      tables.settings.flag = { id: 'flag', enabled: true };
+    });
+    const rename = jest.spyOn(fs, 'renameSync');
+
+    try {
+      store.transaction(tables => {
+        tables.settings.flag.enabled = true;
+      });
+      expect(rename).not.toHaveBeenCalled();
+    } finally {
+      rename.mockRestore();
+    }
+  });
+
+  test('hands out copies of the records', () => {
+    const store = createStore({ file });
+    store.transaction(tables => {
+      tables.settings.flag = { id: 'flag', enabled: true };
+    });
+    store.get('settings', 'flag').enabled = false;
+    store.getAll('settings')[0].enabled = false;
+
+    expect(store.get('settings', 'flag').enabled).toBe(true);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tax lots
+ *
+ * Every fill that opens or adds to a position opens a lot with its own price,
+ * date and unit cost (the fill price plus its share of the commission; for
+ * short lots, minus it). Fills that reduce a position relieve lots, and each
+ * relieved lot realizes a gain or loss. Which lots are relieved depends on
+ * the lot method:
+ *
+ * - fifo: the oldest lots first
+ * - lifo: the newest lots first
+ * - specific: the lots an order names (lotIds), then the oldest
+ *
+ * Gains on lots held for more than a year are long-term, other gains
+ * (including all gains on short sales) short-term.
+ */
+
+const crypto = require('crypto');
+
+const LOT_METHODS = ['fifo', 'lifo', 'specific'];
+
+/**
+ * Lot method of accounts without one of their own
+ * @returns {string} TAX_LOT_METHOD (fifo or lifo), default fifo
+ */
+const getDefaultLotMethod = () => (['fifo', 'lifo'].includes(process.env.TAX_LOT_METHOD) ? process.env.TAX_LOT_METHOD : 'fifo');
+
+/**
+ * Classify a holding period
+ * @param {string} openedAt - ISO time the lot was opened
+ * @param {string} closedAt - ISO time the lot was closed (or now)
+ * @param {string} side - long or short
+ * @returns {string} long or short (term)
+ */
+const getHoldingTerm = (openedAt, closedAt, side = 'long') => {
+  if (side === 'short') {
+    return 'short';
+  }
+  const anniversary = new Date(openedAt);
+  anniversary.setUTCFullYear(anniversary.getUTCFullYear() + 1);
+  return Date.parse(closedAt) > anniversary.getTime() ? 'long' : 'short';
+};
+
+/**
+ * Open a lot
+ * @param {Object} trade - Opening trade
+ * @param {string} trade.fillId - Fill that opened the lot
+ * @param {string} trade.side - long or short
+ * @param {number} trade.quantity - Shares
+ * @param {number} trade.price - Fill price
+ * @param {number} trade.commission - Commission paid on these shares
+ * @param {string} trade.openedAt - ISO time of the fill
+ * @returns {Object} Lot record
+ */
+const openLot = ({ fillId, side, quantity, price, commission, openedAt }) => ({
+  id: `l-${crypto.randomUUID()}`,
+  fillId,
+  side,
+  quantity,
+  price,
+  unitCost: side === 'long' ? price + commission / quantity : price - commission / quantity,
+  openedAt
+});
+
+/**
+ * Order lots in the sequence they are relieved
+ * @param {Array} lots - Open lots
+ * @param {string} method - Lot method
+ * @param {Array} lotIds - Lots to relieve first (specific method)
+ * @returns {Array} Lots in relief order
+ */
+const sortLots = (lots, method, lotIds = []) => {
+  const byDate = [...lots].sort((a, b) => Date.parse(a.openedAt) - Date.parse(b.openedAt));
+  if (method === 'lifo') {
+    return byDate.reverse();
+  }
+  if (method === 'specific') {
+    const chosen = lotIds.map(id => lots.find(lot => lot.id === id)).filter(Boolean);
+    return [...chosen, ...byDate.filter(lot => !chosen.includes(lot))];
+  }
+  return byDate;
+};
+
+/**
+ * Relieve lots for a trade that reduces a position
+ * @param {Array} lots - Open lots of the position
+ * @param {number} quantity - Shares closed
+ * @param {Object} trade - Closing trade
+ * @param {number} trade.price - Fill price
+ * @param {number} trade.commission - Commission paid on the closed shares
+ * @param {string} trade.closedAt - ISO time of the fill
+ * @param {string} method - Lot method
+ * @param {Array} lotIds - Lots to relieve first (specific method)
+ * @returns {Object} The remaining lots and one realized gain per relieved lot
+ */
+const relieveLots = (lots, quantity, { price, commission, closedAt }, method, lotIds) => {
+  const remaining = lots.map(lot => ({ ...lot }));
+  const realized = [];
+  let left = quantity;
+
+  sortLots(remaining, method, lotIds).forEach(lot => {
+    if (left === 0) {
+      return;
+    }
+    const closed = Math.min(lot.quantity, left);
+    const sign = lot.side === 'long' ? 1 : -1;
+    // What the closing trade gets (long) or pays (short) per share after commission
+    const exitUnit = price - sign * commission / quantity;
+    const opening = closed * lot.unitCost;
+    const closing = closed * exitUnit;
+
+    realized.push({
+      lotId: lot.id,
+      side: lot.side,
+      quantity: closed,
+      openedAt: lot.openedAt,
+      closedAt,
+      proceeds: sign > 0 ? closing : opening,
+      costBasis: sign > 0 ? opening : closing,
+      gain: sign * (closing - opening),
+      term: getHoldingTerm(lot.openedAt, closedAt, lot.side)
+    });
+
+    lot.quantity -= closed;
+    left -= closed;
+  });
+
+  return { lots: remaining.filter(lot => lot.quantity > 0), realized };
+};
+
+/**
+ * Average fill price of open lots
+ * @param {Array} lots - Open lots
+ * @returns {number|null} Average price, null without lots
+ */
+const getAveragePrice = (lots) => {
+  const quantity = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  return quantity > 0 ? lots.reduce((sum, lot) => sum + lot.quantity * lot.price, 0) / quantity : null;
+};
+
+/**
+ * Value open lots at a price
+ * @param {Array} lots - Open lots
+ * @param {number} currentPrice - Current price
+ * @param {string} now - ISO time the holding terms are classified at
+ * @returns {Array} Lots with their unrealized gain and holding term
+ */
+const valueLots = (lots, currentPrice, now) => lots.map(lot => ({
+  ...lot,
+  unrealizedPnl: (lot.side === 'long' ? 1 : -1) * lot.quantity * (currentPrice - lot.unitCost),
+  term: getHoldingTerm(lot.openedAt, now, lot.side)
+}));
+
+module.exports = {
+  LOT_METHODS,
+  getDefaultLotMethod,
+  getHoldingTerm,
+  openLot,
+  relieveLots,
+  getAveragePrice,
+  valueLots
+};
@@ -0,0 +1,125 @@
+const {
+  getDefaultLotMethod,
+  getHoldingTerm,
+  openLot,
+  relieveLots,
+  getAveragePrice,
+  valueLots
+} = require('./taxLots');
+
+/**
+ * Three long lots of 10 shares, bought a year apart
+ * @returns {Array} Lots, oldest first
+ */
+const longLots = () => [
+  { ...openLot({ fillId: 'f-1', side: 'long', quantity: 10, price: 100, commission: 0, openedAt: '2022-01-10T15:00:00.000Z' }), id: 'l-1' },
+  { ...openLot({ fillId: 'f-2', side: 'long', quantity: 10, price: 110, commission: 0, openedAt: '2023-01-10T15:00:00.000Z' }), id: 'l-2' },
+  { ...openLot({ fillId: 'f-3', side: 'long', quantity: 10, price: 120, commission: 0, openedAt: '2024-01-10T15:00:00.000Z' }), id: 'l-3' }
+];
+
+const sale = { price: 130, commission: 0, closedAt: '2024-06-10T15:00:00.000Z' };
+
+describe('openLot', () => {
+  test('spreads the commission over the unit cost', () => {
+    const long = openLot({ fillId: 'f-1', side: 'long', quantity: 10, price: 100, commission: 5, openedAt: '2024-01-10T15:00:00.000Z' });
+    const short = openLot({ fillId: 'f-2', side: 'short', quantity: 10, price: 100, commission: 5, openedAt: '2024-01-10T15:00:00.000Z' });
+
+    expect(long).toMatchObject({ fillId: 'f-1', side: 'long', quantity: 10, price: 100, unitCost: 100.5 });
+    expect(long.id).toMatch(/^l-/);
+    expect(short.unitCost).toBe(99.5);
+  });
+});
+
+describe('relieveLots', () => {
+  test('relieves the oldest lots first with fifo', () => {
+    const { lots, realized } = relieveLots(longLots(), 15, sale, 'fifo');
+
+    expect(realized.map(gain => [gain.lotId, gain.quantity, gain.gain])).toEqual([
+      ['l-1', 10, 300],
+      ['l-2', 5, 100]
+    ]);
+    expect(lots.map(lot => [lot.id, lot.quantity])).toEqual([['l-2', 5], ['l-3', 10]]);
+  });
+
+  test('relieves the newest lots first with lifo', () => {
+    const { lots, realized } = relieveLots(longLots(), 15, sale, 'lifo');
+
+    expect(realized.map(gain => [gain.lotId, gain.quantity, gain.gain])).toEqual([
+      ['l-3', 10, 100],
+      ['l-2', 5, 100]
+    ]);
+    expect(lots.map(lot => [lot.id, lot.quantity])).toEqual([['l-1', 10], ['l-2', 5]]);
+  });
+
+  test('relieves the named lots first, then the oldest, with specific', () => {
+    const { lots, realized } = relieveLots(longLots(), 15, sale, 'specific', ['l-2']);
+
+    expect(realized.map(gain => [gain.lotId, gain.quantity])).toEqual([['l-2', 10], ['l-1', 5]]);
+    expect(lots.map(lot => [lot.id, lot.quantity])).toEqual([['l-1', 5], ['l-3', 10]]);
+  });
+
+  test('leaves the input lots unchanged', () => {
+    const lots = longLots();
+    relieveLots(lots, 25, sale, 'fifo');
+
+    expect(lots.map(lot => lot.quantity)).toEqual([10, 10, 10]);
+  });
+
+  test('classifies gains by holding period and charges the commission per share', () => {
+    const { realized } = relieveLots(longLots(), 20, { ...sale, commission: 20 }, 'fifo');
+
+    expect(realized.map(gain => gain.term)).toEqual(['long', 'long']);
+    expect(realized[0]).toMatchObject({ proceeds: 1290, costBasis: 1000, gain: 290 });
+    expect(relieveLots(longLots(), 5, sale, 'lifo').realized[0].term).toBe('short');
+  });
+
+  test('realizes the gains of short lots the other way round', () => {
+    const lots = [{ ...openLot({ fillId: 'f-1', side: 'short', quantity: 10, price: 100, commission: 0, openedAt: '2022-01-10T15:00:00.000Z' }), id: 'l-1' }];
+    const { lots: remaining, realized } = relieveLots(lots, 10, { price: 90, commission: 0, closedAt: sale.closedAt }, 'fifo');
+
+    expect(remaining).toEqual([]);
+    expect(realized[0]).toMatchObject({ side: 'short', proceeds: 1000, costBasis: 900, gain: 100, term: 'short' });
+  });
+});
+
+describe('getHoldingTerm', () => {
+  test('is long-term after more than a year', () => {
+    expect(getHoldingTerm('2023-01-10T15:00:00.000Z', '2024-01-10T15:00:00.000Z')).toBe('short');
+    expect(getHoldingTerm('2023-01-10T15:00:00.000Z', '2024-01-11T15:00:00.000Z')).toBe('long');
+    expect(getHoldingTerm('2020-01-10T15:00:00.000Z', '2024-01-11T15:00:00.000Z', 'short')).toBe('short');
+  });
+});
+
+describe('getAveragePrice', () => {
+  test('weights the lot prices by quantity', () => {
+    expect(getAveragePrice(relieveLots(longLots(), 15, sale, 'fifo').lots)).toBeCloseTo((5 * 110 + 10 * 120) / 15);
+    expect(getAveragePrice([])).toBeNull();
+  });
+});
+
+describe('valueLots', () => {
+  test('adds the unrealized gain and holding term of each lot', () => {
+    const valued = valueLots(longLots(), 125, sale.closedAt);
+
+    expect(valued.map(lot => [lot.unrealizedPnl, lot.term])).toEqual([[250, 'long'], [150, 'long'], [50, 'short']]);
+  });
+});
+
+describe('getDefaultLotMethod', () => {
+  const { TAX_LOT_METHOD } = process.env;
+
+  afterEach(() => {
+    if (TAX_LOT_METHOD === undefined) {
+      delete process.env.TAX_LOT_METHOD;
+    } else {
+      process.env.TAX_LOT_METHOD = TAX_LOT_METHOD;
+    }
+  });
+
+  test('reads TAX_LOT_METHOD and falls back to fifo', () => {
+    process.env.TAX_LOT_METHOD = 'lifo';
+    expect(getDefaultLotMethod()).toBe('lifo');
+    process.env.TAX_LOT_METHOD = 'specific';
+    expect(getDefaultLotMethod()).toBe('fifo');
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Technical rating
+ *
+ * Computes a summary rating the way TradingView's technical rating works: a
+ * basket of moving averages and oscillators each vote buy, sell or neutral on
+ * the latest bar. Each group's rating is (buy votes - sell votes) / votes, the
+ * summary is the average of both groups, and ratings map onto five levels.
+ */
+
+const { computeIndicator } = require('./indicators');
+
+// Bars needed for the longest moving average plus its warm-up
+const RATING_BARS = 300;
+
+const MOVING_AVERAGES = [
+  ['EMA10', 'ema(10)'],
+  ['SMA10', 'sma(10)'],
+  ['EMA20', 'ema(20)'],
+  ['SMA20', 'sma(20)'],
+  ['EMA30', 'ema(30)'],
+  ['SMA30', 'sma(30)'],
+  ['EMA50', 'ema(50)'],
+  ['SMA50', 'sma(50)'],
+  ['EMA100', 'ema(100)'],
+  ['SMA100', 'sma(100)'],
+  ['EMA200', 'ema(200)'],
+  ['SMA200', 'sma(200)'],
+  ['Ichimoku Base Line (9, 26, 52, 26)', 'ichimoku', 'base'],
+  ['VWMA20', 'vwma(20)'],
+  ['HMA9', 'hma(9)']
+];
+
+/**
+ * Oscillator votes. Each receives the latest and previous output of its
+ * indicator (and the latest bar) and returns buy, sell or neutral.
+ */
+const OSCILLATORS = [
+  {
+    name: 'Relative Strength Index (14)',
+    spec: 'rsi(14)',
+    vote: ({ value }, previous) => {
+      if (value < 30 && value > previous.value) return 'buy';
+      if (value > 70 && value < previous.value) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Stochastic %K (14, 3)',
+    spec: 'stochastic(14,3)',
+    vote: ({ k, d }) => {
+      if (k < 20 && d < 20 && k > d) return 'buy';
+      if (k > 80 && d > 80 && k < d) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Commodity Channel Index (20)',
+    spec: 'cci(20)',
+    vote: ({ value }, previous) => {
+      if (value < -100 && value > previous.value) return 'buy';
+      if (value > 100 && value < previous.value) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Average Directional Index (14)',
+    spec: 'adx(14)',
+    vote: ({ adx, plusDI, minusDI }) => {
+      if (adx > 20 && plusDI > minusDI) return 'buy';
+      if (adx > 20 && plusDI < minusDI) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Awesome Oscillator',
+    spec: 'ao',
+    vote: ({ value }, previous) => {
+      if (value > 0 && value > previous.value) return 'buy';
+      if (value < 0 && value < previous.value) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Momentum (10)',
+    spec: 'momentum(10)',
+    vote: ({ value }, previous) => {
+      if (value > previous.value) return 'buy';
+      if (value < previous.value) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'MACD Level (12, 26)',
+    spec: 'macd(12,26,9)',
+    vote: ({ macd, signal }) => {
+      if (macd > signal) return 'buy';
+      if (macd < signal) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Stochastic RSI Fast (3, 3, 14, 14)',
+    spec: 'stochrsi(3,3,14,14)',
+    vote: ({ k, d }) => {
+      if (k < 20 && d < 20 && k > d) return 'buy';
+      if (k > 80 && d > 80 && k < d) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Williams Percent Range (14)',
+    spec: 'williamsr(14)',
+    vote: ({ value }, previous) => {
+      if (value < -80 && value > previous.value) return 'buy';
+      if (value > -20 && value < previous.value) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Bull Bear Power',
+    spec: 'bbpower(13)',
+    // Buy when bears weaken in an uptrend, sell when bulls weaken in a downtrend
+    vote: ({ value }, previous, trend) => {
+      if (trend === 'up' && value < 0 && value > previous.value) return 'buy';
+      if (trend === 'down' && value > 0 && value < previous.value) return 'sell';
+      return 'neutral';
+    }
+  },
+  {
+    name: 'Ultimate Oscillator (7, 14, 28)',
+    spec: 'uo(7,14,28)',
+    vote: ({ value }) => {
+      if (value > 70) return 'buy';
+      if (value < 30) return 'sell';
+      return 'neutral';
+    }
+  }
+];
+
+/**
+ * Map a rating score onto the five-level rating
+ * @param {number} score - Score between -1 (all sell) and 1 (all buy)
+ * @returns {string} strong_sell, sell, neutral, buy or strong_buy
+ */
+const toRating = (score) => {
+  if (score > 0.5) return 'strong_buy';
+  if (score > 0.1) return 'buy';
+  if (score >= -0.1) return 'neutral';
+  if (score >= -0.5) return 'sell';
+  return 'strong_sell';
+};
+
+/**
+ * Tally the votes of a group of indicators
+ * @param {Array} votes - Votes with an action of buy, sell or neutral
+ * @returns {Object} Rating, score and vote counts of the group
+ */
+const summarizeVotes = (votes) => {
+  const counts = votes.reduce((result, { action }) => {
+    result[action] += 1;
+    return result;
+  }, { buy: 0, neutral: 0, sell: 0 });
+  const score = votes.length > 0 ? (counts.buy - counts.sell) / votes.length : 0;
+
+  return {
+    rating: toRating(score),
+    score,
+    ...counts
+  };
+};
+
+/**
+ * Get the latest and previous output of an indicator
+ * @param {Object} series - Indicator output series keyed by field
+ * @returns {Array} Latest and previous outputs keyed by field, null if not yet defined
+ */
+const getLastTwo = (series) => {
+  const fields = Object.keys(series);
+  const pick = (offset) => {
+    const point = fields.reduce((result, field) => {
+      result[field] = series[field][series[field].length - offset];
+      return result;
+    }, {});
+    return fields.some(field => point[field] === null || point[field] === undefined) ? null : point;
+  };
+  return [pick(1), pick(2)];
+};
+
+/**
+ * Compute the technical rating of the latest bar
+ * @param {Array} bars - OHLCV bars, oldest first (RATING_BARS recommended)
+ * @param {Object} context - Computation context passed to the indicators (timeframe)
+ * @returns {Object} Summary, moving average and oscillator ratings with the individual votes.
+ * Indicators without enough history vote neutral with a null value.
+ */
+const computeTechnicalRating = (bars, context = {}) => {
+  const price = bars[bars.length - 1].close;
+
+  const movingAverageVotes = MOVING_AVERAGES.map(([name, spec, field = 'value']) => {
+    const [latest] = getLastTwo(computeIndicator(bars, spec, context).series);
+    const value = latest ? latest[field] : null;
+    let action = 'neutral';
+    if (value !== null) {
+      action = value < price ? 'buy' : value > price ? 'sell' : 'neutral';
+    }
+    return { name, value, action };
+  });
+
+  const [trendEma, previousTrendEma] = getLastTwo(computeIndicator(bars, 'ema(13)', context).series);
+  let trend = 'flat';
+  if (trendEma && previousTrendEma) {
+    trend = trendEma.value > previousTrendEma.value ? 'up' : trendEma.value < previousTrendEma.value ? 'down' : 'flat';
+  }
+
+  const oscillatorVotes = OSCILLATORS.map(({ name, spec, vote }) => {
+    const [latest, previous] = getLastTwo(computeIndicator(bars, spec, context).series);
+    if (!latest || !previous) {
+      return { name, value: null, action: 'neutral' };
+    }
+    const fields = Object.keys(latest);
+    return {
+      name,
+      value: fields.length === 1 ? latest[fields[0]] : latest,
+      action: vote(latest, previous, trend)
+    };
+  });
+
+  const movingAverages = summarizeVotes(movingAverageVotes);
+  const oscillators = summarizeVotes(oscillatorVotes);
+  const score = (movingAverages.score + oscillators.score) / 2;
+
+  return {
+    summary: {
+      rating: toRating(score),
+      score,
+      buy: movingAverages.buy + oscillators.buy,
+      neutral: movingAverages.neutral + oscillators.neutral,
+      sell: movingAverages.sell + oscillators.sell
+    },
+    movingAverages: { ...movingAverages, votes: movingAverageVotes },
+    oscillators: { ...oscillators, votes: oscillatorVotes }
+  };
+};
+
+module.exports = {
+  RATING_BARS,
+  toRating,
+  computeTechnicalRating
+};
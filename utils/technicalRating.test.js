@@ -0,0 +1,69 @@
+const { RATING_BARS, toRating, computeTechnicalRating } = require('./technicalRating');
+
+/**
+ * Daily bars trending by a fixed step with a small zigzag on top that ends
+ * with a move in the direction of the trend
+ * @param {number} count - Number of bars
+ * @param {number} step - Change of the close per bar
+ * @returns {Array} Bars
+ */
+const trendingBars = (count, step) => Array.from({ length: count }, (_, i) => {
+  const zigzag = (count - 1 - i) % 2 === 0 ? 0.3 : -0.3;
+  const close = 100 + step * i + Math.sign(step) * zigzag;
+  return {
+    timestamp: new Date(Date.UTC(2023, 0, 2) + i * 24 * 60 * 60 * 1000).toISOString(),
+    open: close - step,
+    high: close + 1,
+    low: close - 1,
+    close,
+    volume: 1000000
+  };
+});
+
+describe('toRating', () => {
+  test('maps scores onto five levels', () => {
+    expect(toRating(1)).toBe('strong_buy');
+    expect(toRating(0.5)).toBe('buy');
+    expect(toRating(0.1)).toBe('neutral');
+    expect(toRating(0)).toBe('neutral');
+    expect(toRating(-0.1)).toBe('neutral');
+    expect(toRating(-0.5)).toBe('sell');
+    expect(toRating(-0.51)).toBe('strong_sell');
+  });
+});
+
+describe('computeTechnicalRating', () => {
+  test('rates a steady uptrend as a buy with every moving average below the price', () => {
+    const rating = computeTechnicalRating(trendingBars(RATING_BARS, 0.5));
+
+    expect(rating.movingAverages.votes).toHaveLength(15);
+    expect(rating.movingAverages.votes.every(vote => vote.action === 'buy')).toBe(true);
+    expect(rating.movingAverages).toMatchObject({ rating: 'strong_buy', score: 1, buy: 15, sell: 0 });
+    expect(rating.oscillators.votes).toHaveLength(11);
+    expect(['buy', 'strong_buy']).toContain(rating.summary.rating);
+  });
+
+  test('rates a steady downtrend as a sell', () => {
+    const rating = computeTechnicalRating(trendingBars(RATING_BARS, -0.2));
+
+    expect(rating.movingAverages).toMatchObject({ rating: 'strong_sell', score: -1, sell: 15 });
+    expect(['sell', 'strong_sell']).toContain(rating.summary.rating);
+  });
+
+  test('adds up the votes of both groups in the summary', () => {
+    const { summary, movingAverages, oscillators } = computeTechnicalRating(trendingBars(RATING_BARS, 0.5));
+
+    expect(summary.score).toBeCloseTo((movingAverages.score + oscillators.score) / 2);
+    expect(summary.buy + summary.neutral + summary.sell).toBe(26);
+  });
+
+  test('lets indicators without enough history vote neutral', () => {
+    const { movingAverages } = computeTechnicalRating(trendingBars(60, 0.5));
+    const sma200 = movingAverages.votes.find(vote => vote.name === 'SMA200');
+    const sma50 = movingAverages.votes.find(vote => vote.name === 'SMA50');
+
+    expect(sma200).toEqual({ name: 'SMA200', value: null, action: 'neutral' });
+    expect(sma50.action).toBe('buy');
+    expect(movingAverages.neutral).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,448 @@
+/**
+ * Timeframes, trading sessions and bar resampling
+ *
+ * Timeframes follow TradingView notation: 1m, 5m, 15m, 1h and 4h are intraday,
+ * 1d, 1w and 1M (month) are session based. Intraday bars only exist during the
+ * regular trading session (MARKET_SESSION, in MARKET_TIMEZONE local time) and
+ * intraday buckets are anchored at the session open, so a 1h bar covers
+ * 09:30-10:30 and the last bar of the day may be shorter. Daily and higher bars
+ * are stamped at midnight UTC of their session date (weeks start on Monday).
+ * Trading days are the weekdays of the exchange-local calendar, less the
+ * holidays of MARKET_CALENDAR (nyse or none) and MARKET_HOLIDAYS.
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const TIMEFRAMES = {
+  '1m': { name: '1m', minutes: 1, intraday: true },
+  '5m': { name: '5m', minutes: 5, intraday: true },
+  '15m': { name: '15m', minutes: 15, intraday: true },
+  '1h': { name: '1h', minutes: 60, intraday: true },
+  '4h': { name: '4h', minutes: 240, intraday: true },
+  '1d': { name: '1d', minutes: 1440, intraday: false },
+  '1w': { name: '1w', minutes: 7 * 1440, intraday: false },
+  '1M': { name: '1M', minutes: 30 * 1440, intraday: false }
+};
+
+const SUPPORTED_TIMEFRAMES = Object.keys(TIMEFRAMES);
+
+const MARKET_TIMEZONE = process.env.MARKET_TIMEZONE || 'America/New_York';
+const [SESSION_OPEN, SESSION_CLOSE] = (process.env.MARKET_SESSION || '09:30-16:00')
+  .split('-')
+  .map(time => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+  });
+
+const MARKET_CALENDAR = process.env.MARKET_CALENDAR || 'nyse';
+const EXTRA_HOLIDAYS = (process.env.MARKET_HOLIDAYS || '')
+  .split(',')
+  .map(date => date.trim())
+  .filter(Boolean);
+
+const localTimeFormatter = new Intl.DateTimeFormat('en-US', {
+  timeZone: MARKET_TIMEZONE,
+  hourCycle: 'h23',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit'
+});
+
+/**
+ * Look up a timeframe definition
+ * @param {string} timeframe - Timeframe (1m, 5m, 15m, 1h, 4h, 1d, 1w, 1M)
+ * @returns {Object} Timeframe definition with name, minutes and intraday flag
+ */
+const parseTimeframe = (timeframe) => {
+  const definition = TIMEFRAMES[timeframe];
+  if (!definition) {
+    const error = new Error(`Unsupported timeframe "${timeframe}". Supported timeframes: ${SUPPORTED_TIMEFRAMES.join(', ')}`);
+    error.status = 400;
+    throw error;
+  }
+  return definition;
+};
+
+/**
+ * Check whether a timeframe is supported
+ * @param {string} timeframe - Timeframe
+ * @returns {boolean} True if supported
+ */
+const isValidTimeframe = (timeframe) => Object.prototype.hasOwnProperty.call(TIMEFRAMES, timeframe);
+
+// UTC offsets per quarter hour and session bounds per date, as Intl
+// formatting is far too slow to run for every bar
+const CACHE_LIMIT = 10000;
+const offsetCache = new Map();
+const sessionBoundsCache = new Map();
+
+/**
+ * Store a value in a size-limited cache
+ * @param {Map} cache - Cache
+ * @param {*} key - Key
+ * @param {*} value - Value
+ * @returns {*} The value
+ */
+const remember = (cache, key, value) => {
+  if (cache.size >= CACHE_LIMIT) {
+    cache.clear();
+  }
+  cache.set(key, value);
+  return value;
+};
+
+/**
+ * Get the offset of the market timezone from UTC at a given time
+ * @param {number} time - Timestamp in ms
+ * @returns {number} Offset in ms (negative west of UTC)
+ */
+const getOffsetMs = (time) => {
+  const block = Math.floor(time / (15 * MINUTE_MS));
+  if (offsetCache.has(block)) {
+    return offsetCache.get(block);
+  }
+
+  const parts = localTimeFormatter.formatToParts(new Date(time)).reduce((result, part) => {
+    result[part.type] = part.value;
+    return result;
+  }, {});
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+
+  return remember(offsetCache, block, localAsUtc - Math.floor(time / 1000) * 1000);
+};
+
+/**
+ * Get the exchange-local calendar date and minute of day of a timestamp
+ * @param {number} time - Timestamp in ms
+ * @returns {Object} Local date (YYYY-MM-DD), minute of day and UTC offset in ms
+ */
+const getLocalTime = (time) => {
+  const offsetMs = getOffsetMs(time);
+  const local = new Date(time + offsetMs);
+
+  return {
+    date: local.toISOString().slice(0, 10),
+    minuteOfDay: local.getUTCHours() * 60 + local.getUTCMinutes(),
+    offsetMs
+  };
+};
+
+/**
+ * Convert an exchange-local wall-clock time on a date into a UTC timestamp
+ * @param {string} date - Local date (YYYY-MM-DD)
+ * @param {number} minuteOfDay - Local minutes since midnight
+ * @returns {number} Timestamp in ms
+ */
+const localToUtc = (date, minuteOfDay) => {
+  const wallClock = Date.parse(`${date}T00:00:00Z`) + minuteOfDay * MINUTE_MS;
+  // Resolve the offset twice so times right after a DST change are correct
+  const firstGuess = wallClock - getOffsetMs(wallClock);
+  return wallClock - getOffsetMs(firstGuess);
+};
+
+/**
+ * Get the session open and close of a trading date
+ * @param {string} date - Session date (YYYY-MM-DD)
+ * @returns {Object} Open and close timestamps in ms
+ */
+const getSessionBounds = (date) => {
+  if (sessionBoundsCache.has(date)) {
+    return sessionBoundsCache.get(date);
+  }
+
+  return remember(sessionBoundsCache, date, {
+    open: localToUtc(date, SESSION_OPEN),
+    close: localToUtc(date, SESSION_CLOSE)
+  });
+};
+
+/**
+ * Length of the regular trading session in minutes
+ * @returns {number} Session length
+ */
+const getSessionMinutes = () => SESSION_CLOSE - SESSION_OPEN;
+
+/**
+ * Format a UTC date as YYYY-MM-DD
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of the month (may overflow into the next month)
+ * @returns {string} Date
+ */
+const formatDate = (year, month, day) => new Date(Date.UTC(year, month, day)).toISOString().slice(0, 10);
+
+/**
+ * Get the nth weekday of a month
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} weekday - Day of the week (0 = Sunday)
+ * @param {number} n - Occurrence, counted from 1; -1 for the last one
+ * @returns {string} Date
+ */
+const nthWeekday = (year, month, weekday, n) => {
+  if (n < 0) {
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    return formatDate(year, month, last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7));
+  }
+  const first = new Date(Date.UTC(year, month, 1)).getUTCDay();
+  return formatDate(year, month, 1 + ((weekday - first + 7) % 7) + (n - 1) * 7);
+};
+
+/**
+ * Get Easter Sunday of a year (anonymous Gregorian algorithm)
+ * @param {number} year - Year
+ * @returns {Array} Month (0-11) and day
+ */
+const getEaster = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  return [Math.floor((h + l - 7 * m + 114) / 31) - 1, ((h + l - 7 * m + 114) % 31) + 1];
+};
+
+/**
+ * Move a fixed-date holiday that falls on a weekend to the Friday before or
+ * the Monday after
+ * @param {number} year - Year
+ * @param {number} month - Month (0-11)
+ * @param {number} day - Day of the month
+ * @returns {string} Observed date
+ */
+const observed = (year, month, day) => {
+  const weekday = new Date(Date.UTC(year, month, day)).getUTCDay();
+  return formatDate(year, month, day + (weekday === 6 ? -1 : 0) + (weekday === 0 ? 1 : 0));
+};
+
+const holidayCache = new Map();
+
+/**
+ * Get the NYSE holidays of a year
+ * @param {number} year - Year
+ * @returns {Set} Holiday dates (YYYY-MM-DD)
+ */
+const getNyseHolidays = (year) => {
+  if (holidayCache.has(year)) {
+    return holidayCache.get(year);
+  }
+
+  const [easterMonth, easterDay] = getEaster(year);
+  const holidays = [
+    // New Year's Day on a Saturday is not observed on the last trading day of the year
+    new Date(Date.UTC(year, 0, 1)).getUTCDay() === 6 ? null : observed(year, 0, 1),
+    nthWeekday(year, 0, 1, 3),
+    nthWeekday(year, 1, 1, 3),
+    formatDate(year, easterMonth, easterDay - 2),
+    nthWeekday(year, 4, 1, -1),
+    year >= 2022 ? observed(year, 5, 19) : null,
+    observed(year, 6, 4),
+    nthWeekday(year, 8, 1, 1),
+    nthWeekday(year, 10, 4, 4),
+    observed(year, 11, 25)
+  ];
+
+  return remember(holidayCache, year, new Set(holidays.filter(Boolean)));
+};
+
+/**
+ * Check whether a date is an exchange holiday
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean} True for holidays of MARKET_CALENDAR and MARKET_HOLIDAYS
+ */
+const isHoliday = (date) => EXTRA_HOLIDAYS.includes(date)
+  || (MARKET_CALENDAR === 'nyse' && getNyseHolidays(Number(date.slice(0, 4))).has(date));
+
+/**
+ * Check whether an exchange-local date is a trading day
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {boolean} True for weekdays that are not holidays
+ */
+const isTradingDay = (date) => {
+  const day = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return day !== 0 && day !== 6 && !isHoliday(date);
+};
+
+/**
+ * Check whether a timestamp falls within the regular trading session
+ * @param {number} time - Timestamp in ms
+ * @returns {boolean} True if the market is open at that time
+ */
+const isInSession = (time) => {
+  const { date, minuteOfDay } = getLocalTime(time);
+  return isTradingDay(date) && minuteOfDay >= SESSION_OPEN && minuteOfDay < SESSION_CLOSE;
+};
+
+/**
+ * Get the close of the session in progress at a time, or of the next session
+ * when the market is closed
+ * @param {number} time - Timestamp in ms
+ * @returns {number} Session close timestamp in ms
+ */
+const getNextSessionClose = (time) => {
+  let { date } = getLocalTime(time);
+  while (!isTradingDay(date) || getSessionBounds(date).close <= time) {
+    date = new Date(Date.parse(`${date}T00:00:00Z`) + DAY_MS).toISOString().slice(0, 10);
+  }
+  return getSessionBounds(date).close;
+};
+
+/**
+ * Get the session date a bar belongs to
+ * @param {number} time - Bar timestamp in ms
+ * @param {boolean} intraday - Whether the bar is an intraday bar
+ * @returns {string} Session date (YYYY-MM-DD)
+ */
+const getSessionDate = (time, intraday) => (
+  intraday ? getLocalTime(time).date : new Date(time).toISOString().slice(0, 10)
+);
+
+/**
+ * Get the start of the target-timeframe bucket a bar falls into
+ * @param {number} time - Bar timestamp in ms
+ * @param {Object} target - Target timeframe definition
+ * @param {boolean} sourceIntraday - Whether the source bar is intraday
+ * @returns {number} Bucket start timestamp in ms
+ */
+const getBucketStart = (time, target, sourceIntraday) => {
+  const date = getSessionDate(time, sourceIntraday);
+
+  if (target.intraday) {
+    const { open } = getSessionBounds(date);
+    const size = target.minutes * MINUTE_MS;
+    return open + Math.floor((time - open) / size) * size;
+  }
+
+  const dayStart = Date.parse(`${date}T00:00:00Z`);
+
+  if (target.name === '1w') {
+    const daysSinceMonday = (new Date(dayStart).getUTCDay() + 6) % 7;
+    return dayStart - daysSinceMonday * DAY_MS;
+  }
+
+  if (target.name === '1M') {
+    return Date.parse(`${date.slice(0, 7)}-01T00:00:00Z`);
+  }
+
+  return dayStart;
+};
+
+/**
+ * Infer the timeframe of a series of bars from the smallest gap between them
+ * @param {Array} bars - Bars, oldest first
+ * @returns {string} Timeframe
+ */
+const inferTimeframe = (bars) => {
+  let smallestGap = Infinity;
+  for (let i = 1; i < bars.length; i++) {
+    const gap = Date.parse(bars[i].timestamp) - Date.parse(bars[i - 1].timestamp);
+    if (gap > 0 && gap < smallestGap) {
+      smallestGap = gap;
+    }
+  }
+
+  if (smallestGap === Infinity || smallestGap >= 27 * DAY_MS) {
+    return smallestGap === Infinity ? '1d' : '1M';
+  }
+  if (smallestGap >= 6 * DAY_MS) {
+    return '1w';
+  }
+  if (smallestGap >= DAY_MS) {
+    return '1d';
+  }
+
+  const minutes = Math.round(smallestGap / MINUTE_MS);
+  const match = SUPPORTED_TIMEFRAMES.find(timeframe => TIMEFRAMES[timeframe].intraday && TIMEFRAMES[timeframe].minutes === minutes);
+  if (!match) {
+    throw new Error(`Cannot infer timeframe of bars ${minutes} minutes apart`);
+  }
+  return match;
+};
+
+/**
+ * Aggregate bars into a higher timeframe.
+ *
+ * Open is the first open, close the last close, high and low the extremes and
+ * volume the sum of the bars in each bucket. Intraday bars outside the
+ * regular session are dropped. The last bucket may be incomplete.
+ *
+ * @param {Array} bars - Bars, oldest first
+ * @param {string} targetTimeframe - Timeframe to aggregate into
+ * @param {Object} options - Options
+ * @param {string} options.sourceTimeframe - Timeframe of the input bars (inferred if omitted)
+ * @returns {Array} Aggregated bars, oldest first
+ */
+const resampleBars = (bars, targetTimeframe, { sourceTimeframe } = {}) => {
+  if (bars.length === 0) {
+    return [];
+  }
+
+  const target = parseTimeframe(targetTimeframe);
+  const source = parseTimeframe(sourceTimeframe || inferTimeframe(bars));
+
+  if (target.minutes < source.minutes) {
+    throw new Error(`Cannot resample ${source.name} bars into the lower ${target.name} timeframe`);
+  }
+
+  const resampled = [];
+  let current = null;
+
+  bars.forEach(bar => {
+    const time = Date.parse(bar.timestamp);
+    if (source.intraday && !isInSession(time)) {
+      return;
+    }
+
+    const bucket = getBucketStart(time, target, source.intraday);
+
+    if (!current || current.bucket !== bucket) {
+      current = {
+        bucket,
+        bar: {
+          timestamp: new Date(bucket).toISOString(),
+          open: bar.open,
+          high: bar.high,
+          low: bar.low,
+          close: bar.close,
+          volume: bar.volume
+        }
+      };
+      resampled.push(current.bar);
+      return;
+    }
+
+    current.bar.high = Math.max(current.bar.high, bar.high);
+    current.bar.low = Math.min(current.bar.low, bar.low);
+    current.bar.close = bar.close;
+    current.bar.volume += bar.volume;
+  });
+
+  return resampled;
+};
+
+module.exports = {
+  SUPPORTED_TIMEFRAMES,
+  parseTimeframe,
+  isValidTimeframe,
+  getLocalTime,
+  getSessionBounds,
+  getSessionMinutes,
+  getSessionDate,
+  isHoliday,
+  isTradingDay,
+  isInSession,
+  getNextSessionClose,
+  inferTimeframe,
+  resampleBars
+};
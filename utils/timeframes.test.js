@@ -0,0 +1,182 @@
+const {
+  parseTimeframe,
+  getSessionBounds,
+  getSessionDate,
+  isHoliday,
+  isTradingDay,
+  isInSession,
+  getNextSessionClose,
+  inferTimeframe,
+  resampleBars
+} = require('./timeframes');
+
+const bar = (timestamp, open, high, low, close, volume) => ({ timestamp, open, high, low, close, volume });
+
+/**
+ * Consecutive 1m bars from a start time, each closing one higher than it opens
+ * @param {string} start - ISO time of the first bar
+ * @param {number} count - Number of bars
+ * @returns {Array} Bars
+ */
+const minuteBars = (start, count) => Array.from({ length: count }, (_, i) => bar(
+  new Date(Date.parse(start) + i * 60 * 1000).toISOString(),
+  100 + i,
+  101.5 + i,
+  99.5 + i,
+  101 + i,
+  1000 + i
+));
+
+describe('parseTimeframe', () => {
+  test('returns the definition of a supported timeframe', () => {
+    expect(parseTimeframe('15m')).toEqual({ name: '15m', minutes: 15, intraday: true });
+    expect(parseTimeframe('1w').intraday).toBe(false);
+  });
+
+  test('rejects unsupported timeframes with a 400 error', () => {
+    expect(() => parseTimeframe('2h')).toThrow(expect.objectContaining({
+      status: 400,
+      message: expect.stringContaining('Unsupported timeframe "2h"')
+    }));
+  });
+});
+
+describe('getSessionDate', () => {
+  test('dates intraday bars by the exchange-local calendar', () => {
+    // 20:00 in New York on March 8th is already March 9th in UTC
+    expect(getSessionDate(Date.parse('2024-03-09T01:00:00Z'), true)).toBe('2024-03-08');
+    expect(getSessionDate(Date.parse('2024-03-08T14:30:00Z'), true)).toBe('2024-03-08');
+  });
+
+  test('dates daily bars by their UTC timestamp', () => {
+    expect(getSessionDate(Date.parse('2024-03-08T00:00:00Z'), false)).toBe('2024-03-08');
+  });
+});
+
+describe('sessions', () => {
+  test('open at 09:30 New York time across daylight saving changes', () => {
+    expect(new Date(getSessionBounds('2024-03-08').open).toISOString()).toBe('2024-03-08T14:30:00.000Z');
+    expect(new Date(getSessionBounds('2024-03-11').open).toISOString()).toBe('2024-03-11T13:30:00.000Z');
+    expect(new Date(getSessionBounds('2024-03-11').close).toISOString()).toBe('2024-03-11T20:00:00.000Z');
+  });
+
+  test('skip weekends', () => {
+    expect(isTradingDay('2024-03-08')).toBe(true);
+    expect(isTradingDay('2024-03-09')).toBe(false);
+    expect(isTradingDay('2024-03-10')).toBe(false);
+    expect(isInSession(Date.parse('2024-03-09T15:00:00Z'))).toBe(false);
+    expect(isInSession(Date.parse('2024-03-08T15:00:00Z'))).toBe(true);
+    expect(isInSession(Date.parse('2024-03-08T21:00:00Z'))).toBe(false);
+  });
+
+  test('close at the next trading session after a weekend', () => {
+    const close = getNextSessionClose(Date.parse('2024-03-08T21:00:00Z'));
+    expect(new Date(close).toISOString()).toBe('2024-03-11T20:00:00.000Z');
+  });
+});
+
+describe('holidays', () => {
+  test('close the NYSE on its fixed and floating holidays', () => {
+    expect(isHoliday('2024-07-04')).toBe(true);
+    expect(isHoliday('2024-11-28')).toBe(true);
+    expect(isHoliday('2024-01-15')).toBe(true);
+    expect(isTradingDay('2024-07-03')).toBe(true);
+    expect(isInSession(Date.parse('2024-07-04T15:00:00Z'))).toBe(false);
+    expect(isInSession(Date.parse('2024-07-05T15:00:00Z'))).toBe(true);
+  });
+
+  test('close the NYSE on Good Friday but not on Easter Monday', () => {
+    expect(isTradingDay('2024-03-29')).toBe(false);
+    expect(isTradingDay('2025-04-18')).toBe(false);
+    expect(isTradingDay('2024-04-01')).toBe(true);
+  });
+
+  test('observe holidays on a Saturday on the Friday before', () => {
+    expect(isHoliday('2020-07-03')).toBe(true);
+    expect(isHoliday('2021-12-24')).toBe(true);
+    expect(isTradingDay('2020-07-06')).toBe(true);
+  });
+
+  test('observe holidays on a Sunday on the Monday after', () => {
+    expect(isHoliday('2021-07-05')).toBe(true);
+    expect(isHoliday('2022-12-26')).toBe(true);
+    expect(isHoliday('2023-01-02')).toBe(true);
+    expect(isHoliday('2022-06-20')).toBe(true);
+  });
+
+  test('do not observe New Year\'s Day on a Saturday in the year before', () => {
+    expect(isTradingDay('2021-12-31')).toBe(true);
+    expect(isTradingDay('2022-01-03')).toBe(true);
+  });
+
+  test('observe Juneteenth only from 2022', () => {
+    expect(isTradingDay('2021-06-18')).toBe(true);
+    expect(isTradingDay('2024-06-19')).toBe(false);
+  });
+
+  test('close at the next trading session after a holiday', () => {
+    const close = getNextSessionClose(Date.parse('2024-07-03T21:00:00Z'));
+    expect(new Date(close).toISOString()).toBe('2024-07-05T20:00:00.000Z');
+  });
+});
+
+describe('inferTimeframe', () => {
+  test('infers the timeframe from the smallest gap between bars', () => {
+    expect(inferTimeframe(minuteBars('2024-03-08T14:30:00Z', 3))).toBe('1m');
+    expect(inferTimeframe([
+      bar('2024-03-08T00:00:00.000Z', 1, 1, 1, 1, 1),
+      bar('2024-03-11T00:00:00.000Z', 1, 1, 1, 1, 1),
+      bar('2024-03-12T00:00:00.000Z', 1, 1, 1, 1, 1)
+    ])).toBe('1d');
+  });
+});
+
+describe('resampleBars', () => {
+  test('aggregates intraday bars into buckets anchored at the session open', () => {
+    const resampled = resampleBars(minuteBars('2024-03-08T14:30:00Z', 7), '5m', { sourceTimeframe: '1m' });
+
+    expect(resampled).toEqual([
+      bar('2024-03-08T14:30:00.000Z', 100, 105.5, 99.5, 105, 5010),
+      bar('2024-03-08T14:35:00.000Z', 105, 107.5, 104.5, 107, 2011)
+    ]);
+  });
+
+  test('drops intraday bars outside the regular session', () => {
+    const resampled = resampleBars(minuteBars('2024-03-08T14:28:00Z', 4), '1h', { sourceTimeframe: '1m' });
+
+    expect(resampled).toHaveLength(1);
+    expect(resampled[0].timestamp).toBe('2024-03-08T14:30:00.000Z');
+    expect(resampled[0].open).toBe(102);
+    expect(resampled[0].volume).toBe(1002 + 1003);
+  });
+
+  test('rolls intraday bars up into daily bars of their local session date', () => {
+    const resampled = resampleBars(minuteBars('2024-03-08T20:58:00Z', 2), '1d');
+
+    expect(resampled).toEqual([bar('2024-03-08T00:00:00.000Z', 100, 102.5, 99.5, 102, 2001)]);
+  });
+
+  test('groups daily bars into weeks starting on Monday and into months', () => {
+    const daily = ['2024-02-29', '2024-03-01', '2024-03-04', '2024-03-05', '2024-03-08', '2024-03-11']
+      .map((date, i) => bar(`${date}T00:00:00.000Z`, 10 + i, 12 + i, 9 + i, 11 + i, 100));
+
+    expect(resampleBars(daily, '1w').map(week => [week.timestamp, week.open, week.close, week.volume])).toEqual([
+      ['2024-02-26T00:00:00.000Z', 10, 12, 200],
+      ['2024-03-04T00:00:00.000Z', 12, 15, 300],
+      ['2024-03-11T00:00:00.000Z', 15, 16, 100]
+    ]);
+    expect(resampleBars(daily, '1M').map(month => [month.timestamp, month.high, month.low])).toEqual([
+      ['2024-02-01T00:00:00.000Z', 12, 9],
+      ['2024-03-01T00:00:00.000Z', 17, 10]
+    ]);
+  });
+
+  test('refuses to resample into a lower timeframe', () => {
+    expect(() => resampleBars(minuteBars('2024-03-08T14:30:00Z', 2), '1m', { sourceTimeframe: '5m' }))
+      .toThrow('Cannot resample 5m bars into the lower 1m timeframe');
+  });
+
+  test('returns no bars for no input', () => {
+    expect(resampleBars([], '1d')).toEqual([]);
+  });
+});
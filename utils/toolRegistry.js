@@ -0,0 +1,97 @@
+/**
+ * Tool registry
+ *
+ * Single source of truth for the tools this server exposes. Each tool declares
+ * a JSON Schema for its input and output once; the MCP tools/list response,
+ * the REST capabilities endpoint and request validation are all derived from
+ * these declarations.
+ */
+
+const { validate } = require('./schemaValidator');
+
+const tools = new Map();
+
+/**
+ * Register a tool
+ * @param {Object} tool - Tool definition
+ * @param {string} tool.name - Unique tool name (also the MCP request type)
+ * @param {string} tool.description - Human readable description
+ * @param {Object} tool.inputSchema - JSON Schema of the tool parameters
+ * @param {Object} tool.outputSchema - JSON Schema of the tool response
+ * @param {Function} tool.handler - Async function receiving validated parameters
+ * @returns {Object} The registered tool
+ */
+const registerTool = (tool) => {
+  if (!tool.name || typeof tool.handler !== 'function') {
+    throw new Error('A tool needs a name and a handler function');
+  }
+  if (tools.has(tool.name)) {
+    throw new Error(`Tool ${tool.name} is already registered`);
+  }
+
+  tools.set(tool.name, tool);
+  return tool;
+};
+
+/**
+ * Get a registered tool by name
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} Tool definition
+ */
+const getTool = (name) => tools.get(name);
+
+/**
+ * List registered tools in MCP tools/list format
+ * @returns {Array} Tool descriptors with name, description, inputSchema and outputSchema
+ */
+const listTools = () => Array.from(tools.values()).map(({ name, title, description, inputSchema, outputSchema }) => ({
+  name,
+  ...(title ? { title } : {}),
+  description,
+  inputSchema,
+  ...(outputSchema ? { outputSchema } : {})
+}));
+
+/**
+ * Describe a tool's parameters in the flat format of the capabilities endpoint
+ * @param {Object} tool - Tool definition
+ * @returns {Object} Parameter descriptions keyed by parameter name
+ */
+const describeParameters = (tool) => {
+  const { properties = {}, required = [] } = tool.inputSchema;
+
+  return Object.entries(properties).reduce((parameters, [name, schema]) => {
+    parameters[name] = {
+      type: schema.type,
+      required: required.includes(name),
+      ...(schema.description ? { description: schema.description } : {}),
+      ...(schema.enum ? { enum: schema.enum } : {}),
+      ...(schema.default !== undefined ? { default: schema.default } : {})
+    };
+    return parameters;
+  }, {});
+};
+
+/**
+ * Validate parameters against a tool's input schema
+ * @param {string} name - Tool name
+ * @param {Object} parameters - Raw parameters
+ * @returns {Object} Result with valid flag, errors and normalized parameters
+ */
+const validateToolInput = (name, parameters = {}) => {
+  const tool = getTool(name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  // Parameters may come from query strings or loosely typed clients
+  return validate(tool.inputSchema, parameters, { coerceTypes: true });
+};
+
+module.exports = {
+  registerTool,
+  getTool,
+  listTools,
+  describeParameters,
+  validateToolInput
+};
@@ -0,0 +1,213 @@
+/**
+ * Webhook delivery
+ *
+ * Posts JSON payloads to subscriber URLs. When a secret is configured every
+ * request is signed: X-Webhook-Signature carries `sha256=` and the hex
+ * HMAC-SHA256 of `<X-Webhook-Timestamp>.<body>`, so receivers can check both
+ * the sender and the age of a request. Network errors, timeouts, 408, 429 and
+ * 5xx responses are retried with exponential backoff; other responses are
+ * final.
+ *
+ * Webhook URLs come from API and MCP clients, so the server must not become a
+ * proxy into its own network. With ALERT_WEBHOOK_ALLOWED_HOSTS set, only those
+ * hosts are posted to. Otherwise only public hosts are: URLs naming loopback,
+ * private, link-local and other reserved addresses are refused, and so are
+ * host names resolving to one at delivery time. Redirects are not followed.
+ */
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const axios = require('axios');
+const { readNumber } = require('./env');
+const logger = require('./logger');
+
+const DEFAULT_RETRIES = 3;
+const DEFAULT_BACKOFF_MS = 1000;
+const DEFAULT_TIMEOUT_MS = 5000;
+
+// Address ranges webhooks may not reach unless their host is allowed
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  // IPv4-mapped addresses (::ffff:0:0/96) are checked against the IPv4 ranges;
+  // blocking them here would block every IPv4 address as well
+  ['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+/**
+ * Hosts webhooks are restricted to
+ * @returns {Array} ALERT_WEBHOOK_ALLOWED_HOSTS entries in lower case, such as
+ * hooks.example.com or *.example.com; empty when any public host is allowed
+ */
+const getAllowedHosts = () => (process.env.ALERT_WEBHOOK_ALLOWED_HOSTS || '')
+  .split(',')
+  .map(host => host.trim().toLowerCase())
+  .filter(Boolean);
+
+/**
+ * Check whether a host is in ALERT_WEBHOOK_ALLOWED_HOSTS
+ * @param {string} hostname - Host name of a URL
+ * @param {Array} allowedHosts - Allowed hosts
+ * @returns {boolean} True if listed, directly or through a *. wildcard
+ */
+const isAllowedHost = (hostname, allowedHosts) => allowedHosts.some(host => (host.startsWith('*.')
+  ? hostname.endsWith(host.slice(1))
+  : hostname === host));
+
+/**
+ * Check whether an IP address is public
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} False for loopback, private, link-local and other reserved addresses
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Check a webhook URL without resolving its host
+ * @param {string} url - Webhook URL
+ * @returns {string|null} Why the URL is refused, null when it may be posted to
+ */
+const checkWebhookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return 'is not a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return 'must be an http or https URL';
+  }
+
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+  const allowedHosts = getAllowedHosts();
+  if (allowedHosts.length > 0) {
+    return isAllowedHost(hostname, allowedHosts) ? null : 'must be on a host listed in ALERT_WEBHOOK_ALLOWED_HOSTS';
+  }
+  if (hostname === 'localhost' || hostname.endsWith('.localhost') || (net.isIP(hostname) && !isPublicAddress(hostname))) {
+    return 'must not point to a loopback, private or link-local address';
+  }
+  return null;
+};
+
+/**
+ * Resolve a host name for a webhook request, refusing non-public addresses
+ * @param {string} hostname - Host name
+ * @param {Object} options - dns.lookup options
+ * @returns {Promise<Array>} Addresses with their family
+ */
+const lookupPublicAddress = async (hostname, options) => {
+  const addresses = await dns.promises.lookup(hostname, { ...options, all: true });
+  const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+  if (blocked) {
+    throw new Error(`${hostname} resolves to the non-public address ${blocked.address}`);
+  }
+  return addresses;
+};
+
+/**
+ * Sign a webhook body
+ * @param {string} body - Request body
+ * @param {string} secret - Shared secret
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+ * @returns {string} Signature header value
+ */
+const signPayload = (body, secret, timestamp) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+/**
+ * Check whether a failed attempt is worth retrying
+ * @param {number|null} status - Response status, null when no response arrived
+ * @returns {boolean} True for network errors, 408, 429 and 5xx
+ */
+const isRetryable = (status) => status === null || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Post a payload to a webhook, retrying transient failures
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} options - Delivery options
+ * @param {string} options.secret - Signing secret (default: ALERT_WEBHOOK_SECRET, unsigned when empty)
+ * @param {number} options.retries - Retries after the first attempt (default: ALERT_WEBHOOK_RETRIES or 3)
+ * @param {number} options.backoffMs - Delay before the first retry, doubled after each (default: ALERT_WEBHOOK_BACKOFF_MS or 1000)
+ * @param {number} options.timeoutMs - Timeout of each attempt (default: ALERT_WEBHOOK_TIMEOUT_MS or 5000)
+ * @returns {Promise<Object>} Delivery with url, status (delivered or failed), attempts, responseStatus and error
+ */
+const deliverWebhook = async (url, payload, {
+  secret = process.env.ALERT_WEBHOOK_SECRET,
+  retries = readNumber('ALERT_WEBHOOK_RETRIES', DEFAULT_RETRIES),
+  backoffMs = readNumber('ALERT_WEBHOOK_BACKOFF_MS', DEFAULT_BACKOFF_MS),
+  timeoutMs = readNumber('ALERT_WEBHOOK_TIMEOUT_MS', DEFAULT_TIMEOUT_MS)
+} = {}) => {
+  const body = JSON.stringify(payload);
+  const id = crypto.randomUUID();
+  let attempts = 0;
+  let responseStatus = null;
+  let error = null;
+
+  const refusal = checkWebhookUrl(url);
+  if (refusal) {
+    logger.error(`Refusing webhook ${id} to ${url}: the URL ${refusal}`);
+    return { url, status: 'failed', attempts, responseStatus, error: `The URL ${refusal}` };
+  }
+  // Allowed hosts may resolve anywhere; other hosts only to public addresses
+  const lookup = getAllowedHosts().length > 0 ? undefined : lookupPublicAddress;
+
+  while (attempts <= retries) {
+    if (attempts > 0) {
+      await new Promise(resolve => setTimeout(resolve, backoffMs * 2 ** (attempts - 1)));
+    }
+    attempts += 1;
+
+    // Each attempt is signed with its own timestamp
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const headers = {
+      'Content-Type': 'application/json',
+      'X-Webhook-Id': id,
+      'X-Webhook-Timestamp': timestamp
+    };
+    if (secret) {
+      headers['X-Webhook-Signature'] = signPayload(body, secret, timestamp);
+    }
+
+    try {
+      const response = await axios.post(url, body, {
+        headers,
+        timeout: timeoutMs,
+        maxRedirects: 0,
+        lookup,
+        validateStatus: () => true
+      });
+      responseStatus = response.status;
+      error = response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`;
+    } catch (requestError) {
+      responseStatus = null;
+      error = requestError.message;
+    }
+
+    if (!error) {
+      logger.info(`Delivered webhook ${id} to ${url} (attempt ${attempts})`);
+      return { url, status: 'delivered', attempts, responseStatus, error: null };
+    }
+    logger.warn(`Webhook ${id} to ${url} failed (attempt ${attempts}): ${error}`);
+    if (!isRetryable(responseStatus)) {
+      break;
+    }
+  }
+
+  logger.error(`Giving up on webhook ${id} to ${url} after ${attempts} attempts: ${error}`);
+  return { url, status: 'failed', attempts, responseStatus, error };
+};
+
+module.exports = {
+  checkWebhookUrl,
+  signPayload,
+  deliverWebhook
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+jest.mock('axios', () => ({ post: jest.fn() }));
+
+const axios = require('axios');
+const { checkWebhookUrl, signPayload, deliverWebhook } = require('./webhooks');
+
+const NO_RETRIES = { retries: 0, backoffMs: 0, timeoutMs: 1000 };
+
+afterEach(() => {
+  delete process.env.ALERT_WEBHOOK_ALLOWED_HOSTS;
+  axios.post.mockReset();
+});
+
+describe('checkWebhookUrl', () => {
+  test('accepts public http(s) URLs', () => {
+    expect(checkWebhookUrl('https://hooks.example.com/alerts')).toBeNull();
+    expect(checkWebhookUrl('http://93.184.216.34:8080/')).toBeNull();
+    expect(checkWebhookUrl('https://[2606:4700::1111]/')).toBeNull();
+    expect(checkWebhookUrl('http://[::ffff:93.184.216.34]/')).toBeNull();
+  });
+
+  test('refuses URLs that are not http(s)', () => {
+    expect(checkWebhookUrl('not a url')).toBe('is not a valid URL');
+    expect(checkWebhookUrl('ftp://hooks.example.com/')).toBe('must be an http or https URL');
+    expect(checkWebhookUrl('file:///etc/passwd')).toBe('must be an http or https URL');
+  });
+
+  test.each([
+    'http://localhost:3000/',
+    'http://api.localhost/',
+    'http://127.0.0.1/',
+    'http://10.1.2.3/',
+    'http://172.16.0.1/',
+    'http://192.168.1.1/',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/',
+    'http://[::1]/',
+    'http://[::ffff:127.0.0.1]/',
+    'http://[fd00::1]/',
+    'http://[fe80::1]/'
+  ])('refuses %s', (url) => {
+    expect(checkWebhookUrl(url)).toBe('must not point to a loopback, private or link-local address');
+  });
+
+  test('only allows the listed hosts when ALERT_WEBHOOK_ALLOWED_HOSTS is set', () => {
+    process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = 'hooks.internal, *.example.com';
+
+    expect(checkWebhookUrl('http://hooks.internal/a')).toBeNull();
+    expect(checkWebhookUrl('https://alerts.example.com/a')).toBeNull();
+    expect(checkWebhookUrl('https://example.com.evil.net/a')).toBe('must be on a host listed in ALERT_WEBHOOK_ALLOWED_HOSTS');
+    expect(checkWebhookUrl('https://hooks.example.org/a')).toBe('must be on a host listed in ALERT_WEBHOOK_ALLOWED_HOSTS');
+  });
+});
+
+describe('signPayload', () => {
+  test('signs the timestamp and the body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+
+    expect(signPayload('{"a":1}', 'secret', '1700000000')).toBe(`sha256=${expected}`);
+    expect(signPayload('{"a":2}', 'secret', '1700000000')).not.toBe(`sha256=${expected}`);
+    expect(signPayload('{"a":1}', 'secret', '1700000001')).not.toBe(`sha256=${expected}`);
+  });
+});
+
+describe('deliverWebhook', () => {
+  test('posts the signed payload', async () => {
+    axios.post.mockResolvedValue({ status: 204 });
+
+    const delivery = await deliverWebhook('https://hooks.example.com/a', { event: 'test' }, { ...NO_RETRIES, secret: 'secret' });
+
+    expect(delivery).toEqual({ url: 'https://hooks.example.com/a', status: 'delivered', attempts: 1, responseStatus: 204, error: null });
+    const [url, body, { headers, maxRedirects }] = axios.post.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/a');
+    expect(body).toBe('{"event":"test"}');
+    expect(maxRedirects).toBe(0);
+    expect(headers['X-Webhook-Signature']).toBe(signPayload(body, 'secret', headers['X-Webhook-Timestamp']));
+  });
+
+  test('sends no signature without a secret', async () => {
+    axios.post.mockResolvedValue({ status: 200 });
+
+    await deliverWebhook('https://hooks.example.com/a', {}, { ...NO_RETRIES, secret: '' });
+
+    expect(axios.post.mock.calls[0][2].headers['X-Webhook-Signature']).toBeUndefined();
+  });
+
+  test('retries network errors and 5xx responses but not other failures', async () => {
+    axios.post
+      .mockRejectedValueOnce(new Error('socket hang up'))
+      .mockResolvedValueOnce({ status: 503 })
+      .mockResolvedValueOnce({ status: 200 });
+
+    expect(await deliverWebhook('https://hooks.example.com/a', {}, { retries: 3, backoffMs: 0 })).toMatchObject({ status: 'delivered', attempts: 3 });
+
+    axios.post.mockReset();
+    axios.post.mockResolvedValue({ status: 404 });
+    expect(await deliverWebhook('https://hooks.example.com/a', {}, { retries: 3, backoffMs: 0 })).toEqual({
+      url: 'https://hooks.example.com/a',
+      status: 'failed',
+      attempts: 1,
+      responseStatus: 404,
+      error: 'HTTP 404'
+    });
+  });
+
+  test('refuses URLs into the local network without posting', async () => {
+    const delivery = await deliverWebhook('http://169.254.169.254/', {}, NO_RETRIES);
+
+    expect(delivery).toMatchObject({ status: 'failed', attempts: 0, error: 'The URL must not point to a loopback, private or link-local address' });
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('refuses host names that resolve to local addresses when connecting', async () => {
+    axios.post.mockResolvedValue({ status: 200 });
+    await deliverWebhook('https://hooks.example.com/a', {}, NO_RETRIES);
+    const { lookup } = axios.post.mock.calls[0][2];
+
+    await expect(lookup('localhost', {})).rejects.toThrow(/^localhost resolves to the non-public address/);
+  });
+
+  test('lets allowed hosts resolve anywhere', async () => {
+    process.env.ALERT_WEBHOOK_ALLOWED_HOSTS = 'hooks.internal';
+    axios.post.mockResolvedValue({ status: 200 });
+
+    await deliverWebhook('http://hooks.internal/a', {}, NO_RETRIES);
+
+    expect(axios.post.mock.calls[0][2].lookup).toBeUndefined();
+  });
+});